@@ -0,0 +1,138 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const OCRService = require('./src/services/ocr');
+const OCRServiceFactory = require('./src/services/ocr-factory');
+const OCREvaluator = require('./src/services/ocr-evaluation');
+const OCRRecorder = require('./src/services/ocr-recorder');
+
+const USAGE = `Usage: node evaluate-ocr.js [options]
+
+  --labels <dir>              Ground-truth labels (default: evaluation/labels)
+  --images <dir>              Receipt images for live providers (default: images/test)
+  --providers <a,b>           Live providers to run, e.g. tesseract,google
+  --recorded <provider=dir>   Recorded provider output (repeatable), e.g. google=google-vision-results
+  --output <file>             Report file (default: evaluation/report.json)
+
+Examples:
+  node evaluate-ocr.js --recorded google=google-vision-results
+  node evaluate-ocr.js --providers tesseract --images images/test`;
+
+function parseArgs(argv) {
+  const args = {
+    labels: 'evaluation/labels',
+    images: 'images/test',
+    providers: [],
+    recorded: [],
+    output: 'evaluation/report.json'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--labels': args.labels = value; i++; break;
+      case '--images': args.images = value; i++; break;
+      case '--providers': args.providers = value.split(',').map(p => p.trim()).filter(Boolean); i++; break;
+      case '--recorded': {
+        const [provider, dir] = value.split('=');
+        args.recorded.push({ provider, dir });
+        i++;
+        break;
+      }
+      case '--output': args.output = value; i++; break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+// Image for a label: its "image" field, or <id>.jpg/.jpeg/.png
+function findImage(imagesDir, label) {
+  const candidates = label.image
+    ? [label.image]
+    : ['.jpg', '.jpeg', '.png'].map(ext => `${label.id}${ext}`);
+
+  return candidates
+    .map(file => path.join(imagesDir, file))
+    .find(file => fs.existsSync(file)) || null;
+}
+
+// Parse the recorded output of one receipt (-detailed.json, -raw.txt or -markdown.md)
+function createRecordedSource(ocr, factory, provider, dir) {
+  const serviceInfo = factory.getServiceInfo(provider);
+  const adapter = serviceInfo ? new serviceInfo.class(factory.getRecommendedConfig(provider)) : null;
+  const recorder = new OCRRecorder({ mode: 'replay', dir, provider });
+
+  return async (label) => {
+    const recorded = recorder.load(label.id);
+    if (!recorded) return null;
+
+    // Llama recordings and -markdown.md files are markdown already
+    const markdown = adapter && recorded.processing_info.fixture_format !== 'markdown'
+      ? adapter.convertToMarkdown(recorded)
+      : recorded.text;
+
+    return ocr.parseMarkdown(markdown, { provider }).receipt;
+  };
+}
+
+function printSummary(report) {
+  const percent = value => (value === null ? '   n/a' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+  console.log(`\n📊 Evaluation against ${report.labels} labelled receipts\n`);
+  for (const [name, summary] of Object.entries(report.providers)) {
+    console.log(`🔍 ${name} (${summary.receipts} receipts, ${summary.errors} errors)`);
+    console.log(`   Total exact match: ${percent(summary.total_amount_exact_match.rate)}`);
+    console.log(`   Item lines:        P ${percent(summary.items.precision)}  R ${percent(summary.items.recall)}  F1 ${percent(summary.items.f1)}`);
+    for (const [field, scores] of Object.entries(summary.fields)) {
+      console.log(`   ${field.padEnd(18)} P ${percent(scores.precision)}  R ${percent(scores.recall)}`);
+    }
+    console.log('');
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || (args.providers.length === 0 && args.recorded.length === 0)) {
+    console.log(USAGE);
+    return;
+  }
+
+  const evaluator = new OCREvaluator();
+  const labels = evaluator.loadLabels(args.labels);
+  const ocr = new OCRService();
+  const factory = new OCRServiceFactory();
+  const sources = {};
+
+  for (const provider of args.providers) {
+    sources[provider] = async (label) => {
+      const imagePath = findImage(args.images, label);
+      if (!imagePath) return null;
+      console.log(`🔍 ${provider}: ${path.basename(imagePath)}`);
+      return (await ocr.processImage(imagePath, { provider })).receipt;
+    };
+  }
+
+  for (const { provider, dir } of args.recorded) {
+    sources[`${provider}:recorded`] = createRecordedSource(ocr, factory, provider, dir);
+  }
+
+  const report = await evaluator.evaluate(labels, sources);
+
+  fs.mkdirSync(path.dirname(args.output), { recursive: true });
+  fs.writeFileSync(args.output, JSON.stringify(report, null, 2) + '\n');
+
+  printSummary(report);
+  console.log(`💾 Report saved to ${args.output}`);
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,296 @@
+require('dotenv').config();
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Fake OCR Server
+ *
+ * Local stand-in for the OCR.space and Together AI HTTP APIs, answering with
+ * canned receipts in the same request/response shapes. Point the adapters at
+ * it with OCRSPACE_BASE_URL and TOGETHER_BASE_URL to run OCR flows, timeouts
+ * and error handling without network access or API keys.
+ *
+ * The API key picks the scenario:
+ *   fake-invalid     401/403 invalid API key
+ *   fake-rate-limit  429/403 rate limit exceeded
+ *   fake-error       OCR.space: processing error (OCRExitCode 3), Together: 500
+ *   fake-empty       no text detected
+ *   fake-slow        answers after slowDelay ms, for client timeouts
+ *   anything else    a canned receipt
+ *
+ * Usage: node src/fake-ocr-server.js [port]   (or npm run fake-ocr)
+ */
+
+const DEFAULT_RECEIPTS_DIR = path.join(__dirname, '../google-vision-results');
+const DEFAULT_LABELS_DIR = path.join(__dirname, '../evaluation/labels');
+
+function formatAmount(amount) {
+  return `${Number(amount).toFixed(2).replace('.', ',')} €`;
+}
+
+/**
+ * Markdown in the structure OCRService asks Llama OCR for, from a ground-truth label
+ * @param {Object} label - Label as in evaluation/labels
+ * @returns {string} - Markdown
+ */
+function labelToMarkdown(label) {
+  const lines = ['# Receipt', '', '## Store Information', `* **Store Name:** ${label.store?.name || ''}`, ''];
+
+  lines.push('## Items Purchased', '| Product | Quantity | Price |', '| --- | --- | --- |');
+  for (const item of label.items || []) {
+    lines.push(`| ${item.name} | ${item.quantity || 1} | ${formatAmount(item.total_price)} |`);
+  }
+  lines.push('');
+
+  lines.push('## Total');
+  if (label.totals?.total_amount !== undefined) {
+    lines.push(`* **Total Amount:** ${formatAmount(label.totals.total_amount)}`);
+  }
+  if (label.payment?.method) {
+    lines.push(`* **Payment Method:** ${label.payment.method === 'cash' ? 'Bar' : 'Karte'}`);
+  }
+  lines.push('');
+
+  lines.push('## Additional Information');
+  if (label.metadata?.date) {
+    const [year, month, day] = label.metadata.date.split('-');
+    lines.push(`* **Date:** ${day}.${month}.${year}`);
+  }
+  if (label.metadata?.time) lines.push(`* **Time:** ${label.metadata.time}`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Canned receipts: <id>-raw.txt as OCR text; the ground-truth label (or
+ * <id>-markdown.md) rendered as the LLM answer
+ * @param {string} dir - Directory with recorded results
+ * @param {string} labelsDir - Directory with ground-truth labels
+ * @returns {Object} - { id: { text, markdown } }
+ */
+function loadReceipts(dir, labelsDir = DEFAULT_LABELS_DIR) {
+  const receipts = {};
+  if (!fs.existsSync(dir)) return receipts;
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(/^(.+)-(raw\.txt|markdown\.md)$/);
+    if (!match) continue;
+
+    const receipt = receipts[match[1]] || (receipts[match[1]] = { text: null, markdown: null });
+    const content = fs.readFileSync(path.join(dir, file), 'utf8');
+    if (match[2] === 'raw.txt') receipt.text = content;
+    else receipt.markdown = content;
+  }
+
+  for (const [id, receipt] of Object.entries(receipts)) {
+    const labelFile = path.join(labelsDir, `${id}.json`);
+    if (fs.existsSync(labelFile)) {
+      receipt.markdown = labelToMarkdown(JSON.parse(fs.readFileSync(labelFile, 'utf8')));
+    }
+    receipt.text = receipt.text || receipt.markdown;
+    receipt.markdown = receipt.markdown || `# Receipt\n\n${receipt.text}`;
+  }
+
+  return receipts;
+}
+
+/**
+ * OCR.space TextOverlay for a text, one line per row with evenly spaced words
+ * @param {string} text - Receipt text
+ * @returns {Object} - TextOverlay
+ */
+function buildTextOverlay(text) {
+  const lineHeight = 24;
+  const charWidth = 12;
+
+  const lines = text.split('\n').filter(line => line.trim()).map((lineText, index) => {
+    const top = 20 + index * lineHeight * 1.5;
+    let left = 20;
+    const words = lineText.trim().split(/\s+/).map(wordText => {
+      const word = { WordText: wordText, Left: left, Top: top, Height: lineHeight, Width: wordText.length * charWidth };
+      left += word.Width + charWidth;
+      return word;
+    });
+
+    return { LineText: lineText.trim(), Words: words, MaxHeight: lineHeight, MinTop: top };
+  });
+
+  return { Lines: lines, HasOverlay: true, Message: `Total lines: ${lines.length}` };
+}
+
+function createFakeOCRServer(options = {}) {
+  const config = {
+    receiptsDir: process.env.FAKE_OCR_RECEIPTS_DIR || DEFAULT_RECEIPTS_DIR,
+    labelsDir: DEFAULT_LABELS_DIR,
+    receipt: process.env.FAKE_OCR_RECEIPT || null, // Receipt id to answer with, default the first one
+    latency: 0,
+    slowDelay: 35000,
+    ...options
+  };
+
+  const receipts = loadReceipts(config.receiptsDir, config.labelsDir);
+  const receiptIds = Object.keys(receipts);
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+  app.use(express.json({ limit: '20mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '20mb' }));
+
+  const requests = [];
+
+  // A multipart file named like a canned receipt (dm_1.jpg) selects it
+  function pickReceipt(fileName) {
+    const id = fileName ? path.basename(fileName, path.extname(fileName)) : null;
+    if (id && receipts[id]) return receipts[id];
+    if (config.receipt && receipts[config.receipt]) return receipts[config.receipt];
+    return receipts[receiptIds[0]] || { text: '', markdown: '' };
+  }
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async function delay(apiKey) {
+    await wait(apiKey === 'fake-slow' ? config.slowDelay : config.latency);
+  }
+
+  // OCR.space: https://ocr.space/ocrapi
+  app.post('/parse/image', upload.single('file'), async (req, res) => {
+    const body = req.body || {};
+    const apiKey = body.apikey || req.get('apikey');
+    requests.push({ api: 'ocrspace', apiKey, at: new Date().toISOString() });
+
+    await delay(apiKey);
+
+    // Auth and rate-limit failures come back as plain text, not JSON
+    if (!apiKey || apiKey === 'fake-invalid') {
+      return res.status(403).type('text/plain').send('The API key is invalid or expired.');
+    }
+    if (apiKey === 'fake-rate-limit') {
+      return res.status(403).type('text/plain')
+        .send('You may only perform this action upto maximum 180 number of times within 3600 seconds');
+    }
+    if (!req.file && !body.base64Image && !body.url) {
+      return res.json({
+        OCRExitCode: 99,
+        IsErroredOnProcessing: true,
+        ErrorMessage: ['E301: No file, url or base64Image parameter given'],
+        ProcessingTimeInMilliseconds: '0'
+      });
+    }
+    if (apiKey === 'fake-error') {
+      return res.json({
+        ParsedResults: [{ FileParseExitCode: -10, ParsedText: '', ErrorMessage: 'Unable to recognize the file type', ErrorDetails: '' }],
+        OCRExitCode: 3,
+        IsErroredOnProcessing: true,
+        ErrorMessage: ['E500: Processing of image failed'],
+        ProcessingTimeInMilliseconds: '120'
+      });
+    }
+
+    const text = apiKey === 'fake-empty' ? '' : pickReceipt(req.file?.originalname).text;
+    const overlayRequested = String(body.isOverlayRequired) === 'true';
+
+    res.json({
+      ParsedResults: [{
+        TextOverlay: overlayRequested
+          ? buildTextOverlay(text)
+          : { Lines: [], HasOverlay: false, Message: 'Text overlay is not provided as it is not requested' },
+        TextOrientation: '0',
+        FileParseExitCode: 1,
+        ParsedText: text.replace(/\n/g, '\r\n'),
+        ErrorMessage: '',
+        ErrorDetails: ''
+      }],
+      OCRExitCode: 1,
+      IsErroredOnProcessing: false,
+      ProcessingTimeInMilliseconds: String(config.latency),
+      SearchablePDFURL: 'Searchable PDF not generated as it was not requested.'
+    });
+  });
+
+  // Together AI chat completions, as used by llama-ocr
+  app.post('/v1/chat/completions', async (req, res) => {
+    const apiKey = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const model = req.body?.model || 'unknown';
+    requests.push({ api: 'together', apiKey, model, at: new Date().toISOString() });
+
+    await delay(apiKey);
+
+    if (!apiKey || apiKey === 'fake-invalid') {
+      return res.status(401).json({
+        error: { message: 'Invalid API key provided.', type: 'invalid_request_error', param: null, code: 'invalid_api_key' }
+      });
+    }
+    if (apiKey === 'fake-rate-limit') {
+      return res.status(429).set('retry-after', '1').json({
+        error: { message: 'Rate limit exceeded, please try again later.', type: 'credit_limit', param: null, code: null }
+      });
+    }
+    if (apiKey === 'fake-error') {
+      return res.status(500).json({
+        error: { message: 'Internal server error', type: 'server_error', param: null, code: null }
+      });
+    }
+
+    const content = apiKey === 'fake-empty' ? '' : pickReceipt().markdown;
+
+    res.json({
+      id: `fake-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop'
+      }],
+      usage: { prompt_tokens: 1000, completion_tokens: Math.ceil(content.length / 4), total_tokens: 1000 + Math.ceil(content.length / 4) }
+    });
+  });
+
+  // Together AI model list, used for connection tests
+  app.get('/v1/models', (req, res) => {
+    const apiKey = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    requests.push({ api: 'together', apiKey, path: '/v1/models', at: new Date().toISOString() });
+
+    if (!apiKey || apiKey === 'fake-invalid') {
+      return res.status(401).json({
+        error: { message: 'Invalid API key provided.', type: 'invalid_request_error', param: null, code: 'invalid_api_key' }
+      });
+    }
+
+    res.json([{ id: 'meta-llama/Llama-3.2-11B-Vision-Instruct-Turbo', object: 'model', type: 'chat' }]);
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', receipts: receiptIds, requests: requests.length });
+  });
+
+  // Requests seen so far, for assertions in test scripts
+  app.get('/requests', (req, res) => {
+    res.json(requests);
+  });
+
+  app.locals.requests = requests;
+  app.locals.receipts = receipts;
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.FAKE_OCR_PORT || '3999', 10);
+  const app = createFakeOCRServer();
+
+  app.listen(port, () => {
+    const baseUrl = `http://localhost:${port}`;
+    console.log(`🧪 Fake OCR server running on ${baseUrl}`);
+    console.log(`📄 Canned receipts: ${Object.keys(app.locals.receipts).join(', ') || '(none)'}`);
+    console.log(`   OCRSPACE_BASE_URL=${baseUrl}/parse/image`);
+    console.log(`   TOGETHER_BASE_URL=${baseUrl}/v1`);
+  });
+}
+
+module.exports = { createFakeOCRServer, loadReceipts };
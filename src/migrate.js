@@ -0,0 +1,45 @@
+require('dotenv').config();
+const DatabaseService = require('./services/database');
+
+// Usage: node src/migrate.js [status|up]
+async function main() {
+  const command = process.argv[2] || 'status';
+  const db = new DatabaseService();
+
+  await db.connect();
+
+  try {
+    if (command === 'status') {
+      const version = await db.getSchemaVersion();
+      const applied = await db.getAppliedMigrations();
+      const pending = await db.getPendingMigrations();
+
+      console.log(`🗄️  Database: ${db.dbPath}`);
+      console.log(`📌 Schema version: ${version}`);
+      console.log('');
+      console.log('Applied migrations:');
+      if (applied.length === 0) console.log('   (none)');
+      applied.forEach(m => console.log(`   ✅ ${m.version} ${m.name} (${m.applied_at})`));
+      console.log('');
+      console.log('Pending migrations:');
+      if (pending.length === 0) console.log('   (none)');
+      pending.forEach(m => console.log(`   ⏳ ${m.version} ${m.name}`));
+    } else if (command === 'up') {
+      const applied = await db.migrate();
+      if (applied.length === 0) {
+        console.log(`✅ Nothing to migrate, schema at version ${await db.getSchemaVersion()}`);
+      }
+    } else {
+      console.log(`❌ Unknown command: ${command}`);
+      console.log('Usage: node src/migrate.js [status|up]');
+      process.exitCode = 1;
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -2,6 +2,7 @@
 let allItems = [];
 let filteredItems = [];
 let currentItem = null;
+let bulkItemIds = [];
 let brands = [];
 let categories = [];
 let products = [];
@@ -110,7 +111,8 @@ async function loadStatistics() {
 
 async function loadItems() {
   const response = await fetch('/api/items');
-  allItems = await response.json();
+  // Discounts, deposits and fees have no catalog product
+  allItems = (await response.json()).filter(item => item.line_type === 'product');
   filteredItems = [...allItems];
 }
 
@@ -202,18 +204,22 @@ function createTableRow(item) {
     '<span class="status-badge matched-badge">✓ Matched</span>' : 
     '<span class="status-badge unmatched-badge">? Unmatched</span>';
 
+  // Auto-matching keeps its best low-confidence candidate for review
+  const suggestion = !item.matched && item.suggested_product_name ?
+    `<div class="suggested-product">→ ${item.suggested_product_name} (${Math.round(item.suggestion_score * 100)}%)</div>` : '';
+
   row.innerHTML = `
     <td><input type="checkbox" class="item-checkbox" data-item-id="${item.id}"></td>
     <td><span class="item-code">${item.item_code || '-'}</span></td>
-    <td class="product-name">${item.product_name}</td>
-    <td class="quantity">${item.quantity}</td>
-    <td class="unit-price">€${item.unit_price?.toFixed(2) || '0.00'}</td>
+    <td class="product-name">${item.product_name}${suggestion}</td>
+    <td class="quantity">${item.quantity}${item.unit && item.unit !== 'piece' ? ` ${item.unit}` : ''}</td>
+    <td class="unit-price">€${item.unit_price?.toFixed(2) || '0.00'}${item.unit && item.unit !== 'piece' ? `/${item.unit}` : ''}</td>
     <td class="total-price">€${item.total_price?.toFixed(2) || '0.00'}</td>
     <td class="brand">${item.brand || '-'}</td>
     <td>${statusBadge}</td>
     <td>
       <div class="action-buttons">
-        ${!item.matched ? `<button class="btn btn-small btn-match" onclick="openMatchModal(${item.id})">Match</button>` : ''}
+        ${!item.matched ? `<button class="btn btn-small btn-match" onclick="openMatchModal(${item.id})">Match</button>` : `<button class="btn btn-small btn-match" onclick="unmatchItem(${item.id})">Unmatch</button>`}
         <button class="btn btn-small btn-edit" onclick="editItem(${item.id})">Edit</button>
       </div>
     </td>
@@ -230,6 +236,9 @@ function createTableRow(item) {
 function openMatchModal(itemId) {
   currentItem = allItems.find(item => item.id === itemId);
   if (!currentItem) return;
+  bulkItemIds = [];
+
+  document.getElementById('matching-modal-title').textContent = 'Match Item';
 
   // Populate item details
   document.getElementById('modal-item-code').textContent = currentItem.item_code || 'N/A';
@@ -267,9 +276,10 @@ async function loadSuggestions(itemId) {
         <h6>${product.name}</h6>
         <p>${product.description || 'No description'}</p>
         <div class="brand-category">
-          <span>${product.brand_name || 'No brand'}</span>
-          <span>${product.category_name || 'No category'}</span>
+          <span>${product.brand_name || product.brand || 'No brand'}</span>
+          <span>${product.category_name || product.category || 'No category'}</span>
         </div>
+        <div class="suggestion-score">${Math.round(product.score * 100)}% match</div>
       `;
 
       card.addEventListener('click', () => selectSuggestion(product));
@@ -302,13 +312,14 @@ async function saveMatch() {
   try {
     const selectedSuggestion = document.querySelector('.suggestion-card.selected');
     let productId = null;
+    let productData = null;
 
     if (selectedSuggestion) {
       // Use existing product
       productId = parseInt(selectedSuggestion.dataset.productId);
     } else {
-      // Create new product
-      const productData = {
+      // New product data
+      productData = {
         name: document.getElementById('product-name').value,
         brand_id: document.getElementById('brand-select').value || null,
         category_id: document.getElementById('category-select').value || null,
@@ -321,7 +332,15 @@ async function saveMatch() {
         showNotification('Product name is required', 'error');
         return;
       }
+    }
+
+    // Bulk matches create the product and match all items in one request
+    if (bulkItemIds.length > 0) {
+      await saveBulkMatch(productId, productData);
+      return;
+    }
 
+    if (!productId) {
       const response = await fetch('/api/products', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -348,6 +367,44 @@ async function saveMatch() {
   }
 }
 
+async function saveBulkMatch(productId, productData) {
+  const response = await fetch('/api/items/bulk-match', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ itemIds: bulkItemIds, productId, product: productData, confidenceScore: 1.0 })
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || 'Bulk match failed');
+  }
+
+  if (result.failed === 0) {
+    showNotification(`${result.matched} items matched successfully!`, 'success');
+  } else {
+    const failedIds = result.results.filter(r => !r.success).map(r => r.item_id).join(', ');
+    showNotification(`${result.matched} items matched, ${result.failed} failed (${failedIds})`, 'warning');
+  }
+
+  closeAllModals();
+  await initializePage(); // Refresh data
+}
+
+async function unmatchItem(itemId) {
+  try {
+    const response = await fetch(`/api/items/${itemId}/match`, { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error('Failed to unmatch item');
+    }
+
+    showNotification('Item unmatched', 'success');
+    await initializePage(); // Refresh data
+  } catch (error) {
+    console.error('Error unmatching item:', error);
+    showNotification('Error unmatching item', 'error');
+  }
+}
+
 async function saveBrand() {
   try {
     const brandData = {
@@ -456,6 +513,7 @@ function closeAllModals() {
   });
   document.body.style.overflow = 'auto';
   currentItem = null;
+  bulkItemIds = [];
 }
 
 function resetMatchForm() {
@@ -488,20 +546,40 @@ function openBulkMatchModal() {
   const selectedItems = document.querySelectorAll('.item-checkbox:checked');
   if (selectedItems.length === 0) return;
 
-  // For now, just show a notification
-  showNotification(`Bulk matching for ${selectedItems.length} items - coming soon!`, 'info');
+  bulkItemIds = Array.from(selectedItems).map(checkbox => parseInt(checkbox.dataset.itemId));
+  const items = allItems.filter(item => bulkItemIds.includes(item.id));
+  currentItem = null;
+
+  const unique = values => [...new Set(values.filter(Boolean))].join(', ') || 'N/A';
+  const names = items.slice(0, 3).map(item => item.product_name).join(', ');
+
+  // Populate item details with a summary of the selection
+  document.getElementById('matching-modal-title').textContent = `Match ${items.length} Items`;
+  document.getElementById('modal-item-code').textContent = `${items.length} items selected`;
+  document.getElementById('modal-item-name').textContent = items.length > 3 ? `${names}, …` : names;
+  document.getElementById('modal-item-brand').textContent = unique(items.map(item => item.brand));
+  document.getElementById('modal-item-receipt').textContent = unique(items.map(item => item.store_name));
+
+  // Suggestions are based on the first selected item
+  loadSuggestions(bulkItemIds[0]);
+
+  resetMatchForm();
+
+  openModal(modalElements.matchingModal);
 }
 
 function exportToCSV() {
-  const headers = ['Code', 'Product Name', 'Quantity', 'Unit Price', 'Total', 'Brand', 'Status', 'Receipt Date', 'Store'];
+  const headers = ['Code', 'Product Name', 'Quantity', 'Unit', 'Unit Price', 'Total', 'Net Paid', 'Brand', 'Status', 'Receipt Date', 'Store'];
   const csvContent = [
     headers.join(','),
     ...filteredItems.map(item => [
       item.item_code || '',
       `"${item.product_name}"`,
       item.quantity,
+      item.unit || 'piece',
       item.unit_price || 0,
       item.total_price || 0,
+      item.net_price ?? item.total_price ?? 0,
       `"${item.brand || ''}"`,
       item.matched ? 'Matched' : 'Unmatched',
       item.receipt_date || '',
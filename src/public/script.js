@@ -2,10 +2,22 @@
 const uploadArea = document.getElementById('upload-area');
 const fileInput = document.getElementById('file-input');
 const browseBtn = document.getElementById('browse-btn');
+const stitchPages = document.getElementById('stitch-pages');
 const uploadSection = document.getElementById('upload-section');
 const processingSection = document.getElementById('processing-section');
 const resultsSection = document.getElementById('results-section');
 const errorSection = document.getElementById('error-section');
+const batchSection = document.getElementById('batch-section');
+
+// Progress elements
+const progressText = document.getElementById('progress-text');
+const progressFill = document.getElementById('progress-fill');
+const progressSteps = document.querySelectorAll('#progress-steps li');
+
+// Batch elements
+const batchSummary = document.getElementById('batch-summary');
+const batchProgressFill = document.getElementById('batch-progress-fill');
+const batchTableBody = document.getElementById('batch-table-body');
 
 // Results elements
 const receiptImage = document.getElementById('receipt-image');
@@ -16,6 +28,8 @@ const storeInfoItem = document.getElementById('store-info-item');
 const storeName = document.getElementById('store-name');
 const itemsTableBody = document.getElementById('items-table-body');
 const rawMarkdown = document.getElementById('raw-markdown');
+const reviewNotice = document.getElementById('review-notice');
+const reviewReasons = document.getElementById('review-reasons');
 
 // Store and payment details
 const storeDetails = document.getElementById('store-details');
@@ -25,6 +39,7 @@ const paymentDetailsContent = document.getElementById('payment-details-content')
 
 // Buttons
 const newReceiptBtn = document.getElementById('new-receipt-btn');
+const newBatchBtn = document.getElementById('new-batch-btn');
 const retryBtn = document.getElementById('retry-btn');
 const errorMessage = document.getElementById('error-message');
 
@@ -33,6 +48,7 @@ browseBtn.addEventListener('click', () => fileInput.click());
 fileInput.addEventListener('change', handleFileSelect);
 uploadArea.addEventListener('click', () => fileInput.click());
 newReceiptBtn.addEventListener('click', resetToUpload);
+newBatchBtn.addEventListener('click', resetToUpload);
 retryBtn.addEventListener('click', resetToUpload);
 
 // Drag and drop functionality
@@ -50,62 +66,123 @@ function handleDragLeave(e) {
     uploadArea.classList.remove('dragover');
 }
 
-function handleDrop(e) {
+async function handleDrop(e) {
     e.preventDefault();
     uploadArea.classList.remove('dragover');
-    
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
-        handleFile(files[0]);
-    }
+
+    const files = await getDroppedFiles(e.dataTransfer);
+    handleFiles(files);
 }
 
 function handleFileSelect(e) {
-    const file = e.target.files[0];
-    if (file) {
-        handleFile(file);
+    handleFiles(Array.from(e.target.files));
+}
+
+// Files of a drop, with dropped folders read recursively
+async function getDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files);
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        files.push(...await readEntry(entry));
+    }
+    return files;
+}
+
+async function readEntry(entry) {
+    if (entry.isFile) {
+        return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+    }
+
+    // readEntries returns at most 100 entries per call, so read until it is empty
+    const reader = entry.createReader();
+    const files = [];
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+            if (!child.name.startsWith('.')) {
+                files.push(...await readEntry(child));
+            }
+        }
+    } while (batch.length > 0);
+    return files;
+}
+
+function isZip(file) {
+    return file.name.toLowerCase().endsWith('.zip');
+}
+
+function isPdf(file) {
+    return file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf');
+}
+
+function handleFiles(files) {
+    if (files.length === 0) {
+        return;
+    }
+
+    // One receipt keeps the detailed results view; anything more is a batch
+    if (files.length === 1 && !isZip(files[0])) {
+        handleReceiptFiles(files);
+    } else if (stitchPages.checked && !files.some(isZip)) {
+        handleReceiptFiles(files);
+    } else {
+        processBatch(files);
     }
 }
 
-function handleFile(file) {
+// Files of one receipt: an image, a PDF, or the parts of a long receipt
+function handleReceiptFiles(files) {
     // Validate file type
-    if (!file.type.startsWith('image/')) {
-        showError('Please select an image file.');
+    if (!files.every(file => file.type.startsWith('image/') || isPdf(file))) {
+        showError('Please select image or PDF files.');
         return;
     }
 
     // Validate file size (10MB limit)
-    if (file.size > 10 * 1024 * 1024) {
+    if (files.some(file => file.size > 10 * 1024 * 1024)) {
         showError('File size must be less than 10MB.');
         return;
     }
 
-    // Process the file
-    processReceipt(file);
+    if (files.length > 10) {
+        showError('A receipt can have at most 10 photos or PDFs.');
+        return;
+    }
+
+    // Process the files
+    processReceipt(files);
 }
 
-async function processReceipt(file) {
+async function processReceipt(files) {
     try {
         // Show processing state
         showProcessing();
 
-        // Create FormData
+        // Create FormData; several files are stitched into one receipt in this order
         const formData = new FormData();
-        formData.append('receipt', file);
+        files.forEach(file => formData.append('receipt', file));
 
-        // Send to API
-        const response = await fetch('/api/process-receipt', {
+        // Queue the receipt; processing continues in the background
+        const response = await fetch('/api/jobs', {
             method: 'POST',
             body: formData
         });
 
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to process receipt');
+            throw new Error(errorData.details || errorData.error || 'Failed to process receipt');
         }
 
-        const result = await response.json();
-        showResults(result, file);
+        const job = await response.json();
+        const result = await followJob(job.job_id);
+        showResults(result, files);
 
     } catch (error) {
         console.error('Error processing receipt:', error);
@@ -113,18 +190,189 @@ async function processReceipt(file) {
     }
 }
 
+// Stream a job's progress until it is stored (resolves with the result) or failed
+function followJob(jobId) {
+    return new Promise((resolve, reject) => {
+        const events = new EventSource(`/api/jobs/${jobId}/events`);
+
+        events.addEventListener('progress', (e) => {
+            updateProgress(JSON.parse(e.data));
+        });
+
+        events.addEventListener('done', (e) => {
+            events.close();
+            const job = JSON.parse(e.data);
+            updateProgress(job);
+            if (job.status === 'stored') {
+                resolve(job.result);
+            } else {
+                reject(new Error(job.error || 'Failed to process receipt'));
+            }
+        });
+
+        // EventSource reconnects by itself; only give up once it stops trying
+        events.onerror = () => {
+            if (events.readyState === EventSource.CLOSED) {
+                reject(new Error('Lost connection to the server while processing'));
+            }
+        };
+    });
+}
+
+async function processBatch(files) {
+    try {
+        showBatch();
+
+        const formData = new FormData();
+        files.forEach(file => formData.append('receipts', file));
+
+        const response = await fetch('/api/batches', {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.details || errorData.error || 'Failed to upload receipts');
+        }
+
+        let batch = await response.json();
+        renderBatch(batch);
+
+        // Poll the summary until every receipt is stored or failed
+        while (!batch.done) {
+            await new Promise(resolve => setTimeout(resolve, 1500));
+            const statusResponse = await fetch(`/api/batches/${batch.id}`);
+            if (!statusResponse.ok) {
+                throw new Error('Failed to load batch status');
+            }
+            batch = await statusResponse.json();
+            renderBatch(batch);
+        }
+
+    } catch (error) {
+        console.error('Error processing batch:', error);
+        showError(error.message || 'An error occurred while uploading your receipts.');
+    }
+}
+
+function renderBatch(batch) {
+    const { queued, processing, stored, failed, rejected } = batch.counts;
+    const finished = stored + failed + rejected;
+
+    batchProgressFill.style.width = batch.file_count > 0
+        ? `${Math.round((finished / batch.file_count) * 100)}%`
+        : '100%';
+    batchSummary.textContent = batch.done
+        ? `Done: ${stored} stored, ${failed} failed, ${rejected} rejected`
+        : `${finished} of ${batch.file_count} done (${processing} processing, ${queued} queued)`;
+
+    batchTableBody.innerHTML = '';
+    batch.files.forEach(file => {
+        batchTableBody.appendChild(createBatchRow(file));
+    });
+}
+
+function createBatchRow(file) {
+    const row = document.createElement('tr');
+
+    // File names come from the upload, so they are set as text
+    const nameCell = document.createElement('td');
+    nameCell.className = 'product-name';
+    nameCell.textContent = file.name || 'upload';
+    if (file.error) {
+        const error = document.createElement('span');
+        error.className = 'file-error';
+        error.textContent = file.error;
+        nameCell.appendChild(error);
+    }
+
+    const statusCell = document.createElement('td');
+    statusCell.innerHTML = batchStatusBadge(file);
+
+    const receiptCell = document.createElement('td');
+    receiptCell.innerHTML = file.receipt_id
+        ? `<a href="/receipt/${file.receipt_id}">#${file.receipt_id}</a>`
+        : '-';
+
+    row.append(nameCell, statusCell, receiptCell);
+    return row;
+}
+
+function batchStatusBadge(file) {
+    switch (file.status) {
+        case 'stored':
+            return '<span class="status-badge matched-badge">✓ Stored</span>';
+        case 'failed':
+            return '<span class="status-badge unmatched-badge">✗ Failed</span>';
+        case 'rejected':
+            return '<span class="status-badge unmatched-badge">✗ Rejected</span>';
+        case 'queued':
+            return '<span class="status-badge queued-badge">Queued</span>';
+        default:
+            return `<span class="status-badge processing-badge">${stageLabels[file.stage] || 'Processing...'} ${file.progress}%</span>`;
+    }
+}
+
+const stageLabels = {
+    queued: 'Waiting in queue...',
+    preprocessing: 'Preparing image...',
+    ocr: 'Reading text',
+    parsing: 'Parsing receipt...',
+    matching: 'Matching products...',
+    stored: 'Done',
+    failed: 'Failed'
+};
+
+function updateProgress(update) {
+    const stages = Array.from(progressSteps).map(step => step.dataset.stage);
+    const current = update.stage === 'stored' ? stages.length : stages.indexOf(update.stage);
+
+    progressSteps.forEach((step, index) => {
+        step.classList.toggle('done', current >= 0 && index < current);
+        step.classList.toggle('active', index === current);
+    });
+
+    progressFill.style.width = `${update.progress || 0}%`;
+    progressText.textContent = update.stage === 'ocr'
+        ? `${stageLabels.ocr}... ${update.progress}%`
+        : stageLabels[update.stage] || 'Processing...';
+}
+
 function showProcessing() {
+    updateProgress({ stage: 'queued', progress: 0 });
+    progressText.textContent = 'Uploading receipt...';
+
     uploadSection.style.display = 'none';
     processingSection.style.display = 'block';
     resultsSection.style.display = 'none';
     errorSection.style.display = 'none';
 }
 
-function showResults(data, file) {
-    // Display uploaded image
-    const imageUrl = URL.createObjectURL(file);
-    receiptImage.src = imageUrl;
-    receiptImage.onload = () => URL.revokeObjectURL(imageUrl);
+function showBatch() {
+    batchSummary.textContent = 'Uploading receipts...';
+    batchProgressFill.style.width = '0%';
+    batchTableBody.innerHTML = '';
+
+    uploadSection.style.display = 'none';
+    processingSection.style.display = 'none';
+    batchSection.style.display = 'block';
+    resultsSection.style.display = 'none';
+    errorSection.style.display = 'none';
+}
+
+function showResults(data, files) {
+    // Display the first uploaded image; PDFs have no preview
+    const imageFile = files.find(file => file.type.startsWith('image/'));
+    if (imageFile) {
+        const imageUrl = URL.createObjectURL(imageFile);
+        receiptImage.src = imageUrl;
+        receiptImage.onload = () => URL.revokeObjectURL(imageUrl);
+        receiptImage.style.display = '';
+    } else {
+        receiptImage.src = '';
+        receiptImage.style.display = 'none';
+    }
 
     // Update receipt summary
     const total = data.receipt.totals.total_amount;
@@ -159,16 +407,35 @@ function showResults(data, file) {
         itemsTableBody.appendChild(row);
     });
 
+    // Receipts that failed validation are in the review queue
+    showReviewNotice(data.validation);
+
     // Update raw markdown (for debugging)
     rawMarkdown.textContent = data.ocr_data.raw_markdown || 'No raw data available';
 
     // Show results
     uploadSection.style.display = 'none';
     processingSection.style.display = 'none';
+    batchSection.style.display = 'none';
     resultsSection.style.display = 'block';
     errorSection.style.display = 'none';
 }
 
+function showReviewNotice(validation) {
+    if (!validation || !validation.needs_review) {
+        reviewNotice.style.display = 'none';
+        return;
+    }
+
+    reviewReasons.innerHTML = '';
+    validation.reasons.forEach(reason => {
+        const li = document.createElement('li');
+        li.textContent = reason;
+        reviewReasons.appendChild(li);
+    });
+    reviewNotice.style.display = 'block';
+}
+
 function showStoreDetails(store) {
     storeDetails.style.display = 'block';
     storeDetailsContent.innerHTML = '';
@@ -219,19 +486,43 @@ function showPaymentDetails(payment) {
     });
 }
 
+// Receipt lines that aren't products are never matched to the catalog
+const LINE_TYPE_LABELS = {
+    discount: 'Discount',
+    deposit: 'Deposit',
+    deposit_return: 'Deposit return',
+    coupon: 'Coupon',
+    fee: 'Fee'
+};
+
+// "2" for pieces, "0.866 kg" for weighed items
+function formatQuantity(item) {
+    return item.unit && item.unit !== 'piece' ? `${item.quantity} ${item.unit}` : item.quantity;
+}
+
+function perUnit(item) {
+    return item.unit && item.unit !== 'piece' ? `/${item.unit}` : '';
+}
+
 function createTableRow(item) {
     const row = document.createElement('tr');
     
-    const badge = item.matched ? 
+    const badge = LINE_TYPE_LABELS[item.line_type] ?
+        `<span class="status-badge line-type-badge">${LINE_TYPE_LABELS[item.line_type]}</span>` :
+        item.matched ? 
         '<span class="status-badge matched-badge">✓ Matched</span>' : 
         '<span class="status-badge unmatched-badge">? Unmatched</span>';
 
+    // Price after the discounts listed under the product
+    const netPrice = item.net_price !== null && item.net_price !== undefined && item.net_price !== item.total_price ?
+        `<div class="net-price">net €${item.net_price.toFixed(2)}</div>` : '';
+
     row.innerHTML = `
         <td><span class="item-code">${item.item_code}</span></td>
         <td class="product-name">${item.product_name}</td>
-        <td class="quantity">${item.quantity}</td>
-        <td class="unit-price">€${item.unit_price.toFixed(2)}</td>
-        <td class="total-price">€${item.total_price.toFixed(2)}</td>
+        <td class="quantity">${formatQuantity(item)}</td>
+        <td class="unit-price">€${item.unit_price.toFixed(2)}${perUnit(item)}</td>
+        <td class="total-price">€${item.total_price.toFixed(2)}${netPrice}</td>
         <td class="brand">${item.brand || '-'}</td>
         <td>${badge}</td>
     `;
@@ -243,6 +534,7 @@ function showError(message) {
     errorMessage.textContent = message;
     uploadSection.style.display = 'none';
     processingSection.style.display = 'none';
+    batchSection.style.display = 'none';
     resultsSection.style.display = 'none';
     errorSection.style.display = 'block';
 }
@@ -254,6 +546,7 @@ function resetToUpload() {
     // Reset sections
     uploadSection.style.display = 'block';
     processingSection.style.display = 'none';
+    batchSection.style.display = 'none';
     resultsSection.style.display = 'none';
     errorSection.style.display = 'none';
     
@@ -266,6 +559,7 @@ function resetToUpload() {
     storeName.textContent = 'Not found';
     itemsTableBody.innerHTML = '';
     rawMarkdown.textContent = '';
+    batchTableBody.innerHTML = '';
     
     // Reset details sections
     storeDetails.style.display = 'none';
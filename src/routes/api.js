@@ -5,81 +5,165 @@ const fs = require('fs');
 const router = express.Router();
 
 const OCRService = require('../services/ocr');
-const SimpleDatabaseService = require('../services/database-simple');
+const DatabaseService = require('../services/database');
+const ProductMatcher = require('../services/product-matcher');
+const OCRBudget = require('../services/ocr-budget');
+const OCRProviderSettings = require('../services/ocr-provider-settings');
+const ReceiptPipeline = require('../services/receipt-pipeline');
+const JobQueue = require('../services/job-queue');
+const ReceiptBatch = require('../services/receipt-batch');
+const PdfConverter = require('../services/pdf-converter');
 
 // Initialize services
-const ocr = new OCRService();
-const db = new SimpleDatabaseService();
+const db = new DatabaseService();
+const ocrBudget = new OCRBudget(db);
+const ocr = new OCRService({ budget: ocrBudget });
+const ocrSettings = new OCRProviderSettings(db, ocr);
+const pipeline = new ReceiptPipeline(ocr, db);
+const jobQueue = new JobQueue(db, pipeline);
+const batches = new ReceiptBatch(db, jobQueue);
+const matcher = new ProductMatcher();
 
 // Initialize database
 let dbInitialized = false;
 async function ensureDatabase() {
   if (!dbInitialized) {
     await db.initialize();
+    // Provider settings changed through /api/ocr/providers override the environment
+    await ocrSettings.load();
     dbInitialized = true;
   }
 }
 
 // Configure multer for file uploads
+// Keep the original extension, the OCR providers validate the format by it
+const storage = multer.diskStorage({
+  destination: 'uploads/',
+  filename: (req, file, cb) => {
+    const suffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+    cb(null, `${suffix}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
 const upload = multer({
-  dest: 'uploads/',
+  storage: storage,
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
     console.log('🔍 Processing file:', file.originalname, file.mimetype);
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed'), false);
+    if (!file.mimetype.startsWith('image/') && !PdfConverter.isPdf(file.originalname, file.mimetype)) {
+      return cb(new Error('Only image and PDF files are allowed'), false);
     }
     cb(null, true);
   }
 });
 
+// Batch uploads also take ZIP archives; other files are rejected per file in the batch summary
+const batchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 200 * 1024 * 1024, // ZIP archives of a whole shoebox
+    files: 500
+  }
+});
+
+/**
+ * OCR options of an upload request (form fields or query)
+ * @param {Object} req - Express request
+ * @returns {Object} - { options: { provider, providers, preprocessing }, unknown: [unknown provider names] }
+ */
+function getUploadOptions(req) {
+  const provider = req.body.provider || req.query.provider;
+  // Providers merged by provider=ensemble, comma separated
+  const ensembleProviders = req.body.providers || req.query.providers;
+  const strategy = req.body.strategy || req.query.strategy;
+  const requested = [provider, ...(ensembleProviders ? String(ensembleProviders).split(',') : [])]
+    .map(name => name && name.trim())
+    .filter(Boolean);
+  const unknown = requested.filter(name => !ocr.getAvailableProviders().includes(name));
+
+  let error = null;
+  if (unknown.length > 0) {
+    error = {
+      error: `Unknown OCR provider: ${unknown.join(', ')}`,
+      details: `Available providers: ${ocr.getAvailableProviders().join(', ')}`
+    };
+  } else if (strategy && !OCRService.STRATEGIES.includes(strategy)) {
+    error = {
+      error: `Unknown OCR strategy: ${strategy}`,
+      details: `Available strategies: ${OCRService.STRATEGIES.join(', ')}`
+    };
+  }
+
+  return {
+    options: {
+      provider,
+      providers: ensembleProviders,
+      preprocessing: req.body.preprocessing || req.query.preprocessing,
+      strategy
+    },
+    // Response body for a 400, null when the options are valid
+    error
+  };
+}
+
+// Photos or pages of one long receipt, uploaded together in the "receipt" field
+const MAX_RECEIPT_FILES = 10;
+
+function removeUploads(files) {
+  (files || []).forEach(removeUpload);
+}
+
+function removeUpload(file) {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+}
+
 // Simple receipt processing endpoint
-router.post('/process-receipt', upload.single('receipt'), async (req, res) => {
+router.post('/process-receipt', upload.array('receipt', MAX_RECEIPT_FILES), async (req, res) => {
   try {
     // Check if file was uploaded
-    if (!req.file) {
+    if (!req.files || req.files.length === 0) {
       return res.status(400).json({ 
         error: 'No file uploaded',
-        details: 'Please select an image file to upload'
+        details: 'Please select an image or PDF file to upload'
       });
     }
 
-    console.log('📄 Processing:', req.file.originalname);
+    const { options, error: invalid } = getUploadOptions(req);
+    if (invalid) {
+      removeUploads(req.files);
+      return res.status(400).json(invalid);
+    }
 
-    // Process with OCR
-    const ocrResult = await ocr.processImage(req.file.path);
+    console.log('📄 Processing:', req.files.map(file => file.originalname).join(', '));
 
-    // Store in database
+    // Budgets are tracked in the database
     await ensureDatabase();
-    const dbResult = await db.storeReceipt(ocrResult.receipt, ocrResult.ocr_data);
-    console.log('💾 Stored receipt ID:', dbResult.id);
 
-    // Clean up uploaded file
-    if (fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
+    // OCR, parse and store (several files are stitched into one receipt); the pipeline removes the uploads
+    const result = await pipeline.process(req.files.map(file => file.path), options);
 
     // Return the complete result
     res.json({
       success: true,
-      receipt: ocrResult.receipt,
-      ocr_data: ocrResult.ocr_data,
-      processing_info: ocrResult.processing_info,
-      receipt_id: dbResult.id,
+      ...result,
       message: 'Receipt processed and stored successfully'
     });
 
   } catch (error) {
     console.error('❌ Error processing receipt:', error.message);
     
-    // Clean up uploaded file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
+    // Clean up uploaded files if they exist
+    removeUploads(req.files);
     
-    res.status(500).json({ 
+    const status = {
+      UNREADABLE_IMAGE: 400,
+      OCR_BUDGET_EXHAUSTED: 429
+    }[error.code] || 500;
+    res.status(status).json({ 
       error: 'Failed to process receipt',
       details: error.message,
       timestamp: new Date().toISOString()
@@ -87,15 +171,285 @@ router.post('/process-receipt', upload.single('receipt'), async (req, res) => {
   }
 });
 
+// Queue a receipt for background processing; poll GET /api/jobs/:id for the result
+router.post('/jobs', upload.array('receipt', MAX_RECEIPT_FILES), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        details: 'Please select an image or PDF file to upload'
+      });
+    }
+
+    const { options, error: invalid } = getUploadOptions(req);
+    if (invalid) {
+      removeUploads(req.files);
+      return res.status(400).json(invalid);
+    }
+
+    await ensureDatabase();
+    const job = await jobQueue.enqueue({
+      // Absolute, so a restarted server finds the files regardless of its working directory
+      file_paths: req.files.map(file => path.resolve(file.path)),
+      original_name: req.files.map(file => file.originalname).join(', '),
+      options
+    });
+
+    res.status(202).json({
+      job_id: job.id,
+      status: job.status,
+      status_url: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('❌ Error queuing receipt:', error);
+    removeUploads(req.files);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    await ensureDatabase();
+    const job = await jobQueue.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { file_path, file_paths, ...publicJob } = job;
+    res.json(publicJob);
+  } catch (error) {
+    console.error('❌ Error fetching job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue many receipts at once: images and/or ZIP archives in the "receipts" field
+router.post('/batches', batchUpload.array('receipts'), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No files uploaded',
+        details: 'Select receipt images or a ZIP archive of them'
+      });
+    }
+
+    const { options, error: invalid } = getUploadOptions(req);
+    if (invalid) {
+      req.files.forEach(removeUpload);
+      return res.status(400).json(invalid);
+    }
+
+    await ensureDatabase();
+    const summary = await batches.create(req.files, options);
+    res.status(202).json({ ...summary, status_url: `/api/batches/${summary.id}` });
+  } catch (error) {
+    console.error('❌ Error creating batch:', error);
+    (req.files || []).forEach(removeUpload);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/batches/:id', async (req, res) => {
+  try {
+    await ensureDatabase();
+    const summary = await batches.getSummary(req.params.id);
+    if (!summary) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(summary);
+  } catch (error) {
+    console.error('❌ Error fetching batch:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live job progress as Server-Sent Events: 'progress' events { status, stage, progress },
+// then one 'done' event with the result or error, after which the stream ends
+router.get('/jobs/:id/events', async (req, res) => {
+  const jobId = req.params.id;
+  let heartbeat = null;
+  let onUpdate = null;
+
+  const finish = () => {
+    clearInterval(heartbeat);
+    if (onUpdate) jobQueue.off('update', onUpdate);
+  };
+
+  try {
+    await ensureDatabase();
+
+    // Subscribe before reading the job, so an update in between isn't lost
+    const pending = [];
+    onUpdate = update => {
+      if (update.job_id === jobId) pending.push(update);
+    };
+    jobQueue.on('update', onUpdate);
+
+    const job = await jobQueue.getJob(jobId);
+    if (!job) {
+      finish();
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Keep nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = update => {
+      const done = update.status === 'stored' || update.status === 'failed';
+      res.write(`event: ${done ? 'done' : 'progress'}\ndata: ${JSON.stringify(update)}\n\n`);
+      if (done) {
+        finish();
+        res.end();
+      }
+      return done;
+    };
+
+    const { file_path, file_paths, ...publicJob } = job;
+    if (send({ job_id: job.id, ...publicJob })) return;
+
+    jobQueue.off('update', onUpdate);
+    onUpdate = update => {
+      if (update.job_id === jobId) send(update);
+    };
+    jobQueue.on('update', onUpdate);
+    for (const update of pending) {
+      if (send(update)) return;
+    }
+
+    // Comment lines keep proxies from closing an idle stream during long OCR runs
+    heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    req.on('close', finish);
+  } catch (error) {
+    finish();
+    console.error('❌ Error streaming job events:', error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 // Health check endpoint
 router.get('/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    ocr_available: !!ocr.apiKey
+    ocr_available: !!ocr.apiKey,
+    ocr_provider: ocr.defaultProvider,
+    ocr_providers: ocr.getAvailableProviders()
   });
 });
 
+// OCR calls, failures and cost per provider for a day, with the remaining daily budget
+router.get('/ocr/usage', async (req, res) => {
+  try {
+    await ensureDatabase();
+    const day = req.query.day || ocrBudget.today();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      return res.status(400).json({ error: 'day must be YYYY-MM-DD' });
+    }
+
+    const providers = ocr.getAvailableProviders().filter(name => name !== 'ensemble' && name !== 'mock');
+    res.json(await ocrBudget.getUsage(day, providers));
+  } catch (error) {
+    console.error('❌ Error fetching OCR usage:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// OCR providers with service info, credential status, default provider and fallback order
+router.get('/ocr/providers', async (req, res) => {
+  try {
+    await ensureDatabase();
+    res.json(ocrSettings.listProviders());
+  } catch (error) {
+    console.error('❌ Error listing OCR providers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the default provider and/or fallback order: { default_provider, fallback_order: [...] }
+router.put('/ocr/providers/defaults', async (req, res) => {
+  try {
+    await ensureDatabase();
+    res.json(await ocrSettings.updateDefaults(req.body));
+  } catch (error) {
+    console.error('❌ Error updating OCR defaults:', error);
+    res.status(error.code === 'INVALID_OCR_SETTING' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+router.get('/ocr/providers/:name', async (req, res) => {
+  try {
+    await ensureDatabase();
+    if (!ocr.getAvailableProviders().includes(req.params.name)) {
+      return res.status(404).json({ error: 'OCR provider not found' });
+    }
+    res.json({
+      ...ocrSettings.describeProvider(req.params.name),
+      credentials_template: ocr.getCredentialsTemplate(req.params.name)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching OCR provider:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Connection test with the configured credentials, or with { credentials } before saving them
+router.post('/ocr/providers/:name/test', async (req, res) => {
+  try {
+    await ensureDatabase();
+    if (!ocr.getAvailableProviders().includes(req.params.name)) {
+      return res.status(404).json({ error: 'OCR provider not found' });
+    }
+    res.json(await ocr.testProvider(req.params.name, req.body?.credentials || null));
+  } catch (error) {
+    console.error('❌ Error testing OCR provider:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Store credentials encrypted (needs OCR_CREDENTIALS_KEY): { credentials: { apiKey: ... } }
+router.put('/ocr/providers/:name/credentials', async (req, res) => {
+  try {
+    await ensureDatabase();
+    if (!ocr.getAvailableProviders().includes(req.params.name)) {
+      return res.status(404).json({ error: 'OCR provider not found' });
+    }
+    res.json(await ocrSettings.saveCredentials(req.params.name, req.body?.credentials));
+  } catch (error) {
+    console.error('❌ Error storing OCR credentials:', error.message);
+    const status = {
+      INVALID_OCR_SETTING: 400,
+      OCR_CREDENTIALS_KEY_MISSING: 409
+    }[error.code] || 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+router.delete('/ocr/providers/:name/credentials', async (req, res) => {
+  try {
+    await ensureDatabase();
+    if (!ocr.getAvailableProviders().includes(req.params.name)) {
+      return res.status(404).json({ error: 'OCR provider not found' });
+    }
+    const deleted = await ocrSettings.deleteCredentials(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ error: 'No stored credentials for this provider' });
+    }
+    res.json({ success: true, provider: ocrSettings.describeProvider(req.params.name) });
+  } catch (error) {
+    console.error('❌ Error deleting OCR credentials:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all receipts
 router.get('/receipts', async (req, res) => {
   try {
@@ -108,6 +462,18 @@ router.get('/receipts', async (req, res) => {
   }
 });
 
+// Receipts whose totals, VAT, payment or date didn't add up; before /receipts/:id so "review" isn't taken as an ID
+router.get('/receipts/review', async (req, res) => {
+  try {
+    await ensureDatabase();
+    const receipts = await db.getReviewQueue();
+    res.json({ receipts, count: receipts.length });
+  } catch (error) {
+    console.error('❌ Error fetching review queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get receipt by ID
 router.get('/receipts/:id', async (req, res) => {
   try {
@@ -146,6 +512,22 @@ router.get('/receipts/:id/details', async (req, res) => {
   }
 });
 
+// Take a checked receipt off the review queue
+router.post('/receipts/:id/review', async (req, res) => {
+  try {
+    await ensureDatabase();
+    if (!await db.getReceipt(req.params.id)) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    await db.markReceiptReviewed(req.params.id);
+    res.json({ success: true, message: 'Receipt marked as reviewed' });
+  } catch (error) {
+    console.error('❌ Error marking receipt reviewed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all receipts with summary info
 router.get('/receipts/list', async (req, res) => {
   try {
@@ -194,6 +576,29 @@ router.get('/items/unmatched', async (req, res) => {
   }
 });
 
+// Get product suggestions for an item
+router.get('/items/:id/suggestions', async (req, res) => {
+  try {
+    await ensureDatabase();
+    const item = await db.getItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const products = await db.getAllProducts();
+    const minScore = parseFloat(req.query.min_score);
+    const suggestions = matcher.rankProducts(item, products, {
+      limit: parseInt(req.query.limit) || undefined,
+      minScore: isNaN(minScore) ? undefined : minScore
+    });
+
+    res.json({ item_id: item.id, suggestions });
+  } catch (error) {
+    console.error('❌ Error fetching suggestions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all brands
 router.get('/brands', async (req, res) => {
   try {
@@ -270,14 +675,18 @@ router.get('/products', async (req, res) => {
 router.post('/products', async (req, res) => {
   try {
     await ensureDatabase();
-    const { name, brand, category, description, unit_size, unit_type, typical_price, typical_price_currency } = req.body;
+    const {
+      name, brand, brand_id, category, category_id, barcode, description,
+      unit_size, unit_type, typical_price, typical_price_currency
+    } = req.body;
     
     if (!name) {
       return res.status(400).json({ error: 'Product name is required' });
     }
 
     const result = await db.createProduct({ 
-      name, brand, category, description, unit_size, unit_type, typical_price, typical_price_currency 
+      name, brand, brand_id, category, category_id, barcode, description,
+      unit_size, unit_type, typical_price, typical_price_currency 
     });
     res.json({ id: result.id, message: 'Product created successfully' });
   } catch (error) {
@@ -286,23 +695,197 @@ router.post('/products', async (req, res) => {
   }
 });
 
+// Match many items to one product
+router.post('/items/bulk-match', async (req, res) => {
+  try {
+    await ensureDatabase();
+    const { itemIds, productId, product, confidenceScore, matchedBy, learnAlias } = req.body;
+
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      return res.status(400).json({ error: 'Item IDs are required' });
+    }
+    if (!productId && !product) {
+      return res.status(400).json({ error: 'Product ID or product data is required' });
+    }
+    if (!productId && !product.name) {
+      return res.status(400).json({ error: 'Product name is required' });
+    }
+    if (productId && !await db.getProduct(productId)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const productData = productId ? null : {
+      name: product.name,
+      brand: product.brand,
+      brand_id: product.brand_id,
+      category: product.category,
+      category_id: product.category_id,
+      barcode: product.barcode,
+      description: product.description,
+      unit_size: product.unit_size,
+      unit_type: product.unit_type,
+      typical_price: product.typical_price,
+      typical_price_currency: product.typical_price_currency
+    };
+
+    const result = await db.bulkMatchItems(itemIds, {
+      productId,
+      productData,
+      confidenceScore: confidenceScore || 1.0,
+      matchedBy: matchedBy || 'manual',
+      learnAlias: learnAlias !== false
+    });
+
+    const matched = result.results.filter(r => r.success).length;
+    res.json({
+      ...result,
+      matched,
+      failed: result.results.length - matched,
+      message: `Matched ${matched} of ${result.results.length} items`
+    });
+  } catch (error) {
+    console.error('❌ Error bulk matching items:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Match item to product
 router.post('/items/:itemId/match', async (req, res) => {
   try {
     await ensureDatabase();
     const { itemId } = req.params;
-    const { productId, confidenceScore } = req.body;
+    const { productId, confidenceScore, matchedBy, learnAlias } = req.body;
     
     if (!productId) {
       return res.status(400).json({ error: 'Product ID is required' });
     }
 
-    await db.matchItem(itemId, productId, confidenceScore || 1.0);
-    res.json({ message: 'Item matched successfully' });
+    const item = await db.getItem(itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    if (!await db.getProduct(productId)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { match, alias } = await db.matchItemWithAlias(item, productId, {
+      confidenceScore: confidenceScore || 1.0,
+      matchedBy: matchedBy || 'manual',
+      learnAlias: learnAlias !== false
+    });
+
+    res.json({ ...match, alias, message: 'Item matched successfully' });
   } catch (error) {
     console.error('❌ Error matching item:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Unmatch item
+router.delete('/items/:itemId/match', async (req, res) => {
+  try {
+    await ensureDatabase();
+    const { itemId } = req.params;
+
+    if (!await db.getItem(itemId)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const match = await db.unmatchItem(itemId, req.body?.matchedBy || 'manual');
+    res.json({ ...match, message: 'Item unmatched successfully' });
+  } catch (error) {
+    console.error('❌ Error unmatching item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get match history for an item
+router.get('/items/:id/matches', async (req, res) => {
+  try {
+    await ensureDatabase();
+    const item = await db.getItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const matches = await db.getItemMatches(item.id);
+    res.json({
+      item_id: item.id,
+      matched: !!item.matched,
+      matched_product_id: item.matched_product_id,
+      matches
+    });
+  } catch (error) {
+    console.error('❌ Error fetching item matches:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get learned aliases
+router.get('/aliases', async (req, res) => {
+  try {
+    await ensureDatabase();
+    const aliases = await db.getAliases({
+      store_chain: req.query.store_chain,
+      product_id: req.query.product_id
+    });
+    res.json(aliases);
+  } catch (error) {
+    console.error('❌ Error fetching aliases:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update alias
+router.put('/aliases/:id', async (req, res) => {
+  try {
+    await ensureDatabase();
+    const { alias_text, store_chain, product_id } = req.body;
+
+    if (!await db.getAlias(req.params.id)) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    if (alias_text !== undefined && !alias_text) {
+      return res.status(400).json({ error: 'Alias text must not be empty' });
+    }
+    if (product_id !== undefined && !await db.getProduct(product_id)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    await db.updateAlias(req.params.id, { alias_text, store_chain, product_id });
+    const alias = await db.getAlias(req.params.id);
+    res.json({ alias, message: 'Alias updated successfully' });
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'An alias for this text and store chain already exists' });
+    }
+    console.error('❌ Error updating alias:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete alias
+router.delete('/aliases/:id', async (req, res) => {
+  try {
+    await ensureDatabase();
+    const result = await db.deleteAlias(req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    res.json({ message: 'Alias deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting alias:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The one connection requests and the job queue share, for the server to open at startup
+router.db = db;
+
+// Called once the server starts, so jobs queued before a restart are resumed
+router.startJobQueue = async () => {
+  await ensureDatabase();
+  await jobQueue.start();
+};
+
 module.exports = router; 
\ No newline at end of file
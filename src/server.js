@@ -4,13 +4,12 @@ const cors = require('cors');
 const path = require('path');
 
 const apiRoutes = require('./routes/api');
-const DatabaseService = require('./services/database');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize database
-const db = new DatabaseService();
+// The API routes' connection; a second one would not see their transactions' lock
+const db = apiRoutes.db;
 
 // Middleware
 app.use(cors());
@@ -55,6 +54,7 @@ app.use((err, req, res, next) => {
 async function startServer() {
   try {
     await db.initialize();
+    await apiRoutes.startJobQueue();
     
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
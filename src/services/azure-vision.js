@@ -2,10 +2,21 @@ const ComputerVisionClient = require('@azure/cognitiveservices-computervision').
 const ApiKeyCredentials = require('@azure/ms-rest-js').ApiKeyCredentials;
 const fs = require('fs');
 const path = require('path');
+const OCRServiceInterface = require('./ocr-interface');
 
-class AzureVisionService {
-  constructor() {
-    // Initialize Azure Computer Vision client
+class AzureVisionService extends OCRServiceInterface {
+  constructor(config = {}) {
+    super({
+      serviceName: 'azure',
+      timeout: 30000,
+      minConfidence: 0.3,
+      language: 'de',
+      ...config
+    });
+
+    this.client = null;
+
+    // Initialize Azure Computer Vision client from the environment if possible
     const subscriptionKey = process.env.AZURE_VISION_KEY;
     const endpoint = process.env.AZURE_VISION_ENDPOINT;
     
@@ -15,15 +26,62 @@ class AzureVisionService {
       return;
     }
     
+    this.createClient(subscriptionKey, endpoint);
+  }
+
+  /**
+   * Initialize the service with subscription key and endpoint
+   * @param {Object} credentials - Must contain subscriptionKey and endpoint
+   * @returns {Promise<boolean>} - True if initialization successful
+   */
+  async initialize(credentials) {
+    try {
+      if (!credentials || !credentials.subscriptionKey || !credentials.endpoint) {
+        throw new Error('Azure subscription key and endpoint are required');
+      }
+
+      this.createClient(credentials.subscriptionKey, credentials.endpoint);
+      return true;
+
+    } catch (error) {
+      console.error('❌ Azure Vision initialization failed:', error.message);
+      this.isInitialized = false;
+      return false;
+    }
+  }
+
+  createClient(subscriptionKey, endpoint) {
     this.client = new ComputerVisionClient(
       new ApiKeyCredentials({ inHeader: { 'Ocp-Apim-Subscription-Key': subscriptionKey } }),
       endpoint
     );
+    this.isInitialized = true;
     
     console.log('🔍 Azure Computer Vision service initialized');
   }
 
-  async processImage(imagePath) {
+  /**
+   * Test subscription key and endpoint by listing the domain models, which needs no image
+   * @returns {Promise<Object>} - Test result
+   */
+  async testConnection() {
+    if (!this.client) {
+      return { success: false, error: 'Service not initialized' };
+    }
+
+    try {
+      await this.client.listModels();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async processImage(imagePath, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Azure Computer Vision service not initialized. Call initialize() first.');
+    }
+
     try {
       console.log('🔍 Processing with Azure Computer Vision...');
       console.log('📁 Image:', path.basename(imagePath));
@@ -37,14 +95,24 @@ class AzureVisionService {
       const imageBuffer = fs.readFileSync(imagePath);
       
       // Perform OCR
-      const result = await this.client.recognizePrintedTextInStream(false, imageBuffer);
+      const result = await this.client.recognizePrintedTextInStream(
+        false,
+        imageBuffer,
+        options.signal ? { abortSignal: options.signal } : undefined
+      );
       
       if (!result.regions || result.regions.length === 0) {
         console.log('❌ No text detected in image');
         return {
           text: '',
           confidence: 0,
-          error: 'No text detected'
+          error: 'No text detected',
+          processing_info: {
+            timestamp: new Date().toISOString(),
+            service: 'Azure Computer Vision',
+            model: 'OCR API v3.2',
+            fileName: path.basename(imagePath)
+          }
         };
       }
 
@@ -79,7 +147,8 @@ class AzureVisionService {
         processing_info: {
           timestamp: new Date().toISOString(),
           service: 'Azure Computer Vision',
-          model: 'OCR API v3.2'
+          model: 'OCR API v3.2',
+          fileName: path.basename(imagePath)
         }
       };
 
@@ -134,74 +203,34 @@ class AzureVisionService {
     }
   }
 
-  // Convert Azure Vision result to markdown format
-  convertToMarkdown(azureResult) {
-    if (!azureResult.text) {
-      return '# Receipt\n\nNo text detected in image.';
-    }
-
-    const lines = azureResult.text.split('\n').filter(line => line.trim());
-    
-    let markdown = '# Receipt\n\n';
-    
-    // Try to identify sections and format them
-    let inItemsSection = false;
-    
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      
-      // Skip empty lines
-      if (!trimmedLine) continue;
-      
-      // Try to identify common receipt patterns
-      if (this.isTotalLine(trimmedLine)) {
-        markdown += `## Total\n\n* **${trimmedLine}**\n\n`;
-      } else if (this.isDateLine(trimmedLine)) {
-        markdown += `## Date and Time\n\n* **${trimmedLine}**\n\n`;
-      } else if (this.isStoreLine(trimmedLine)) {
-        markdown += `## Store Information\n\n* **${trimmedLine}**\n\n`;
-      } else if (this.isItemLine(trimmedLine)) {
-        if (!inItemsSection) {
-          markdown += '## Items Purchased\n\n| Item | Quantity | Price |\n| --- | --- | --- |\n';
-          inItemsSection = true;
-        }
-        markdown += `| ${trimmedLine} | | |\n`;
-      } else {
-        // Default formatting
-        markdown += `* ${trimmedLine}\n`;
-      }
-    }
-    
-    return markdown;
-  }
-
-  isTotalLine(line) {
-    const totalPatterns = [
-      /total/i, /summe/i, /gesamt/i, /€\s*\d+[,.]?\d*/, /\d+[,.]?\d*\s*€/
-    ];
-    return totalPatterns.some(pattern => pattern.test(line));
-  }
-
-  isDateLine(line) {
-    const datePatterns = [
-      /\d{1,2}[.\/-]\d{1,2}[.\/-]\d{2,4}/,
-      /\d{1,2}:\d{2}/
-    ];
-    return datePatterns.some(pattern => pattern.test(line));
-  }
-
-  isStoreLine(line) {
-    const storePatterns = [
-      /edeka/i, /dm/i, /rewe/i, /lidl/i, /aldi/i, /kaufland/i,
-      /str\./i, /straße/i, /straße/i, /tel/i, /phone/i
-    ];
-    return storePatterns.some(pattern => pattern.test(line));
+  // Word boxes of the Azure response, for rebuilding rows in convertToMarkdown()
+  layoutWords(layout, rawResult) {
+    return layout.wordsFromAzure(rawResult);
   }
 
-  isItemLine(line) {
-    // Simple heuristic: lines with prices are likely items
-    const pricePattern = /\d+[,.]?\d*\s*€/;
-    return pricePattern.test(line) && line.length > 5;
+  /**
+   * Get service status and capabilities
+   * @returns {Object} - Service information
+   */
+  getServiceInfo() {
+    return {
+      name: this.config.serviceName,
+      type: 'cloud',
+      isInitialized: this.isInitialized,
+      supportsConfidence: true,
+      supportsLanguages: ['de', 'en', 'fr', 'es', 'it', 'pt', 'nl'],
+      maxFileSize: 4 * 1024 * 1024, // 4MB
+      supportedFormats: ['.jpg', '.jpeg', '.png', '.gif', '.bmp'],
+      pricing: {
+        freeTier: '5000 requests/month',
+        costPerRequest: 0.001 // $1 per 1000 requests
+      },
+      features: [
+        'Printed text recognition',
+        'Word level confidence',
+        'Region/line/word layout'
+      ]
+    };
   }
 }
 
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+/**
+ * Credential Cipher
+ *
+ * Encrypts provider credentials with AES-256-GCM before they are stored.
+ * The key comes from OCR_CREDENTIALS_KEY: 64 hex characters are used as the
+ * raw 32-byte key, anything else is treated as a passphrase and stretched
+ * with scrypt. Losing or changing the key makes stored credentials unreadable;
+ * they then have to be entered again.
+ *
+ * Encrypted values look like v1:<iv>:<auth tag>:<ciphertext>, all base64.
+ */
+
+const VERSION = 'v1';
+const KEY_SALT = 'receipt-processor/ocr-credentials';
+
+class CredentialCipher {
+  /**
+   * @param {string} secret - Key or passphrase, default OCR_CREDENTIALS_KEY
+   */
+  constructor(secret = process.env.OCR_CREDENTIALS_KEY) {
+    this.key = secret ? CredentialCipher.deriveKey(secret) : null;
+  }
+
+  static deriveKey(secret) {
+    if (/^[0-9a-f]{64}$/i.test(secret)) {
+      return Buffer.from(secret, 'hex');
+    }
+    return crypto.scryptSync(secret, KEY_SALT, 32);
+  }
+
+  get isConfigured() {
+    return this.key !== null;
+  }
+
+  assertConfigured() {
+    if (!this.key) {
+      const error = new Error('OCR_CREDENTIALS_KEY is not set, credentials cannot be stored encrypted');
+      error.code = 'OCR_CREDENTIALS_KEY_MISSING';
+      throw error;
+    }
+  }
+
+  /**
+   * Encrypt a credentials object
+   * @param {Object} credentials - Plain credentials
+   * @returns {string} - Encrypted value
+   */
+  encrypt(credentials) {
+    this.assertConfigured();
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+
+    return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+      .join(':');
+  }
+
+  /**
+   * Decrypt a value produced by encrypt()
+   * @param {string} value - Encrypted value
+   * @returns {Object} - Plain credentials
+   */
+  decrypt(value) {
+    this.assertConfigured();
+
+    const [version, iv, tag, ciphertext] = String(value).split(':');
+    if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+      throw new Error('Unsupported encrypted credentials format');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+}
+
+module.exports = CredentialCipher;
@@ -1,353 +1,548 @@
 const sqlite3 = require('sqlite3').verbose();
+const { AsyncLocalStorage } = require('async_hooks');
 const path = require('path');
+const fs = require('fs');
+const ProductMatcher = require('./product-matcher');
 
 class DatabaseService {
-  constructor() {
-    this.dbPath = path.join(__dirname, '../../data/receipts.db');
+  constructor(config = {}) {
+    this.config = {
+      // Items scoring at or above this are linked to the product automatically
+      autoMatchThreshold: parseFloat(process.env.AUTO_MATCH_THRESHOLD || '0.85'),
+      migrationsDir: path.join(__dirname, 'migrations'),
+      dbPath: path.join(__dirname, '../../data/receipts.db'),
+      ...config
+    };
+
+    this.dbPath = this.config.dbPath;
     this.db = null;
+    this.matcher = new ProductMatcher();
+
+    // Requests and the job worker share one connection, so a transaction has it to itself:
+    // queries from inside it (tracked by transactionScope) run, all others wait for lock
+    this.transactionScope = new AsyncLocalStorage();
+    this.lock = Promise.resolve();
+    this.pendingQueries = new Set();
   }
 
+  // Open the database and bring the schema up to date
   async initialize() {
+    await this.connect();
+    await this.migrate();
+  }
+
+  async connect() {
+    if (this.db) return;
+
+    // Ensure data directory exists
+    const dataDir = path.dirname(this.dbPath);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
     return new Promise((resolve, reject) => {
       this.db = new sqlite3.Database(this.dbPath, (err) => {
         if (err) {
-          console.error('Error opening database:', err);
+          console.error('❌ Database connection error:', err.message);
+          this.db = null;
           reject(err);
         } else {
-          this.createTables().then(resolve).catch(reject);
+          resolve();
         }
       });
     });
   }
 
-  async createTables() {
-    const tables = [
-      // Receipts table
-      `CREATE TABLE IF NOT EXISTS receipts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        date TEXT,
-        time TEXT,
-        store_name TEXT,
-        store_address TEXT,
-        store_phone TEXT,
-        store_tax_id TEXT,
-        store_chain TEXT,
-        total_amount REAL,
-        subtotal REAL,
-        vat_amount REAL,
-        vat_rate REAL,
-        currency TEXT DEFAULT 'EUR',
-        payment_method TEXT,
-        payment_amount REAL,
-        payment_change REAL,
-        payment_card_type TEXT,
-        cashier_start_time TEXT,
-        cashier_end_time TEXT,
-        cashier_number TEXT,
-        terminal_number TEXT,
-        tse_signature TEXT,
-        signature_counter TEXT,
-        signature TEXT,
-        signature_data TEXT,
-        fiscal_data TEXT,
-        loyalty_program TEXT,
-        loyalty_points_earned INTEGER,
-        loyalty_points_balance INTEGER,
-        raw_markdown TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Items table (extracted from receipts)
-      `CREATE TABLE IF NOT EXISTS items (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        receipt_id INTEGER,
-        item_code TEXT UNIQUE,
-        product_name TEXT,
-        quantity INTEGER,
-        unit_price REAL,
-        total_price REAL,
-        brand TEXT,
-        category TEXT,
-        matched BOOLEAN DEFAULT FALSE,
-        matched_product_id INTEGER,
-        line_text TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (receipt_id) REFERENCES receipts (id),
-        FOREIGN KEY (matched_product_id) REFERENCES products (id)
-      )`,
-
-      // Brands table
-      `CREATE TABLE IF NOT EXISTS brands (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT UNIQUE NOT NULL,
-        description TEXT,
-        website TEXT,
-        country TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Categories table
-      `CREATE TABLE IF NOT EXISTS categories (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT UNIQUE NOT NULL,
-        parent_id INTEGER,
-        description TEXT,
-        color TEXT,
-        icon TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (parent_id) REFERENCES categories (id)
-      )`,
-
-      // Products table (master product catalog)
-      `CREATE TABLE IF NOT EXISTS products (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        brand_id INTEGER,
-        category_id INTEGER,
-        barcode TEXT UNIQUE,
-        description TEXT,
-        unit_size TEXT,
-        unit_type TEXT,
-        typical_price REAL,
-        typical_price_currency TEXT DEFAULT 'EUR',
-        is_active BOOLEAN DEFAULT TRUE,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (brand_id) REFERENCES brands (id),
-        FOREIGN KEY (category_id) REFERENCES categories (id)
-      )`,
-
-      // Item matches table (for manual matching)
-      `CREATE TABLE IF NOT EXISTS item_matches (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        item_id INTEGER,
-        product_id INTEGER,
-        confidence_score REAL,
-        matched_by TEXT DEFAULT 'manual',
-        matched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (item_id) REFERENCES items (id),
-        FOREIGN KEY (product_id) REFERENCES products (id)
-      )`
-    ];
+  // Schema migrations - numbered, forward-only files in ./migrations
+  loadMigrations() {
+    return fs.readdirSync(this.config.migrationsDir)
+      .filter(file => /^\d+-.+\.js$/.test(file))
+      .map(file => ({
+        version: parseInt(file, 10),
+        file,
+        ...require(path.join(this.config.migrationsDir, file))
+      }))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  async ensureMigrationsTable() {
+    await this.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+
+  async getAppliedMigrations() {
+    await this.ensureMigrationsTable();
+    return await this.all('SELECT * FROM schema_migrations ORDER BY version');
+  }
+
+  async getSchemaVersion() {
+    await this.ensureMigrationsTable();
+    const row = await this.get('SELECT MAX(version) as version FROM schema_migrations');
+    return row.version || 0;
+  }
+
+  async getPendingMigrations() {
+    const applied = new Set((await this.getAppliedMigrations()).map(m => m.version));
+    return this.loadMigrations().filter(m => !applied.has(m.version));
+  }
+
+  async migrate() {
+    const pending = await this.getPendingMigrations();
+    const applied = [];
 
-    for (const table of tables) {
-      await this.run(table);
+    for (const migration of pending) {
+      try {
+        // IMMEDIATE takes the write lock up front, so a second process
+        // migrating the same file waits and then sees the version as applied
+        await this.transaction(async () => {
+          const done = await this.get('SELECT 1 FROM schema_migrations WHERE version = ?', [migration.version]);
+          if (!done) {
+            console.log(`🔧 Applying migration ${migration.file}`);
+            await migration.up(this);
+            await this.run(
+              'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+              [migration.version, migration.name]
+            );
+            applied.push(migration);
+          }
+        }, 'BEGIN IMMEDIATE TRANSACTION');
+      } catch (error) {
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      }
     }
 
-    // Insert default categories
-    await this.insertDefaultCategories();
-    
-    // Insert default brands
-    await this.insertDefaultBrands();
-    
-    // Insert sample products
-    await this.insertSampleProducts();
-  }
-
-  async insertDefaultCategories() {
-    const categories = [
-      // Food & Beverages
-      { name: 'Food & Beverages', parent_id: null, color: '#4CAF50', icon: '🍽️' },
-      { name: 'Dairy & Eggs', parent_id: 1, color: '#8BC34A', icon: '🥛' },
-      { name: 'Bread & Bakery', parent_id: 1, color: '#CDDC39', icon: '🥖' },
-      { name: 'Fruits & Vegetables', parent_id: 1, color: '#4CAF50', icon: '🥬' },
-      { name: 'Meat & Fish', parent_id: 1, color: '#F44336', icon: '🥩' },
-      { name: 'Frozen Foods', parent_id: 1, color: '#2196F3', icon: '🧊' },
-      { name: 'Canned Goods', parent_id: 1, color: '#FF9800', icon: '🥫' },
-      { name: 'Pasta & Rice', parent_id: 1, color: '#795548', icon: '🍝' },
-      { name: 'Snacks & Sweets', parent_id: 1, color: '#E91E63', icon: '🍫' },
-      { name: 'Beverages', parent_id: 1, color: '#9C27B0', icon: '🥤' },
-      
-      // Household & Personal Care
-      { name: 'Household & Personal Care', parent_id: null, color: '#2196F3', icon: '🏠' },
-      { name: 'Cleaning Supplies', parent_id: 11, color: '#00BCD4', icon: '🧽' },
-      { name: 'Personal Hygiene', parent_id: 11, color: '#009688', icon: '🧴' },
-      { name: 'Baby Care', parent_id: 11, color: '#FFC107', icon: '👶' },
-      { name: 'Pet Supplies', parent_id: 11, color: '#FF5722', icon: '🐕' },
-      
-      // Health & Beauty
-      { name: 'Health & Beauty', parent_id: null, color: '#E91E63', icon: '💄' },
-      { name: 'Cosmetics', parent_id: 16, color: '#F06292', icon: '💋' },
-      { name: 'Hair Care', parent_id: 16, color: '#BA68C8', icon: '💇' },
-      { name: 'Skin Care', parent_id: 16, color: '#FFB74D', icon: '🧴' },
-      { name: 'Oral Care', parent_id: 16, color: '#4FC3F7', icon: '🦷' },
-      { name: 'Vitamins & Supplements', parent_id: 16, color: '#81C784', icon: '💊' }
-    ];
+    if (applied.length > 0) {
+      console.log(`✅ Database schema at version ${await this.getSchemaVersion()}`);
+    }
+    return applied;
+  }
 
-    for (const category of categories) {
-      await this.run(
-        'INSERT OR IGNORE INTO categories (name, parent_id, color, icon) VALUES (?, ?, ?, ?)',
-        [category.name, category.parent_id, category.color, category.icon]
-      );
+  async addColumnIfMissing(table, column, definition) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(col => col.name === column)) {
+      await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
     }
   }
 
-  async insertDefaultBrands() {
-    const brands = [
-      // German FMCG Brands
-      { name: 'Milka', description: 'Chocolate brand', country: 'Germany' },
-      { name: 'Haribo', description: 'Confectionery brand', country: 'Germany' },
-      { name: 'Ricola', description: 'Herbal candy brand', country: 'Switzerland' },
-      { name: 'Pringles', description: 'Potato chips brand', country: 'USA' },
-      { name: 'Fuchs', description: 'Spices and seasonings', country: 'Germany' },
-      { name: 'Ma.GAT', description: 'Food products', country: 'Germany' },
-      { name: 'Ehr', description: 'Dairy products', country: 'Germany' },
-      { name: 'FF 3J', description: 'Baby food brand', country: 'Germany' },
-      { name: 'Odo1', description: 'Oral care products', country: 'Germany' },
-      { name: 'Becel', description: 'Margarine and spreads', country: 'Netherlands' },
-      { name: 'Onken', description: 'Yogurt and dairy products', country: 'Germany' },
-      { name: 'Hohes C', description: 'Vitamin C products', country: 'Germany' },
-      { name: 'Kaufland', description: 'Private label products', country: 'Germany' },
-      { name: 'EDEKA', description: 'Private label products', country: 'Germany' },
-      { name: 'dm', description: 'dm-drogerie markt private label', country: 'Germany' },
-      { name: 'real', description: 'real- private label products', country: 'Germany' }
-    ];
+  /**
+   * Run work in a transaction on the shared connection; queries from outside it wait until it
+   * has committed or rolled back, and a transaction started inside it joins it
+   * @param {Function} work - Async function issuing the transaction's queries
+   * @param {string} begin - BEGIN statement, e.g. 'BEGIN IMMEDIATE TRANSACTION'
+   * @returns {Promise<*>} - What work returned
+   */
+  async transaction(work, begin = 'BEGIN TRANSACTION') {
+    if (this.transactionScope.getStore()) {
+      return await work();
+    }
 
-    for (const brand of brands) {
-      await this.run(
-        'INSERT OR IGNORE INTO brands (name, description, country) VALUES (?, ?, ?)',
-        [brand.name, brand.description, brand.country]
-      );
+    const previous = this.lock;
+    let release;
+    this.lock = new Promise(resolve => { release = resolve; });
+    try {
+      await previous;
+      // Queries sent before the transaction finish outside it
+      await Promise.allSettled([...this.pendingQueries]);
+
+      return await this.transactionScope.run(true, async () => {
+        await this.run(begin);
+        try {
+          const result = await work();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      release();
     }
   }
 
-  async insertSampleProducts() {
-    const products = [
-      // Baby Food
-      { name: 'GetreideR. Banane Traube', brand_id: 8, category_id: 9, unit_size: '4x23g', unit_type: 'pack' },
-      { name: 'Getreide Rie. Apfel-Karo', brand_id: 8, category_id: 9, unit_size: '4x23g', unit_type: 'pack' },
-      { name: 'Rieg. Ban&Kirsche', brand_id: 8, category_id: 9, unit_size: '4x23g', unit_type: 'pack' },
-      
-      // Oral Care
-      { name: 'med 3 Zahner.Orig. 75ml', brand_id: 9, category_id: 20, unit_size: '75ml', unit_type: 'bottle' },
-      { name: 'Med 3 ZC Münzfrisch', brand_id: 9, category_id: 20, unit_size: '75ml', unit_type: 'tube' },
-      { name: 'med3 Juniorzahn Z', brand_id: 9, category_id: 20, unit_size: '50ml', unit_type: 'tube' },
-      
-      // Chocolate & Sweets
-      { name: 'Schokolade', brand_id: 1, category_id: 9, unit_size: '100g', unit_type: 'bar' },
-      { name: 'Kuhflecken', brand_id: 1, category_id: 9, unit_size: '100g', unit_type: 'bar' },
-      { name: 'Tafel', brand_id: 1, category_id: 9, unit_size: '100g', unit_type: 'bar' },
-      { name: 'Kugeln', brand_id: 1, category_id: 9, unit_size: '100g', unit_type: 'pack' },
-      { name: 'Kinderschokolade', brand_id: 1, category_id: 9, unit_size: '100g', unit_type: 'bar' },
-      
-      // Snacks
-      { name: 'Pringles Original', brand_id: 4, category_id: 9, unit_size: '190g', unit_type: 'can' },
-      { name: 'GOLDBAEREN', brand_id: 2, category_id: 9, unit_size: '300g', unit_type: 'bag' },
-      
-      // Dairy
-      { name: 'Früchtetraum', brand_id: 7, category_id: 2, unit_size: '125g', unit_type: 'cup' },
-      { name: 'Joghurt', brand_id: 11, category_id: 2, unit_size: '150g', unit_type: 'cup' },
+  // Queue a query behind an open transaction, unless it belongs to that transaction
+  async query(execute) {
+    if (!this.transactionScope.getStore()) {
+      await this.lock;
+    }
+
+    const pending = new Promise(execute);
+    this.pendingQueries.add(pending);
+    try {
+      return await pending;
+    } finally {
+      this.pendingQueries.delete(pending);
+    }
+  }
+
+  async run(sql, params = []) {
+    return this.query((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          console.error('❌ Database run error:', err.message);
+          reject(err);
+        } else {
+          resolve({ id: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  async get(sql, params = []) {
+    return this.query((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          console.error('❌ Database get error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async all(sql, params = []) {
+    return this.query((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          console.error('❌ Database all error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Generate unique item code
+  generateItemCode(productName) {
+    const cleanName = productName.replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `${cleanName.substring(0, 8)}${timestamp}${random}`.toUpperCase();
+  }
+
+  async storeReceipt(receiptData, ocrData, validation = null) {
+    try {
       
-      // Spices
-      { name: 'Fischgewürz', brand_id: 5, category_id: 8, unit_size: '50g', unit_type: 'jar' },
-      { name: 'Kartoffelc.', brand_id: 6, category_id: 8, unit_size: '50g', unit_type: 'jar' },
-      { name: 'Spanncre.', brand_id: 6, category_id: 8, unit_size: '50g', unit_type: 'jar' },
+      // Insert receipt
+      const receiptSql = `
+        INSERT INTO receipts (
+          store_name, store_address, store_phone, store_tax_id, store_chain,
+          date, time, total_amount, subtotal, vat_amount, vat_rate, currency,
+          payment_method, payment_amount, payment_change, payment_card_type,
+          cashier_start_time, cashier_end_time, cashier_number, terminal_number,
+          tse_signature, signature_counter, signature, signature_data, fiscal_data,
+          loyalty_program, loyalty_points_earned, loyalty_points_balance, raw_markdown,
+          ocr_provider, ocr_confidence, is_mock, ocr_provenance,
+          needs_review, review_reasons, field_confidence
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
       
-      // Beverages
-      { name: 'Ener.Min.Wil.', brand_id: 6, category_id: 10, unit_size: '500ml', unit_type: 'bottle' },
-      { name: 'Salbei', brand_id: 3, category_id: 10, unit_size: '50g', unit_type: 'pack' }
-    ];
+      const receiptParams = [
+        receiptData.store?.name || null,
+        receiptData.store?.address || null,
+        receiptData.store?.phone || null,
+        receiptData.store?.tax_id || null,
+        receiptData.store?.store_chain || null,
+        receiptData.metadata?.date || null,
+        receiptData.metadata?.time || null,
+        receiptData.totals?.total_amount || null,
+        receiptData.totals?.subtotal || null,
+        receiptData.totals?.vat_amount || null,
+        receiptData.totals?.vat_rate || null,
+        receiptData.totals?.currency || 'EUR',
+        receiptData.payment?.method || null,
+        receiptData.payment?.amount_paid || null,
+        receiptData.payment?.change || null,
+        receiptData.payment?.card_type || null,
+        receiptData.cashier_info?.start_time || null,
+        receiptData.cashier_info?.end_time || null,
+        receiptData.cashier_info?.cashier_number || null,
+        receiptData.cashier_info?.terminal_number || null,
+        receiptData.fiscal_info?.tse_signature || null,
+        receiptData.fiscal_info?.signature_counter || null,
+        receiptData.fiscal_info?.signature || null,
+        receiptData.fiscal_info?.signature_data || null,
+        receiptData.fiscal_info?.fiscal_data || null,
+        receiptData.loyalty?.program || null,
+        receiptData.loyalty?.points_earned || null,
+        receiptData.loyalty?.points_balance || null,
+        ocrData.raw_markdown || null,
+        ocrData.provider || null,
+        ocrData.confidence_score ?? null,
+        ocrData.is_mock ? 1 : 0,
+        ocrData.provenance ? JSON.stringify(ocrData.provenance) : null,
+        validation?.needs_review ? 1 : 0,
+        validation ? JSON.stringify(validation.reasons) : null,
+        validation ? JSON.stringify(validation.field_confidence) : null
+      ];
 
-    for (const product of products) {
-      await this.run(
-        'INSERT OR IGNORE INTO products (name, brand_id, category_id, unit_size, unit_type) VALUES (?, ?, ?, ?, ?)',
-        [product.name, product.brand_id, product.category_id, product.unit_size, product.unit_type]
-      );
+      const receiptResult = await this.run(receiptSql, receiptParams);
+      const receiptId = receiptResult.id;
+
+      // Insert items - now supporting items without prices
+      if (receiptData.items && receiptData.items.length > 0) {
+        const itemSql = `
+          INSERT INTO items (
+            receipt_id, product_name, quantity, unit, unit_price, total_price,
+            brand, category, item_code, line_text, tax_class, vat_rate,
+            line_type, parent_item_id, net_price
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        // Discounts and deposits point at an earlier line, stored first
+        const itemIds = [];
+        for (const item of receiptData.items) {
+          // Generate unique item code if not provided
+          const itemCode = item.item_code || this.generateItemCode(item.product_name);
+          
+          const itemParams = [
+            receiptId,
+            item.product_name || 'Unknown Product',
+            item.quantity || null,
+            item.unit || 'piece',
+            item.unit_price || null,
+            item.total_price || null,
+            item.brand || null,
+            item.category || null,
+            itemCode,
+            item.line_text || null,
+            item.tax_class || null,
+            item.vat_rate ?? null,
+            item.line_type || 'product',
+            itemIds[item.parent_index] ?? null,
+            item.net_price ?? null
+          ];
+          
+          const itemResult = await this.run(itemSql, itemParams);
+          itemIds.push(itemResult.id);
+        }
+        
+        console.log(`✅ Stored ${receiptData.items.length} items`);
+      }
+
+      for (const taxLine of receiptData.tax_lines || []) {
+        await this.run(`
+          INSERT INTO receipt_tax_lines (
+            receipt_id, tax_class, rate, net_amount, vat_amount, gross_amount, line_text
+          ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+          receiptId,
+          taxLine.tax_class || null,
+          taxLine.rate,
+          taxLine.net_amount ?? null,
+          taxLine.vat_amount ?? null,
+          taxLine.gross_amount ?? null,
+          taxLine.line_text || null
+        ]);
+      }
+
+      // Auto-matching must never lose an already stored receipt
+      let autoMatch = null;
+      try {
+        autoMatch = await this.autoMatchReceiptItems(receiptId);
+      } catch (error) {
+        console.error('❌ Auto-matching failed:', error.message);
+      }
+
+      return { id: receiptId, auto_match: autoMatch };
+    } catch (error) {
+      console.error('❌ Error storing receipt:', error);
+      throw error;
     }
   }
 
-  async createReceipt(receiptData) {
-    const sql = `
-      INSERT INTO receipts (
-        date, time, store_name, store_address, store_phone, store_tax_id, store_chain,
-        total_amount, subtotal, vat_amount, vat_rate, currency,
-        payment_method, payment_amount, payment_change, payment_card_type,
-        cashier_start_time, cashier_end_time, cashier_number, terminal_number,
-        tse_signature, signature_counter, signature, signature_data, fiscal_data,
-        loyalty_program, loyalty_points_earned, loyalty_points_balance, raw_markdown
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
+  // Link a receipt's items to catalog products: learned aliases first, then
+  // the fuzzy matcher when its best candidate is confident enough. Anything
+  // else keeps its best candidate as a suggestion for review.
+  async autoMatchReceiptItems(receiptId) {
+    const summary = { aliased: 0, matched: 0, suggested: 0, unmatched: 0 };
 
-    const params = [
-      receiptData.metadata.date,
-      receiptData.metadata.time,
-      receiptData.store.name,
-      receiptData.store.address,
-      receiptData.store.phone,
-      receiptData.store.tax_id,
-      receiptData.store.store_chain,
-      receiptData.totals.total_amount,
-      receiptData.totals.subtotal,
-      receiptData.totals.vat_amount,
-      receiptData.totals.vat_rate,
-      receiptData.totals.currency,
-      receiptData.payment.method,
-      receiptData.payment.amount_paid,
-      receiptData.payment.change,
-      receiptData.payment.card_type,
-      receiptData.cashier_info.start_time,
-      receiptData.cashier_info.end_time,
-      receiptData.cashier_info.cashier_number,
-      receiptData.cashier_info.terminal_number,
-      receiptData.fiscal_info.tse_signature,
-      receiptData.fiscal_info.signature_counter,
-      receiptData.fiscal_info.signature,
-      receiptData.fiscal_info.signature_data,
-      receiptData.fiscal_info.fiscal_data,
-      receiptData.loyalty.program,
-      receiptData.loyalty.points_earned,
-      receiptData.loyalty.points_balance,
-      receiptData.raw_markdown
-    ];
+    const items = await this.all(`
+      SELECT i.*, r.store_chain 
+      FROM items i 
+      LEFT JOIN receipts r ON i.receipt_id = r.id 
+      WHERE i.receipt_id = ? AND i.matched = 0 AND i.line_type = 'product'
+    `, [receiptId]);
+    if (items.length === 0) return summary;
 
-    return await this.run(sql, params);
+    const products = await this.getAllProducts();
+
+    for (const item of items) {
+      const alias = await this.findAlias(item, item.store_chain);
+      if (alias) {
+        await this.matchItem(item.id, alias.product_id, 1.0, 'alias');
+        await this.run('UPDATE product_aliases SET hit_count = hit_count + 1 WHERE id = ?', [alias.id]);
+        summary.aliased++;
+        continue;
+      }
+
+      const [best] = this.matcher.rankProducts(item, products, { limit: 1 });
+
+      if (!best) {
+        summary.unmatched++;
+      } else if (best.score >= this.config.autoMatchThreshold) {
+        await this.matchItem(item.id, best.id, best.score, 'auto');
+        summary.matched++;
+      } else {
+        await this.run(
+          'UPDATE items SET suggested_product_id = ?, suggestion_score = ? WHERE id = ?',
+          [best.id, best.score, item.id]
+        );
+        summary.suggested++;
+      }
+    }
+
+    console.log(`🎯 Auto-matched ${summary.aliased + summary.matched} items, ${summary.suggested} left for review`);
+    return summary;
   }
 
-  async createItem(itemData, receiptId) {
+  async getReceipt(id) {
+    const receipt = await this.get('SELECT * FROM receipts WHERE id = ?', [id]);
+    if (!receipt) return null;
+
+    const items = await this.all('SELECT * FROM items WHERE receipt_id = ?', [id]);
+    const taxLines = await this.getTaxLines(id);
+    return {
+      ...this.parseReviewFields(receipt),
+      ocr_provenance: receipt.ocr_provenance ? JSON.parse(receipt.ocr_provenance) : null,
+      items,
+      tax_lines: taxLines
+    };
+  }
+
+  // Review columns as stored: flag as 0/1, reasons and confidence as JSON
+  parseReviewFields(receipt) {
+    return {
+      ...receipt,
+      needs_review: Boolean(receipt.needs_review),
+      review_reasons: receipt.review_reasons ? JSON.parse(receipt.review_reasons) : [],
+      field_confidence: receipt.field_confidence ? JSON.parse(receipt.field_confidence) : null
+    };
+  }
+
+  // Receipts whose amounts or date failed validation, newest first
+  async getReviewQueue() {
+    const receipts = await this.all(`
+      SELECT id, store_name, store_chain, date, time, total_amount, currency,
+        ocr_provider, ocr_confidence, needs_review, review_reasons, field_confidence, created_at
+      FROM receipts
+      WHERE needs_review = 1
+      ORDER BY created_at DESC, id DESC
+    `);
+    return receipts.map(receipt => this.parseReviewFields(receipt));
+  }
+
+  // Take a receipt off the review queue once it has been checked
+  async markReceiptReviewed(id) {
+    const result = await this.run(
+      'UPDATE receipts SET needs_review = 0, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+    return { changes: result.changes };
+  }
+
+  // VAT breakdown of a receipt, one row per rate
+  async getTaxLines(receiptId) {
+    return await this.all(
+      'SELECT * FROM receipt_tax_lines WHERE receipt_id = ? ORDER BY tax_class, rate',
+      [receiptId]
+    );
+  }
+
+  // Get all receipts
+  async getAllReceipts() {
+    return this.all('SELECT * FROM receipts ORDER BY created_at DESC');
+  }
+
+  // Get all receipts with summary info (for list page)
+  async getAllReceiptsWithSummary() {
     const sql = `
-      INSERT INTO items (
-        receipt_id, item_code, product_name, quantity, unit_price, total_price,
-        brand, category, line_text
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      SELECT 
+        r.id,
+        r.store_name,
+        r.store_address,
+        r.date,
+        r.time,
+        r.total_amount,
+        r.currency,
+        r.payment_method,
+        r.needs_review,
+        r.created_at,
+        SUM(CASE WHEN i.line_type = 'product' THEN 1 ELSE 0 END) as item_count,
+        SUM(CASE WHEN i.total_price IS NOT NULL THEN i.total_price ELSE 0 END) as calculated_total
+      FROM receipts r
+      LEFT JOIN items i ON r.id = i.receipt_id
+      GROUP BY r.id
+      ORDER BY r.created_at DESC
     `;
+    return this.all(sql);
+  }
 
-    const params = [
-      receiptId,
-      itemData.item_code,
-      itemData.product_name,
-      itemData.quantity,
-      itemData.unit_price,
-      itemData.total_price,
-      itemData.brand,
-      itemData.category,
-      itemData.line_text
-    ];
+  // Get items by receipt ID
+  async getItemsByReceiptId(receiptId) {
+    return this.all('SELECT * FROM items WHERE receipt_id = ? ORDER BY id', [receiptId]);
+  }
 
-    return await this.run(sql, params);
+  async getItem(id) {
+    return await this.get(`
+      SELECT i.*, r.store_name, r.store_chain, r.date as receipt_date 
+      FROM items i 
+      LEFT JOIN receipts r ON i.receipt_id = r.id 
+      WHERE i.id = ?
+    `, [id]);
   }
 
   async getAllItems() {
     return await this.all(`
-      SELECT i.*, r.date as receipt_date, r.store_name
-      FROM items i
-      LEFT JOIN receipts r ON i.receipt_id = r.id
+      SELECT i.*, r.store_name, r.date as receipt_date, sp.name as suggested_product_name 
+      FROM items i 
+      LEFT JOIN receipts r ON i.receipt_id = r.id 
+      LEFT JOIN products sp ON i.suggested_product_id = sp.id 
       ORDER BY i.created_at DESC
     `);
   }
 
   async getUnmatchedItems() {
     return await this.all(`
-      SELECT i.*, r.date as receipt_date, r.store_name
-      FROM items i
-      LEFT JOIN receipts r ON i.receipt_id = r.id
-      WHERE i.matched = FALSE
+      SELECT i.*, r.store_name, r.date as receipt_date, sp.name as suggested_product_name 
+      FROM items i 
+      LEFT JOIN receipts r ON i.receipt_id = r.id 
+      LEFT JOIN products sp ON i.suggested_product_id = sp.id 
+      WHERE i.matched = 0 AND i.line_type = 'product'
       ORDER BY i.created_at DESC
     `);
   }
 
+  async getReceiptStats() {
+    const stats = await this.get(`
+      SELECT 
+        COUNT(*) as total_receipts,
+        (SELECT COUNT(*) FROM items WHERE line_type = 'product') as total_items,
+        (SELECT COUNT(*) FROM items WHERE line_type = 'product' AND matched = 1) as matched_items,
+        (SELECT COUNT(*) FROM items WHERE line_type = 'product' AND matched = 0) as unmatched_items,
+        (SELECT SUM(net_price) FROM items WHERE line_type = 'product') as product_spend
+      FROM receipts
+    `);
+    return stats;
+  }
+
+  // Brand management
   async getAllBrands() {
     return await this.all('SELECT * FROM brands ORDER BY name');
   }
 
+  async createBrand(brandData) {
+    const sql = `INSERT INTO brands (name, description, website, country) VALUES (?, ?, ?, ?)`;
+    const params = [brandData.name, brandData.description, brandData.website, brandData.country];
+    return await this.run(sql, params);
+  }
+
+  // Category management
   async getAllCategories() {
     return await this.all(`
       SELECT c.*, p.name as parent_name
@@ -357,13 +552,20 @@ class DatabaseService {
     `);
   }
 
+  async createCategory(categoryData) {
+    const sql = `INSERT INTO categories (name, parent_id, description, color, icon) VALUES (?, ?, ?, ?, ?)`;
+    const params = [categoryData.name, categoryData.parent_id, categoryData.description, categoryData.color, categoryData.icon];
+    return await this.run(sql, params);
+  }
+
+  // Product management
   async getAllProducts() {
     return await this.all(`
       SELECT p.*, b.name as brand_name, c.name as category_name
       FROM products p
       LEFT JOIN brands b ON p.brand_id = b.id
       LEFT JOIN categories c ON p.category_id = c.id
-      WHERE p.is_active = TRUE
+      WHERE p.is_active = 1
       ORDER BY p.name
     `);
   }
@@ -374,124 +576,459 @@ class DatabaseService {
       FROM products p
       LEFT JOIN brands b ON p.brand_id = b.id
       LEFT JOIN categories c ON p.category_id = c.id
-      WHERE p.is_active = TRUE
+      WHERE p.is_active = 1
       AND (p.name LIKE ? OR b.name LIKE ? OR c.name LIKE ?)
       ORDER BY p.name
     `, [`%${query}%`, `%${query}%`, `%${query}%`]);
   }
 
-  async matchItem(itemId, productId, confidenceScore = 1.0) {
-    // Create match record
-    await this.run(
-      'INSERT INTO item_matches (item_id, product_id, confidence_score) VALUES (?, ?, ?)',
-      [itemId, productId, confidenceScore]
-    );
-
-    // Update item as matched
-    await this.run(
-      'UPDATE items SET matched = TRUE, matched_product_id = ? WHERE id = ?',
-      [productId, itemId]
-    );
+  async getProduct(id) {
+    return await this.get(`
+      SELECT p.*, b.name as brand_name, c.name as category_name
+      FROM products p
+      LEFT JOIN brands b ON p.brand_id = b.id
+      LEFT JOIN categories c ON p.category_id = c.id
+      WHERE p.id = ?
+    `, [id]);
   }
 
+  // Products reference brands and categories by id; a plain name is
+  // accepted too and resolved (or created) here
   async createProduct(productData) {
+    const brandId = productData.brand_id || await this.findOrCreateByName('brands', productData.brand);
+    const categoryId = productData.category_id || await this.findOrCreateByName('categories', productData.category);
+
     const sql = `
       INSERT INTO products (name, brand_id, category_id, barcode, description, unit_size, unit_type, typical_price, typical_price_currency)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
-
     const params = [
       productData.name,
-      productData.brand_id,
-      productData.category_id,
-      productData.barcode,
+      brandId,
+      categoryId,
+      productData.barcode || null,
       productData.description,
       productData.unit_size,
       productData.unit_type,
       productData.typical_price,
       productData.typical_price_currency || 'EUR'
     ];
-
     return await this.run(sql, params);
   }
 
-  async createBrand(brandData) {
-    const sql = `
-      INSERT INTO brands (name, description, website, country)
-      VALUES (?, ?, ?, ?)
-    `;
+  async findOrCreateByName(table, name) {
+    if (!name || !name.trim()) return null;
 
-    const params = [
-      brandData.name,
-      brandData.description,
-      brandData.website,
-      brandData.country
-    ];
-
-    return await this.run(sql, params);
+    await this.run(`INSERT OR IGNORE INTO ${table} (name) VALUES (?)`, [name.trim()]);
+    const row = await this.get(`SELECT id FROM ${table} WHERE name = ?`, [name.trim()]);
+    return row.id;
   }
 
-  async createCategory(categoryData) {
-    const sql = `
-      INSERT INTO categories (name, parent_id, description, color, icon)
-      VALUES (?, ?, ?, ?, ?)
-    `;
+  // Item matching - every decision is appended to item_matches
+  async matchItem(itemId, productId, confidenceScore = 1.0, matchedBy = 'manual') {
+    const item = await this.get('SELECT id, matched, matched_product_id FROM items WHERE id = ?', [itemId]);
+    if (!item) {
+      throw new Error(`Item ${itemId} not found`);
+    }
 
-    const params = [
-      categoryData.name,
-      categoryData.parent_id,
-      categoryData.description,
-      categoryData.color,
-      categoryData.icon
-    ];
+    const action = item.matched ? 'rematch' : 'match';
+    const previousProductId = item.matched ? item.matched_product_id : null;
 
-    return await this.run(sql, params);
+    await this.run(
+      'UPDATE items SET matched = 1, matched_product_id = ? WHERE id = ?',
+      [productId, itemId]
+    );
+    await this.run(
+      `INSERT INTO item_matches (item_id, product_id, previous_product_id, action, confidence_score, matched_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [itemId, productId, previousProductId, action, confidenceScore, matchedBy]
+    );
+
+    return { item_id: item.id, product_id: productId, previous_product_id: previousProductId, action };
   }
 
-  run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          console.error('Database error:', err);
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, changes: this.changes });
-        }
-      });
+  /**
+   * Match one item and learn its line as an alias, both or neither
+   * @param {Object} item - Item from getItem()
+   * @param {number} productId - Product to link
+   * @param {Object} options - { confidenceScore, matchedBy, learnAlias }
+   * @returns {Promise<Object>} - { match, alias } (alias null when not learned)
+   */
+  async matchItemWithAlias(item, productId, options = {}) {
+    const { confidenceScore = 1.0, matchedBy = 'manual', learnAlias = true } = options;
+
+    return await this.transaction(async () => {
+      const match = await this.matchItem(item.id, productId, confidenceScore, matchedBy);
+      // Remember the line so the same text from this chain matches on ingest
+      const alias = learnAlias ? await this.learnAlias(item, productId) : null;
+      return { match, alias };
     });
   }
 
-  get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) {
-          console.error('Database error:', err);
-          reject(err);
-        } else {
-          resolve(row);
+  async unmatchItem(itemId, matchedBy = 'manual') {
+    const item = await this.get('SELECT id, matched, matched_product_id FROM items WHERE id = ?', [itemId]);
+    if (!item) {
+      throw new Error(`Item ${itemId} not found`);
+    }
+    if (!item.matched) {
+      return { item_id: item.id, product_id: null, previous_product_id: null, action: null };
+    }
+
+    await this.run(
+      'UPDATE items SET matched = 0, matched_product_id = NULL WHERE id = ?',
+      [itemId]
+    );
+    await this.run(
+      `INSERT INTO item_matches (item_id, product_id, previous_product_id, action, confidence_score, matched_by)
+       VALUES (?, NULL, ?, 'unmatch', NULL, ?)`,
+      [itemId, item.matched_product_id, matchedBy]
+    );
+
+    return { item_id: item.id, product_id: null, previous_product_id: item.matched_product_id, action: 'unmatch' };
+  }
+
+  // Match many items to one product (optionally created on the fly) in a
+  // single transaction. Each item runs in its own savepoint so one failing
+  // item doesn't undo the others.
+  async bulkMatchItems(itemIds, options = {}) {
+    const { productData, confidenceScore = 1.0, matchedBy = 'manual', learnAlias = true } = options;
+    let productId = options.productId;
+
+    return await this.transaction(async () => {
+      const productCreated = !productId;
+      if (productCreated) {
+        const product = await this.createProduct(productData);
+        productId = product.id;
+      }
+
+      const results = [];
+      for (const itemId of itemIds) {
+        await this.run('SAVEPOINT bulk_match_item');
+        try {
+          const item = await this.getItem(itemId);
+          if (!item) {
+            throw new Error(`Item ${itemId} not found`);
+          }
+
+          const match = await this.matchItem(item.id, productId, confidenceScore, matchedBy);
+          if (learnAlias) {
+            await this.learnAlias(item, productId);
+          }
+
+          await this.run('RELEASE SAVEPOINT bulk_match_item');
+          results.push({ item_id: item.id, success: true, action: match.action });
+        } catch (error) {
+          await this.run('ROLLBACK TO SAVEPOINT bulk_match_item');
+          await this.run('RELEASE SAVEPOINT bulk_match_item');
+          results.push({ item_id: itemId, success: false, error: error.message });
         }
-      });
+      }
+
+      return { product_id: productId, product_created: productCreated, results };
     });
   }
 
-  all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
+  async getItemMatches(itemId) {
+    return await this.all(`
+      SELECT m.*, p.name as product_name, pp.name as previous_product_name
+      FROM item_matches m
+      LEFT JOIN products p ON m.product_id = p.id
+      LEFT JOIN products pp ON m.previous_product_id = pp.id
+      WHERE m.item_id = ?
+      ORDER BY m.matched_at, m.id
+    `, [itemId]);
+  }
+
+  // Alias management
+  aliasTextFor(item) {
+    return this.matcher.normalizeText(item.product_name || item.line_text);
+  }
+
+  async findAlias(item, storeChain) {
+    const aliasText = this.aliasTextFor(item);
+    if (!aliasText) return null;
+
+    return await this.get(
+      'SELECT * FROM product_aliases WHERE alias_text = ? AND store_chain = ?',
+      [aliasText, storeChain || '']
+    );
+  }
+
+  async learnAlias(item, productId) {
+    const aliasText = this.aliasTextFor(item);
+    if (!aliasText) return null;
+
+    const storeChain = item.store_chain || '';
+    await this.run(`
+      INSERT INTO product_aliases (alias_text, store_chain, product_id, original_text)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (alias_text, store_chain) DO UPDATE SET
+        product_id = excluded.product_id,
+        original_text = excluded.original_text,
+        updated_at = CURRENT_TIMESTAMP
+    `, [aliasText, storeChain, productId, item.product_name || item.line_text]);
+
+    return await this.get(
+      'SELECT * FROM product_aliases WHERE alias_text = ? AND store_chain = ?',
+      [aliasText, storeChain]
+    );
+  }
+
+  async getAliases(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.store_chain !== undefined) {
+      conditions.push('a.store_chain = ?');
+      params.push(filters.store_chain);
+    }
+    if (filters.product_id !== undefined) {
+      conditions.push('a.product_id = ?');
+      params.push(filters.product_id);
+    }
+
+    return await this.all(`
+      SELECT a.*, p.name as product_name
+      FROM product_aliases a
+      LEFT JOIN products p ON a.product_id = p.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY a.store_chain, a.alias_text
+    `, params);
+  }
+
+  async getAlias(id) {
+    return await this.get(`
+      SELECT a.*, p.name as product_name
+      FROM product_aliases a
+      LEFT JOIN products p ON a.product_id = p.id
+      WHERE a.id = ?
+    `, [id]);
+  }
+
+  async updateAlias(id, aliasData) {
+    const updates = [];
+    const params = [];
+
+    if (aliasData.alias_text !== undefined) {
+      updates.push('alias_text = ?');
+      params.push(this.matcher.normalizeText(aliasData.alias_text));
+    }
+    if (aliasData.store_chain !== undefined) {
+      updates.push('store_chain = ?');
+      params.push(aliasData.store_chain || '');
+    }
+    if (aliasData.product_id !== undefined) {
+      updates.push('product_id = ?');
+      params.push(aliasData.product_id);
+    }
+
+    if (updates.length === 0) return { changes: 0 };
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    return await this.run(`UPDATE product_aliases SET ${updates.join(', ')} WHERE id = ?`, [...params, id]);
+  }
+
+  async deleteAlias(id) {
+    return await this.run('DELETE FROM product_aliases WHERE id = ?', [id]);
+  }
+
+  // OCR provider usage per UTC day (YYYY-MM-DD)
+  /**
+   * Count a call and its cost in one statement if it stays within the limits, so
+   * concurrent requests can't both pass a check and go over a limit together
+   * @param {string} provider - Provider name
+   * @param {Object} usage - { cost, callLimit, costLimit, day }, null limits for unlimited
+   * @returns {Promise<boolean>} - Whether the call was counted
+   */
+  async reserveOCRUsage(provider, usage = {}) {
+    const day = usage.day || new Date().toISOString().slice(0, 10);
+    const cost = usage.cost || 0;
+    const callLimit = usage.callLimit ?? null;
+    const costLimit = usage.costLimit ?? null;
+    const reserved = await this.run(`
+      INSERT INTO ocr_usage (provider, day, calls, failures, cost)
+      SELECT ?, ?, 1, 0, ?
+      WHERE (? IS NULL OR ? >= 1) AND (? IS NULL OR ? = 0 OR ? <= ? + 1e-9)
+      ON CONFLICT (provider, day) DO UPDATE SET
+        calls = calls + 1,
+        cost = cost + excluded.cost,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE (? IS NULL OR ocr_usage.calls < ?)
+        AND (? IS NULL OR excluded.cost = 0 OR ocr_usage.cost + excluded.cost <= ? + 1e-9)
+    `, [
+      provider, day, cost,
+      callLimit, callLimit, costLimit, cost, cost, costLimit,
+      callLimit, callLimit,
+      costLimit, costLimit
+    ]);
+    return reserved.changes > 0;
+  }
+
+  // A reserved call that failed
+  async recordOCRFailure(provider, day = new Date().toISOString().slice(0, 10)) {
+    await this.run(
+      'UPDATE ocr_usage SET failures = failures + 1, updated_at = CURRENT_TIMESTAMP WHERE provider = ? AND day = ?',
+      [provider, day]
+    );
+  }
+
+  async getOCRUsage(provider, day) {
+    return await this.get('SELECT * FROM ocr_usage WHERE provider = ? AND day = ?', [provider, day]);
+  }
+
+  async getOCRUsageByDay(fromDay, toDay = fromDay) {
+    return await this.all(
+      'SELECT * FROM ocr_usage WHERE day BETWEEN ? AND ? ORDER BY day DESC, provider',
+      [fromDay, toDay]
+    );
+  }
+
+  // Runtime OCR provider settings, values stored as JSON
+  async getOCRSettings() {
+    const rows = await this.all('SELECT key, value FROM ocr_settings');
+    return Object.fromEntries(rows.map(row => [row.key, JSON.parse(row.value)]));
+  }
+
+  async setOCRSetting(key, value) {
+    await this.run(`
+      INSERT INTO ocr_settings (key, value) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+    `, [key, JSON.stringify(value)]);
+  }
+
+  // Encrypted provider credentials, see credential-cipher.js
+  async getOCRCredentials() {
+    return await this.all('SELECT provider, credentials, updated_at FROM ocr_credentials ORDER BY provider');
+  }
+
+  async setOCRCredentials(provider, encrypted) {
+    await this.run(`
+      INSERT INTO ocr_credentials (provider, credentials) VALUES (?, ?)
+      ON CONFLICT (provider) DO UPDATE SET credentials = excluded.credentials, updated_at = CURRENT_TIMESTAMP
+    `, [provider, encrypted]);
+  }
+
+  async deleteOCRCredentials(provider) {
+    return await this.run('DELETE FROM ocr_credentials WHERE provider = ?', [provider]);
+  }
+
+  // Receipt processing jobs, see job-queue.js
+  parseJob(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      // Jobs from before multi-page uploads only have file_path
+      file_paths: row.file_paths ? JSON.parse(row.file_paths) : [row.file_path],
+      options: row.options ? JSON.parse(row.options) : {},
+      result: row.result ? JSON.parse(row.result) : null
+    };
+  }
+
+  async createJob(job) {
+    const filePaths = job.file_paths || [job.file_path];
+    await this.run(`
+      INSERT INTO receipt_jobs (id, file_path, file_paths, original_name, options, batch_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [job.id, filePaths[0], JSON.stringify(filePaths), job.original_name || null, JSON.stringify(job.options || {}), job.batch_id || null]);
+    return await this.getJob(job.id);
+  }
+
+  async getJob(id) {
+    return this.parseJob(await this.get('SELECT * FROM receipt_jobs WHERE id = ?', [id]));
+  }
+
+  // Oldest queued job, marked as started; null when the queue is empty
+  async claimNextJob() {
+    const next = await this.get(
+      "SELECT id FROM receipt_jobs WHERE status = 'queued' ORDER BY created_at, rowid LIMIT 1"
+    );
+    if (!next) return null;
+
+    const claimed = await this.run(`
+      UPDATE receipt_jobs
+      SET status = 'ocr', stage = 'preprocessing', progress = 0, attempts = attempts + 1,
+          started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'queued'
+    `, [next.id]);
+
+    // Another worker took it first, try the next one
+    return claimed.changes > 0 ? await this.getJob(next.id) : await this.claimNextJob();
+  }
+
+  async updateJob(id, fields) {
+    const updates = [];
+    const params = [];
+
+    for (const column of ['status', 'stage', 'progress', 'receipt_id', 'error']) {
+      if (fields[column] !== undefined) {
+        updates.push(`${column} = ?`);
+        params.push(fields[column]);
+      }
+    }
+    if (fields.result !== undefined) {
+      updates.push('result = ?');
+      params.push(fields.result === null ? null : JSON.stringify(fields.result));
+    }
+    if (fields.finished) {
+      updates.push('finished_at = CURRENT_TIMESTAMP');
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    return await this.run(`UPDATE receipt_jobs SET ${updates.join(', ')} WHERE id = ?`, [...params, id]);
+  }
+
+  async createBatch(batch) {
+    await this.run(
+      'INSERT INTO receipt_batches (id, file_count, rejected) VALUES (?, ?, ?)',
+      [batch.id, batch.file_count, JSON.stringify(batch.rejected || [])]
+    );
+  }
+
+  // Batch with its jobs in upload order
+  async getBatch(id) {
+    const batch = await this.get('SELECT * FROM receipt_batches WHERE id = ?', [id]);
+    if (!batch) return null;
+
+    const jobs = await this.all(
+      'SELECT * FROM receipt_jobs WHERE batch_id = ? ORDER BY created_at, rowid',
+      [id]
+    );
+    return {
+      ...batch,
+      rejected: batch.rejected ? JSON.parse(batch.rejected) : [],
+      jobs: jobs.map(job => this.parseJob(job))
+    };
+  }
+
+  // Jobs a previous process left unfinished go back into the queue
+  async requeueInterruptedJobs(maxAttempts) {
+    const failed = await this.run(`
+      UPDATE receipt_jobs
+      SET status = 'failed', stage = 'failed', error = 'Interrupted too often, giving up', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status IN ('ocr', 'parsing') AND attempts >= ?
+    `, [maxAttempts]);
+    const requeued = await this.run(`
+      UPDATE receipt_jobs SET status = 'queued', stage = 'queued', progress = 0, updated_at = CURRENT_TIMESTAMP
+      WHERE status IN ('ocr', 'parsing')
+    `);
+    return { requeued: requeued.changes, failed: failed.changes };
+  }
+
+  // Resolves once the connection is closed
+  close() {
+    if (!this.db) return Promise.resolve();
+
+    return new Promise(resolve => {
+      this.db.close((err) => {
         if (err) {
-          console.error('Database error:', err);
-          reject(err);
+          console.error('❌ Error closing database:', err.message);
         } else {
-          resolve(rows);
+          console.log('✅ Database connection closed');
         }
+        resolve();
       });
     });
   }
-
-  close() {
-    if (this.db) {
-      this.db.close();
-    }
-  }
 }
 
 module.exports = DatabaseService; 
\ No newline at end of file
@@ -0,0 +1,472 @@
+const sharp = require('sharp');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Image Preprocessor
+ *
+ * Cleans up phone photos of receipts before they are sent to an OCR provider:
+ * EXIF auto-rotate, crop to the receipt paper, deskew, grayscale with
+ * contrast stretch and adaptive threshold, and downscale until the image fits
+ * the provider's maximum file size. Every step that runs is recorded together
+ * with the parameters it used so it can be reported in processing_info.
+ */
+
+const ALL_STEPS = ['rotate', 'crop', 'deskew', 'binarize', 'downscale'];
+
+function unreadableImage(error) {
+  const unreadable = new Error(`Unreadable image: ${error.message}`);
+  unreadable.code = 'UNREADABLE_IMAGE';
+  return unreadable;
+}
+
+class ImagePreprocessor {
+  constructor(config = {}) {
+    this.config = {
+      steps: ALL_STEPS,
+      // Longest side used when analysing the image for crop and deskew
+      analysisSize: 800,
+      crop: {
+        margin: 0.02,       // Extra border kept around the detected paper (fraction of size)
+        minArea: 0.2,       // Smaller detections are treated as failures
+        maxArea: 0.95       // Larger detections mean there's nothing to crop
+      },
+      deskew: {
+        maxAngle: 10,       // Degrees searched in each direction
+        step: 0.5,          // Search resolution in degrees
+        minAngle: 0.3       // Smaller skews are left alone
+      },
+      binarize: {
+        windowSize: 31,     // Neighbourhood for the local mean (pixels, at full size)
+        offset: 10          // How much darker than the local mean a pixel must be to turn black
+      },
+      downscale: {
+        maxFileSize: null,  // Bytes, usually the provider's getServiceInfo().maxFileSize
+        maxDimension: 3000, // Longest side in pixels
+        maxAttempts: 5
+      },
+      ...config
+    };
+  }
+
+  /**
+   * Parse a step list like "rotate,crop,deskew" ("none" disables preprocessing)
+   * @param {string|string[]|boolean} value - Step list
+   * @returns {string[]} - Known step names in pipeline order
+   */
+  static parseSteps(value) {
+    if (value === undefined || value === null || value === true || value === 'all') {
+      return [...ALL_STEPS];
+    }
+    if (value === false || value === 'none' || value === 'false') {
+      return [];
+    }
+
+    const requested = Array.isArray(value)
+      ? value
+      : String(value).split(',').map(step => step.trim().toLowerCase());
+
+    return ALL_STEPS.filter(step => requested.includes(step));
+  }
+
+  /**
+   * Check that an upload is an image sharp can decode, so a broken or unsupported
+   * file is rejected instead of being sent to a provider
+   * @param {string|Buffer} imageInput - Image file path or buffer
+   * @returns {Promise<Object>} - sharp metadata
+   * @throws {Error} - code UNREADABLE_IMAGE
+   */
+  static async assertReadable(imageInput) {
+    try {
+      return await sharp(imageInput).metadata();
+    } catch (error) {
+      throw unreadableImage(error);
+    }
+  }
+
+  /**
+   * Run the configured preprocessing steps
+   * @param {string|Buffer} imageInput - Image file path or buffer
+   * @param {Object} options - { steps, maxFileSize } overriding the config
+   * @returns {Promise<Object>} - { buffer, format, steps, width, height }
+   */
+  async process(imageInput, options = {}) {
+    const steps = options.steps || this.config.steps;
+    const downscaleConfig = {
+      ...this.config.downscale,
+      ...(options.maxFileSize ? { maxFileSize: options.maxFileSize } : {})
+    };
+    const applied = [];
+
+    const original = await ImagePreprocessor.assertReadable(imageInput);
+    let buffer = Buffer.isBuffer(imageInput) ? imageInput : await sharp(imageInput).toBuffer();
+
+    if (steps.includes('rotate')) {
+      buffer = await sharp(buffer).rotate().toBuffer();
+      applied.push({
+        step: 'rotate',
+        params: { exif_orientation: original.orientation || 1 }
+      });
+    }
+
+    if (steps.includes('crop')) {
+      const box = await this.detectReceiptBounds(buffer);
+      if (box) {
+        buffer = await sharp(buffer).extract(box).toBuffer();
+      }
+      applied.push({ step: 'crop', params: box ? { ...box } : { skipped: 'no receipt edges found' } });
+    }
+
+    if (steps.includes('deskew')) {
+      const angle = await this.detectSkewAngle(buffer);
+      if (Math.abs(angle) >= this.config.deskew.minAngle) {
+        buffer = await sharp(buffer)
+          .rotate(-angle, { background: { r: 255, g: 255, b: 255 } })
+          .toBuffer();
+      }
+      applied.push({
+        step: 'deskew',
+        params: {
+          angle: angle,
+          rotated: Math.abs(angle) >= this.config.deskew.minAngle,
+          max_angle: this.config.deskew.maxAngle
+        }
+      });
+    }
+
+    let format = 'jpeg';
+    if (steps.includes('binarize')) {
+      buffer = await this.binarize(buffer);
+      format = 'png';
+      applied.push({ step: 'binarize', params: { method: 'adaptive_mean', ...this.config.binarize } });
+    }
+
+    if (steps.includes('downscale')) {
+      const result = await this.downscale(buffer, format, downscaleConfig);
+      buffer = result.buffer;
+      applied.push({ step: 'downscale', params: result.params });
+    } else {
+      buffer = await this.encode(sharp(buffer), format);
+    }
+
+    const { width, height } = await sharp(buffer).metadata();
+
+    return {
+      buffer,
+      format,
+      width,
+      height,
+      original: { width: original.width, height: original.height, format: original.format },
+      steps: applied
+    };
+  }
+
+  /**
+   * Preprocess an image into a temporary file for providers that read from disk
+   * @param {string|Buffer} imageInput - Image file path or buffer
+   * @param {Object} options - { steps, maxFileSize, prefix }
+   * @returns {Promise<Object>} - { imagePath, steps, cleanup }
+   */
+  async processToFile(imageInput, options = {}) {
+    const steps = options.steps || this.config.steps;
+    if (steps.length === 0 && typeof imageInput === 'string') {
+      return { imagePath: imageInput, steps: [], cleanup: () => {} };
+    }
+
+    const result = await this.process(imageInput, options);
+    const extension = result.format === 'png' ? '.png' : '.jpg';
+    const suffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+    const imagePath = path.join(os.tmpdir(), `${options.prefix || 'receipt'}-${suffix}${extension}`);
+
+    fs.writeFileSync(imagePath, result.buffer);
+
+    return {
+      imagePath,
+      steps: result.steps,
+      cleanup: () => {
+        if (fs.existsSync(imagePath)) {
+          fs.unlinkSync(imagePath);
+        }
+      }
+    };
+  }
+
+  /**
+   * Load a grayscale copy scaled down for analysis
+   * @param {Buffer} buffer - Image buffer
+   * @returns {Promise<Object>} - { data, width, height, scale }
+   */
+  async loadAnalysisImage(buffer) {
+    const { data, info } = await sharp(buffer)
+      .grayscale()
+      .resize(this.config.analysisSize, this.config.analysisSize, { fit: 'inside', withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width: fullWidth } = await sharp(buffer).metadata();
+
+    return {
+      data,
+      width: info.width,
+      height: info.height,
+      scale: fullWidth / info.width
+    };
+  }
+
+  /**
+   * Otsu threshold of a grayscale pixel buffer
+   * @param {Buffer} data - 8-bit grayscale pixels
+   * @returns {number} - Threshold (0-255)
+   */
+  otsuThreshold(data) {
+    const histogram = new Array(256).fill(0);
+    for (const value of data) histogram[value]++;
+
+    const total = data.length;
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let bestVariance = 0;
+    let threshold = 127;
+
+    for (let i = 0; i < 256; i++) {
+      weightBackground += histogram[i];
+      if (weightBackground === 0) continue;
+
+      const weightForeground = total - weightBackground;
+      if (weightForeground === 0) break;
+
+      sumBackground += i * histogram[i];
+      const meanBackground = sumBackground / weightBackground;
+      const meanForeground = (sum - sumBackground) / weightForeground;
+      const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        threshold = i;
+      }
+    }
+
+    return threshold;
+  }
+
+  /**
+   * Longest run of indexes whose value passes the test
+   * @param {number[]} values - Profile values
+   * @param {Function} test - Predicate
+   * @returns {Object|null} - { start, end } inclusive
+   */
+  longestRun(values, test) {
+    let best = null;
+    let start = -1;
+
+    for (let i = 0; i <= values.length; i++) {
+      if (i < values.length && test(values[i])) {
+        if (start === -1) start = i;
+      } else if (start !== -1) {
+        if (!best || i - 1 - start > best.end - best.start) {
+          best = { start, end: i - 1 };
+        }
+        start = -1;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Find the receipt paper: the largest bright region against a darker background
+   * @param {Buffer} buffer - Image buffer
+   * @returns {Promise<Object|null>} - Crop box { left, top, width, height } or null
+   */
+  async detectReceiptBounds(buffer) {
+    const { data, width, height, scale } = await this.loadAnalysisImage(buffer);
+    const threshold = this.otsuThreshold(data);
+
+    // Share of paper-bright pixels per column and per row
+    const columns = new Array(width).fill(0);
+    const rows = new Array(height).fill(0);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[y * width + x] > threshold) {
+          columns[x]++;
+          rows[y]++;
+        }
+      }
+    }
+
+    // Paper columns/rows hold at least half as many bright pixels as the brightest one
+    const maxColumn = Math.max(...columns);
+    const maxRow = Math.max(...rows);
+    const columnRun = this.longestRun(columns, count => count > maxColumn * 0.5);
+    const rowRun = this.longestRun(rows, count => count > maxRow * 0.5);
+    if (!columnRun || !rowRun) return null;
+
+    const area = ((columnRun.end - columnRun.start + 1) * (rowRun.end - rowRun.start + 1)) / (width * height);
+    if (area < this.config.crop.minArea || area > this.config.crop.maxArea) return null;
+
+    const { width: fullWidth, height: fullHeight } = await sharp(buffer).metadata();
+    const marginX = Math.round(fullWidth * this.config.crop.margin);
+    const marginY = Math.round(fullHeight * this.config.crop.margin);
+
+    const left = Math.max(0, Math.round(columnRun.start * scale) - marginX);
+    const top = Math.max(0, Math.round(rowRun.start * scale) - marginY);
+    const right = Math.min(fullWidth, Math.round((columnRun.end + 1) * scale) + marginX);
+    const bottom = Math.min(fullHeight, Math.round((rowRun.end + 1) * scale) + marginY);
+
+    return { left, top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Estimate text skew with a projection profile search: the angle at which
+   * dark pixels fall into the sharpest horizontal lines wins
+   * @param {Buffer} buffer - Image buffer
+   * @returns {Promise<number>} - Skew angle in degrees (positive = clockwise)
+   */
+  async detectSkewAngle(buffer) {
+    const { data, width, height } = await this.loadAnalysisImage(buffer);
+    const threshold = this.otsuThreshold(data);
+    const { maxAngle, step } = this.config.deskew;
+
+    // Text strokes are short dark runs; long runs are background or borders
+    const maxRun = Math.max(3, Math.round(width * 0.05));
+    const darkPixels = [];
+    for (let y = 0; y < height; y++) {
+      let runStart = -1;
+      for (let x = 0; x <= width; x++) {
+        const dark = x < width && data[y * width + x] < threshold;
+        if (dark && runStart === -1) {
+          runStart = x;
+        } else if (!dark && runStart !== -1) {
+          if (x - runStart <= maxRun) {
+            for (let runX = runStart; runX < x; runX++) darkPixels.push(runX, y);
+          }
+          runStart = -1;
+        }
+      }
+    }
+    if (darkPixels.length === 0) return 0;
+
+    let bestAngle = 0;
+    let bestScore = -1;
+
+    for (let angle = -maxAngle; angle <= maxAngle + 1e-9; angle += step) {
+      const tan = Math.tan((angle * Math.PI) / 180);
+      const offset = Math.ceil(Math.abs(tan) * width);
+      const profile = new Float64Array(height + 2 * offset + 1);
+
+      for (let i = 0; i < darkPixels.length; i += 2) {
+        const row = Math.round(darkPixels[i + 1] - darkPixels[i] * tan) + offset;
+        profile[row]++;
+      }
+
+      // Sum of squared differences between neighbouring rows
+      let score = 0;
+      for (let i = 1; i < profile.length; i++) {
+        score += (profile[i] - profile[i - 1]) ** 2;
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+
+    return Math.round(bestAngle * 100) / 100;
+  }
+
+  /**
+   * Grayscale, stretch contrast and apply an adaptive mean threshold
+   * @param {Buffer} buffer - Image buffer
+   * @returns {Promise<Buffer>} - Black and white PNG
+   */
+  async binarize(buffer) {
+    const { data, info } = await sharp(buffer)
+      .grayscale()
+      .normalise()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    const { windowSize, offset } = this.config.binarize;
+    const half = Math.floor(windowSize / 2);
+
+    // Integral image for constant-time window means
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 1; y <= height; y++) {
+      let rowSum = 0;
+      for (let x = 1; x <= width; x++) {
+        rowSum += data[(y - 1) * width + (x - 1)];
+        integral[y * (width + 1) + x] = integral[(y - 1) * (width + 1) + x] + rowSum;
+      }
+    }
+
+    const output = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      const y1 = Math.max(0, y - half);
+      const y2 = Math.min(height, y + half + 1);
+      for (let x = 0; x < width; x++) {
+        const x1 = Math.max(0, x - half);
+        const x2 = Math.min(width, x + half + 1);
+        const sum = integral[y2 * (width + 1) + x2] - integral[y1 * (width + 1) + x2] -
+          integral[y2 * (width + 1) + x1] + integral[y1 * (width + 1) + x1];
+        const mean = sum / ((x2 - x1) * (y2 - y1));
+
+        output[y * width + x] = data[y * width + x] < mean - offset ? 0 : 255;
+      }
+    }
+
+    return sharp(output, { raw: { width, height, channels: 1 } }).png().toBuffer();
+  }
+
+  /**
+   * Encode an image in the output format
+   * @param {Object} image - sharp instance
+   * @param {string} format - 'png' or 'jpeg'
+   * @returns {Promise<Buffer>} - Encoded image
+   */
+  encode(image, format) {
+    return format === 'png'
+      ? image.png({ compressionLevel: 9 }).toBuffer()
+      : image.jpeg({ quality: 90 }).toBuffer();
+  }
+
+  /**
+   * Shrink the image until it fits maxDimension and maxFileSize
+   * @param {Buffer} buffer - Image buffer
+   * @param {string} format - Output format
+   * @param {Object} config - { maxFileSize, maxDimension, maxAttempts }
+   * @returns {Promise<Object>} - { buffer, params }
+   */
+  async downscale(buffer, format, config) {
+    const { width, height } = await sharp(buffer).metadata();
+    let scale = Math.min(1, config.maxDimension / Math.max(width, height));
+    let output = await this.encode(sharp(buffer).resize(Math.round(width * scale)), format);
+    let attempts = 1;
+
+    while (config.maxFileSize && output.length > config.maxFileSize && attempts < config.maxAttempts) {
+      // File size grows roughly with the pixel count
+      scale *= Math.sqrt(config.maxFileSize / output.length) * 0.9;
+      output = await this.encode(sharp(buffer).resize(Math.round(width * scale)), format);
+      attempts++;
+    }
+
+    return {
+      buffer: output,
+      params: {
+        scale: Math.round(scale * 1000) / 1000,
+        max_dimension: config.maxDimension,
+        max_file_size: config.maxFileSize,
+        file_size: output.length,
+        fits: !config.maxFileSize || output.length <= config.maxFileSize
+      }
+    };
+  }
+}
+
+ImagePreprocessor.ALL_STEPS = ALL_STEPS;
+
+module.exports = ImagePreprocessor;
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/**
+ * Receipt Job Queue
+ *
+ * Background processing of uploads, backed by the receipt_jobs table so
+ * queued jobs survive a restart. A small pool of workers claims queued jobs
+ * oldest first and runs them through the ReceiptPipeline. Jobs move
+ * queued → ocr → parsing → stored, or end as failed with the error.
+ *
+ * stage is the finer step shown to users (preprocessing, ocr, parsing,
+ * matching) and progress an overall percentage: OCR covers 5-85 (Tesseract
+ * reports progress within that range, other providers jump), parsing and
+ * matching 90-95, stored 100.
+ *
+ * Every change is emitted as an 'update' event { job_id, status, stage,
+ * progress } for live displays (result or error included once finished);
+ * the database only gets every few percent.
+ */
+
+const STAGES = {
+  preprocessing: { status: 'ocr', from: 2, to: 2 },
+  ocr: { status: 'ocr', from: 5, to: 85 },
+  parsing: { status: 'parsing', from: 90, to: 90 },
+  matching: { status: 'parsing', from: 95, to: 95 }
+};
+
+class JobQueue extends EventEmitter {
+  /**
+   * @param {DatabaseService} db - Connected database
+   * @param {ReceiptPipeline} pipeline - Pipeline running each job
+   * @param {Object} config - { concurrency, maxAttempts }
+   */
+  constructor(db, pipeline, config = {}) {
+    super();
+    this.db = db;
+    this.pipeline = pipeline;
+    this.config = {
+      // Tesseract uses a whole core, so one job at a time by default
+      concurrency: parseInt(process.env.RECEIPT_JOB_CONCURRENCY || '1', 10),
+      // A job interrupted by this many restarts is given up
+      maxAttempts: 3,
+      // Minimum progress change (percentage points) written to the database
+      progressStep: 5,
+      ...config
+    };
+
+    this.started = false;
+    this.activeWorkers = 0;
+  }
+
+  /**
+   * Requeue jobs interrupted by a restart and start the workers
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    const { requeued, failed } = await this.db.requeueInterruptedJobs(this.config.maxAttempts);
+    if (requeued > 0 || failed > 0) {
+      console.log(`🔁 Receipt jobs after restart: ${requeued} requeued, ${failed} given up`);
+    }
+
+    this.fillWorkers();
+  }
+
+  /**
+   * Queue an uploaded file
+   * @param {Object} upload - { file_path or file_paths, original_name, options }
+   * @returns {Promise<Object>} - Created job
+   */
+  async enqueue(upload) {
+    const job = await this.db.createJob({ id: crypto.randomUUID(), ...upload });
+    console.log(`📥 Queued receipt job ${job.id} (${job.original_name || 'upload'})`);
+
+    this.fillWorkers();
+    return job;
+  }
+
+  async getJob(id) {
+    return await this.db.getJob(id);
+  }
+
+  fillWorkers() {
+    if (!this.started) return;
+
+    while (this.activeWorkers < this.config.concurrency) {
+      this.activeWorkers++;
+      this.work()
+        .catch(error => console.error('❌ Receipt job worker error:', error))
+        .finally(() => { this.activeWorkers--; });
+    }
+  }
+
+  // Claim and run jobs until the queue is empty
+  async work() {
+    let job;
+    while ((job = await this.db.claimNextJob())) {
+      await this.runJob(job);
+    }
+  }
+
+  async runJob(job) {
+    console.log(`⚙️  Processing receipt job ${job.id} (attempt ${job.attempts})`);
+    let current = { status: job.status, stage: job.stage, progress: job.progress };
+    let written = current;
+    this.emit('update', { job_id: job.id, ...current });
+
+    // Progress callbacks can come faster than the database writes, so they are chained
+    let writes = Promise.resolve();
+    const onProgress = ({ stage, progress: stageProgress }) => {
+      const mapping = STAGES[stage];
+      if (!mapping) return;
+
+      const progress = Math.max(current.progress,
+        Math.round(mapping.from + (mapping.to - mapping.from) * (stageProgress || 0)));
+      if (stage === current.stage && progress === current.progress) return;
+
+      current = { status: mapping.status, stage, progress };
+      this.emit('update', { job_id: job.id, ...current });
+
+      if (stage === written.stage && progress - written.progress < this.config.progressStep) return;
+      const update = written = current;
+      writes = writes
+        .then(() => this.db.updateJob(job.id, update))
+        .catch(error => console.error('❌ Error updating job progress:', error.message));
+    };
+
+    try {
+      const result = await this.pipeline.process(job.file_paths, job.options, onProgress);
+      await writes;
+      const stored = {
+        status: 'stored',
+        stage: 'stored',
+        progress: 100,
+        receipt_id: result.receipt_id,
+        // Everything the upload page shows, so a job can be displayed like a synchronous upload
+        result: {
+          receipt_id: result.receipt_id,
+          ocr_provider: result.ocr_provider,
+          auto_match: result.auto_match,
+          receipt: result.receipt,
+          ocr_data: result.ocr_data,
+          processing_info: result.processing_info,
+          validation: result.validation
+        }
+      };
+      await this.db.updateJob(job.id, { ...stored, finished: true });
+      console.log(`✅ Receipt job ${job.id} stored as receipt ${result.receipt_id}`);
+      this.emit('update', { job_id: job.id, ...stored });
+    } catch (error) {
+      await writes;
+      // OCR engines don't all reject with Error objects; the job keeps a message either way
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`❌ Receipt job ${job.id} failed:`, message);
+      const failed = { status: 'failed', stage: 'failed', progress: current.progress, error: message };
+      await this.db.updateJob(job.id, { ...failed, finished: true });
+      this.emit('update', { job_id: job.id, ...failed });
+    }
+  }
+}
+
+JobQueue.STAGES = STAGES;
+
+module.exports = JobQueue;
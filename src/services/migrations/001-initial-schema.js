@@ -0,0 +1,193 @@
+/**
+ * Initial unified schema.
+ *
+ * Databases created before migrations existed were written by either the old
+ * DatabaseService or SimpleDatabaseService, which disagreed on several
+ * columns. Tables are created if missing and any column only one of the old
+ * services knew about is added, so both kinds of database converge here.
+ */
+
+const tables = [
+  // Receipts table
+  `CREATE TABLE IF NOT EXISTS receipts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    date TEXT,
+    time TEXT,
+    store_name TEXT,
+    store_address TEXT,
+    store_phone TEXT,
+    store_tax_id TEXT,
+    store_chain TEXT,
+    total_amount REAL,
+    subtotal REAL,
+    vat_amount REAL,
+    vat_rate REAL,
+    currency TEXT DEFAULT 'EUR',
+    payment_method TEXT,
+    payment_amount REAL,
+    payment_change REAL,
+    payment_card_type TEXT,
+    cashier_start_time TEXT,
+    cashier_end_time TEXT,
+    cashier_number TEXT,
+    terminal_number TEXT,
+    tse_signature TEXT,
+    signature_counter TEXT,
+    signature TEXT,
+    signature_data TEXT,
+    fiscal_data TEXT,
+    loyalty_program TEXT,
+    loyalty_points_earned INTEGER,
+    loyalty_points_balance INTEGER,
+    raw_markdown TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Items table (extracted from receipts)
+  `CREATE TABLE IF NOT EXISTS items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    receipt_id INTEGER,
+    item_code TEXT UNIQUE,
+    product_name TEXT NOT NULL,
+    quantity REAL,
+    unit_price REAL,
+    total_price REAL,
+    brand TEXT,
+    category TEXT,
+    line_text TEXT,
+    matched BOOLEAN DEFAULT 0,
+    matched_product_id INTEGER,
+    suggested_product_id INTEGER,
+    suggestion_score REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (receipt_id) REFERENCES receipts (id),
+    FOREIGN KEY (matched_product_id) REFERENCES products (id),
+    FOREIGN KEY (suggested_product_id) REFERENCES products (id)
+  )`,
+
+  // Brands table
+  `CREATE TABLE IF NOT EXISTS brands (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    website TEXT,
+    country TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Categories table
+  `CREATE TABLE IF NOT EXISTS categories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    parent_id INTEGER,
+    description TEXT,
+    color TEXT,
+    icon TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (parent_id) REFERENCES categories (id)
+  )`,
+
+  // Products table (master product catalog)
+  `CREATE TABLE IF NOT EXISTS products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    brand_id INTEGER,
+    category_id INTEGER,
+    barcode TEXT,
+    description TEXT,
+    unit_size TEXT,
+    unit_type TEXT,
+    typical_price REAL,
+    typical_price_currency TEXT DEFAULT 'EUR',
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (brand_id) REFERENCES brands (id),
+    FOREIGN KEY (category_id) REFERENCES categories (id)
+  )`,
+
+  // Item matches table (audit trail of match, rematch and unmatch decisions)
+  `CREATE TABLE IF NOT EXISTS item_matches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_id INTEGER,
+    product_id INTEGER,
+    previous_product_id INTEGER,
+    action TEXT DEFAULT 'match',
+    confidence_score REAL,
+    matched_by TEXT DEFAULT 'manual',
+    matched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (item_id) REFERENCES items (id),
+    FOREIGN KEY (product_id) REFERENCES products (id),
+    FOREIGN KEY (previous_product_id) REFERENCES products (id)
+  )`,
+
+  // Product aliases table (learned receipt line -> product mappings per chain)
+  `CREATE TABLE IF NOT EXISTS product_aliases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    alias_text TEXT NOT NULL,
+    store_chain TEXT NOT NULL DEFAULT '',
+    product_id INTEGER NOT NULL,
+    original_text TEXT,
+    hit_count INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (alias_text, store_chain),
+    FOREIGN KEY (product_id) REFERENCES products (id)
+  )`
+];
+
+// Columns missing from tables created by one of the pre-migration services
+const legacyColumns = {
+  receipts: [
+    ['subtotal', 'REAL'],
+    ['vat_amount', 'REAL'],
+    ['vat_rate', 'REAL'],
+    ['payment_card_type', 'TEXT'],
+    ['cashier_start_time', 'TEXT'],
+    ['cashier_end_time', 'TEXT'],
+    ['cashier_number', 'TEXT'],
+    ['terminal_number', 'TEXT'],
+    ['tse_signature', 'TEXT'],
+    ['signature_counter', 'TEXT'],
+    ['signature', 'TEXT'],
+    ['signature_data', 'TEXT'],
+    ['fiscal_data', 'TEXT'],
+    ['loyalty_program', 'TEXT'],
+    ['loyalty_points_earned', 'INTEGER'],
+    ['loyalty_points_balance', 'INTEGER']
+  ],
+  items: [
+    ['category', 'TEXT'],
+    ['matched_product_id', 'INTEGER'],
+    ['suggested_product_id', 'INTEGER'],
+    ['suggestion_score', 'REAL']
+  ],
+  products: [
+    ['brand_id', 'INTEGER'],
+    ['category_id', 'INTEGER'],
+    ['barcode', 'TEXT'],
+    ['is_active', 'BOOLEAN DEFAULT 1']
+  ],
+  item_matches: [
+    ['previous_product_id', 'INTEGER'],
+    ['action', "TEXT DEFAULT 'match'"]
+  ]
+};
+
+module.exports = {
+  name: 'initial_schema',
+
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const [table, columns] of Object.entries(legacyColumns)) {
+      for (const [column, definition] of columns) {
+        await db.addColumnIfMissing(table, column, definition);
+      }
+    }
+
+    // Barcodes were a UNIQUE column in one of the old schemas
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_products_barcode ON products (barcode)');
+  }
+};
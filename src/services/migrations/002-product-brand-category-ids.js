@@ -0,0 +1,41 @@
+/**
+ * Move free-text product brands and categories to brand_id/category_id.
+ *
+ * SimpleDatabaseService stored products with `brand` and `category` text
+ * columns. Those names become rows in brands/categories and the products
+ * point at them by id. The old text columns are left in place but unused.
+ */
+
+module.exports = {
+  name: 'product_brand_category_ids',
+
+  async up(db) {
+    const columns = (await db.all('PRAGMA table_info(products)')).map(col => col.name);
+
+    if (columns.includes('brand')) {
+      await db.run(`
+        INSERT OR IGNORE INTO brands (name)
+        SELECT DISTINCT TRIM(brand) FROM products
+        WHERE brand IS NOT NULL AND TRIM(brand) != ''
+      `);
+      await db.run(`
+        UPDATE products
+        SET brand_id = (SELECT b.id FROM brands b WHERE b.name = TRIM(products.brand))
+        WHERE brand_id IS NULL AND brand IS NOT NULL AND TRIM(brand) != ''
+      `);
+    }
+
+    if (columns.includes('category')) {
+      await db.run(`
+        INSERT OR IGNORE INTO categories (name)
+        SELECT DISTINCT TRIM(category) FROM products
+        WHERE category IS NOT NULL AND TRIM(category) != ''
+      `);
+      await db.run(`
+        UPDATE products
+        SET category_id = (SELECT c.id FROM categories c WHERE c.name = TRIM(products.category))
+        WHERE category_id IS NULL AND category IS NOT NULL AND TRIM(category) != ''
+      `);
+    }
+  }
+};
@@ -0,0 +1,122 @@
+/**
+ * Default categories, brands and sample products.
+ *
+ * These used to be inserted on every start by DatabaseService. Rows that
+ * already exist (by name) are skipped, so databases seeded that way don't get
+ * duplicate products.
+ */
+
+const categories = [
+  // Food & Beverages
+  { name: 'Food & Beverages', parent: null, color: '#4CAF50', icon: '🍽️' },
+  { name: 'Dairy & Eggs', parent: 'Food & Beverages', color: '#8BC34A', icon: '🥛' },
+  { name: 'Bread & Bakery', parent: 'Food & Beverages', color: '#CDDC39', icon: '🥖' },
+  { name: 'Fruits & Vegetables', parent: 'Food & Beverages', color: '#4CAF50', icon: '🥬' },
+  { name: 'Meat & Fish', parent: 'Food & Beverages', color: '#F44336', icon: '🥩' },
+  { name: 'Frozen Foods', parent: 'Food & Beverages', color: '#2196F3', icon: '🧊' },
+  { name: 'Canned Goods', parent: 'Food & Beverages', color: '#FF9800', icon: '🥫' },
+  { name: 'Pasta & Rice', parent: 'Food & Beverages', color: '#795548', icon: '🍝' },
+  { name: 'Snacks & Sweets', parent: 'Food & Beverages', color: '#E91E63', icon: '🍫' },
+  { name: 'Beverages', parent: 'Food & Beverages', color: '#9C27B0', icon: '🥤' },
+
+  // Household & Personal Care
+  { name: 'Household & Personal Care', parent: null, color: '#2196F3', icon: '🏠' },
+  { name: 'Cleaning Supplies', parent: 'Household & Personal Care', color: '#00BCD4', icon: '🧽' },
+  { name: 'Personal Hygiene', parent: 'Household & Personal Care', color: '#009688', icon: '🧴' },
+  { name: 'Baby Care', parent: 'Household & Personal Care', color: '#FFC107', icon: '👶' },
+  { name: 'Pet Supplies', parent: 'Household & Personal Care', color: '#FF5722', icon: '🐕' },
+
+  // Health & Beauty
+  { name: 'Health & Beauty', parent: null, color: '#E91E63', icon: '💄' },
+  { name: 'Cosmetics', parent: 'Health & Beauty', color: '#F06292', icon: '💋' },
+  { name: 'Hair Care', parent: 'Health & Beauty', color: '#BA68C8', icon: '💇' },
+  { name: 'Skin Care', parent: 'Health & Beauty', color: '#FFB74D', icon: '🧴' },
+  { name: 'Oral Care', parent: 'Health & Beauty', color: '#4FC3F7', icon: '🦷' },
+  { name: 'Vitamins & Supplements', parent: 'Health & Beauty', color: '#81C784', icon: '💊' }
+];
+
+const brands = [
+  // German FMCG Brands
+  { name: 'Milka', description: 'Chocolate brand', country: 'Germany' },
+  { name: 'Haribo', description: 'Confectionery brand', country: 'Germany' },
+  { name: 'Ricola', description: 'Herbal candy brand', country: 'Switzerland' },
+  { name: 'Pringles', description: 'Potato chips brand', country: 'USA' },
+  { name: 'Fuchs', description: 'Spices and seasonings', country: 'Germany' },
+  { name: 'Ma.GAT', description: 'Food products', country: 'Germany' },
+  { name: 'Ehr', description: 'Dairy products', country: 'Germany' },
+  { name: 'FF 3J', description: 'Baby food brand', country: 'Germany' },
+  { name: 'Odo1', description: 'Oral care products', country: 'Germany' },
+  { name: 'Becel', description: 'Margarine and spreads', country: 'Netherlands' },
+  { name: 'Onken', description: 'Yogurt and dairy products', country: 'Germany' },
+  { name: 'Hohes C', description: 'Vitamin C products', country: 'Germany' },
+  { name: 'Kaufland', description: 'Private label products', country: 'Germany' },
+  { name: 'EDEKA', description: 'Private label products', country: 'Germany' },
+  { name: 'dm', description: 'dm-drogerie markt private label', country: 'Germany' },
+  { name: 'real', description: 'real- private label products', country: 'Germany' }
+];
+
+const products = [
+  // Baby Food
+  { name: 'GetreideR. Banane Traube', brand: 'FF 3J', category: 'Snacks & Sweets', unit_size: '4x23g', unit_type: 'pack' },
+  { name: 'Getreide Rie. Apfel-Karo', brand: 'FF 3J', category: 'Snacks & Sweets', unit_size: '4x23g', unit_type: 'pack' },
+  { name: 'Rieg. Ban&Kirsche', brand: 'FF 3J', category: 'Snacks & Sweets', unit_size: '4x23g', unit_type: 'pack' },
+
+  // Oral Care
+  { name: 'med 3 Zahner.Orig. 75ml', brand: 'Odo1', category: 'Oral Care', unit_size: '75ml', unit_type: 'bottle' },
+  { name: 'Med 3 ZC Münzfrisch', brand: 'Odo1', category: 'Oral Care', unit_size: '75ml', unit_type: 'tube' },
+  { name: 'med3 Juniorzahn Z', brand: 'Odo1', category: 'Oral Care', unit_size: '50ml', unit_type: 'tube' },
+
+  // Chocolate & Sweets
+  { name: 'Schokolade', brand: 'Milka', category: 'Snacks & Sweets', unit_size: '100g', unit_type: 'bar' },
+  { name: 'Kuhflecken', brand: 'Milka', category: 'Snacks & Sweets', unit_size: '100g', unit_type: 'bar' },
+  { name: 'Tafel', brand: 'Milka', category: 'Snacks & Sweets', unit_size: '100g', unit_type: 'bar' },
+  { name: 'Kugeln', brand: 'Milka', category: 'Snacks & Sweets', unit_size: '100g', unit_type: 'pack' },
+  { name: 'Kinderschokolade', brand: 'Milka', category: 'Snacks & Sweets', unit_size: '100g', unit_type: 'bar' },
+
+  // Snacks
+  { name: 'Pringles Original', brand: 'Pringles', category: 'Snacks & Sweets', unit_size: '190g', unit_type: 'can' },
+  { name: 'GOLDBAEREN', brand: 'Haribo', category: 'Snacks & Sweets', unit_size: '300g', unit_type: 'bag' },
+
+  // Dairy
+  { name: 'Früchtetraum', brand: 'Ehr', category: 'Dairy & Eggs', unit_size: '125g', unit_type: 'cup' },
+  { name: 'Joghurt', brand: 'Onken', category: 'Dairy & Eggs', unit_size: '150g', unit_type: 'cup' },
+
+  // Spices
+  { name: 'Fischgewürz', brand: 'Fuchs', category: 'Pasta & Rice', unit_size: '50g', unit_type: 'jar' },
+  { name: 'Kartoffelc.', brand: 'Ma.GAT', category: 'Pasta & Rice', unit_size: '50g', unit_type: 'jar' },
+  { name: 'Spanncre.', brand: 'Ma.GAT', category: 'Pasta & Rice', unit_size: '50g', unit_type: 'jar' },
+
+  // Beverages
+  { name: 'Ener.Min.Wil.', brand: 'Ma.GAT', category: 'Beverages', unit_size: '500ml', unit_type: 'bottle' },
+  { name: 'Salbei', brand: 'Ricola', category: 'Beverages', unit_size: '50g', unit_type: 'pack' }
+];
+
+module.exports = {
+  name: 'seed_catalog',
+
+  async up(db) {
+    for (const category of categories) {
+      await db.run(
+        `INSERT OR IGNORE INTO categories (name, parent_id, color, icon)
+         VALUES (?, (SELECT id FROM categories WHERE name = ?), ?, ?)`,
+        [category.name, category.parent, category.color, category.icon]
+      );
+    }
+
+    for (const brand of brands) {
+      await db.run(
+        'INSERT OR IGNORE INTO brands (name, description, country) VALUES (?, ?, ?)',
+        [brand.name, brand.description, brand.country]
+      );
+    }
+
+    for (const product of products) {
+      await db.run(
+        `INSERT INTO products (name, brand_id, category_id, unit_size, unit_type)
+         SELECT ?, (SELECT id FROM brands WHERE name = ?), (SELECT id FROM categories WHERE name = ?), ?, ?
+         WHERE NOT EXISTS (SELECT 1 FROM products WHERE name = ?)`,
+        [product.name, product.brand, product.category, product.unit_size, product.unit_type, product.name]
+      );
+    }
+  }
+};
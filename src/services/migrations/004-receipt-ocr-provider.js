@@ -0,0 +1,15 @@
+/**
+ * Record which OCR provider read each receipt.
+ *
+ * Receipts stored before providers were selectable all went through Llama OCR
+ * (or its mock fallback), so existing rows are left NULL rather than guessed.
+ */
+
+module.exports = {
+  name: 'receipt_ocr_provider',
+
+  async up(db) {
+    await db.addColumnIfMissing('receipts', 'ocr_provider', 'TEXT');
+    await db.addColumnIfMissing('receipts', 'ocr_confidence', 'REAL');
+  }
+};
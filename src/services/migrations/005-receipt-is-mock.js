@@ -0,0 +1,22 @@
+/**
+ * Flag receipts that were produced by mock OCR.
+ *
+ * Mock OCR used to run silently whenever no API key was set or Llama OCR
+ * failed. Those receipts can't be told apart from real ones after the fact,
+ * apart from the canned mock text, which is what the backfill looks for.
+ */
+
+module.exports = {
+  name: 'receipt_is_mock',
+
+  async up(db) {
+    await db.addColumnIfMissing('receipts', 'is_mock', 'BOOLEAN DEFAULT 0');
+
+    await db.run(`
+      UPDATE receipts
+      SET is_mock = 1, ocr_provider = COALESCE(ocr_provider, 'mock')
+      WHERE raw_markdown LIKE '%Vollmilch 3.5% 2x €3.50%'
+        AND raw_markdown LIKE '%Date: 2024-01-15%'
+    `);
+  }
+};
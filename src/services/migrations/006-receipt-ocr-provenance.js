@@ -0,0 +1,14 @@
+/**
+ * Store where the fields of an ensemble OCR receipt came from.
+ *
+ * JSON with the sources and agreement per voted field and item line, as
+ * produced by OCREnsemble.merge(). NULL for single-provider receipts.
+ */
+
+module.exports = {
+  name: 'receipt_ocr_provenance',
+
+  async up(db) {
+    await db.addColumnIfMissing('receipts', 'ocr_provenance', 'TEXT');
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Daily OCR provider usage, for per-provider call and cost budgets.
+ *
+ * One row per provider and UTC day. Every request sent to a provider counts
+ * as a call, including failed and cancelled ones, since paid APIs bill them
+ * too. cost is the sum of getServiceInfo().pricing.costPerRequest.
+ */
+
+module.exports = {
+  name: 'ocr_usage',
+
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS ocr_usage (
+      provider TEXT NOT NULL,
+      day TEXT NOT NULL,
+      calls INTEGER NOT NULL DEFAULT 0,
+      failures INTEGER NOT NULL DEFAULT 0,
+      cost REAL NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (provider, day)
+    )`);
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * OCR provider settings changed at runtime through /api/ocr/providers.
+ *
+ * ocr_settings holds JSON values by key (default_provider, fallback_order).
+ * ocr_credentials holds one AES-256-GCM encrypted credentials object per
+ * provider, see credential-cipher.js; plaintext credentials are never stored.
+ */
+
+module.exports = {
+  name: 'ocr_provider_settings',
+
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS ocr_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS ocr_credentials (
+      provider TEXT PRIMARY KEY,
+      credentials TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Background receipt processing jobs.
+ *
+ * Each upload becomes a job that moves queued → ocr → parsing → stored, or
+ * failed. The uploaded file stays on disk until the job finishes, so jobs
+ * interrupted by a restart are picked up again from the file.
+ */
+
+module.exports = {
+  name: 'receipt_jobs',
+
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS receipt_jobs (
+      id TEXT PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT 'queued',
+      progress INTEGER NOT NULL DEFAULT 0,
+      file_path TEXT NOT NULL,
+      original_name TEXT,
+      options TEXT,
+      receipt_id INTEGER,
+      result TEXT,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (receipt_id) REFERENCES receipts (id) ON DELETE SET NULL
+    )`);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_receipt_jobs_status ON receipt_jobs (status, created_at)');
+  }
+};
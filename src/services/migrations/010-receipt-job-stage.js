@@ -0,0 +1,13 @@
+/**
+ * Finer-grained step of a receipt job for progress displays:
+ * queued, preprocessing, ocr, parsing, matching, stored or failed.
+ * status keeps the coarser queued/ocr/parsing/stored/failed.
+ */
+
+module.exports = {
+  name: 'receipt_job_stage',
+
+  async up(db) {
+    await db.addColumnIfMissing('receipt_jobs', 'stage', "TEXT NOT NULL DEFAULT 'queued'");
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Batch uploads: many files or ZIP archives in one request.
+ *
+ * Every receipt image of a batch becomes a receipt job with the batch_id;
+ * files that can't be processed (not an image, too large) are recorded in
+ * rejected as JSON [{ name, error }] so the summary covers every file.
+ */
+
+module.exports = {
+  name: 'receipt_batches',
+
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS receipt_batches (
+      id TEXT PRIMARY KEY,
+      file_count INTEGER NOT NULL DEFAULT 0,
+      rejected TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await db.addColumnIfMissing('receipt_jobs', 'batch_id', 'TEXT REFERENCES receipt_batches (id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_receipt_jobs_batch ON receipt_jobs (batch_id)');
+  }
+};
@@ -0,0 +1,12 @@
+/**
+ * Receipt jobs can have several files (pages or photos of one long
+ * receipt). file_paths is the JSON list; file_path stays the first file.
+ */
+
+module.exports = {
+  name: 'receipt_job_pages',
+
+  async up(db) {
+    await db.addColumnIfMissing('receipt_jobs', 'file_paths', 'TEXT');
+  }
+};
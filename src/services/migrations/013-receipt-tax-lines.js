@@ -0,0 +1,28 @@
+/**
+ * VAT breakdown of a receipt: one row per rate from the receipt's tax block
+ * (tax class, rate, net, VAT and gross amount), so input VAT can be split
+ * by rate. Items keep the tax class printed after their price and the rate
+ * it stands for on that receipt.
+ */
+
+module.exports = {
+  name: 'receipt_tax_lines',
+
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS receipt_tax_lines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      receipt_id INTEGER NOT NULL,
+      tax_class TEXT,
+      rate REAL NOT NULL,
+      net_amount REAL,
+      vat_amount REAL,
+      gross_amount REAL,
+      line_text TEXT,
+      FOREIGN KEY (receipt_id) REFERENCES receipts (id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_receipt_tax_lines_receipt ON receipt_tax_lines (receipt_id)');
+
+    await db.addColumnIfMissing('items', 'tax_class', 'TEXT');
+    await db.addColumnIfMissing('items', 'vat_rate', 'REAL');
+  }
+};
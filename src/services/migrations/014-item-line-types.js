@@ -0,0 +1,20 @@
+/**
+ * Item line types: besides products, receipts list discounts, deposits
+ * (Pfand), deposit returns (Leergut), coupons and fees. line_type tells them
+ * apart, parent_item_id links a discount, coupon or deposit to the product
+ * line above it, and net_price is what a product cost after its discounts.
+ * Existing items were all read as products.
+ */
+
+module.exports = {
+  name: 'item_line_types',
+
+  async up(db) {
+    await db.addColumnIfMissing('items', 'line_type', "TEXT NOT NULL DEFAULT 'product'");
+    await db.addColumnIfMissing('items', 'parent_item_id', 'INTEGER REFERENCES items (id)');
+    await db.addColumnIfMissing('items', 'net_price', 'REAL');
+
+    await db.run("UPDATE items SET net_price = total_price WHERE net_price IS NULL AND line_type = 'product'");
+    await db.run('CREATE INDEX IF NOT EXISTS idx_items_parent ON items (parent_item_id)');
+  }
+};
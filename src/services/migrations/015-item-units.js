@@ -0,0 +1,15 @@
+/**
+ * Item units: weighed and bottled goods are sold by kg, g or l, so quantity
+ * is a decimal in that unit (e.g. 0.456 kg) and unit_price is per unit
+ * (EUR/kg). Everything else is counted in pieces. quantity was created as
+ * REAL; databases that still declare it INTEGER keep decimals as well, since
+ * SQLite only converts values that fit an integer exactly.
+ */
+
+module.exports = {
+  name: 'item_units',
+
+  async up(db) {
+    await db.addColumnIfMissing('items', 'unit', "TEXT NOT NULL DEFAULT 'piece'");
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Receipt validation: whether a receipt needs review because its amounts or
+ * date don't add up, the reasons (JSON array of messages) and the confidence
+ * of its main fields (JSON object, 0 to 1). Receipts stored before
+ * validation existed are not flagged.
+ */
+
+module.exports = {
+  name: 'receipt_validation',
+
+  async up(db) {
+    await db.addColumnIfMissing('receipts', 'needs_review', 'INTEGER NOT NULL DEFAULT 0');
+    await db.addColumnIfMissing('receipts', 'review_reasons', 'TEXT');
+    await db.addColumnIfMissing('receipts', 'field_confidence', 'TEXT');
+    await db.addColumnIfMissing('receipts', 'reviewed_at', 'DATETIME');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_receipts_needs_review ON receipts (needs_review)');
+  }
+};
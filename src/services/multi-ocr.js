@@ -1,17 +1,25 @@
 const GoogleVisionService = require('./google-vision');
 const AzureVisionService = require('./azure-vision');
 const TesseractOCRService = require('./tesseract-ocr');
+const OCREnsemble = require('./ocr-ensemble');
+const ParserRegistry = require('./parsers');
 
 class MultiOCRService {
   constructor(config = {}) {
     this.config = {
+      mode: 'fallback', // fallback: first confident service, ensemble: merge all services
       primary: 'google', // google, azure, tesseract
       fallback: 'tesseract', // fallback service
       timeout: 30000, // 30 seconds timeout
       minConfidence: 0.5, // minimum confidence threshold
+      strategy: 'sequential', // sequential, race (first confident result) or parallel-best
+      budget: null, // OCRBudget: skip services over their daily budget and count every call
       ...config
     };
 
+    this.budget = this.config.budget;
+    // Ensemble mode parses each service's markdown before voting
+    this.parsers = new ParserRegistry();
     this.services = {};
     this.initializeServices();
   }
@@ -48,110 +56,292 @@ class MultiOCRService {
 
   async processImage(imagePath, options = {}) {
     const config = { ...this.config, ...options };
-    const results = [];
-    let bestResult = null;
 
     console.log('🔍 Multi-OCR processing started...');
     console.log(`📁 Image: ${imagePath}`);
 
-    // Try primary service first
-    if (this.services[config.primary]) {
-      try {
-        console.log(`🎯 Trying primary service: ${config.primary}`);
-        const result = await this.processWithService(config.primary, imagePath, config.timeout);
-        
-        if (result && result.confidence >= config.minConfidence) {
-          console.log(`✅ Primary service succeeded with ${(result.confidence * 100).toFixed(1)}% confidence`);
-          return {
-            ...result,
-            service_used: config.primary,
-            fallback_used: false
-          };
-        } else {
-          results.push({ service: config.primary, result, error: 'Low confidence' });
+    if (config.mode === 'ensemble') {
+      return this.processEnsemble(imagePath, config);
+    }
+
+    switch (config.strategy) {
+      case 'sequential':
+        return this.processSequential(imagePath, config);
+      case 'race':
+        return this.processRace(imagePath, config);
+      case 'parallel-best':
+        return this.processParallelBest(imagePath, config);
+      default:
+        throw new Error(`Unknown Multi-OCR strategy: ${config.strategy}. Use sequential, race or parallel-best`);
+    }
+  }
+
+  /**
+   * Services to try, primary and fallback first, without those over budget
+   * @param {Object} config - Processing config
+   * @returns {Promise<Object>} - { serviceNames, skipped: [{ service, reason }] }
+   */
+  async selectServices(config) {
+    const ordered = [...new Set([config.primary, config.fallback, ...Object.keys(this.services)])]
+      .filter(serviceName => this.services[serviceName]);
+
+    const serviceNames = [];
+    const skipped = [];
+    for (const serviceName of ordered) {
+      if (this.budget) {
+        const check = await this.budget.check(serviceName, this.services[serviceName]);
+        if (!check.allowed) {
+          console.log(`💸 Skipping ${serviceName}: ${check.reason}`);
+          skipped.push({ service: serviceName, reason: check.reason });
+          continue;
         }
-      } catch (error) {
-        console.log(`❌ Primary service failed: ${error.message}`);
-        results.push({ service: config.primary, error: error.message });
       }
+      serviceNames.push(serviceName);
     }
 
-    // Try fallback service
-    if (this.services[config.fallback] && config.fallback !== config.primary) {
+    if (serviceNames.length === 0) {
+      throw new Error(`No OCR service available${skipped.length > 0 ? ': all budgets exhausted' : ''}`);
+    }
+
+    return { serviceNames, skipped };
+  }
+
+  finishResult(serviceName, result, config, attempts, skipped) {
+    console.log(`✅ Multi-OCR completed with ${serviceName} (${config.strategy}), ${(result.confidence * 100).toFixed(1)}% confidence`);
+    return {
+      ...result,
+      service_used: serviceName,
+      fallback_used: serviceName !== config.primary,
+      strategy: config.strategy,
+      attempts,
+      skipped
+    };
+  }
+
+  // Highest self-reported confidence among successful results
+  pickBest(successes) {
+    return successes.reduce((best, candidate) =>
+      !best || candidate.result.confidence > best.result.confidence ? candidate : best, null);
+  }
+
+  /**
+   * One service after another: primary, then fallback if the primary isn't
+   * confident enough, then all others, keeping the most confident
+   */
+  async processSequential(imagePath, config) {
+    const { serviceNames, skipped } = await this.selectServices(config);
+    const attempts = [];
+    const successes = [];
+
+    for (const serviceName of serviceNames) {
+      const preferred = serviceName === config.primary || serviceName === config.fallback;
       try {
-        console.log(`🔄 Trying fallback service: ${config.fallback}`);
-        const result = await this.processWithService(config.fallback, imagePath, config.timeout);
-        
-        if (result && result.confidence >= config.minConfidence) {
-          console.log(`✅ Fallback service succeeded with ${(result.confidence * 100).toFixed(1)}% confidence`);
-          return {
-            ...result,
-            service_used: config.fallback,
-            fallback_used: true
-          };
-        } else {
-          results.push({ service: config.fallback, result, error: 'Low confidence' });
+        console.log(`🔄 Trying ${serviceName}...`);
+        const result = await this.processWithService(serviceName, imagePath, config.timeout);
+        attempts.push({ service: serviceName, confidence: result?.confidence ?? null });
+
+        if (result && result.text && result.confidence >= config.minConfidence && preferred) {
+          return this.finishResult(serviceName, result, config, attempts, skipped);
+        }
+        // Primary and fallback only count when confident, as before
+        if (result && result.text && !preferred) {
+          successes.push({ serviceName, result });
         }
       } catch (error) {
-        console.log(`❌ Fallback service failed: ${error.message}`);
-        results.push({ service: config.fallback, error: error.message });
+        console.log(`❌ ${serviceName} service failed: ${error.message}`);
+        attempts.push({ service: serviceName, error: error.message });
       }
     }
 
-    // Try all available services
-    for (const [serviceName, service] of Object.entries(this.services)) {
-      if (serviceName !== config.primary && serviceName !== config.fallback) {
-        try {
-          console.log(`🔄 Trying additional service: ${serviceName}`);
-          const result = await this.processWithService(serviceName, imagePath, config.timeout);
-          
-          if (result) {
-            results.push({ service: serviceName, result });
-            
-            // Track best result
-            if (!bestResult || result.confidence > bestResult.confidence) {
-              bestResult = { ...result, service_used: serviceName, fallback_used: true };
+    const best = this.pickBest(successes);
+    if (best) {
+      return this.finishResult(best.serviceName, best.result, config, attempts, skipped);
+    }
+
+    console.log('❌ All OCR services failed');
+    throw new Error('All OCR services failed to process the image');
+  }
+
+  /**
+   * All services at once; the first confident result wins and the others are cancelled
+   */
+  async processRace(imagePath, config) {
+    const { serviceNames, skipped } = await this.selectServices(config);
+    const controller = new AbortController();
+    const attempts = [];
+    const successes = [];
+
+    const winner = await new Promise(resolve => {
+      let pending = serviceNames.length;
+
+      for (const serviceName of serviceNames) {
+        this.processWithService(serviceName, imagePath, config.timeout, controller.signal)
+          .then(result => {
+            attempts.push({ service: serviceName, confidence: result?.confidence ?? null });
+            if (result && result.text) {
+              successes.push({ serviceName, result });
+              if (result.confidence >= config.minConfidence) resolve({ serviceName, result });
             }
-          }
-        } catch (error) {
-          console.log(`❌ ${serviceName} service failed: ${error.message}`);
-          results.push({ service: serviceName, error: error.message });
-        }
+          })
+          .catch(error => {
+            if (!controller.signal.aborted) {
+              console.log(`❌ ${serviceName} service failed: ${error.message}`);
+              attempts.push({ service: serviceName, error: error.message });
+            }
+          })
+          .finally(() => {
+            if (--pending === 0) resolve(null);
+          });
       }
+    });
+
+    // Services still running lost the race
+    const finished = new Set(attempts.map(attempt => attempt.service));
+    const cancelled = serviceNames.filter(serviceName => !finished.has(serviceName));
+    controller.abort(new Error('Cancelled, another OCR service answered first'));
+    cancelled.forEach(serviceName => attempts.push({ service: serviceName, cancelled: true }));
+
+    const chosen = winner || this.pickBest(successes);
+    if (chosen) {
+      return this.finishResult(chosen.serviceName, chosen.result, config, [...attempts], skipped);
     }
 
-    // Return best result if any service succeeded
-    if (bestResult) {
-      console.log(`✅ Multi-OCR completed. Best result from ${bestResult.service_used} with ${(bestResult.confidence * 100).toFixed(1)}% confidence`);
-      return bestResult;
+    console.log('❌ All OCR services failed');
+    throw new Error('All OCR services failed to process the image');
+  }
+
+  /**
+   * All services at once, slow ones cancelled at the timeout; the most confident result wins
+   */
+  async processParallelBest(imagePath, config) {
+    const { serviceNames, skipped } = await this.selectServices(config);
+    const settled = await Promise.allSettled(
+      serviceNames.map(serviceName => this.processWithService(serviceName, imagePath, config.timeout))
+    );
+
+    const attempts = [];
+    const successes = [];
+    settled.forEach((outcome, index) => {
+      const serviceName = serviceNames[index];
+      if (outcome.status === 'rejected') {
+        console.log(`❌ ${serviceName} service failed: ${outcome.reason.message}`);
+        attempts.push({ service: serviceName, error: outcome.reason.message });
+      } else {
+        attempts.push({ service: serviceName, confidence: outcome.value?.confidence ?? null });
+        if (outcome.value && outcome.value.text) successes.push({ serviceName, result: outcome.value });
+      }
+    });
+
+    const best = this.pickBest(successes);
+    if (best) {
+      return this.finishResult(best.serviceName, best.result, config, attempts, skipped);
     }
 
-    // All services failed
     console.log('❌ All OCR services failed');
     throw new Error('All OCR services failed to process the image');
   }
 
-  async processWithService(serviceName, imagePath, timeout) {
+  /**
+   * Run all services in parallel and vote per field instead of trusting confidences
+   * @param {string} imagePath - Path to the image
+   * @param {Object} config - Processing config (timeout, primary first on ties)
+   * @returns {Promise<Object>} - Merged result with receipt and provenance
+   */
+  async processEnsemble(imagePath, config) {
+    // The primary service wins ties
+    const { serviceNames, skipped } = await this.selectServices(config);
+
+    const settled = await Promise.allSettled(
+      serviceNames.map(serviceName => this.processWithService(serviceName, imagePath, config.timeout))
+    );
+
+    const parsed = [];
+    const results = [];
+
+    settled.forEach((outcome, index) => {
+      const serviceName = serviceNames[index];
+      if (outcome.status === 'rejected' || !outcome.value?.text) {
+        const error = outcome.status === 'rejected' ? outcome.reason.message : (outcome.value?.error || 'No text detected');
+        console.log(`❌ ${serviceName} service failed: ${error}`);
+        results.push({ service: serviceName, error });
+        return;
+      }
+
+      const markdown = this.services[serviceName].convertToMarkdown(outcome.value);
+      const { receipt } = this.parsers.parse(markdown, { provider: serviceName });
+      parsed.push({ provider: serviceName, receipt, result: outcome.value, markdown });
+      results.push({ service: serviceName, confidence: outcome.value.confidence });
+    });
+
+    if (parsed.length === 0) {
+      console.log('❌ All OCR services failed');
+      throw new Error('All OCR services failed to process the image');
+    }
+
+    const merged = new OCREnsemble(config.ensemble).merge(parsed);
+    // Discount and deposit links were set per service; set them on the merged items
+    this.parsers.generic.classifyItems(merged.receipt.items);
+    console.log(`✅ Multi-OCR ensemble merged ${parsed.length} services, agreement ${(merged.confidence * 100).toFixed(1)}%`);
+
+    return {
+      text: parsed[0].result.text,
+      markdown: parsed[0].markdown,
+      confidence: merged.confidence,
+      receipt: merged.receipt,
+      provenance: merged.provenance,
+      service_used: 'ensemble',
+      fallback_used: false,
+      results,
+      skipped
+    };
+  }
+
+  /**
+   * Run one service, cancelled when it exceeds the timeout or the signal aborts
+   * @param {string} serviceName - Service name
+   * @param {string} imagePath - Path to the image
+   * @param {number} timeout - Timeout in ms
+   * @param {AbortSignal} signal - Optional signal cancelling the call (race strategy)
+   * @returns {Promise<Object>} - OCR result
+   */
+  async processWithService(serviceName, imagePath, timeout, signal = null) {
     const service = this.services[serviceName];
     if (!service) {
       throw new Error(`Service ${serviceName} not available`);
     }
+    const reservation = this.budget ? await this.budget.reserve(serviceName, service) : null;
 
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error(`Service ${serviceName} timed out after ${timeout}ms`));
-      }, timeout);
-
-      service.processImage(imagePath)
-        .then(result => {
-          clearTimeout(timeoutId);
-          resolve(result);
-        })
-        .catch(error => {
-          clearTimeout(timeoutId);
-          reject(error);
-        });
+    // Adapters that support it (OCR.space, Azure) abort their HTTP request,
+    // for the others the result is ignored
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const cancelled = new Promise((resolve, reject) => {
+      const rejectWithReason = () => reject(controller.signal.reason || new Error(`Service ${serviceName} cancelled`));
+      if (controller.signal.aborted) rejectWithReason();
+      else controller.signal.addEventListener('abort', rejectWithReason, { once: true });
     });
+
+    const timeoutId = setTimeout(() => {
+      controller.abort(new Error(`Service ${serviceName} timed out after ${timeout}ms`));
+    }, timeout);
+
+    try {
+      return await Promise.race([
+        service.processImage(imagePath, { signal: controller.signal }),
+        cancelled
+      ]);
+    } catch (error) {
+      if (reservation) await this.budget.recordFailure(reservation);
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
   }
 
   // Get service status
@@ -191,6 +381,10 @@ class MultiOCRService {
   convertToMarkdown(result) {
     const serviceName = result.service_used;
     const service = this.services[serviceName];
+
+    if (serviceName === 'ensemble') {
+      return result.markdown;
+    }
     
     if (service && service.convertToMarkdown) {
       return service.convertToMarkdown(result);
@@ -208,6 +402,9 @@ class MultiOCRService {
   getStats() {
     return {
       available_services: Object.keys(this.services).length,
+      mode: this.config.mode,
+      strategy: this.config.strategy,
+      budget_tracking: !!this.budget,
       primary_service: this.config.primary,
       fallback_service: this.config.fallback,
       timeout: this.config.timeout,
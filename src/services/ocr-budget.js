@@ -0,0 +1,171 @@
+/**
+ * OCR Budget
+ *
+ * Tracks calls and costs per OCR provider and day in the ocr_usage table and
+ * enforces daily limits, so a fallback chain can't quietly spend paid API
+ * calls. Costs come from the adapter's getServiceInfo().pricing.costPerRequest.
+ * A call is counted before it is sent, in one conditional update, so parallel
+ * requests can't all pass the limit check and overspend together.
+ *
+ * Limits are "provider=value" lists, "*" applying to every other provider:
+ *   OCR_DAILY_CALL_LIMITS=google=100,azure=50
+ *   OCR_DAILY_COST_LIMITS=*=1.00,ocrspace=0.25
+ */
+
+class OCRBudget {
+  /**
+   * @param {DatabaseService} db - Connected database
+   * @param {Object} config - { callLimits, costLimits } as { provider: number }
+   */
+  constructor(db, config = {}) {
+    this.db = db;
+    this.config = {
+      callLimits: OCRBudget.parseLimits(process.env.OCR_DAILY_CALL_LIMITS),
+      costLimits: OCRBudget.parseLimits(process.env.OCR_DAILY_COST_LIMITS),
+      ...config
+    };
+  }
+
+  /**
+   * Parse a "provider=value,..." limit list
+   * @param {string} value - Limit list
+   * @returns {Object} - { provider: number }
+   */
+  static parseLimits(value) {
+    const limits = {};
+    for (const entry of (value || '').split(',')) {
+      const [provider, limit] = entry.split('=').map(part => part && part.trim());
+      if (provider && limit !== undefined && limit !== '' && !isNaN(Number(limit))) {
+        limits[provider] = Number(limit);
+      }
+    }
+    return limits;
+  }
+
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * Daily limits of a provider
+   * @param {string} provider - Provider name
+   * @returns {Object} - { calls, cost }, null where unlimited
+   */
+  getLimits(provider) {
+    const pick = limits => limits[provider] ?? limits['*'] ?? null;
+    return {
+      calls: pick(this.config.callLimits),
+      cost: pick(this.config.costLimits)
+    };
+  }
+
+  /**
+   * Cost of one request, from the adapter's pricing info
+   * @param {Object|null} service - OCR adapter (null for providers without service info)
+   * @returns {number} - Cost per request
+   */
+  getCostPerRequest(service) {
+    const pricing = service && typeof service.getServiceInfo === 'function'
+      ? service.getServiceInfo().pricing
+      : null;
+    return pricing?.costPerRequest || 0;
+  }
+
+  /**
+   * Whether a provider may be called today
+   * @param {string} provider - Provider name
+   * @param {Object|null} service - OCR adapter
+   * @returns {Promise<Object>} - { allowed, reason, usage, limits }
+   */
+  async check(provider, service = null) {
+    const limits = this.getLimits(provider);
+    const row = await this.db.getOCRUsage(provider, this.today());
+    const usage = { calls: row?.calls || 0, cost: row?.cost || 0 };
+    const costPerRequest = this.getCostPerRequest(service);
+
+    let reason = null;
+    if (limits.calls !== null && usage.calls >= limits.calls) {
+      reason = `daily call limit reached (${usage.calls}/${limits.calls})`;
+    } else if (limits.cost !== null && costPerRequest > 0 && usage.cost + costPerRequest > limits.cost + 1e-9) {
+      reason = `daily cost limit reached ($${usage.cost.toFixed(4)} of $${limits.cost})`;
+    }
+
+    return { allowed: reason === null, reason, usage, limits };
+  }
+
+  /**
+   * Count a request about to be sent to a provider, successful or not
+   * @param {string} provider - Provider name
+   * @param {Object|null} service - OCR adapter
+   * @returns {Promise<Object>} - Reservation { provider, day } for recordFailure()
+   * @throws {Error} - code OCR_BUDGET_EXHAUSTED when the request would go over a limit
+   */
+  async reserve(provider, service = null) {
+    const day = this.today();
+    const limits = this.getLimits(provider);
+    const reserved = await this.db.reserveOCRUsage(provider, {
+      day,
+      cost: this.getCostPerRequest(service),
+      callLimit: limits.calls,
+      costLimit: limits.cost
+    });
+
+    if (!reserved) {
+      // Only for the message; the reservation above is what decides
+      const { reason } = await this.check(provider, service);
+      const error = new Error(`OCR provider ${provider} skipped: ${reason || 'daily limit reached'}`);
+      error.code = 'OCR_BUDGET_EXHAUSTED';
+      throw error;
+    }
+    return { provider, day };
+  }
+
+  /**
+   * Count a reserved request that failed
+   * @param {Object} reservation - Result of reserve()
+   */
+  async recordFailure(reservation) {
+    await this.db.recordOCRFailure(reservation.provider, reservation.day);
+  }
+
+  /**
+   * Usage and remaining budget per provider for a day
+   * @param {string} day - YYYY-MM-DD, default today
+   * @param {string[]} providers - Providers to include even without usage
+   * @returns {Promise<Object>} - { day, providers: { name: { calls, failures, cost, limits, remaining, exhausted } } }
+   */
+  async getUsage(day = this.today(), providers = []) {
+    const rows = await this.db.getOCRUsageByDay(day);
+    const names = [...new Set([
+      ...providers,
+      ...Object.keys(this.config.callLimits).filter(name => name !== '*'),
+      ...Object.keys(this.config.costLimits).filter(name => name !== '*'),
+      ...rows.map(row => row.provider)
+    ])].sort();
+
+    const result = {};
+    let totalCost = 0;
+    for (const name of names) {
+      const row = rows.find(r => r.provider === name);
+      const usage = { calls: row?.calls || 0, failures: row?.failures || 0, cost: row?.cost || 0 };
+      const limits = this.getLimits(name);
+      const remaining = {
+        calls: limits.calls === null ? null : Math.max(0, limits.calls - usage.calls),
+        cost: limits.cost === null ? null : Math.max(0, Math.round((limits.cost - usage.cost) * 10000) / 10000)
+      };
+
+      totalCost += usage.cost;
+      result[name] = {
+        ...usage,
+        cost: Math.round(usage.cost * 10000) / 10000,
+        limits,
+        remaining,
+        exhausted: remaining.calls === 0 || (limits.cost !== null && remaining.cost === 0)
+      };
+    }
+
+    return { day, total_cost: Math.round(totalCost * 10000) / 10000, providers: result };
+  }
+}
+
+module.exports = OCRBudget;
@@ -0,0 +1,242 @@
+const ProductMatcher = require('./product-matcher');
+const OCREvaluator = require('./ocr-evaluation');
+
+/**
+ * OCR Ensemble
+ *
+ * Merges the parsed receipts of several OCR providers. Self-reported
+ * confidences aren't comparable across providers (Azure hardcodes 0.9,
+ * Google rarely reports one), so instead each field is decided by a vote:
+ * values are normalized (amounts to cents, dates to ISO) and the value most
+ * providers agree on wins. Item lines are first aligned across providers by
+ * price, name similarity and position, then voted on per line.
+ *
+ * Ties go to the provider listed first. Every voted field records its
+ * sources and how many providers agreed in the provenance.
+ */
+
+const FIELDS = [
+  ['store', 'name', 'store_name'],
+  ['store', 'store_chain', 'store_chain'],
+  ['store', 'address', null],
+  ['metadata', 'date', 'date'],
+  ['metadata', 'time', 'time'],
+  ['totals', 'total_amount', 'total_amount'],
+  ['totals', 'subtotal', 'subtotal'],
+  ['totals', 'vat_amount', 'vat_amount'],
+  ['payment', 'method', 'payment_method']
+];
+
+class OCREnsemble {
+  constructor(config = {}) {
+    this.config = {
+      itemNameThreshold: 0.5,   // Name similarity for items with the same price
+      misreadNameThreshold: 0.8, // Name similarity for items whose prices differ
+      positionWeight: 0.2,      // Penalty for lines far apart on the receipt
+      minItemVotes: 1,          // Providers that must have seen an item line
+      ...config
+    };
+
+    this.matcher = new ProductMatcher();
+    this.normalizer = new OCREvaluator();
+  }
+
+  /**
+   * Comparable form of a field value
+   * @param {string|null} field - Evaluator field name, null for free text
+   * @param {*} value - Raw value
+   * @returns {string|null} - Vote key
+   */
+  voteKey(field, value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const normalized = field
+      ? this.normalizer.normalizeField(field, value)
+      : this.matcher.normalizeText(String(value));
+    if (normalized === null || normalized === '') return null;
+
+    return typeof normalized === 'number' ? normalized.toFixed(2) : String(normalized);
+  }
+
+  /**
+   * Majority vote over provider values
+   * @param {Array} votes - [{ provider, key, value }] in provider priority order
+   * @returns {Object|null} - Winning { key, value, sources } plus alternatives
+   */
+  vote(votes) {
+    const groups = [];
+
+    for (const vote of votes) {
+      if (vote.key === null) continue;
+
+      let group = groups.find(candidate => candidate.key === vote.key);
+      if (!group) {
+        group = { key: vote.key, value: vote.value, sources: [] };
+        groups.push(group);
+      }
+      group.sources.push(vote.provider);
+    }
+
+    if (groups.length === 0) return null;
+
+    // Stable sort keeps the first provider's group ahead on ties
+    const [winner, ...others] = [...groups].sort((a, b) => b.sources.length - a.sources.length);
+    return {
+      ...winner,
+      alternatives: others.map(group => ({ value: group.value, sources: group.sources }))
+    };
+  }
+
+  /**
+   * Align item lines of all providers into clusters, one per receipt line
+   * @param {Array} parsed - [{ provider, receipt }] in priority order
+   * @returns {Array} - Clusters { members: [{ provider, item, position }] }
+   */
+  alignItems(parsed) {
+    const clusters = [];
+
+    for (const { provider, receipt } of parsed) {
+      const items = receipt.items || [];
+      const candidates = [];
+
+      items.forEach((item, index) => {
+        const position = items.length > 1 ? index / (items.length - 1) : 0;
+        const price = this.voteKey('total_amount', item.total_price);
+
+        clusters.forEach((cluster, clusterIndex) => {
+          const samePrice = price !== null && cluster.prices.includes(price);
+          const similarity = Math.max(...cluster.members.map(member =>
+            this.matcher.nameSimilarity(item.product_name, member.item.product_name)
+          ));
+          const threshold = samePrice ? this.config.itemNameThreshold : this.config.misreadNameThreshold;
+          if (similarity < threshold) return;
+
+          const score = similarity + (samePrice ? 1 : 0) -
+            this.config.positionWeight * Math.abs(position - cluster.position);
+          candidates.push({ index, clusterIndex, score, position });
+        });
+      });
+
+      // Greedy one-to-one assignment; a provider contributes at most one line per cluster
+      candidates.sort((a, b) => b.score - a.score || a.index - b.index || a.clusterIndex - b.clusterIndex);
+      const assigned = new Map();
+      const usedClusters = new Set();
+      for (const candidate of candidates) {
+        if (assigned.has(candidate.index) || usedClusters.has(candidate.clusterIndex)) continue;
+        assigned.set(candidate.index, candidate.clusterIndex);
+        usedClusters.add(candidate.clusterIndex);
+      }
+
+      items.forEach((item, index) => {
+        const position = items.length > 1 ? index / (items.length - 1) : 0;
+        const price = this.voteKey('total_amount', item.total_price);
+        const member = { provider, item, position };
+
+        if (assigned.has(index)) {
+          const cluster = clusters[assigned.get(index)];
+          cluster.members.push(member);
+          if (price !== null) cluster.prices.push(price);
+          cluster.position = cluster.members.reduce((sum, m) => sum + m.position, 0) / cluster.members.length;
+        } else {
+          clusters.push({ members: [member], prices: price !== null ? [price] : [], position });
+        }
+      });
+    }
+
+    return clusters;
+  }
+
+  /**
+   * Vote on one aligned item line
+   * @param {Object} cluster - Cluster from alignItems()
+   * @param {number} providerCount - Number of merged providers
+   * @returns {Object} - Item with provenance
+   */
+  mergeItem(cluster, providerCount) {
+    const toVotes = (field, getter) => cluster.members.map(member => ({
+      provider: member.provider,
+      key: this.voteKey(field, getter(member.item)),
+      value: getter(member.item)
+    }));
+
+    const price = this.vote(toVotes('total_amount', item => item.total_price));
+    const quantity = this.vote(toVotes('total_amount', item => item.quantity));
+
+    // Name and the remaining fields come from the first provider that agrees on the price
+    const base = cluster.members.find(member => !price || price.sources.includes(member.provider)) ||
+      cluster.members[0];
+
+    return {
+      ...base.item,
+      total_price: price ? price.value : base.item.total_price,
+      quantity: quantity ? quantity.value : base.item.quantity,
+      provenance: {
+        sources: cluster.members.map(member => member.provider),
+        name_source: base.provider,
+        price_sources: price ? price.sources : [],
+        agreement: price ? price.sources.length : 0,
+        providers: providerCount,
+        alternatives: price ? price.alternatives : []
+      }
+    };
+  }
+
+  /**
+   * Merge the parsed receipts of several providers
+   * @param {Array} parsed - [{ provider, receipt }] in priority order (ties go to earlier providers)
+   * @returns {Object} - { receipt, provenance, confidence }
+   */
+  merge(parsed) {
+    if (!parsed || parsed.length === 0) {
+      throw new Error('Ensemble needs at least one provider result');
+    }
+
+    const providerCount = parsed.length;
+    // Sections that aren't voted on (fiscal info, loyalty, ...) come from the first provider
+    const receipt = JSON.parse(JSON.stringify(parsed[0].receipt));
+    const provenance = { base: parsed[0].provider, providers: parsed.map(p => p.provider), fields: {} };
+
+    for (const [section, key, field] of FIELDS) {
+      const winner = this.vote(parsed.map(({ provider, receipt: candidate }) => ({
+        provider,
+        key: this.voteKey(field, candidate[section]?.[key]),
+        value: candidate[section]?.[key] ?? null
+      })));
+      if (!winner) continue;
+
+      receipt[section] = { ...receipt[section], [key]: winner.value };
+      provenance.fields[`${section}.${key}`] = {
+        value: winner.value,
+        sources: winner.sources,
+        agreement: winner.sources.length,
+        providers: providerCount,
+        alternatives: winner.alternatives
+      };
+    }
+
+    // Receipt order follows the highest-priority provider that saw the line
+    const clusters = this.alignItems(parsed)
+      .filter(cluster => cluster.members.length >= this.config.minItemVotes)
+      .sort((a, b) => a.members[0].position - b.members[0].position);
+    receipt.items = clusters.map(cluster => this.mergeItem(cluster, providerCount));
+
+    provenance.items = receipt.items.map(item => ({
+      product_name: item.product_name,
+      total_price: item.total_price,
+      ...item.provenance
+    }));
+
+    // Share of votes that went to the winning values
+    const decisions = [
+      ...Object.values(provenance.fields),
+      ...receipt.items.map(item => item.provenance)
+    ];
+    const confidence = decisions.length > 0
+      ? decisions.reduce((sum, decision) => sum + decision.agreement / decision.providers, 0) / decisions.length
+      : 0;
+
+    return { receipt, provenance, confidence: Math.round(confidence * 1000) / 1000 };
+  }
+}
+
+module.exports = OCREnsemble;
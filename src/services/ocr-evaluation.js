@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const ProductMatcher = require('./product-matcher');
+
+/**
+ * OCR Evaluation
+ *
+ * Compares parsed receipts against hand-labelled ground truth. Each label is
+ * a JSON file (see evaluation/README.md) named after the receipt, e.g.
+ * labels/edeka_1.json for images/test/edeka_1.jpg or a recorded
+ * edeka_1-detailed.json. Results are counted per field and per item line and
+ * written as a report with stable key order and no timestamps, so two
+ * reports from different commits can be diffed directly.
+ */
+
+const FIELDS = {
+  store_name: receipt => receipt.store?.name,
+  store_chain: receipt => receipt.store?.store_chain,
+  date: receipt => receipt.metadata?.date,
+  time: receipt => receipt.metadata?.time,
+  total_amount: receipt => receipt.totals?.total_amount,
+  subtotal: receipt => receipt.totals?.subtotal,
+  vat_amount: receipt => receipt.totals?.vat_amount,
+  payment_method: receipt => receipt.payment?.method
+};
+
+const AMOUNT_FIELDS = ['total_amount', 'subtotal', 'vat_amount'];
+
+class OCREvaluator {
+  constructor(config = {}) {
+    this.config = {
+      amountTolerance: 0.005,
+      itemNameThreshold: 0.5,
+      ...config
+    };
+    this.matcher = new ProductMatcher();
+  }
+
+  /**
+   * Load all labels from a directory
+   * @param {string} labelsDir - Directory with <receipt-id>.json files
+   * @returns {Array} - Labels with their id, sorted by id
+   */
+  loadLabels(labelsDir) {
+    return fs.readdirSync(labelsDir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => ({
+        id: path.basename(file, '.json'),
+        ...JSON.parse(fs.readFileSync(path.join(labelsDir, file), 'utf8'))
+      }));
+  }
+
+  round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+
+  /**
+   * Normalize a date to YYYY-MM-DD
+   * @param {string} value - Date as printed (DD.MM.YYYY, DD.MM.YY, DD/MM/YYYY, YYYY-MM-DD)
+   * @returns {string|null} - ISO date
+   */
+  normalizeDate(value) {
+    if (!value) return null;
+
+    const text = String(value).trim();
+    let match = text.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) {
+      return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    }
+
+    match = text.match(/(\d{1,2})[./](\d{1,2})[./](\d{2,4})/);
+    if (match) {
+      const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+      return `${year}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Normalize a payment method to 'cash' or 'card'
+   * @param {string} value - Payment method as extracted
+   * @returns {string|null} - Payment category
+   */
+  normalizePaymentMethod(value) {
+    if (!value) return null;
+
+    const text = String(value).toLowerCase();
+    if (/\bbar\b|cash/.test(text)) return 'cash';
+    if (/visa|master|\bec\b|girocard|karte|card|debit|contactless|maestro/.test(text)) return 'card';
+    return text.trim();
+  }
+
+  /**
+   * Normalize a field value for comparison
+   * @param {string} field - Field name
+   * @param {*} value - Raw value
+   * @returns {*} - Comparable value (null if missing)
+   */
+  normalizeField(field, value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (AMOUNT_FIELDS.includes(field)) {
+      const amount = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+      return isNaN(amount) ? null : Math.round(amount * 100) / 100;
+    }
+    if (field === 'date') return this.normalizeDate(value);
+    if (field === 'time') {
+      const match = String(value).match(/(\d{1,2}):(\d{2})/);
+      return match ? `${match[1].padStart(2, '0')}:${match[2]}` : String(value);
+    }
+    if (field === 'payment_method') return this.normalizePaymentMethod(value);
+
+    return this.matcher.normalizeText(String(value));
+  }
+
+  fieldsEqual(field, expected, actual) {
+    if (AMOUNT_FIELDS.includes(field)) {
+      return Math.abs(expected - actual) <= this.config.amountTolerance;
+    }
+    return expected === actual;
+  }
+
+  /**
+   * Compare the labelled fields of one receipt
+   * @param {Object} label - Ground truth label
+   * @param {Object} receipt - Parsed receipt (OCRService.parseMarkdown().receipt)
+   * @returns {Object} - Per field { expected, actual, correct }
+   */
+  compareFields(label, receipt) {
+    const labelled = {
+      store_name: label.store?.name,
+      store_chain: label.store?.store_chain,
+      date: label.metadata?.date,
+      time: label.metadata?.time,
+      total_amount: label.totals?.total_amount,
+      subtotal: label.totals?.subtotal,
+      vat_amount: label.totals?.vat_amount,
+      payment_method: label.payment?.method
+    };
+
+    const fields = {};
+    for (const [field, getter] of Object.entries(FIELDS)) {
+      // Fields missing from the label are not evaluated; null means "not on the receipt"
+      if (labelled[field] === undefined) continue;
+
+      const expected = this.normalizeField(field, labelled[field]);
+      const actual = this.normalizeField(field, getter(receipt));
+      const correct = expected !== null && actual !== null && this.fieldsEqual(field, expected, actual);
+
+      fields[field] = { expected, actual, correct };
+    }
+
+    return fields;
+  }
+
+  /**
+   * Pair labelled item lines with parsed items by price and name similarity
+   * @param {Array} expectedItems - Labelled items { name, quantity, unit, total_price }
+   * @param {Array} actualItems - Parsed items
+   * @returns {Object} - { tp, fp, fn, matched, missing, extra }
+   */
+  compareItems(expectedItems = [], actualItems = []) {
+    const candidates = [];
+
+    expectedItems.forEach((expected, expectedIndex) => {
+      actualItems.forEach((actual, actualIndex) => {
+        const expectedPrice = this.normalizeField('total_amount', expected.total_price);
+        const actualPrice = this.normalizeField('total_amount', actual.total_price);
+        if (expectedPrice === null || actualPrice === null ||
+            !this.fieldsEqual('total_amount', expectedPrice, actualPrice)) {
+          return;
+        }
+
+        const similarity = this.matcher.nameSimilarity(expected.name, actual.product_name);
+        if (similarity >= this.config.itemNameThreshold) {
+          candidates.push({ expectedIndex, actualIndex, similarity });
+        }
+      });
+    });
+
+    // Greedy one-to-one assignment, most similar pairs first
+    candidates.sort((a, b) =>
+      b.similarity - a.similarity || a.expectedIndex - b.expectedIndex || a.actualIndex - b.actualIndex
+    );
+
+    const usedExpected = new Set();
+    const usedActual = new Set();
+    const matched = [];
+
+    for (const candidate of candidates) {
+      if (usedExpected.has(candidate.expectedIndex) || usedActual.has(candidate.actualIndex)) continue;
+      usedExpected.add(candidate.expectedIndex);
+      usedActual.add(candidate.actualIndex);
+
+      const expected = expectedItems[candidate.expectedIndex];
+      const actual = actualItems[candidate.actualIndex];
+      matched.push({
+        expected: expected.name,
+        actual: actual.product_name,
+        similarity: this.round(candidate.similarity),
+        quantity_correct: (expected.quantity === undefined || Number(expected.quantity) === Number(actual.quantity)) &&
+          (expected.unit === undefined || expected.unit === (actual.unit || 'piece'))
+      });
+    }
+
+    matched.sort((a, b) => a.expected.localeCompare(b.expected));
+
+    return {
+      tp: matched.length,
+      fp: actualItems.length - matched.length,
+      fn: expectedItems.length - matched.length,
+      matched,
+      missing: expectedItems.filter((item, index) => !usedExpected.has(index)).map(item => item.name),
+      extra: actualItems.filter((item, index) => !usedActual.has(index)).map(item => item.product_name)
+    };
+  }
+
+  /**
+   * Evaluate one parsed receipt against its label
+   * @param {Object} label - Ground truth label
+   * @param {Object} receipt - Parsed receipt
+   * @returns {Object} - { id, fields, items }
+   */
+  evaluateReceipt(label, receipt) {
+    return {
+      id: label.id,
+      fields: this.compareFields(label, receipt),
+      items: this.compareItems(label.items, receipt.items)
+    };
+  }
+
+  precisionRecall(tp, fp, fn) {
+    const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+    let f1 = null;
+    if (precision !== null && recall !== null) {
+      f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    }
+
+    return {
+      tp,
+      fp,
+      fn,
+      precision: precision === null ? null : this.round(precision),
+      recall: recall === null ? null : this.round(recall),
+      f1: f1 === null ? null : this.round(f1)
+    };
+  }
+
+  /**
+   * Aggregate receipt results of one provider
+   * @param {Array} results - evaluateReceipt() results, or { id, error }
+   * @returns {Object} - Provider summary and details
+   */
+  summarize(results) {
+    const fieldCounts = {};
+    let itemTp = 0;
+    let itemFp = 0;
+    let itemFn = 0;
+    let totalsLabelled = 0;
+    let totalsMatched = 0;
+
+    for (const result of results) {
+      for (const [field, comparison] of Object.entries(result.fields || {})) {
+        const counts = fieldCounts[field] || (fieldCounts[field] = { tp: 0, fp: 0, fn: 0 });
+
+        if (comparison.correct) {
+          counts.tp++;
+        } else {
+          if (comparison.actual !== null) counts.fp++;
+          if (comparison.expected !== null) counts.fn++;
+        }
+
+        if (field === 'total_amount' && comparison.expected !== null) {
+          totalsLabelled++;
+          if (comparison.correct) totalsMatched++;
+        }
+      }
+
+      if (result.items) {
+        itemTp += result.items.tp;
+        itemFp += result.items.fp;
+        itemFn += result.items.fn;
+      }
+    }
+
+    const fields = {};
+    for (const field of Object.keys(FIELDS)) {
+      if (fieldCounts[field]) {
+        const { tp, fp, fn } = fieldCounts[field];
+        const { f1, ...scores } = this.precisionRecall(tp, fp, fn);
+        fields[field] = scores;
+      }
+    }
+
+    return {
+      receipts: results.length,
+      errors: results.filter(result => result.error).length,
+      total_amount_exact_match: {
+        matched: totalsMatched,
+        labelled: totalsLabelled,
+        rate: totalsLabelled > 0 ? this.round(totalsMatched / totalsLabelled) : null
+      },
+      items: this.precisionRecall(itemTp, itemFp, itemFn),
+      fields,
+      details: [...results].sort((a, b) => a.id.localeCompare(b.id))
+    };
+  }
+
+  /**
+   * Evaluate every source against the labels
+   * @param {Array} labels - Labels from loadLabels()
+   * @param {Object} sources - { name: async (label) => parsed receipt | null }
+   * @returns {Promise<Object>} - Report { labels, providers }
+   */
+  async evaluate(labels, sources) {
+    const providers = {};
+
+    for (const name of Object.keys(sources).sort()) {
+      const results = [];
+
+      for (const label of labels) {
+        try {
+          const receipt = await sources[name](label);
+          if (!receipt) continue; // No image or recording for this label
+          results.push(this.evaluateReceipt(label, receipt));
+        } catch (error) {
+          // A failed receipt still counts against recall
+          results.push({ ...this.evaluateReceipt(label, { items: [] }), error: error.message });
+        }
+      }
+
+      providers[name] = this.summarize(results);
+    }
+
+    return { labels: labels.length, providers };
+  }
+}
+
+module.exports = OCREvaluator;
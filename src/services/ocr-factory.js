@@ -2,6 +2,7 @@ const GoogleVisionService = require('./google-vision');
 const AzureVisionService = require('./azure-vision');
 const TesseractOCRService = require('./tesseract-ocr');
 const OCRSpaceService = require('./ocrspace-service');
+const OCRRecorder = require('./ocr-recorder');
 
 /**
  * OCR Service Factory
@@ -67,7 +68,8 @@ class OCRServiceFactory {
   /**
    * Create an OCR service instance
    * @param {string} serviceName - Name of the service to create
-   * @param {Object} config - Service configuration
+   * @param {Object} config - Service configuration; config.fixtures ('record' | 'replay' | { mode, dir })
+   *                          records or replays provider responses, defaulting to OCR_FIXTURES
    * @param {Object} credentials - Service credentials
    * @returns {Promise<Object>} - Initialized service instance
    */
@@ -84,9 +86,13 @@ class OCRServiceFactory {
       // Create service instance
       const ServiceClass = serviceInfo.class;
       const service = new ServiceClass(config);
+      const recorder = OCRRecorder.forProvider(serviceName, config.fixtures);
       
       // Initialize if credentials are required
-      if (serviceInfo.requiresCredentials) {
+      if (recorder && recorder.isReplay) {
+        // Recordings are served from disk, no client or credentials needed
+        service.isInitialized = true;
+      } else if (serviceInfo.requiresCredentials) {
         if (!credentials || Object.keys(credentials).length === 0) {
           throw new Error(`${serviceInfo.name} requires credentials. Type: ${serviceInfo.credentialsType}`);
         }
@@ -99,6 +105,11 @@ class OCRServiceFactory {
         // For services that don't require credentials (like Tesseract)
         service.isInitialized = true;
       }
+
+      if (recorder) {
+        recorder.wrap(service);
+        console.log(`📼 ${serviceInfo.name} responses: ${recorder.mode} (${recorder.dir})`);
+      }
       
       console.log(`✅ ${serviceInfo.name} service created successfully`);
       return service;
@@ -163,7 +174,7 @@ class OCRServiceFactory {
         return {
           ...baseConfig,
           // Tesseract specific config
-          language: 'deu+eng' // German + English
+          language: 'deu' // German, bundled traineddata
         };
         
       case 'ocrspace':
@@ -235,6 +246,33 @@ class OCRServiceFactory {
     }
   }
 
+  /**
+   * Read credentials for a service from environment variables
+   * @param {string} serviceName - Name of the service
+   * @returns {Object} - Credentials (empty if none are configured)
+   */
+  getCredentialsFromEnv(serviceName) {
+    const envCredentials = {
+      google: {
+        keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS
+      },
+      azure: {
+        subscriptionKey: process.env.AZURE_VISION_KEY,
+        endpoint: process.env.AZURE_VISION_ENDPOINT
+      },
+      ocrspace: {
+        apiKey: process.env.OCRSPACE_API_KEY
+      }
+    };
+
+    const credentials = {};
+    for (const [field, value] of Object.entries(envCredentials[serviceName] || {})) {
+      if (value) credentials[field] = value;
+    }
+
+    return credentials;
+  }
+
   /**
    * Validate credentials for a service
    * @param {string} serviceName - Name of the service
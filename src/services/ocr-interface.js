@@ -5,6 +5,8 @@
  * abstracting away the differences in credentials, URLs, request/response formats.
  */
 
+const ReceiptLayout = require('./receipt-layout');
+
 class OCRServiceInterface {
   constructor(config = {}) {
     this.config = {
@@ -37,6 +39,34 @@ class OCRServiceInterface {
     throw new Error('processImage() must be implemented by subclass');
   }
 
+  /**
+   * Run the image preprocessing pipeline, downscaled to this service's maxFileSize
+   * @param {string|Buffer} imageInput - Image file path or buffer
+   * @param {Object} options - { steps } overriding config.preprocessing.steps
+   * @returns {Promise<Object>} - { imagePath, steps, cleanup } where cleanup() removes the temp file
+   */
+  async preprocess(imageInput, options = {}) {
+    const ImagePreprocessor = require('./image-preprocessor');
+    const preprocessor = new ImagePreprocessor(this.config.preprocessing);
+
+    return preprocessor.processToFile(imageInput, {
+      steps: options.steps,
+      maxFileSize: this.getServiceInfo().maxFileSize,
+      prefix: `receipt-${this.config.serviceName}`
+    });
+  }
+
+  /**
+   * Check that the service is reachable with its credentials.
+   * Cloud adapters override this with a cheap API call.
+   * @returns {Promise<Object>} - { success, error }
+   */
+  async testConnection() {
+    return this.isInitialized
+      ? { success: true }
+      : { success: false, error: 'Service not initialized' };
+  }
+
   /**
    * Get service status and capabilities
    * @returns {Object} - Service information
@@ -110,6 +140,109 @@ class OCRServiceInterface {
     }
   }
 
+  /**
+   * Convert an OCR result to receipt markdown for the parsers
+   * @param {OCRResult} ocrResult - Result of processImage()
+   * @returns {string} - Markdown; rows rebuilt from word positions when layoutWords() finds any
+   */
+  convertToMarkdown(ocrResult) {
+    if (!ocrResult.text) {
+      return '# Receipt\n\nNo text detected in image.';
+    }
+
+    // Rebuild rows from word positions so prices stay next to their names
+    const layout = new ReceiptLayout();
+    const layoutLines = layout.buildLines(this.layoutWords(layout, ocrResult.raw_result));
+    if (layoutLines.length > 0) {
+      return layout.toMarkdown(layoutLines, line => this.formatLine(line));
+    }
+
+    const lines = ocrResult.text.split('\n').filter(line => line.trim());
+    
+    let markdown = '# Receipt\n\n';
+    
+    // Try to identify sections and format them
+    let inItemsSection = false;
+    
+    for (const line of lines) {
+      const trimmedLine = line.trim();
+      
+      // Skip empty lines
+      if (!trimmedLine) continue;
+      
+      // Try to identify common receipt patterns
+      if (this.isTotalLine(trimmedLine)) {
+        markdown += `## Total\n\n* **${trimmedLine}**\n\n`;
+      } else if (this.isDateLine(trimmedLine)) {
+        markdown += `## Date and Time\n\n* **${trimmedLine}**\n\n`;
+      } else if (this.isStoreLine(trimmedLine)) {
+        markdown += `## Store Information\n\n* **${trimmedLine}**\n\n`;
+      } else if (this.isItemLine(trimmedLine)) {
+        if (!inItemsSection) {
+          markdown += '## Items Purchased\n\n| Item | Quantity | Price |\n| --- | --- | --- |\n';
+          inItemsSection = true;
+        }
+        markdown += `| ${trimmedLine} | | |\n`;
+      } else {
+        // Default formatting
+        markdown += `* ${trimmedLine}\n`;
+      }
+    }
+    
+    return markdown;
+  }
+
+  /**
+   * Words with bounding boxes from the service's raw response
+   * @param {ReceiptLayout} layout - Layout helper with the wordsFrom*() readers
+   * @param {Object} rawResult - OCRResult.raw_result
+   * @returns {Array} - Words for layout.buildLines(); none for services that only return text
+   */
+  layoutWords(layout, rawResult) {
+    return [];
+  }
+
+  // Markdown for a receipt line that isn't an item
+  formatLine(line) {
+    if (this.isTotalLine(line)) {
+      return `## Total\n\n* **${line}**\n\n`;
+    } else if (this.isDateLine(line)) {
+      return `## Date and Time\n\n* **${line}**\n\n`;
+    } else if (this.isStoreLine(line)) {
+      return `## Store Information\n\n* **${line}**\n\n`;
+    }
+    return `* ${line}\n`;
+  }
+
+  isTotalLine(line) {
+    const totalPatterns = [
+      /total/i, /summe/i, /gesamt/i, /€\s*\d+[,.]?\d*/, /\d+[,.]?\d*\s*€/
+    ];
+    return totalPatterns.some(pattern => pattern.test(line));
+  }
+
+  isDateLine(line) {
+    const datePatterns = [
+      /\d{1,2}[.\/-]\d{1,2}[.\/-]\d{2,4}/,
+      /\d{1,2}:\d{2}/
+    ];
+    return datePatterns.some(pattern => pattern.test(line));
+  }
+
+  isStoreLine(line) {
+    const storePatterns = [
+      /edeka/i, /dm/i, /rewe/i, /lidl/i, /aldi/i, /kaufland/i,
+      /str\./i, /straße/i, /tel/i, /phone/i
+    ];
+    return storePatterns.some(pattern => pattern.test(line));
+  }
+
+  isItemLine(line) {
+    // Simple heuristic: lines with prices are likely items
+    const pricePattern = /\d+[,.]?\d*\s*€/;
+    return pricePattern.test(line) && line.length > 5;
+  }
+
   /**
    * Convert raw OCR result to structured receipt data
    * @param {OCRResult} ocrResult - Raw OCR result
@@ -0,0 +1,257 @@
+const CredentialCipher = require('./credential-cipher');
+
+/**
+ * OCR Provider Settings
+ *
+ * Runtime configuration of the OCR providers behind /api/ocr/providers:
+ * default provider, fallback order and credentials. Settings are kept in the
+ * database (credentials AES-256-GCM encrypted, see credential-cipher.js) and
+ * applied to the running OCRService, so switching providers needs no .env
+ * edit or restart. Stored values take precedence over the environment.
+ */
+
+class OCRProviderSettings {
+  /**
+   * @param {DatabaseService} db - Database service
+   * @param {OCRService} ocr - OCR service the settings are applied to
+   * @param {CredentialCipher} cipher - Cipher for stored credentials
+   */
+  constructor(db, ocr, cipher = new CredentialCipher()) {
+    this.db = db;
+    this.ocr = ocr;
+    this.cipher = cipher;
+    this.storedCredentials = new Set();
+    // Uninitialized adapter instances, only used for getServiceInfo()
+    this.infoServices = {};
+  }
+
+  static invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_OCR_SETTING';
+    return error;
+  }
+
+  /**
+   * Apply stored settings and credentials to the OCR service
+   */
+  async load() {
+    const settings = await this.db.getOCRSettings();
+
+    try {
+      if (settings.default_provider) this.ocr.setDefaultProvider(settings.default_provider);
+      if (settings.fallback_order) this.ocr.setFallbackOrder(settings.fallback_order);
+    } catch (error) {
+      console.warn('⚠️  Ignoring stored OCR setting:', error.message);
+    }
+
+    const rows = await this.db.getOCRCredentials();
+    if (rows.length > 0 && !this.cipher.isConfigured) {
+      console.warn(`⚠️  ${rows.length} stored OCR credentials ignored: OCR_CREDENTIALS_KEY is not set`);
+      return;
+    }
+
+    for (const row of rows) {
+      try {
+        this.ocr.setProviderCredentials(row.provider, this.cipher.decrypt(row.credentials));
+        this.storedCredentials.add(row.provider);
+      } catch (error) {
+        console.warn(`⚠️  Could not decrypt stored ${row.provider} credentials:`, error.message);
+      }
+    }
+
+    if (this.storedCredentials.size > 0) {
+      console.log(`🔐 Loaded stored OCR credentials: ${[...this.storedCredentials].join(', ')}`);
+    }
+  }
+
+  assertProvider(provider) {
+    if (!this.ocr.getAvailableProviders().includes(provider)) {
+      throw OCRProviderSettings.invalid(
+        `Unknown OCR provider: ${provider}. Available: ${this.ocr.getAvailableProviders().join(', ')}`
+      );
+    }
+  }
+
+  getServiceInfo(provider) {
+    if (provider === 'llama') {
+      return {
+        name: 'llama',
+        type: 'cloud',
+        isInitialized: !!this.ocr.apiKey,
+        model: 'Llama-3.2-11B-Vision',
+        supportsConfidence: false,
+        pricing: { freeTier: null, costPerRequest: null }
+      };
+    }
+
+    const info = this.ocr.factory.getServiceInfo(provider);
+    if (!info) return null;
+
+    const service = this.ocr.providerServices[provider] ||
+      this.infoServices[provider] ||
+      (this.infoServices[provider] = new info.class(this.ocr.factory.getRecommendedConfig(provider)));
+    return service.getServiceInfo();
+  }
+
+  /**
+   * Where a provider's credentials come from
+   * @param {string} provider - Provider name
+   * @returns {Object} - { source: 'stored' | 'env' | null, fields }, never the values
+   */
+  getCredentialsStatus(provider) {
+    const credentials = provider === 'llama'
+      ? (this.ocr.apiKey ? { apiKey: this.ocr.apiKey } : {})
+      : this.ocr.getProviderCredentials(provider);
+    const fields = Object.keys(credentials);
+
+    let source = null;
+    if (this.storedCredentials.has(provider)) source = 'stored';
+    else if (fields.length > 0) source = 'env';
+
+    return { source, fields };
+  }
+
+  /**
+   * Description of one provider
+   * @param {string} provider - Provider name
+   * @returns {Object} - Provider with service info, credential status and default/fallback role
+   */
+  describeProvider(provider) {
+    this.assertProvider(provider);
+
+    const factoryInfo = this.ocr.factory.getServiceInfo(provider);
+    const labels = {
+      llama: ['Llama OCR (Together AI)', 'Vision LLM that returns the receipt as markdown'],
+      ensemble: ['Ensemble', 'Runs several providers in parallel and merges them by per-field vote'],
+      mock: ['Mock', 'Canned receipt for testing, no OCR']
+    };
+    const [label, description] = factoryInfo
+      ? [factoryInfo.name, factoryInfo.description]
+      : labels[provider];
+    const requiresCredentials = provider === 'llama' || !!factoryInfo?.requiresCredentials;
+    const credentials = requiresCredentials ? this.getCredentialsStatus(provider) : { source: null, fields: [] };
+
+    return {
+      name: provider,
+      label,
+      description,
+      type: factoryInfo ? factoryInfo.type : (provider === 'llama' ? 'cloud' : 'virtual'),
+      requires_credentials: requiresCredentials,
+      credentials_type: requiresCredentials ? this.ocr.getCredentialsTemplate(provider).type : null,
+      configured: !requiresCredentials || credentials.fields.length > 0,
+      credentials,
+      is_default: this.ocr.defaultProvider === provider,
+      fallback_position: this.ocr.fallbackOrder.includes(provider) ? this.ocr.fallbackOrder.indexOf(provider) + 1 : null,
+      service_info: this.getServiceInfo(provider)
+    };
+  }
+
+  /**
+   * All providers with the current defaults
+   * @returns {Object} - { default_provider, fallback_order, credentials_encryption, providers }
+   */
+  listProviders() {
+    return {
+      default_provider: this.ocr.defaultProvider,
+      fallback_order: this.ocr.fallbackOrder,
+      credentials_encryption: this.cipher.isConfigured,
+      providers: this.ocr.getAvailableProviders().map(provider => this.describeProvider(provider))
+    };
+  }
+
+  /**
+   * Change and persist the default provider and/or the fallback order
+   * @param {Object} changes - { default_provider, fallback_order }
+   * @returns {Promise<Object>} - { default_provider, fallback_order }
+   */
+  async updateDefaults(changes = {}) {
+    const { default_provider: defaultProvider, fallback_order: fallbackOrder } = changes;
+    if (defaultProvider === undefined && fallbackOrder === undefined) {
+      throw OCRProviderSettings.invalid('default_provider or fallback_order is required');
+    }
+
+    if (defaultProvider !== undefined) {
+      this.assertProvider(defaultProvider);
+    }
+
+    let order;
+    if (fallbackOrder !== undefined) {
+      order = typeof fallbackOrder === 'string' ? fallbackOrder.split(',') : fallbackOrder;
+      if (!Array.isArray(order)) {
+        throw OCRProviderSettings.invalid('fallback_order must be a list of providers');
+      }
+      order = order.map(name => String(name).trim()).filter(Boolean);
+      const invalid = order.filter(name => !this.ocr.getSingleProviders().includes(name));
+      if (invalid.length > 0) {
+        throw OCRProviderSettings.invalid(
+          `Invalid fallback provider: ${invalid.join(', ')}. Available: ${this.ocr.getSingleProviders().join(', ')}`
+        );
+      }
+    }
+
+    if (defaultProvider !== undefined) {
+      this.ocr.setDefaultProvider(defaultProvider);
+      await this.db.setOCRSetting('default_provider', defaultProvider);
+    }
+    if (order !== undefined) {
+      this.ocr.setFallbackOrder(order);
+      await this.db.setOCRSetting('fallback_order', this.ocr.fallbackOrder);
+    }
+
+    console.log(`⚙️  OCR default provider: ${this.ocr.defaultProvider}, fallback: ${this.ocr.fallbackOrder.join(' → ') || '(none)'}`);
+    return { default_provider: this.ocr.defaultProvider, fallback_order: this.ocr.fallbackOrder };
+  }
+
+  /**
+   * Validate, encrypt, store and apply a provider's credentials
+   * @param {string} provider - Provider name
+   * @param {Object} credentials - Credentials as in the provider's template
+   * @returns {Promise<Object>} - Updated provider description
+   */
+  async saveCredentials(provider, credentials) {
+    this.assertProvider(provider);
+
+    const template = this.ocr.getCredentialsTemplate(provider);
+    if (template.type === 'none') {
+      throw OCRProviderSettings.invalid(`${provider} does not use credentials`);
+    }
+    if (!credentials || typeof credentials !== 'object' || Array.isArray(credentials)) {
+      throw OCRProviderSettings.invalid('credentials object is required');
+    }
+    for (const field of template.required) {
+      if (!credentials[field]) {
+        throw OCRProviderSettings.invalid(`Missing required field: ${field}`);
+      }
+    }
+
+    // Only known fields are kept
+    const allowed = [...template.required, ...template.optional];
+    const cleaned = Object.fromEntries(
+      Object.entries(credentials).filter(([field, value]) => allowed.includes(field) && value)
+    );
+
+    await this.db.setOCRCredentials(provider, this.cipher.encrypt(cleaned));
+    this.ocr.setProviderCredentials(provider, cleaned);
+    this.storedCredentials.add(provider);
+
+    console.log(`🔐 Stored ${provider} credentials`);
+    return this.describeProvider(provider);
+  }
+
+  /**
+   * Remove stored credentials; the provider goes back to the environment
+   * @param {string} provider - Provider name
+   * @returns {Promise<boolean>} - Whether credentials were stored
+   */
+  async deleteCredentials(provider) {
+    this.assertProvider(provider);
+
+    const result = await this.db.deleteOCRCredentials(provider);
+    this.ocr.setProviderCredentials(provider, null);
+    this.storedCredentials.delete(provider);
+
+    return result.changes > 0;
+  }
+}
+
+module.exports = OCRProviderSettings;
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * OCR Recorder
+ *
+ * Records raw provider responses to disk and replays them instead of calling
+ * the provider, so the pipeline runs without network access or API keys.
+ * Recordings use the same files as google-vision-results/:
+ *
+ *   <id>-detailed.json  full OCRResult incl. raw_result (bounding boxes) and a fixture block
+ *   <id>-raw.txt        plain text
+ *   <id>-markdown.md    markdown as produced by the adapter
+ *
+ * The id is the image file name without extension, or options.fixtureId.
+ * Replay falls back to the SHA-256 of the image, so uploads with generated
+ * file names still find their recording.
+ */
+
+const MODES = ['record', 'replay'];
+const DEFAULT_DIR = path.join(__dirname, '../../fixtures/ocr');
+
+class OCRRecorder {
+  /**
+   * @param {Object} config - { mode: 'record' | 'replay', dir, provider }
+   */
+  constructor(config = {}) {
+    if (!MODES.includes(config.mode)) {
+      throw new Error(`Invalid OCR fixture mode: ${config.mode}. Use one of: ${MODES.join(', ')}`);
+    }
+    if (!config.dir) {
+      throw new Error('OCR fixture directory is required');
+    }
+
+    this.mode = config.mode;
+    this.dir = config.dir;
+    this.provider = config.provider || 'unknown';
+    this.hashIndex = null;
+  }
+
+  /**
+   * Fixture settings from OCR_FIXTURES / OCR_FIXTURES_DIR
+   * @returns {Object|null} - { mode, dir }, null when fixtures are off
+   */
+  static settingsFromEnv() {
+    const mode = process.env.OCR_FIXTURES;
+    if (!mode || mode === 'off') return null;
+
+    return {
+      mode,
+      dir: process.env.OCR_FIXTURES_DIR || DEFAULT_DIR
+    };
+  }
+
+  /**
+   * Recorder for one provider, stored in <dir>/<provider>
+   * @param {string} provider - Provider name
+   * @param {Object|string|null} settings - { mode, dir }, a mode, or null for OCR_FIXTURES
+   * @returns {OCRRecorder|null} - Recorder, null when fixtures are off
+   */
+  static forProvider(provider, settings = null) {
+    const envSettings = OCRRecorder.settingsFromEnv();
+    const resolved = typeof settings === 'string'
+      ? { ...envSettings, mode: settings }
+      : settings || envSettings;
+
+    if (!resolved || !resolved.mode || resolved.mode === 'off') return null;
+
+    return new OCRRecorder({
+      mode: resolved.mode,
+      dir: path.join(resolved.dir || DEFAULT_DIR, provider),
+      provider
+    });
+  }
+
+  get isReplay() {
+    return this.mode === 'replay';
+  }
+
+  readImage(imageInput) {
+    return Buffer.isBuffer(imageInput) ? imageInput : fs.readFileSync(imageInput);
+  }
+
+  hashImage(imageInput) {
+    return crypto.createHash('sha256').update(this.readImage(imageInput)).digest('hex');
+  }
+
+  /**
+   * Fixture id for an image
+   * @param {string|Buffer} imageInput - Image file path or buffer
+   * @param {Object} options - { fixtureId }
+   * @returns {string} - Fixture id
+   */
+  fixtureId(imageInput, options = {}) {
+    if (options.fixtureId) return options.fixtureId;
+    if (typeof imageInput === 'string') return path.basename(imageInput, path.extname(imageInput));
+    return this.hashImage(imageInput).slice(0, 16);
+  }
+
+  fixturePath(id, suffix) {
+    return path.join(this.dir, `${id}${suffix}`);
+  }
+
+  /**
+   * Save a provider result
+   * @param {string} id - Fixture id
+   * @param {Object} result - OCRResult returned by the provider
+   * @param {Object} extra - { sha256, image, markdown }
+   */
+  save(id, result, extra = {}) {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const detailed = {
+      ...result,
+      fixture: {
+        provider: this.provider,
+        image: extra.image || null,
+        sha256: extra.sha256 || null,
+        recorded_at: new Date().toISOString()
+      }
+    };
+
+    fs.writeFileSync(this.fixturePath(id, '-detailed.json'), JSON.stringify(detailed, null, 2));
+    fs.writeFileSync(this.fixturePath(id, '-raw.txt'), result.text || '');
+    if (extra.markdown) {
+      fs.writeFileSync(this.fixturePath(id, '-markdown.md'), extra.markdown);
+    }
+
+    if (this.hashIndex && extra.sha256) this.hashIndex[extra.sha256] = id;
+    console.log(`📼 Recorded ${this.provider} fixture: ${id}`);
+  }
+
+  /**
+   * Load a recorded result by fixture id
+   * @param {string} id - Fixture id
+   * @returns {Object|null} - OCRResult, or null if there is no recording
+   */
+  load(id) {
+    const detailedFile = this.fixturePath(id, '-detailed.json');
+    const rawFile = this.fixturePath(id, '-raw.txt');
+    const markdownFile = this.fixturePath(id, '-markdown.md');
+
+    let result;
+    let format;
+    if (fs.existsSync(detailedFile)) {
+      const { fixture, raw_detections, ...recorded } = JSON.parse(fs.readFileSync(detailedFile, 'utf8'));
+      // analyze-google-vision-results.js saved the detections as raw_detections
+      result = { ...recorded, raw_result: recorded.raw_result || raw_detections || null };
+      format = 'detailed';
+    } else if (fs.existsSync(rawFile)) {
+      result = { text: fs.readFileSync(rawFile, 'utf8'), confidence: 0, raw_result: null };
+      format = 'raw';
+    } else if (fs.existsSync(markdownFile)) {
+      // Already converted, text is markdown
+      result = { text: fs.readFileSync(markdownFile, 'utf8'), confidence: 0, raw_result: null };
+      format = 'markdown';
+    } else {
+      return null;
+    }
+
+    result.processing_info = { ...result.processing_info, replayed: true, fixture: id, fixture_format: format };
+    return result;
+  }
+
+  /**
+   * Fixture id of a recording with this image hash
+   * @param {string} sha256 - Image hash
+   * @returns {string|null} - Fixture id
+   */
+  findByHash(sha256) {
+    if (!this.hashIndex) {
+      this.hashIndex = {};
+      if (fs.existsSync(this.dir)) {
+        for (const file of fs.readdirSync(this.dir).filter(name => name.endsWith('-detailed.json'))) {
+          try {
+            const { fixture } = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+            if (fixture?.sha256) this.hashIndex[fixture.sha256] = file.replace(/-detailed\.json$/, '');
+          } catch (error) {
+            console.warn(`⚠️  Skipping unreadable fixture ${file}:`, error.message);
+          }
+        }
+      }
+    }
+
+    return this.hashIndex[sha256] || null;
+  }
+
+  /**
+   * Replay the recording for an image
+   * @param {string|Buffer} imageInput - Image file path or buffer
+   * @param {Object} options - { fixtureId }
+   * @returns {Object} - Recorded OCRResult
+   */
+  replay(imageInput, options = {}) {
+    const id = this.fixtureId(imageInput, options);
+    let result = this.load(id);
+
+    if (!result) {
+      const hashId = this.findByHash(this.hashImage(imageInput));
+      result = hashId ? this.load(hashId) : null;
+    }
+
+    if (!result) {
+      throw new Error(`No ${this.provider} OCR recording for "${id}" in ${this.dir}`);
+    }
+
+    console.log(`📼 Replaying ${this.provider} fixture: ${result.processing_info.fixture}`);
+    return result;
+  }
+
+  /**
+   * Run a provider call through the recorder
+   * @param {string|Buffer} imageInput - Image file path or buffer
+   * @param {Object} options - { fixtureId }
+   * @param {Function} call - async () => OCRResult, the live provider call
+   * @param {Function} toMarkdown - Optional (result) => markdown saved next to the recording
+   * @returns {Promise<Object>} - OCRResult
+   */
+  async run(imageInput, options, call, toMarkdown = null) {
+    if (this.isReplay) {
+      return this.replay(imageInput, options);
+    }
+
+    const result = await call();
+    // Failed calls are returned as is, a recording of them would hide the failure on replay
+    if (result && result.text) {
+      this.save(this.fixtureId(imageInput, options), result, {
+        image: typeof imageInput === 'string' ? path.basename(imageInput) : null,
+        sha256: this.hashImage(imageInput),
+        markdown: toMarkdown ? toMarkdown(result) : null
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Route an adapter's processImage() through the recorder
+   * @param {OCRServiceInterface} service - Adapter instance
+   * @returns {OCRServiceInterface} - The same instance
+   */
+  wrap(service) {
+    const processImage = service.processImage.bind(service);
+
+    service.recorder = this;
+    service.processImage = (imageInput, options = {}) => this.run(
+      imageInput,
+      options,
+      () => processImage(imageInput, options),
+      result => service.convertToMarkdown(result)
+    );
+
+    return service;
+  }
+}
+
+OCRRecorder.MODES = MODES;
+OCRRecorder.DEFAULT_DIR = DEFAULT_DIR;
+
+module.exports = OCRRecorder;
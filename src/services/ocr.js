@@ -1,1019 +1,777 @@
 const { ocr } = require('llama-ocr');
+const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const OCRServiceFactory = require('./ocr-factory');
+const ImagePreprocessor = require('./image-preprocessor');
+const OCRRecorder = require('./ocr-recorder');
+const OCREnsemble = require('./ocr-ensemble');
+const ParserRegistry = require('./parsers');
+
+// How a request without a provider runs the default provider and its fallbacks:
+// one after another, all at once taking the first good result, or all at once
+// keeping the most confident one
+const STRATEGIES = ['sequential', 'race', 'parallel-best'];
 
 class OCRService {
-  constructor() {
+  /**
+   * @param {Object} options - { budget: OCRBudget } to enforce daily provider budgets and track usage
+   */
+  constructor(options = {}) {
     this.apiKey = process.env.TOGETHER_API_KEY;
     if (!this.apiKey) {
-      console.warn('⚠️  TOGETHER_API_KEY not found. Using mock OCR mode.');
-      this.mockMode = true;
+      console.warn('⚠️  TOGETHER_API_KEY not found. Using local Tesseract OCR.');
     } else {
       console.log('✅ OCR Service initialized with Together AI API key');
-      this.mockMode = false;
     }
+
+    // 'llama' and 'mock' are handled here, every other provider comes from the factory
+    this.factory = new OCRServiceFactory();
+    this.defaultProvider = process.env.OCR_PROVIDER || 'llama';
+    // Tried in order when Llama OCR or the default provider fails; changed at runtime via setFallbackOrder()
+    this.fallbackOrder = ['tesseract'];
+    this.providerServices = {};
+    // Credentials set at runtime take precedence over the environment
+    this.providerCredentials = {};
+    this.budget = options.budget || null;
+
+    // OCR_STRATEGY=race or parallel-best runs the default and fallback providers at once
+    this.strategy = process.env.OCR_STRATEGY || 'sequential';
+    if (!STRATEGIES.includes(this.strategy)) {
+      console.warn(`⚠️  Unknown OCR_STRATEGY ${this.strategy}, using sequential`);
+      this.strategy = 'sequential';
+    }
+    // Providers still running after this are cancelled (race and parallel-best)
+    this.timeout = parseInt(process.env.OCR_TIMEOUT || '30000', 10);
+    // A race result needs this much confidence to win; Llama OCR reports none and always does
+    this.minConfidence = 0.5;
+
+    // OCR_FIXTURES=record|replay; factory providers get their recorder from createService()
+    this.llamaRecorder = OCRRecorder.forProvider('llama');
+
+    // Providers merged by the 'ensemble' provider, e.g. OCR_ENSEMBLE_PROVIDERS=google,azure,tesseract
+    this.ensembleProviders = (process.env.OCR_ENSEMBLE_PROVIDERS || '')
+      .split(',').map(name => name.trim()).filter(Boolean);
+    this.ensemble = new OCREnsemble();
+
+    // Preprocessing steps applied before OCR, e.g. IMAGE_PREPROCESSING=rotate,crop,deskew
+    this.preprocessingSteps = ImagePreprocessor.parseSteps(process.env.IMAGE_PREPROCESSING);
+    this.imagePreprocessor = new ImagePreprocessor();
+
+    // Chain-specific receipt parsers, generic as fallback
+    this.parsers = new ParserRegistry();
   }
 
-  async processImage(imagePath) {
-    try {
-      console.log('Processing image with Llama OCR...');
-      
-      if (this.apiKey) {
-        return await this.processWithLlamaOCR(imagePath);
-      } else {
-        console.log('⚠️ No API key provided, using mock OCR');
-        return this.processWithMockOCR();
-      }
-    } catch (error) {
-      console.error('OCR processing error:', error);
-      console.log('🔄 Falling back to mock OCR...');
-      return this.processWithMockOCR();
-    }
+  /**
+   * Names accepted by processImage({ provider })
+   * @returns {string[]} - Provider names
+   */
+  getAvailableProviders() {
+    return ['llama', ...Object.keys(this.factory.getAvailableServices()), 'ensemble', 'mock'];
   }
 
-  async processWithLlamaOCR(imagePath) {
-    try {
-      console.log('🔍 Processing with Llama OCR...');
-      console.log('📁 Image:', path.basename(imagePath));
+  /**
+   * Providers the ensemble runs when a request names none: OCR_ENSEMBLE_PROVIDERS,
+   * otherwise every provider that has its credentials configured
+   * @returns {string[]} - Provider names
+   */
+  getEnsembleProviders() {
+    if (this.ensembleProviders.length > 0) return this.ensembleProviders;
 
-      // Check if file exists and get file info
-      if (fs.existsSync(imagePath)) {
-        const stats = fs.statSync(imagePath);
-        console.log('📊 Size:', Math.round(stats.size / 1024), 'KB');
-      } else {
-        console.error('❌ Image file does not exist:', imagePath);
-        throw new Error('Image file not found');
+    const providers = this.apiKey ? ['llama'] : [];
+    for (const [name, info] of Object.entries(this.factory.getAvailableServices())) {
+      if (!info.requiresCredentials || Object.keys(this.getProviderCredentials(name)).length > 0) {
+        providers.push(name);
       }
+    }
+    return providers;
+  }
 
-      // Process with Llama OCR using the file path directly
-      const markdown = await ocr({
-        filePath: imagePath,
-        apiKey: this.apiKey,
-        model: 'Llama-3.2-11B-Vision', // Use 11B Vision model for better results
-        prompt: `Please extract the receipt information and format it consistently as markdown with the following structure:
+  /**
+   * Extract a receipt from an image
+   * @param {string} imagePath - Path to the uploaded image
+   * @param {Object} options - { provider, providers, preprocessing, strategy, signal, onProgress };
+   *                           onProgress receives { stage: 'preprocessing' }, { stage: 'ocr', progress }
+   *                           (0-1, where the provider reports it) and { stage: 'parsing' }
+   * @returns {Promise<Object>} - Parsed receipt result
+   */
+  async processImage(imagePath, options = {}) {
+    const provider = options.provider || this.defaultProvider;
+    const strategy = options.strategy || this.strategy;
+    const onProgress = options.onProgress || null;
+    const steps = options.preprocessing !== undefined
+      ? ImagePreprocessor.parseSteps(options.preprocessing)
+      : this.preprocessingSteps;
+
+    if (!this.getAvailableProviders().includes(provider)) {
+      throw new Error(`Unknown OCR provider: ${provider}. Available: ${this.getAvailableProviders().join(', ')}`);
+    }
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown OCR strategy: ${strategy}. Use ${STRATEGIES.join(', ')}`);
+    }
+
+    if (provider === 'mock') {
+      console.log('🧪 Mock OCR requested');
+      return this.processWithMockOCR();
+    }
 
-# Receipt
+    // Unreadable uploads fail here rather than in preprocessing, which would send them on as they are
+    await ImagePreprocessor.assertReadable(imagePath);
 
-## Store Information
-* **Store Name:** [store name]
-* **Address:** [address]
-* **Phone:** [phone number]
-* **Website:** [website if available]
+    if (provider === 'ensemble') {
+      return await this.processWithEnsemble(imagePath, options.providers, options.preprocessing);
+    }
 
-## Items Purchased
-| Product | Quantity | Price |
-| --- | --- | --- |
-[list all items in table format]
+    // An explicitly requested provider runs alone
+    if (!options.provider && strategy !== 'sequential') {
+      return await this.processWithStrategy(imagePath, strategy, steps, onProgress);
+    }
 
-## Total
-* **Total Amount:** [total]
-* **Payment Method:** [payment method]
+    if (provider !== 'llama') {
+      // An explicitly requested provider fails as is, the default one falls back
+      if (options.provider) {
+        return await this.processWithProvider(imagePath, provider, steps, onProgress, options.signal);
+      }
 
-## Additional Information
-* **Date:** [date]
-* **Time:** [time]
-* **Tax:** [tax information if available]
+      try {
+        return await this.processWithProvider(imagePath, provider, steps, onProgress);
+      } catch (error) {
+        console.log(`🔄 Default provider ${provider} failed, falling back: ${error.message}`);
+        return await this.processWithFallback(imagePath, error.message, steps, provider, onProgress);
+      }
+    }
 
-Please ensure all items are listed in the table format above, even if some prices are missing.`
-      });
+    if (!this.apiKey && !this.llamaRecorder?.isReplay) {
+      console.log('⚠️ No API key provided, using local Tesseract OCR');
+      return await this.processWithFallback(imagePath, 'TOGETHER_API_KEY not set', steps, 'llama', onProgress);
+    }
 
-      console.log('✅ OCR completed');
-      console.log('📄 Text length:', markdown ? markdown.length : 0, 'chars');
-      
-      return this.parseMarkdown(markdown);
+    onProgress?.({ stage: 'preprocessing' });
+    const prepared = await this.prepareImage(this.imagePreprocessor, imagePath, steps);
+    try {
+      console.log('Processing image with Llama OCR...');
+      const result = await this.processWithLlamaOCR(prepared.imagePath, {
+        fixtureId: this.fixtureId(imagePath),
+        onProgress
+      });
+      result.processing_info.preprocessing = prepared.steps;
+      return result;
     } catch (error) {
-      console.error('❌ OCR failed:', error.message);
-      
-      // Fallback to mock OCR if real OCR fails
-      console.log('🔄 Using mock OCR...');
-      return this.processWithMockOCR();
+      console.error('OCR processing error:', error);
+      console.log('🔄 Falling back to local Tesseract OCR...');
+      return await this.processWithFallback(imagePath, error.message, steps, 'llama', onProgress);
+    } finally {
+      prepared.cleanup();
     }
   }
 
-  processWithMockOCR() {
-    const mockMarkdown = `# Receipt
-
-Vollmilch 3.5% 2x €3.50
-Vollkornbrot 1x €2.80
-Bio Äpfel 1kg €4.20
-Tomaten 500g €2.50
+  /**
+   * Run several providers in parallel and merge their receipts field by field
+   * @param {string} imagePath - Path to the uploaded image
+   * @param {string[]|string} providers - Providers to merge (array or comma list), default getEnsembleProviders()
+   * @param {*} preprocessing - Preprocessing option passed on to each provider
+   * @returns {Promise<Object>} - Merged receipt result with provenance
+   */
+  async processWithEnsemble(imagePath, providers, preprocessing) {
+    const names = (typeof providers === 'string' ? providers.split(',') : providers || this.getEnsembleProviders())
+      .map(name => name.trim())
+      .filter(name => name && name !== 'ensemble' && name !== 'mock');
+
+    const unknown = names.filter(name => !this.getAvailableProviders().includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown OCR provider: ${unknown.join(', ')}. Available: ${this.getAvailableProviders().join(', ')}`);
+    }
+    if (names.length === 0) {
+      throw new Error('No OCR providers configured for the ensemble');
+    }
+
+    console.log(`🗳️  Ensemble OCR with: ${names.join(', ')}`);
+    const startTime = Date.now();
+    const settled = await Promise.allSettled(
+      names.map(provider => this.processImage(imagePath, { provider, preprocessing }))
+    );
+
+    const parsed = [];
+    const failed = [];
+    settled.forEach((outcome, index) => {
+      const provider = names[index];
+      if (outcome.status === 'rejected') {
+        failed.push({ provider, error: outcome.reason.message });
+      } else if (outcome.value.processing_info.fallback_from) {
+        // A Llama run that fell back to Tesseract would vote twice for Tesseract's reading
+        failed.push({ provider, error: `fell back to ${outcome.value.ocr_data.provider}: ${outcome.value.processing_info.fallback_reason}` });
+      } else {
+        parsed.push({ provider, result: outcome.value, receipt: outcome.value.receipt });
+      }
+    });
 
-Total: €13.00
-Date: 2024-01-15`;
+    failed.forEach(({ provider, error }) => console.warn(`⚠️  Ensemble provider ${provider} failed:`, error));
+    if (parsed.length === 0) {
+      throw new Error(`All ensemble providers failed: ${failed.map(f => `${f.provider}: ${f.error}`).join('; ')}`);
+    }
 
-    console.log('✅ Mock OCR processing completed');
-    return this.parseMarkdown(mockMarkdown);
-  }
+    const merged = this.ensemble.merge(parsed);
+    // Links between lines point into one provider's item list; redo them on the merged list
+    this.parsers.generic.classifyItems(merged.receipt.items);
+    console.log(`✅ Ensemble merged ${parsed.length} providers, agreement ${(merged.confidence * 100).toFixed(1)}%`);
 
-  parseMarkdown(markdown) {
-    const lines = markdown.split('\n');
-    const result = {
-      receipt: {
-        metadata: { date: null, time: null, receipt_number: null, transaction_id: null },
-        store: { name: null, address: null, phone: null, tax_id: null, store_chain: null },
-        items: [],
-        totals: { subtotal: null, vat_amount: null, vat_rate: null, total_amount: null, currency: 'EUR' },
-        payment: { method: null, amount_paid: null, change: null, card_type: null, card_number: null },
-        cashier_info: { start_time: null, end_time: null, cashier_number: null, terminal_number: null },
-        fiscal_info: { tse_signature: null, signature_counter: null, signature: null, signature_data: null, fiscal_data: null },
-        loyalty: { program: null, points_earned: null, points_balance: null }
-      },
+    return {
+      receipt: merged.receipt,
       ocr_data: {
-        raw_markdown: markdown,
-        confidence_score: null,
-        processing_time: null
+        raw_markdown: parsed
+          .map(({ provider, result }) => `<!-- ocr provider: ${provider} -->\n${result.ocr_data.raw_markdown}`)
+          .join('\n\n'),
+        provider: 'ensemble',
+        is_mock: false,
+        confidence_score: merged.confidence,
+        processing_time: Date.now() - startTime,
+        provenance: merged.provenance
       },
       processing_info: {
         timestamp: new Date().toISOString(),
         version: '1.0.0',
-        ocr_model: 'Llama-3.2-11B-Vision',
-        parser_version: '1.0.0'
+        ocr_provider: 'ensemble',
+        ocr_model: `ensemble(${parsed.map(p => p.provider).join(',')})`,
+        parser_version: [...new Set(parsed.map(p => p.result.processing_info.parser_version))].join(','),
+        ensemble: {
+          providers: parsed.map(p => p.provider),
+          failed,
+          agreement: merged.confidence
+        }
       }
     };
+  }
 
-    // Try multiple parsing strategies
-    this.extractStructuredData(lines, result);
-    this.extractLineData(lines, result);
-    this.extractPatternData(markdown, result);
-    
-    // If no items found, try fallback extraction
-    if (result.receipt.items.length === 0) {
-      this.extractItemsFallback(markdown, result);
-    }
-
-    console.log('📋 Extracted:', result.receipt.items.length, 'items, Total:', result.receipt.totals.total_amount, 'EUR');
-
-    return result;
+  /**
+   * Run the default provider and its fallbacks at once: 'race' takes the first result
+   * confident enough and cancels the rest, 'parallel-best' the most confident result
+   * within the timeout. Providers over their daily budget are skipped.
+   * @param {string} imagePath - Path to the uploaded image
+   * @param {string} strategy - 'race' or 'parallel-best'
+   * @param {string[]} steps - Preprocessing steps to run
+   * @param {Function} onProgress - Optional progress callback, see processImage()
+   * @returns {Promise<Object>} - Parsed receipt result, the attempts in processing_info.strategy
+   */
+  async processWithStrategy(imagePath, strategy, steps, onProgress = null) {
+    const { providers, skipped } = await this.selectProviders();
+    if (providers.length === 0) {
+      const error = new Error(skipped.length > 0
+        ? `No OCR provider within its budget: ${skipped.map(s => `${s.provider}: ${s.reason}`).join('; ')}`
+        : 'No OCR provider available');
+      if (skipped.length > 0) error.code = 'OCR_BUDGET_EXHAUSTED';
+      throw error;
+    }
+
+    console.log(`🏁 OCR ${strategy} with: ${providers.join(', ')}`);
+    onProgress?.({ stage: 'preprocessing' });
+    onProgress?.({ stage: 'ocr', progress: 0 });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => {
+      controller.abort(new Error(`Timed out after ${this.timeout}ms`));
+    }, this.timeout);
+
+    const attempts = [];
+    const successes = [];
+    const winner = await new Promise(resolve => {
+      let pending = providers.length;
+
+      providers.forEach((provider, order) => {
+        this.processCancellable(imagePath, provider, steps, controller.signal)
+          .then(result => {
+            const success = { provider, order, result };
+            attempts.push({ provider, confidence: result.ocr_data.confidence_score ?? null });
+            successes.push(success);
+            if (strategy === 'race' && this.isConfident(result)) resolve(success);
+          })
+          .catch(error => {
+            console.log(`❌ ${provider} failed: ${error.message}`);
+            attempts.push({ provider, error: error.message });
+          })
+          .finally(() => {
+            if (--pending === 0) resolve(null);
+          });
+      });
+    });
+
+    clearTimeout(timeoutId);
+    // Providers still running lost the race; they are not waited for
+    const finished = new Set(attempts.map(attempt => attempt.provider));
+    const cancelled = providers.filter(provider => !finished.has(provider));
+    controller.abort(new Error('Cancelled, another OCR provider answered first'));
+
+    const chosen = winner || this.pickMostConfident(successes);
+    if (!chosen) {
+      throw new Error(`All OCR providers failed: ${attempts.map(a => `${a.provider}: ${a.error}`).join('; ')}`);
+    }
+
+    onProgress?.({ stage: 'parsing' });
+    console.log(`✅ OCR ${strategy} won by ${chosen.provider}`);
+    chosen.result.processing_info.strategy = {
+      name: strategy,
+      providers,
+      attempts: [...attempts, ...cancelled.map(provider => ({ provider, cancelled: true }))],
+      skipped
+    };
+    return chosen.result;
   }
 
-  extractStructuredData(lines, result) {
-    let inTable = false;
-    let inItemsSection = false;
-    let inItemsPurchased = false;
-    let inEDEKATable = false;
-    let currentProduct = null;
-    let inProductsSection = false;
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Check for "Products Purchased" section
-      if (line.includes('Products Purchased') || line.includes('Products purchased')) {
-        inProductsSection = true;
-        continue;
-      }
-      
-      if (inProductsSection) {
-        // Check for product line like "* **G&G Gouda Oer**"
-        const productMatch = line.match(/\*\s*\*\*([^*]+)\*\*/);
-        if (productMatch) {
-          currentProduct = productMatch[1].trim();
-          continue;
-        }
-        
-        // Check for quantity line like "+ Quantity: 2"
-        if (currentProduct && line.startsWith('+') && line.includes('Quantity:')) {
-          const quantityMatch = line.match(/Quantity:\s*([0-9,\.]+)/);
-          const priceMatch = line.match(/Price:\s*€([0-9,\.]+)/);
-          
-          let quantity = 1;
-          let price = null;
-          
-          if (quantityMatch) {
-            quantity = parseFloat(quantityMatch[1].replace(',', '.'));
-          }
-          
-          if (priceMatch) {
-            price = parseFloat(priceMatch[1].replace(',', '.'));
-          }
-          
-          // Look ahead for price if not found
-          if (!price) {
-            for (let j = i + 1; j < Math.min(i + 5, lines.length); j++) {
-              const nextLine = lines[j].trim();
-              if (nextLine.startsWith('+') && nextLine.includes('Price:')) {
-                const nextPriceMatch = nextLine.match(/Price:\s*€([0-9,\.]+)/);
-                if (nextPriceMatch) {
-                  price = parseFloat(nextPriceMatch[1].replace(',', '.'));
-                }
-                break;
-              }
-              // Stop if we hit another product
-              if (nextLine.startsWith('*') && nextLine.includes('**')) {
-                break;
-              }
-            }
-          }
-          
-          if (currentProduct && !this.isNotAProduct(currentProduct)) {
-            result.receipt.items.push({
-              product_name: currentProduct,
-              quantity: quantity,
-              unit_price: price ? price / quantity : null,
-              total_price: price || null,
-              category: null,
-              brand: this.extractBrand(currentProduct),
-              item_code: this.generateItemCode(currentProduct),
-              line_text: `${currentProduct} - Qty: ${quantity} - Price: €${price || 'N/A'}`,
-              matched: false
-            });
-          }
-          
-          currentProduct = null;
-          continue;
-        }
-        
-        // Check if we've left the products section
-        if (!line.startsWith('*') && !line.startsWith('+') && line.length > 0) {
-          inProductsSection = false;
-          currentProduct = null;
-        }
-      }
-      
-      // Check for EDEKA table format with | separators
-      if (line.includes('|') && line.includes('**') && !line.includes('---')) {
-        // This is a product line like "| **G&G Gouda Geer** | **EUR** |"
-        const productMatch = line.match(/\*\*([^*]+)\*\*/);
-        if (productMatch) {
-          currentProduct = productMatch[1].trim();
-        }
-        continue;
-      }
-      
-      // Check for quantity/price line after product
-      if (currentProduct && line.includes('|') && !line.includes('**') && !line.includes('---')) {
-        const parts = line.split('|').map(col => col.trim()).filter(col => col);
-        if (parts.length >= 1) {
-          const quantityPrice = parts[0];
-          const total = parts[1];
-          
-          // Parse quantity and price from "1,99 € x 2" or "1,43 A"
-          const quantityMatch = quantityPrice.match(/([0-9,]+)\s*€\s*x\s*(\d+)/);
-          const simplePriceMatch = quantityPrice.match(/([0-9,]+)\s*[A-Z]/);
-          
-          let quantity = 1;
-          let price = null;
-          
-          if (quantityMatch) {
-            price = this.parsePrice(quantityMatch[1]);
-            quantity = parseInt(quantityMatch[2]);
-          } else if (simplePriceMatch) {
-            price = this.parsePrice(simplePriceMatch[1]);
-            quantity = 1;
-          }
-          
-          // Use total if available
-          if (total && !price) {
-            price = this.parsePrice(total);
-          }
-          
-          if (currentProduct && !this.isNotAProduct(currentProduct)) {
-            result.receipt.items.push({
-              product_name: currentProduct,
-              quantity: quantity,
-              unit_price: price ? price / quantity : null,
-              total_price: price || null,
-              category: null,
-              brand: this.extractBrand(currentProduct),
-              item_code: this.generateItemCode(currentProduct),
-              line_text: `${currentProduct} - ${quantityPrice} - ${total || ''}`,
-              matched: false
-            });
-          }
-          
-          currentProduct = null;
-        }
-        continue;
-      }
-      
-      // Reset current product if we hit a non-table line
-      if (!line.includes('|') && currentProduct) {
-        currentProduct = null;
-      }
-      
-      // Check for EDEKA table format (no | separators) - old format
-      if (line.includes('Product') && line.includes('Quantity') && line.includes('Price')) {
-        inEDEKATable = true;
-        continue;
-      }
-      
-      if (inEDEKATable) {
-        // Check if we've reached the end of the table
-        if (line.includes('Posten:') || line.includes('SUMME') || line.includes('Datum:')) {
-          inEDEKATable = false;
+  /**
+   * Default provider and fallbacks that can run at once, without those over their daily budget
+   * @returns {Promise<Object>} - { providers, skipped: [{ provider, reason }] }
+   */
+  async selectProviders() {
+    const candidates = [...new Set([this.defaultProvider, ...this.fallbackOrder])]
+      .filter(provider => this.getSingleProviders().includes(provider))
+      // Without a key Llama OCR would only fall back to Tesseract
+      .filter(provider => provider !== 'llama' || this.apiKey || this.llamaRecorder?.isReplay);
+
+    const providers = [];
+    const skipped = [];
+    for (const provider of candidates) {
+      // Pricing comes from the adapter; one that can't be created fails when it runs
+      const service = provider === 'llama' ? null : await this.getProviderService(provider).catch(() => null);
+      if (this.budget && !service?.recorder?.isReplay) {
+        const check = await this.budget.check(provider, service);
+        if (!check.allowed) {
+          console.log(`💸 Skipping ${provider}: ${check.reason}`);
+          skipped.push({ provider, reason: check.reason });
           continue;
         }
-        
-        // Parse EDEKA table row
-        const item = this.parseEDEKATableRow(line);
-        if (item) {
-          result.receipt.items.push(item);
-        }
-      }
-      
-      // Check for standard table structure
-      if (line.includes('|') && line.includes('---')) {
-        inTable = true;
-        continue;
-      }
-      
-      if (inTable && line.includes('|')) {
-        const columns = line.split('|').map(col => col.trim()).filter(col => col);
-        if (columns.length >= 3) {
-          // Try to parse as item row
-          const item = this.parseTableRow(columns);
-          if (item) {
-            result.receipt.items.push(item);
-          }
-        }
-      } else if (inTable) {
-        inTable = false;
-      }
-      
-      // Check for items section
-      if (this.isItemsSection(line)) {
-        inItemsSection = true;
-        continue;
-      }
-      
-      if (inItemsSection && line.startsWith('*') && line.includes('**')) {
-        const item = this.parseListItem(line);
-        if (item) {
-          result.receipt.items.push(item);
-        }
-      } else if (inItemsSection && !line.startsWith('*')) {
-        inItemsSection = false;
-      }
-      
-      // Check for "Items Purchased" section (new format)
-      if (line.includes('Items Purchased') || line.includes('Items purchased')) {
-        inItemsPurchased = true;
-        continue;
-      }
-      
-      if (inItemsPurchased && line.startsWith('*') && line.includes('**')) {
-        const item = this.parseNewListItem(line, lines, i);
-        if (item) {
-          result.receipt.items.push(item);
-        }
-      } else if (inItemsPurchased && !line.startsWith('*') && !line.includes('\t') && !line.includes('+')) {
-        inItemsPurchased = false;
       }
+      providers.push(provider);
     }
+    return { providers, skipped };
   }
 
-  parseEDEKATableRow(line) {
-    try {
-      // Skip empty lines and header lines
-      if (!line || line.includes('---') || line.includes('Product') || line.includes('Quantity') || line.includes('Price')) {
-        return null;
-      }
-      
-      // EDEKA format: "Product Name | Quantity | Price | Total"
-      // But without | separators, it's more like: "Product Name    Quantity    Price    Total"
-      const parts = line.split(/\s{2,}/).filter(part => part.trim());
-      
-      if (parts.length >= 2) {
-        const productName = parts[0].trim();
-        const quantity = parts[1] ? parseInt(parts[1]) || 1 : 1;
-        const price = parts[2] ? this.parsePrice(parts[2]) : null;
-        
-        // Skip if it's not a product name
-        if (this.isNotAProduct(productName)) {
-          return null;
-        }
-        
-        return {
-          product_name: productName,
-          quantity: quantity,
-          unit_price: price ? price / quantity : null,
-          total_price: price || null,
-          category: null,
-          brand: this.extractBrand(productName),
-          item_code: this.generateItemCode(productName),
-          line_text: line,
-          matched: false
-        };
-      }
-    } catch (error) {
-      console.log('Error parsing EDEKA table row:', error);
-    }
-    return null;
+  /**
+   * One provider of a race, rejecting as soon as signal aborts. Adapters that support it
+   * (OCR.space, Azure) abort their request, the others finish unnoticed.
+   * @param {string} imagePath - Path to the uploaded image
+   * @param {string} provider - Single provider
+   * @param {string[]} steps - Preprocessing steps to run
+   * @param {AbortSignal} signal - Aborted on timeout and once the race is decided
+   * @returns {Promise<Object>} - Parsed receipt result
+   */
+  processCancellable(imagePath, provider, steps, signal) {
+    const cancelled = new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+    const run = this.processImage(imagePath, { provider, preprocessing: steps, signal }).then(result => {
+      // Llama OCR falls back to Tesseract on its own, which is running in the race already
+      if (result.processing_info.fallback_from) {
+        throw new Error(`fell back to ${result.ocr_data.provider}: ${result.processing_info.fallback_reason}`);
+      }
+      return result;
+    });
+    return Promise.race([run, cancelled]);
   }
 
-  parseTableRow(columns) {
-    try {
-      const [itemName, quantity, price] = columns;
-      
-      if (!itemName || itemName === 'Item' || itemName === '---') {
-        return null;
-      }
-      
-      const parsedQuantity = parseInt(quantity) || 1;
-      const parsedPrice = this.parsePrice(price);
-      
-      // Return item regardless of price - allow items without prices
-      return {
-        product_name: itemName,
-        quantity: parsedQuantity,
-        unit_price: parsedPrice ? parsedPrice / parsedQuantity : null,
-        total_price: parsedPrice || null,
-        category: null,
-        brand: this.extractBrand(itemName),
-        item_code: this.generateItemCode(itemName),
-        line_text: columns.join(' | '),
-        matched: false
-      };
-    } catch (error) {
-      console.log('Error parsing table row:', error);
-    }
-    return null;
+  isConfident(result) {
+    const confidence = result.ocr_data.confidence_score ?? null;
+    return confidence === null || confidence >= this.minConfidence;
   }
 
-  parseListItem(line) {
-    try {
-      // Remove markdown formatting
-      const cleanLine = line.replace(/^\*\s*/, '').replace(/\*\*/g, '');
-      
-      // Look for patterns like "**PRODUCT** quantity price" or "**PRODUCT** price"
-      const patterns = [
-        /\*\*(.+?)\*\*\s+(\d+)\s+([0-9,]+)/,
-        /\*\*(.+?)\*\*\s+([0-9,]+)/,
-        /\*\*(.+?)\*\*\s+(\d+)\s*[xX]\s*([0-9,]+)/
-      ];
-      
-      for (const pattern of patterns) {
-        const match = cleanLine.match(pattern);
-        if (match) {
-          const productName = match[1].trim();
-          const quantity = match[2] ? parseInt(match[2]) : 1;
-          const price = this.parsePrice(match[3] || match[2]);
-          
-          // Return item regardless of price - allow items without prices
-          return {
-            product_name: productName,
-            quantity: quantity,
-            unit_price: price ? price / quantity : null,
-            total_price: price || null,
-            category: null,
-            brand: this.extractBrand(productName),
-            item_code: this.generateItemCode(productName),
-            line_text: cleanLine,
-            matched: false
-          };
-        }
-      }
-    } catch (error) {
-      console.log('Error parsing list item:', error);
-    }
-    return null;
+  // Highest confidence, providers without one after those with one, earlier providers on ties
+  pickMostConfident(successes) {
+    const rank = success => success.result.ocr_data.confidence_score ?? -1;
+    return successes.reduce((best, candidate) => {
+      if (!best) return candidate;
+      if (rank(candidate) !== rank(best)) return rank(candidate) > rank(best) ? candidate : best;
+      return candidate.order < best.order ? candidate : best;
+    }, null);
   }
 
-  parseNewListItem(line, lines, currentIndex) {
+  /**
+   * Run image preprocessing, falling back to the original image if a step fails
+   * @param {Object} preprocessor - OCR service or ImagePreprocessor
+   * @param {string} imagePath - Path to the uploaded image
+   * @param {string[]} steps - Preprocessing steps to run
+   * @returns {Promise<Object>} - { imagePath, steps, cleanup }
+   */
+  async prepareImage(preprocessor, imagePath, steps) {
     try {
-      // Extract product name from line like "* **INGWER**"
-      const productMatch = line.match(/\*\s*\*\*([^*]+)\*\*/);
-      if (!productMatch) return null;
-      
-      const productName = productMatch[1].trim();
-      let quantity = 1;
-      let price = null;
-      
-      // Look at next few lines for quantity and price
-      for (let i = currentIndex + 1; i < Math.min(currentIndex + 10, lines.length); i++) {
-        const nextLine = lines[i].trim();
-        
-        // Skip empty lines
-        if (!nextLine) continue;
-        
-        // If we hit another product, stop
-        if (nextLine.startsWith('*') && nextLine.includes('**')) break;
-        
-        // Look for quantity patterns
-        const quantityMatch = nextLine.match(/Quantity:\s*(\d+)/i);
-        if (quantityMatch) {
-          quantity = parseInt(quantityMatch[1]);
-        }
-        
-        // Look for price patterns
-        const priceMatch = nextLine.match(/Price:\s*([0-9,\.]+)\s*EUR/i);
-        if (priceMatch) {
-          price = this.parsePrice(priceMatch[1]);
-        }
-        
-        // Look for price without EUR
-        const priceMatch2 = nextLine.match(/Price:\s*([0-9,\.]+)/i);
-        if (priceMatch2 && !price) {
-          price = this.parsePrice(priceMatch2[1]);
-        }
-        
-        // Look for weight
-        const weightMatch = nextLine.match(/Weight:\s*(\d+)\s*kg/i);
-        if (weightMatch) {
-          quantity = parseInt(weightMatch[1]);
-        }
-        
-        // Look for EUR / kg (no specific price)
-        if (nextLine.includes('EUR / kg') || nextLine.includes('EUR/kg')) {
-          price = null; // No specific price available
-        }
-      }
-      
-      // Return item regardless of price - allow items without prices
+      return preprocessor.preprocess
+        ? await preprocessor.preprocess(imagePath, { steps })
+        : await preprocessor.processToFile(imagePath, { steps });
+    } catch (error) {
+      console.warn('⚠️ Image preprocessing failed, using original image:', error.message);
       return {
-        product_name: productName,
-        quantity: quantity,
-        unit_price: price ? price / quantity : null,
-        total_price: price || null,
-        category: null,
-        brand: this.extractBrand(productName),
-        item_code: this.generateItemCode(productName),
-        line_text: line,
-        matched: false
+        imagePath,
+        steps: [{ step: 'error', params: { error: error.message } }],
+        cleanup: () => {}
       };
-    } catch (error) {
-      console.log('Error parsing new list item:', error);
     }
-    return null;
   }
 
-  extractLineData(lines, result) {
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      
-      if (!trimmedLine) continue;
-
-      // Extract metadata
-      this.extractMetadata(trimmedLine, result.receipt.metadata);
-
-      // Extract store information
-      this.extractStoreInfo(trimmedLine, result.receipt.store);
-
-      // Extract totals
-      this.extractTotals(trimmedLine, result.receipt.totals);
-
-      // Extract payment information
-      this.extractPaymentInfo(trimmedLine, result.receipt.payment);
-
-      // Extract cashier information
-      this.extractCashierInfo(trimmedLine, result.receipt.cashier_info);
+  /**
+   * Run the fallback providers in order in place of a failed provider
+   * @param {string} imagePath - Path to the uploaded image
+   * @param {string} reason - Why the provider was not used
+   * @param {string[]} steps - Preprocessing steps to run
+   * @param {string} failedProvider - Provider being replaced
+   * @param {Function} onProgress - Optional progress callback, see processImage()
+   * @returns {Promise<Object>} - Parsed receipt result of the first fallback that succeeds
+   */
+  async processWithFallback(imagePath, reason, steps = this.preprocessingSteps, failedProvider = 'llama', onProgress = null) {
+    const candidates = this.fallbackOrder.filter(provider => provider !== failedProvider);
+    if (candidates.length === 0) {
+      throw new Error(`${failedProvider} OCR failed and no fallback provider is configured: ${reason}`);
+    }
+
+    let lastError;
+    for (const provider of candidates) {
+      try {
+        const result = provider === 'llama'
+          ? await this.processWithLlamaOCR(imagePath, { fixtureId: this.fixtureId(imagePath), onProgress })
+          : await this.processWithProvider(imagePath, provider, steps, onProgress);
+        result.processing_info.fallback_from = failedProvider;
+        result.processing_info.fallback_reason = reason;
+        return result;
+      } catch (error) {
+        console.log(`❌ Fallback provider ${provider} failed: ${error.message}`);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
 
-      // Extract fiscal information
-      this.extractFiscalInfo(trimmedLine, result.receipt.fiscal_info);
+  /**
+   * Credentials of a factory provider: set at runtime, otherwise from the environment
+   * @param {string} provider - Factory service name
+   * @returns {Object} - Credentials (empty if none are configured)
+   */
+  getProviderCredentials(provider) {
+    return this.providerCredentials[provider] || this.factory.getCredentialsFromEnv(provider);
+  }
 
-      // Extract loyalty information
-      this.extractLoyaltyInfo(trimmedLine, result.receipt.loyalty);
+  /**
+   * Replace a provider's credentials without a restart
+   * @param {string} provider - 'llama' or a factory service name
+   * @param {Object|null} credentials - New credentials, null to go back to the environment
+   */
+  setProviderCredentials(provider, credentials) {
+    if (provider === 'llama') {
+      this.apiKey = credentials?.apiKey || process.env.TOGETHER_API_KEY;
+      return;
+    }
 
-      // Extract item line (only if not already found in structured data)
-      if (result.receipt.items.length === 0) {
-        const itemMatch = this.extractItem(trimmedLine);
-        if (itemMatch) {
-          result.receipt.items.push(itemMatch);
-        }
-      }
+    if (credentials) {
+      this.providerCredentials[provider] = credentials;
+    } else {
+      delete this.providerCredentials[provider];
     }
+    // Recreated with the new credentials on next use
+    delete this.providerServices[provider];
   }
 
-  extractMetadata(line, metadata) {
-    // Extract date
-    if (!metadata.date) {
-      const dateMatch = this.extractDate(line);
-      if (dateMatch) {
-        metadata.date = dateMatch;
-      }
+  /**
+   * Credentials format of a provider, Llama OCR included
+   * @param {string} provider - Provider name
+   * @returns {Object} - Credentials template
+   */
+  getCredentialsTemplate(provider) {
+    if (provider === 'llama') {
+      return {
+        type: 'api-key',
+        required: ['apiKey'],
+        optional: [],
+        description: 'Together AI API key',
+        example: { apiKey: 'your-together-api-key' }
+      };
     }
+    return this.factory.getCredentialsTemplate(provider);
+  }
 
-    // Extract time
-    if (!metadata.time) {
-      const timeMatch = line.match(/(\d{2}:\d{2})/);
-      if (timeMatch) {
-        metadata.time = timeMatch[1];
-      }
-    }
+  /**
+   * Providers that can be a default or fallback provider (ensemble and mock can't fall back)
+   * @returns {string[]} - Provider names
+   */
+  getSingleProviders() {
+    return this.getAvailableProviders().filter(name => name !== 'ensemble' && name !== 'mock');
   }
 
-  extractStoreInfo(line, store) {
-    // Extract store name - clean up the format
-    if (!store.name) {
-      // Look for store name patterns and clean them up
-      const storePatterns = [
-        { pattern: /EDEKA/i, name: 'EDEKA', chain: 'EDEKA' },
-        { pattern: /Kaufland/i, name: 'Kaufland', chain: 'Kaufland' },
-        { pattern: /dm-drogerie/i, name: 'dm-drogerie markt', chain: 'dm-drogerie' },
-        { pattern: /real-/i, name: 'real', chain: 'real' },
-        { pattern: /Kaisers Tengelmann/i, name: 'Kaisers Tengelmann', chain: 'Kaisers' },
-        { pattern: /Rewe/i, name: 'REWE', chain: 'REWE' },
-        { pattern: /Lidl/i, name: 'Lidl', chain: 'Lidl' },
-        { pattern: /Aldi/i, name: 'Aldi', chain: 'Aldi' }
-      ];
-      
-      for (const storePattern of storePatterns) {
-        if (line.match(storePattern.pattern)) {
-          // Clean up the store name - remove markdown formatting and extra text
-          let cleanName = line.replace(/\*\*/g, '').replace(/^\*\s*/, '').trim();
-          
-          // Remove common prefixes/suffixes
-          cleanName = cleanName.replace(/^\*?\s*Store Name:\s*/i, '');
-          cleanName = cleanName.replace(/^\*?\s*Name:\s*/i, '');
-          cleanName = cleanName.replace(/^\*?\s*Company Name:\s*/i, '');
-          
-          // If the line contains the store name, extract just the store name
-          if (cleanName.includes(storePattern.name)) {
-            store.name = storePattern.name;
-            store.store_chain = storePattern.chain;
-            break;
-          }
-        }
-      }
-    }
-    
-    // Extract address
-    if (!store.address) {
-      if (line.match(/\d{5}\s+[A-Za-zäöüß\s-]+$/)) {
-        store.address = line.trim();
-      }
-    }
-    
-    // Extract phone
-    if (!store.phone) {
-      if (line.match(/tel[.:]\s*\d+[\/\s-]?\d+/i)) {
-        store.phone = line.trim();
-      }
+  /**
+   * Change the provider used when a request names none
+   * @param {string} provider - Provider name
+   */
+  setDefaultProvider(provider) {
+    if (!this.getAvailableProviders().includes(provider)) {
+      throw new Error(`Unknown OCR provider: ${provider}. Available: ${this.getAvailableProviders().join(', ')}`);
     }
+    this.defaultProvider = provider;
+  }
 
-    // Extract tax ID
-    if (!store.tax_id) {
-      if (line.match(/steuer-nr[.:]\s*(\d+\/\d+)/i)) {
-        store.tax_id = line.match(/steuer-nr[.:]\s*(\d+\/\d+)/i)[1];
-      }
+  /**
+   * Change the providers tried when Llama OCR or the default provider fails
+   * @param {string[]} providers - Provider names in order
+   */
+  setFallbackOrder(providers) {
+    const unknown = providers.filter(name => !this.getSingleProviders().includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid fallback provider: ${unknown.join(', ')}. Available: ${this.getSingleProviders().join(', ')}`);
     }
+    this.fallbackOrder = [...new Set(providers)];
   }
 
-  extractTotals(line, totals) {
-    // Extract total amount
-    if (!totals.total_amount) {
-      const totalMatch = this.extractTotal(line);
-      if (totalMatch) {
-        totals.total_amount = totalMatch;
-      }
-    }
+  /**
+   * Check that a provider is reachable, with its configured or the given credentials
+   * @param {string} provider - Provider name
+   * @param {Object|null} credentials - Credentials to test instead of the configured ones
+   * @returns {Promise<Object>} - { provider, success, error, latency_ms }
+   */
+  async testProvider(provider, credentials = null) {
+    const startTime = Date.now();
+    let outcome;
 
-    // Extract VAT
-    if (!totals.vat_amount) {
-      const vatMatch = line.match(/mwst[:\s]*([0-9,]+)/i);
-      if (vatMatch) {
-        totals.vat_amount = this.parsePrice(vatMatch[1]);
+    try {
+      if (provider === 'mock') {
+        outcome = { success: true };
+      } else if (provider === 'llama') {
+        outcome = await this.testLlamaConnection(credentials?.apiKey || this.apiKey);
+      } else if (this.factory.getServiceInfo(provider)) {
+        // A fresh, unrecorded instance, so cached clients and replayed fixtures don't hide a broken key
+        const config = { ...this.factory.getRecommendedConfig(provider), fixtures: 'off' };
+        const service = await this.factory.createService(provider, config, credentials || this.getProviderCredentials(provider));
+        outcome = await service.testConnection();
+      } else {
+        throw new Error(`${provider} can't be tested, test its providers one by one`);
       }
+    } catch (error) {
+      outcome = { success: false, error: error.message };
     }
 
-    // Extract subtotal
-    if (!totals.subtotal) {
-      const subtotalMatch = line.match(/netto[:\s]*([0-9,]+)/i);
-      if (subtotalMatch) {
-        totals.subtotal = this.parsePrice(subtotalMatch[1]);
-      }
-    }
+    return {
+      provider,
+      success: outcome.success,
+      error: outcome.success ? null : outcome.error || 'Connection test failed',
+      latency_ms: Date.now() - startTime
+    };
   }
 
-  extractPaymentInfo(line, payment) {
-    // Extract payment method
-    if (!payment.method) {
-      if (line.match(/visa|ec|bar|kartenzahlung/i)) {
-        payment.method = line.trim();
-        if (line.includes('VISA')) {
-          payment.card_type = 'VISA';
-        } else if (line.includes('EC')) {
-          payment.card_type = 'EC';
-        }
-      }
+  /**
+   * Check a Together AI key by listing the models, without running OCR
+   * @param {string} apiKey - Together AI API key
+   * @returns {Promise<Object>} - { success, error }
+   */
+  async testLlamaConnection(apiKey) {
+    if (!apiKey) {
+      return { success: false, error: 'TOGETHER_API_KEY not set' };
     }
 
-    // Extract amount paid
-    if (!payment.amount_paid) {
-      const paidMatch = line.match(/([0-9,]+)\s*[€€]\s*$/);
-      if (paidMatch) {
-        payment.amount_paid = this.parsePrice(paidMatch[1]);
-      }
+    const baseUrl = (process.env.TOGETHER_BASE_URL || 'https://api.together.xyz/v1').replace(/\/$/, '');
+    try {
+      await axios.get(`${baseUrl}/models`, {
+        timeout: 10000,
+        headers: { Authorization: `Bearer ${apiKey}` }
+      });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.error?.message || error.message };
     }
   }
 
-  extractCashierInfo(line, cashier) {
-    // Extract start time
-    if (!cashier.start_time) {
-      const startMatch = line.match(/start[:\s]*(\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2})/i);
-      if (startMatch) {
-        cashier.start_time = startMatch[1];
-      }
+  /**
+   * Get (and cache) an initialized factory service for a provider
+   * @param {string} provider - Factory service name
+   * @returns {Promise<Object>} - OCR service instance
+   */
+  async getProviderService(provider) {
+    if (!this.providerServices[provider]) {
+      const config = this.factory.getRecommendedConfig(provider);
+      const credentials = this.getProviderCredentials(provider);
+      this.providerServices[provider] = await this.factory.createService(provider, config, credentials);
     }
 
-    // Extract end time
-    if (!cashier.end_time) {
-      const endMatch = line.match(/ende[:\s]*(\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2})/i);
-      if (endMatch) {
-        cashier.end_time = endMatch[1];
-      }
-    }
+    return this.providerServices[provider];
+  }
 
-    // Extract cashier number
-    if (!cashier.cashier_number) {
-      const cashierMatch = line.match(/sn-kasse[:\s]*([A-Z0-9]+)/i);
-      if (cashierMatch) {
-        cashier.cashier_number = cashierMatch[1];
-      }
-    }
+  /**
+   * Run a factory OCR provider and feed its text through the markdown parser
+   * @param {string} imagePath - Path to the uploaded image
+   * @param {string} provider - Factory service name
+   * @param {string[]} steps - Preprocessing steps to run
+   * @param {Function} onProgress - Optional progress callback, see processImage()
+   * @param {AbortSignal} signal - Optional signal cancelling the request (race strategy)
+   * @returns {Promise<Object>} - Parsed receipt result
+   */
+  async processWithProvider(imagePath, provider, steps = this.preprocessingSteps, onProgress = null, signal = null) {
+    console.log(`🔍 Processing with OCR provider: ${provider}`);
+
+    const service = await this.getProviderService(provider);
+    onProgress?.({ stage: 'preprocessing' });
+    const prepared = await this.prepareImage(service, imagePath, steps);
+    const startTime = Date.now();
+
+    let ocrResult;
+    try {
+      onProgress?.({ stage: 'ocr', progress: 0 });
+      ocrResult = await this.withBudget(provider, service, () =>
+        service.processImage(prepared.imagePath, {
+          fixtureId: this.fixtureId(imagePath),
+          signal,
+          // Adapters that report progress (Tesseract) call this with 0-1
+          onProgress: onProgress ? progress => onProgress({ stage: 'ocr', progress }) : undefined
+        })
+      );
+    } finally {
+      prepared.cleanup();
+    }
+
+    if (!ocrResult.text) {
+      throw new Error(`${provider} OCR failed: ${ocrResult.error || 'No text detected'}`);
+    }
+
+    const markdown = service.convertToMarkdown(ocrResult);
+    console.log('✅ OCR completed');
+    console.log('📄 Text length:', markdown ? markdown.length : 0, 'chars');
+
+    onProgress?.({ stage: 'parsing' });
+    const result = this.parseMarkdown(markdown, { provider });
+    result.ocr_data.confidence_score = ocrResult.confidence;
+    result.ocr_data.processing_time = Date.now() - startTime;
+    result.processing_info.ocr_model = ocrResult.processing_info?.model ||
+      ocrResult.processing_info?.service || provider;
+    result.processing_info.preprocessing = prepared.steps;
 
-    // Extract terminal number
-    if (!cashier.terminal_number) {
-      const terminalMatch = line.match(/ta-nummer[:\s]*(\d+)/i);
-      if (terminalMatch) {
-        cashier.terminal_number = terminalMatch[1];
-      }
-    }
+    return result;
   }
 
-  extractFiscalInfo(line, fiscal) {
-    // Extract TSE signature
-    if (!fiscal.tse_signature) {
-      const tseMatch = line.match(/sn-tse[:\s]*([a-f0-9]+)/i);
-      if (tseMatch) {
-        fiscal.tse_signature = tseMatch[1];
-      }
-    }
-
-    // Extract signature counter
-    if (!fiscal.signature_counter) {
-      const counterMatch = line.match(/signaturzähler[:\s]*(\d+)/i);
-      if (counterMatch) {
-        fiscal.signature_counter = counterMatch[1];
-      }
+  /**
+   * Run a provider call within the provider's daily budget and count it
+   * @param {string} provider - Provider name
+   * @param {Object|null} service - OCR adapter, for its pricing (null for Llama OCR)
+   * @param {Function} call - async () => provider result
+   * @returns {Promise<*>} - Result of call()
+   */
+  async withBudget(provider, service, call) {
+    // Replayed recordings don't reach the provider
+    if (!this.budget || service?.recorder?.isReplay) {
+      return await call();
     }
 
-    // Extract signature
-    if (!fiscal.signature) {
-      const sigMatch = line.match(/signatur[:\s]*([A-Z0-9\/]+)/i);
-      if (sigMatch) {
-        fiscal.signature = sigMatch[1];
-      }
+    const reservation = await this.budget.reserve(provider, service);
+    try {
+      return await call();
+    } catch (error) {
+      await this.budget.recordFailure(reservation);
+      throw error;
     }
   }
 
-  extractLoyaltyInfo(line, loyalty) {
-    // Extract PAYBACK points
-    if (!loyalty.points_earned) {
-      const pointsMatch = line.match(/(\d+)\s+payback\s+punkte/i);
-      if (pointsMatch) {
-        loyalty.points_earned = parseInt(pointsMatch[1]);
-        loyalty.program = 'PAYBACK';
-      }
-    }
+  /**
+   * Recording name for an image, taken from the original rather than the preprocessed file
+   * @param {string} imagePath - Path to the uploaded image
+   * @returns {string} - File name without extension
+   */
+  fixtureId(imagePath) {
+    return path.basename(imagePath, path.extname(imagePath));
   }
 
-  extractPatternData(markdown, result) {
-    // Extract total from various patterns
-    if (!result.receipt.totals.total_amount) {
-      const totalPatterns = [
-        /summe\s*[€€]?\s*([0-9]+[.,]?[0-9]*)/i,
-        /total\s*[€€]?\s*([0-9]+[.,]?[0-9]*)/i,
-        /gesamt\s*[€€]?\s*([0-9]+[.,]?[0-9]*)/i,
-        /[€€]\s*([0-9]+[.,]?[0-9]*)\s*$/im,
-        /([0-9]+[.,]?[0-9]*)\s*[€€]\s*$/im
-      ];
-      
-      for (const pattern of totalPatterns) {
-        const match = markdown.match(pattern);
-        if (match) {
-          const amount = this.parsePrice(match[1]);
-          if (amount && amount > 0) {
-            result.receipt.totals.total_amount = amount;
-            break;
-          }
-        }
-      }
-    }
+  async processWithLlamaOCR(imagePath, options = {}) {
+    options.onProgress?.({ stage: 'ocr', progress: 0 });
 
-    // Extract date from various patterns
-    if (!result.receipt.metadata.date) {
-      const datePatterns = [
-        /(\d{4}-\d{2}-\d{2})/,
-        /(\d{2}\.\d{2}\.\d{4})/,
-        /(\d{2}\/\d{2}\/\d{4})/,
-        /dat\.\s*(\d{2}\.\d{2}\.\d{4})/i,
-        /date:\s*(\d{2}\.\d{2}\.\d{4})/i
-      ];
-      
-      for (const pattern of datePatterns) {
-        const match = markdown.match(pattern);
-        if (match) {
-          result.receipt.metadata.date = match[1];
-          break;
-        }
-      }
+    if (this.llamaRecorder) {
+      const recorded = await this.llamaRecorder.run(imagePath, options, async () => ({
+        text: await this.withBudget('llama', null, () => this.callLlamaOCR(imagePath)),
+        confidence: null,
+        processing_info: { service: 'Llama OCR', model: 'Llama-3.2-11B-Vision' }
+      }));
+      // Llama OCR answers with markdown, which is what gets recorded as text
+      options.onProgress?.({ stage: 'parsing' });
+      return this.parseMarkdown(recorded.text);
     }
+
+    const markdown = await this.withBudget('llama', null, () => this.callLlamaOCR(imagePath));
+    options.onProgress?.({ stage: 'parsing' });
+    return this.parseMarkdown(markdown);
   }
 
-  extractTotal(line) {
-    const totalPatterns = [
-      /total[:\s]*[€€]?\s*([0-9]+[.,]?[0-9]*)/i,
-      /summe[:\s]*[€€]?\s*([0-9]+[.,]?[0-9]*)/i,
-      /gesamt[:\s]*[€€]?\s*([0-9]+[.,]?[0-9]*)/i,
-      /[€€]\s*([0-9]+[.,]?[0-9]*)\s*$/i,
-      /([0-9]+[.,]?[0-9]*)\s*[€€]\s*$/i
-    ];
-
-    for (const pattern of totalPatterns) {
-      const match = line.match(pattern);
-      if (match) {
-        const amount = this.parsePrice(match[1]);
-        if (amount && amount > 0) {
-          return amount;
-        }
+  async callLlamaOCR(imagePath) {
+    try {
+      console.log('🔍 Processing with Llama OCR...');
+      console.log('📁 Image:', path.basename(imagePath));
+
+      // Check if file exists and get file info
+      if (fs.existsSync(imagePath)) {
+        const stats = fs.statSync(imagePath);
+        console.log('📊 Size:', Math.round(stats.size / 1024), 'KB');
+      } else {
+        console.error('❌ Image file does not exist:', imagePath);
+        throw new Error('Image file not found');
       }
-    }
 
-    return null;
-  }
+      // Process with Llama OCR using the file path directly
+      const markdown = await ocr({
+        filePath: imagePath,
+        apiKey: this.apiKey,
+        model: 'Llama-3.2-11B-Vision', // Use 11B Vision model for better results
+        prompt: `Please extract the receipt information and format it consistently as markdown with the following structure:
 
-  extractDate(line) {
-    const datePatterns = [
-      /(\d{4}-\d{2}-\d{2})/,
-      /(\d{2}\.\d{2}\.\d{4})/,
-      /(\d{2}\/\d{2}\/\d{4})/,
-      /dat\.\s*(\d{2}\.\d{2}\.\d{4})/i,
-      /date:\s*(\d{2}\.\d{2}\.\d{4})/i
-    ];
-
-    for (const pattern of datePatterns) {
-      const match = line.match(pattern);
-      if (match) {
-        return match[1];
-      }
-    }
+# Receipt
 
-    return null;
-  }
+## Store Information
+* **Store Name:** [store name]
+* **Address:** [address]
+* **Phone:** [phone number]
+* **Website:** [website if available]
 
-  extractItem(line) {
-    if (this.isHeaderOrTotal(line)) {
-      return null;
-    }
-
-    const itemPatterns = [
-      /(.+?)\s+(\d+)x?\s*[€€]\s*([0-9]+[.,]?[0-9]*)/i,
-      /(.+?)\s+[€€]\s*([0-9]+[.,]?[0-9]*)/i,
-      /(.+?)\s+([0-9]+[.,]?[0-9]*)\s*[€€]/i
-    ];
-
-    for (const pattern of itemPatterns) {
-      const match = line.match(pattern);
-      if (match) {
-        const productName = match[1].trim();
-        const quantity = match[2] ? parseInt(match[2]) : 1;
-        const price = this.parsePrice(match[3] ? match[3] : match[2]);
-        
-        if (productName && price && price > 0) {
-          return {
-            product_name: productName,
-            quantity: quantity,
-            unit_price: price / quantity,
-            total_price: price,
-            category: null,
-            brand: this.extractBrand(productName),
-            item_code: this.generateItemCode(productName),
-            line_text: line,
-            matched: false
-          };
-        }
-      }
-    }
+## Items Purchased
+| Product | Quantity | Price |
+| --- | --- | --- |
+[list all items in table format]
 
-    return null;
-  }
+## Total
+* **Total Amount:** [total]
+* **Payment Method:** [payment method]
 
-  parsePrice(priceStr) {
-    if (!priceStr) return null;
-    
-    // Remove currency symbols and spaces
-    const cleanPrice = priceStr.replace(/[€€\s]/g, '').replace(',', '.');
-    const price = parseFloat(cleanPrice);
-    
-    return isNaN(price) ? null : price;
-  }
+## Additional Information
+* **Date:** [date]
+* **Time:** [time]
+* **Tax:** [tax information if available]
 
-  extractBrand(productName) {
-    // Simple brand extraction - look for common brand patterns
-    const brandPatterns = [
-      /^([A-Z]{2,4})\s/, // FF 3J, Odo1, etc.
-      /^([A-Za-z]+)\s/, // Milka, Ricola, etc.
-    ];
-    
-    for (const pattern of brandPatterns) {
-      const match = productName.match(pattern);
-      if (match) {
-        return match[1];
-      }
+Please ensure all items are listed in the table format above, even if some prices are missing.`
+      });
+
+      console.log('✅ OCR completed');
+      console.log('📄 Text length:', markdown ? markdown.length : 0, 'chars');
+      
+      return markdown;
+    } catch (error) {
+      console.error('❌ OCR failed:', error.message);
+      throw error;
     }
-    
-    return null;
   }
 
-  generateItemCode(productName) {
-    // Generate a simple item code based on product name
-    const cleanName = productName.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
-    const code = cleanName.substring(0, 8) + Math.random().toString(36).substring(2, 6).toUpperCase();
-    return code;
-  }
+  processWithMockOCR() {
+    const mockMarkdown = `# Receipt
 
-  isItemsSection(line) {
-    const itemsKeywords = ['purchase items', 'items', 'artikel', 'produkte', 'waren'];
-    const lowerLine = line.toLowerCase();
-    
-    return itemsKeywords.some(keyword => lowerLine.includes(keyword));
-  }
+Vollmilch 3.5% 2x €3.50
+Vollkornbrot 1x €2.80
+Bio Äpfel 1kg €4.20
+Tomaten 500g €2.50
 
-  isHeaderOrTotal(line) {
-    const headerKeywords = ['total', 'summe', 'gesamt', 'kasse', 'kassierer', 'bon', 'receipt', 'datum', 'date', 'payment', 'steuer', 'mwst'];
-    const lowerLine = line.toLowerCase();
-    
-    return headerKeywords.some(keyword => lowerLine.includes(keyword));
-  }
+Total: €13.00
+Date: 2024-01-15`;
 
-  // New fallback method for extracting items when structured parsing fails
-  extractItemsFallback(markdown, result) {
-    console.log('🔍 Using fallback item extraction...');
-    
-    // Look for any line that might contain product information
-    const lines = markdown.split('\n');
-    const potentialItems = [];
-    
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      
-      // Skip headers, totals, and empty lines
-      if (!trimmedLine || this.isHeaderOrTotal(trimmedLine)) continue;
-      
-      // Look for patterns that might be items
-      const itemPatterns = [
-        // Pattern: "PRODUCT quantity price"
-        /^([A-ZÄÖÜß\s\-\.]+)\s+(\d+)\s+([0-9,\.]+)/i,
-        // Pattern: "PRODUCT price"
-        /^([A-ZÄÖÜß\s\-\.]+)\s+([0-9,\.]+)/i,
-        // Pattern: "PRODUCT" (just the name)
-        /^([A-ZÄÖÜß\s\-\.]{3,})$/i
-      ];
-      
-      for (const pattern of itemPatterns) {
-        const match = trimmedLine.match(pattern);
-        if (match) {
-          const productName = match[1].trim();
-          
-          // Skip if it's clearly not a product
-          if (this.isNotAProduct(productName)) continue;
-          
-          const quantity = match[2] ? parseInt(match[2]) : 1;
-          const price = match[3] ? this.parsePrice(match[3]) : null;
-          
-          potentialItems.push({
-            product_name: productName,
-            quantity: quantity,
-            unit_price: price ? price / quantity : null,
-            total_price: price || null,
-            category: null,
-            brand: this.extractBrand(productName),
-            item_code: this.generateItemCode(productName),
-            line_text: trimmedLine,
-            matched: false
-          });
-          
-          break; // Found a match, move to next line
-        }
-      }
-    }
-    
-    // Add unique items (avoid duplicates)
-    const seenNames = new Set();
-    for (const item of potentialItems) {
-      if (!seenNames.has(item.product_name.toLowerCase())) {
-        result.receipt.items.push(item);
-        seenNames.add(item.product_name.toLowerCase());
-      }
-    }
-    
-    console.log(`✅ Fallback extraction found ${result.receipt.items.length} items`);
+    console.log('✅ Mock OCR processing completed');
+    const result = this.parseMarkdown(mockMarkdown, { provider: 'mock' });
+    result.processing_info.ocr_model = 'mock';
+    return result;
   }
 
-  // Helper method to identify lines that are clearly not products
-  isNotAProduct(text) {
-    const notProducts = [
-      'total', 'summe', 'sum', 'payment', 'cash', 'card', 'change', 'rueckgeld',
-      'tax', 'vat', 'mwst', 'discount', 'date', 'time', 'store', 'address',
-      'phone', 'website', 'thank', 'danke', 'receipt', 'bon', 'kas', 'terminal',
-      'steuer', 'fiscal', 'loyalty', 'treue', 'points', 'eur', 'euro', 'amount',
-      'method', 'eft', 'credit', 'debit', 'change', 'cashier', 'register'
-    ];
-    
-    const lowerText = text.toLowerCase();
-    return notProducts.some(term => lowerText.includes(term));
+  /**
+   * Parse OCR markdown into a receipt with the parser plugin matching its chain
+   * @param {string} markdown - OCR output as markdown
+   * @param {Object} options - { provider, parser } (parser forces a plugin by name)
+   * @returns {Object} - { receipt, ocr_data, processing_info }
+   */
+  parseMarkdown(markdown, options = {}) {
+    return this.parsers.parse(markdown, options);
   }
 }
 
+OCRService.STRATEGIES = STRATEGIES;
+
 module.exports = OCRService; 
\ No newline at end of file
@@ -14,7 +14,21 @@ class OCRSpaceService extends OCRServiceInterface {
     });
     
     this.apiKey = null;
-    this.baseUrl = 'https://api.ocr.space/parse/image';
+    // OCRSPACE_BASE_URL points the adapter at a stand-in server (npm run fake-ocr)
+    this.baseUrl = this.config.baseUrl || process.env.OCRSPACE_BASE_URL || 'https://api.ocr.space/parse/image';
+  }
+
+  /**
+   * Error message of a failed OCR.space response
+   * @param {Object|string} data - Response body (JSON, or plain text for auth and rate-limit errors)
+   * @returns {string|null} - Error message
+   */
+  getErrorMessage(data) {
+    if (!data) return null;
+    if (typeof data === 'string') return data.trim() || null;
+
+    const message = Array.isArray(data.ErrorMessage) ? data.ErrorMessage.join('; ') : data.ErrorMessage;
+    return message || null;
   }
 
   /**
@@ -59,24 +73,27 @@ class OCRSpaceService extends OCRServiceInterface {
       const response = await axios.post(this.baseUrl, {
         apikey: this.apiKey,
         language: this.config.language,
-        filetype: 'jpg',
-        image: testImageBuffer.toString('base64'),
+        filetype: 'png',
+        base64Image: `data:image/png;base64,${testImageBuffer.toString('base64')}`,
         OCREngine: 2, // OCR Engine 2 for better accuracy
         isOverlayRequired: false
       }, {
-        timeout: 10000
+        timeout: 10000,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
       });
 
       if (response.data && response.data.ParsedResults) {
         return { success: true };
       } else {
-        return { success: false, error: 'Invalid response format' };
+        return { success: false, error: this.getErrorMessage(response.data) || 'Invalid response format' };
       }
 
     } catch (error) {
       return { 
         success: false, 
-        error: error.response?.data?.ErrorMessage || error.message 
+        error: this.getErrorMessage(error.response?.data) || error.message 
       };
     }
   }
@@ -118,11 +135,13 @@ class OCRSpaceService extends OCRServiceInterface {
       }
 
       // Prepare request data
+      const fileType = path.extname(fileName).substring(1).toLowerCase() || 'jpg';
+      const mimeType = fileType === 'jpg' ? 'image/jpeg' : `image/${fileType}`;
       const requestData = {
         apikey: this.apiKey,
         language: options.language || this.config.language,
-        filetype: path.extname(fileName).substring(1) || 'jpg',
-        image: imageBuffer.toString('base64'),
+        filetype: fileType,
+        base64Image: `data:${mimeType};base64,${imageBuffer.toString('base64')}`,
         OCREngine: options.ocrEngine || 2, // OCR Engine 2 for better accuracy
         isOverlayRequired: false,
         scale: options.scale || true,
@@ -132,6 +151,7 @@ class OCRSpaceService extends OCRServiceInterface {
       // Make API request
       const response = await axios.post(this.baseUrl, requestData, {
         timeout: options.timeout || this.config.timeout,
+        signal: options.signal, // AbortSignal from a race (MultiOCRService, OCRService) cancels slow requests
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
         }
@@ -149,8 +169,9 @@ class OCRSpaceService extends OCRServiceInterface {
     } catch (error) {
       console.error('❌ OCR.space processing error:', error.message);
       
-      if (error.response?.data?.ErrorMessage) {
-        throw new Error(`OCR.space API error: ${error.response.data.ErrorMessage}`);
+      const apiError = this.getErrorMessage(error.response?.data);
+      if (apiError) {
+        throw new Error(`OCR.space API error (${error.response.status}): ${apiError}`);
       }
       
       throw error;
@@ -164,7 +185,8 @@ class OCRSpaceService extends OCRServiceInterface {
    * @returns {OCRResult} - Standardized OCR result
    */
   parseResponse(apiResponse, fileName) {
-    if (!apiResponse || !apiResponse.ParsedResults || apiResponse.ParsedResults.length === 0) {
+    if (!apiResponse || apiResponse.IsErroredOnProcessing ||
+        !apiResponse.ParsedResults || apiResponse.ParsedResults.length === 0) {
       return {
         text: '',
         confidence: 0,
@@ -175,7 +197,7 @@ class OCRSpaceService extends OCRServiceInterface {
           fileName: fileName
         },
         raw_result: apiResponse,
-        error: apiResponse?.ErrorMessage || 'No text detected'
+        error: this.getErrorMessage(apiResponse) || 'No text detected'
       };
     }
 
@@ -186,7 +208,8 @@ class OCRSpaceService extends OCRServiceInterface {
 
     for (const parsedResult of apiResponse.ParsedResults) {
       if (parsedResult.ParsedText) {
-        fullText += parsedResult.ParsedText + '\n';
+        // OCR.space separates lines with \r\n
+        fullText += parsedResult.ParsedText.replace(/\r\n?/g, '\n') + '\n';
       }
       
       if (parsedResult.TextOverlay && parsedResult.TextOverlay.Lines) {
@@ -264,7 +287,7 @@ class OCRSpaceService extends OCRServiceInterface {
    */
   async getUsageStats() {
     try {
-      const response = await axios.get('https://api.ocr.space/usage', {
+      const response = await axios.get(new URL('/usage', this.baseUrl).toString(), {
         params: { apikey: this.apiKey },
         timeout: 10000
       });
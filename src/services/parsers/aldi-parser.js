@@ -0,0 +1,24 @@
+const ChainParser = require('./chain-parser');
+
+/**
+ * Aldi (Nord and Süd)
+ *
+ * Prices end in tax code A or B, multiples are printed on the line under
+ * the item as "2 x 0,59", and the total is "Summe".
+ */
+
+class AldiParser extends ChainParser {
+  constructor() {
+    super({
+      name: 'aldi',
+      storeName: 'Aldi',
+      storeChain: 'Aldi',
+      headerPatterns: [/\bALDI\b/i],
+      taxCodes: '[AB]',
+      totalPatterns: [/\bSumme\s+(?:EUR\s+)?(-?\d+[.,]\d{2})/i],
+      quantityLinePatterns: [/^(?<quantity>\d+)\s*x\s*(?<unitPrice>\d+[.,]\d{2})$/i]
+    });
+  }
+}
+
+module.exports = AldiParser;
@@ -0,0 +1,217 @@
+const GenericParser = require('./generic-parser');
+
+/**
+ * Chain Parser
+ *
+ * Base of the chain plugins. A chain is described by the store name in its
+ * header, its tax IDs and the tax codes it prints after prices (A/B at most
+ * supermarkets, digits at dm). detect() scores a receipt on those signals.
+ * Parsing runs the generic steps, then strips tax codes from prices, reads
+ * quantities in the chain's notation, and takes total and payment from the
+ * chain's own labels.
+ */
+
+// "1 = 19,00 % 8,10 6,81" or "A 19,0 % ..." rows of the VAT summary are not items
+const VAT_SUMMARY_PATTERN = /^[A-D1-4]\s*=?\s*\d{1,2}[.,]\d{1,2}\s*%/;
+
+const PAYMENT_PATTERNS = [
+  { pattern: /\bvisa\b/i, method: 'card', cardType: 'VISA' },
+  { pattern: /mastercard/i, method: 'card', cardType: 'Mastercard' },
+  { pattern: /girocard|ec[- ]?cash|\bec[- ]karte/i, method: 'card', cardType: 'girocard' },
+  { pattern: /kartenzahlung|\bkarte\b/i, method: 'card', cardType: null },
+  { pattern: /^bar\b|\bbar\s+(?:eur|€)/i, method: 'cash', cardType: null }
+];
+
+class ChainParser extends GenericParser {
+  /**
+   * @param {Object} chain - Chain description:
+   *   name, version - Plugin name and version, recorded as processing_info.parser_version
+   *   storeName, storeChain - Store fields set on detected receipts
+   *   headerPatterns - Store name as printed in the header
+   *   taxIds - Tax numbers (Steuer-Nr., USt-IdNr.) printed on the chain's receipts
+   *   taxCodes - Regex source of the tax code after a price, e.g. '[AB]W?'
+   *   totalPatterns - Total line, amount in group 1
+   *   quantityPatterns - Item names carrying a multiple, groups name, quantity and unitPrice
+   *   quantityLinePatterns - Lines under an item carrying its multiple, groups quantity and unitPrice
+   */
+  constructor(chain) {
+    super();
+    this.chain = {
+      version: '1.0.0',
+      taxIds: [],
+      totalPatterns: [],
+      quantityPatterns: [],
+      quantityLinePatterns: [],
+      headerLines: 15, // The store name counts most within the first lines
+      ...chain
+    };
+    this.name = this.chain.name;
+    this.version = this.chain.version;
+    this.taxCodeSuffix = new RegExp(`\\s+(?:${this.chain.taxCodes})\\s*$`);
+    this.taxCodeLine = new RegExp(`\\d[.,]\\d{2}\\s+(${this.chain.taxCodes})\\s*\\|?\\s*$`);
+    this.quantityLinePatterns = [...this.chain.quantityLinePatterns, ...this.quantityLinePatterns];
+    this.itemLine = new RegExp(`^(?<name>\\D.*?)\\s+(?<price>-?\\d+[.,]\\d{2}-?)\\s+(?:${this.chain.taxCodes})$`);
+  }
+
+  detect(markdown) {
+    const lines = markdown.split('\n').map(line => this.cleanLine(line)).filter(Boolean);
+    let score = 0;
+
+    const headerIndex = lines.findIndex(line => this.chain.headerPatterns.some(pattern => pattern.test(line)));
+    if (headerIndex >= 0) {
+      score += headerIndex < this.chain.headerLines ? 0.6 : 0.4;
+    }
+
+    const compact = markdown.replace(/\s/g, '');
+    if (this.chain.taxIds.some(taxId => compact.includes(taxId.replace(/\s/g, '')))) {
+      score += 0.4;
+    }
+
+    // Several prices followed by the chain's tax codes
+    const taxCodedLines = markdown.split('\n').filter(line => this.taxCodeLine.test(line.trim())).length;
+    if (taxCodedLines >= 3) {
+      score += 0.2;
+    }
+
+    return Math.min(1, score);
+  }
+
+  parsePrice(priceStr) {
+    if (!priceStr) return null;
+    return super.parsePrice(String(priceStr).trim().replace(this.taxCodeSuffix, ''));
+  }
+
+  parseTableRow(columns) {
+    if (VAT_SUMMARY_PATTERN.test(columns[0] || '')) {
+      return null;
+    }
+
+    const item = super.parseTableRow(columns);
+    return item ? this.applyQuantity(item) : null;
+  }
+
+  /**
+   * Move a multiple written into the item name ("2x 2,95 Name") into quantity and unit price
+   * @param {Object} item - Parsed item
+   * @returns {Object} - The item
+   */
+  applyQuantity(item) {
+    for (const pattern of this.chain.quantityPatterns) {
+      const match = item.product_name.match(pattern);
+      if (!match) continue;
+
+      const quantity = parseInt(match.groups.quantity);
+      if (!quantity) continue;
+
+      item.product_name = match.groups.name.trim();
+      item.quantity = quantity;
+      item.unit = 'piece';
+      item.unit_price = match.groups.unitPrice
+        ? this.parsePrice(match.groups.unitPrice)
+        : (item.total_price ? item.total_price / quantity : null);
+      item.brand = this.extractBrand(item.product_name);
+      item.item_code = this.generateItemCode(item.product_name);
+      break;
+    }
+
+    return item;
+  }
+
+  // Lines in the chain's notation are left to extractItemsFallback(), which reads all of them
+  extractItem(line) {
+    return this.itemLine.test(this.cleanLine(line)) ? null : super.extractItem(line);
+  }
+
+  // Plain "Name 1,19 A" lines when OCR produced no items table
+  extractItemsFallback(markdown, result) {
+    for (const line of markdown.split('\n').map(text => this.cleanLine(text))) {
+      const match = line.match(this.itemLine);
+      if (!match || this.isNotAProduct(match.groups.name)) continue;
+
+      const name = match.groups.name.trim();
+      const price = this.parsePrice(match.groups.price);
+      result.receipt.items.push(this.applyQuantity({
+        product_name: name,
+        quantity: 1,
+        unit_price: price,
+        total_price: price,
+        category: null,
+        brand: this.extractBrand(name),
+        item_code: this.generateItemCode(name),
+        line_text: line,
+        matched: false
+      }));
+    }
+
+    if (result.receipt.items.length === 0) {
+      super.extractItemsFallback(markdown, result);
+    }
+  }
+
+  // The chain's tax code; its first character is the class used in the VAT breakdown ("A*" and "AW" are A)
+  extractItemTaxClass(item) {
+    const match = (item.line_text || '').trim().match(this.taxCodeLine);
+    return match ? match[1].charAt(0) : null;
+  }
+
+  // Payment comes from the chain's payment lines in finishReceipt()
+  extractPaymentInfo(line, payment) {}
+
+  extractTotal(line) {
+    return this.chainTotal(this.cleanLine(line)) || super.extractTotal(line);
+  }
+
+  finishReceipt(lines, result) {
+    const cleanLines = lines.map(line => this.cleanLine(line)).filter(Boolean);
+    const { receipt } = result;
+
+    receipt.store.name = this.chain.storeName;
+    receipt.store.store_chain = this.chain.storeChain;
+
+    // The chain's total label beats whatever amount the generic pass found first
+    for (const line of cleanLines) {
+      const total = this.chainTotal(line);
+      if (total) {
+        receipt.totals.total_amount = total;
+        break;
+      }
+    }
+
+    this.extractChainPayment(cleanLines, receipt.payment);
+  }
+
+  chainTotal(line) {
+    for (const pattern of this.chain.totalPatterns) {
+      const match = line.match(pattern);
+      const amount = match ? this.parsePrice(match[1]) : null;
+      if (amount && amount > 0) return amount;
+    }
+    return null;
+  }
+
+  // Payment as 'card' or 'cash' with the card type, from the first payment line, and the change given
+  extractChainPayment(lines, payment) {
+    for (const line of lines) {
+      const change = this.extractChange(line);
+      if (change !== null) {
+        if (payment.change === null) payment.change = change;
+        continue;
+      }
+      if (payment.method) continue;
+
+      const match = PAYMENT_PATTERNS.find(({ pattern }) => pattern.test(line));
+      if (!match) continue;
+
+      payment.method = match.method;
+      payment.card_type = match.cardType;
+      const amount = line.match(/(\d+[.,]\d{2})\s*(?:€|EUR)?$/i);
+      if (amount) {
+        payment.amount_paid = this.parsePrice(amount[1]);
+      }
+    }
+  }
+}
+
+ChainParser.VAT_SUMMARY_PATTERN = VAT_SUMMARY_PATTERN;
+
+module.exports = ChainParser;
@@ -0,0 +1,28 @@
+const ChainParser = require('./chain-parser');
+
+/**
+ * dm-drogerie markt
+ *
+ * Tax codes are digits after the price (1 = 19 %, 2 = 7 %), multiples come
+ * before the name as "2x 2,95 Odol-med3 Juniorzahn", and the total is
+ * "SUMME EUR".
+ */
+
+class DmParser extends ChainParser {
+  constructor() {
+    super({
+      name: 'dm',
+      storeName: 'dm-drogerie markt',
+      storeChain: 'dm-drogerie',
+      // OCR often spaces the hyphen: "dm - drogerie markt"
+      headerPatterns: [/\bdm\s*-\s*drogerie/i],
+      taxIds: ['34092/30007'],
+      taxCodes: '[1-4]',
+      totalPatterns: [/\bSUMME\s+EUR\s+(-?\d+[.,]\d{2})/i],
+      quantityPatterns: [/^(?<quantity>\d+)\s*x\s*(?<unitPrice>\d+[.,]\d{2})\s+(?<name>.+)$/i],
+      quantityLinePatterns: [/^(?<quantity>\d+)\s*x\s*(?<unitPrice>\d+[.,]\d{2})$/i]
+    });
+  }
+}
+
+module.exports = DmParser;
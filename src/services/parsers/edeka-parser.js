@@ -0,0 +1,187 @@
+const ChainParser = require('./chain-parser');
+
+/**
+ * EDEKA
+ *
+ * Prices end in tax code A or B (AW/BW for deposit items), multiples follow
+ * the name as "Fruchtzwerge 1,29 € x 4", and the total is "SUMME €". Llama
+ * OCR writes EDEKA receipts as bold product rows each followed by a
+ * quantity/price row, or as a column table without pipes; both are read
+ * here before the generic tables.
+ */
+
+class EdekaParser extends ChainParser {
+  constructor() {
+    super({
+      name: 'edeka',
+      storeName: 'EDEKA',
+      storeChain: 'EDEKA',
+      headerPatterns: [/\bEDEKA\b/i],
+      taxCodes: '[AB]W?',
+      totalPatterns: [/\bSUMME\s*(?:€|EUR)\s*(-?\d+[.,]\d{2})/i],
+      quantityPatterns: [/^(?<name>.+?)\s+(?<unitPrice>\d+[.,]\d{2})\s*€\s*[xX]\s*(?<quantity>\d+)$/]
+    });
+  }
+
+  extractStructuredData(lines, result) {
+    this.extractEDEKATables(lines, result);
+    if (result.receipt.items.length === 0) {
+      super.extractStructuredData(lines, result);
+    }
+  }
+
+  extractEDEKATables(lines, result) {
+    let inEDEKATable = false;
+    let currentProduct = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+
+      // Bold product rows, each followed by its quantity/price row
+      if (line.includes('|') && line.includes('**') && !line.includes('---')) {
+        // This is a product line like "| **G&G Gouda Geer** | **EUR** |"
+        const productMatch = line.match(/\*\*([^*]+)\*\*/);
+        if (productMatch) {
+          currentProduct = productMatch[1].trim();
+        }
+        continue;
+      }
+      
+      // Check for quantity/price line after product
+      if (currentProduct && line.includes('|') && !line.includes('**') && !line.includes('---')) {
+        const parts = line.split('|').map(col => col.trim()).filter(col => col);
+        if (parts.length >= 1) {
+          const quantityPrice = parts[0];
+          const total = parts[1];
+          
+          // Parse quantity and price from "1,99 € x 2" or "1,43 A"
+          const quantityMatch = quantityPrice.match(/([0-9,]+)\s*€\s*x\s*(\d+)/);
+          const simplePriceMatch = quantityPrice.match(/([0-9,]+)\s*[A-Z]/);
+          
+          let quantity = 1;
+          let price = null;
+          
+          if (quantityMatch) {
+            quantity = parseInt(quantityMatch[2]);
+            // The second column is the line total of a multiple
+            price = this.parsePrice(total) || this.parsePrice(quantityMatch[1]) * quantity;
+          } else if (simplePriceMatch) {
+            price = this.parsePrice(simplePriceMatch[1]);
+            quantity = 1;
+          }
+          
+          // Use total if available
+          if (total && !price) {
+            price = this.parsePrice(total);
+          }
+          
+          if (currentProduct && !this.isNotAProduct(currentProduct)) {
+            result.receipt.items.push({
+              product_name: currentProduct,
+              quantity: quantity,
+              unit_price: price ? price / quantity : null,
+              total_price: price || null,
+              category: null,
+              brand: this.extractBrand(currentProduct),
+              item_code: this.generateItemCode(currentProduct),
+              line_text: `${currentProduct} - ${quantityPrice} - ${total || ''}`,
+              matched: false
+            });
+          }
+          
+          currentProduct = null;
+        }
+        continue;
+      }
+      
+      // Reset current product if we hit a non-table line
+      if (!line.includes('|') && currentProduct) {
+        currentProduct = null;
+      }
+      
+      // Column table without | separators
+      if (line.includes('Product') && line.includes('Quantity') && line.includes('Price')) {
+        inEDEKATable = true;
+        continue;
+      }
+      
+      if (inEDEKATable) {
+        // Check if we've reached the end of the table
+        if (line.includes('Posten:') || line.includes('SUMME') || line.includes('Datum:')) {
+          inEDEKATable = false;
+          continue;
+        }
+        
+        // Parse EDEKA table row
+        const item = this.parseEDEKATableRow(line);
+        if (item) {
+          result.receipt.items.push(item);
+        }
+      }
+    }
+  }
+
+  parseEDEKATableRow(line) {
+    try {
+      // Skip empty lines and header lines
+      if (!line || line.includes('---') || line.includes('Product') || line.includes('Quantity') || line.includes('Price')) {
+        return null;
+      }
+      
+      // EDEKA format: "Product Name | Quantity | Price | Total"
+      // But without | separators, it's more like: "Product Name    Quantity    Price    Total"
+      const parts = line.split(/\s{2,}/).filter(part => part.trim());
+      
+      if (parts.length >= 2) {
+        const productName = parts[0].trim();
+        const quantity = parts[1] ? parseInt(parts[1]) || 1 : 1;
+        const price = parts[2] ? this.parsePrice(parts[2]) : null;
+        
+        // Skip if it's not a product name
+        if (this.isNotAProduct(productName)) {
+          return null;
+        }
+        
+        return {
+          product_name: productName,
+          quantity: quantity,
+          unit_price: price ? price / quantity : null,
+          total_price: price || null,
+          category: null,
+          brand: this.extractBrand(productName),
+          item_code: this.generateItemCode(productName),
+          line_text: line,
+          matched: false
+        };
+      }
+    } catch (error) {
+      console.log('Error parsing EDEKA table row:', error);
+    }
+    return null;
+  }
+
+  finishReceipt(lines, result) {
+    super.finishReceipt(lines, result);
+
+    // "Fruchtzwerge 1,29 € x 4 5,16 AW" lines that OCR didn't put into the items table
+    for (const line of lines.map(text => this.cleanLine(text))) {
+      const match = line.match(/^(?<name>\D.*?)\s+(?<unitPrice>\d+[.,]\d{2})\s*€\s*[xX]\s*(?<quantity>\d+)\s+(?<total>\d+[.,]\d{2})\s+[AB]W?$/);
+      if (!match || result.receipt.items.some(item => item.line_text.includes(match.groups.name))) continue;
+
+      const name = match.groups.name.trim();
+      result.receipt.items.push({
+        product_name: name,
+        quantity: parseInt(match.groups.quantity),
+        unit_price: this.parsePrice(match.groups.unitPrice),
+        total_price: this.parsePrice(match.groups.total),
+        category: null,
+        brand: this.extractBrand(name),
+        item_code: this.generateItemCode(name),
+        line_text: line,
+        matched: false
+      });
+    }
+  }
+}
+
+module.exports = EdekaParser;
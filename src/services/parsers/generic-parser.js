@@ -0,0 +1,1187 @@
+/**
+ * Generic Receipt Parser
+ *
+ * Turns OCR markdown into a receipt: items from markdown tables and lists,
+ * metadata, store, totals, payment, cashier, fiscal and loyalty data line by
+ * line, and pattern and fallback passes when that finds nothing. Used for
+ * receipts no chain plugin recognizes, and the base class of the chain
+ * plugins, which override the steps their layout needs.
+ */
+
+// Start of a VAT breakdown row: "A 19%", "1=19,00%", "MwSt 7 %"
+const VAT_ROW_PATTERN = /^(?:(?<taxClass>[A-D1-4])(?:\s*=\s*|\s+))?(?:(?:MwSt|USt)\.?\s*)?(?<rate>\d{1,2}(?:[.,]\d{1,2})?)\s*%/i;
+const VAT_KEYWORD_PATTERN = /mwst|ust\b|steuer/i;
+const AMOUNT_PATTERN = /-?\d+[.,]\d{2}(?!\d)/g;
+const AMOUNTS_ONLY_PATTERN = /^(?:(?:€|EUR)?\s*-?\d+[.,]\d{2}\s*(?:€|EUR)?\s*)+$/i;
+const TAX_AMOUNT_LABELS = {
+  net_amount: /netto\s*(?:€|EUR)?\s*(-?\d+[.,]\d{2})/i,
+  vat_amount: /(?:mwst|ust|steuer)\.?\s*(?:€|EUR)?\s*(-?\d+[.,]\d{2})/i,
+  gross_amount: /brutto\s*(?:€|EUR)?\s*(-?\d+[.,]\d{2})/i
+};
+// Rounding differences between net, VAT and gross, in EUR
+const TAX_TOLERANCE = 0.02;
+// Tax class letter after an item's price, "1,19 A" or "1,19 A*"
+const ITEM_TAX_CLASS_PATTERN = /\d[.,]\d{2}\s*(?:€|EUR)?\s+([A-D])\s*\*?\s*\|?\s*$/;
+
+// Line under an item with its quantity: "0,456 kg x 2,99 EUR/kg", "2 x 1,49", "2 Stk x 0,59",
+// optionally followed by the line total and tax code
+const QUANTITY_LINE_PATTERN = /^(?<quantity>\d+(?:[.,]\d{1,3})?)\s*(?<unit>kg|g|ml|l|stk\.?|st\.?)?\s*[x×*]\s*(?<unitPrice>\d+[.,]\d{2})\s*(?:€|EUR)?(?:\s*\/\s*(?<priceUnit>kg|g|l|stk\.?))?(?:\s+(?<total>\d+[.,]\d{2}))?(?:\s+[A-D1-4]W?\*?)?$/i;
+// Quantity written with its unit, "0,456 kg", "2 Stk", "1,5 l"
+const QUANTITY_UNIT_PATTERN = /^(?<quantity>\d+(?:[.,]\d{1,3})?)\s*(?<unit>kg|g|ml|l|stk\.?|st\.?|x)?$/i;
+
+// Item lines that aren't products, by their text; the first matching rule wins
+const LINE_TYPE_RULES = [
+  { type: 'deposit_return', pattern: /leergut|pfand\s*-?\s*(?:zur(?:ü|ue)ck|rück|rueck|bon)|flaschenr(?:ü|ue)ckgabe|(?:deposit|bottle)\s+return/i },
+  { type: 'deposit', pattern: /pfand|\bdeposit\b/i },
+  { type: 'coupon', pattern: /coupon|voucher|gutschein/i },
+  { type: 'discount', pattern: /rabatt|preisvorteil|nachlass|discount/i },
+  { type: 'fee', pattern: /geb(?:ü|ue)hr|servicepauschale|lieferkosten|versandkosten|\bfee\b|tragetasche/i }
+];
+// Taken off the bill, whether or not OCR kept the minus
+const CREDIT_LINE_TYPES = ['discount', 'coupon', 'deposit_return'];
+// Belong to the product line above them; discounts and coupons also lower what it cost
+const LINKED_LINE_TYPES = ['discount', 'coupon', 'deposit'];
+const PRODUCT_ADJUSTMENT_TYPES = ['discount', 'coupon'];
+// Change handed back on cash payments: "Rückgeld EUR 3,64", "Wechselgeld 3,64 €", "Zurück 3,64"
+// ("Zurück" and "Change" only at the start, "Pfand zurück" is a deposit return)
+const CHANGE_PATTERN = /(?:r(?:ü|ue|u)ckgeld|wechselgeld|^[*|\s]*(?:zur(?:ü|ue|u)ck|change)\b)\D*?(\d+[.,]\d{2})/i;
+
+class GenericParser {
+  constructor() {
+    this.name = 'generic';
+    this.version = '1.0.0';
+    // Plugins put their own notations first
+    this.quantityLinePatterns = [QUANTITY_LINE_PATTERN];
+  }
+
+  /**
+   * How sure this parser is that the receipt is its chain's
+   * @param {string} markdown - OCR output as markdown
+   * @returns {number} - Score from 0 (not this chain) to 1; the generic parser never claims a receipt
+   */
+  detect(markdown) {
+    return 0;
+  }
+
+  /**
+   * Parse OCR markdown into a receipt
+   * @param {string} markdown - OCR output as markdown
+   * @param {Object} options - { provider }
+   * @returns {Object} - { receipt, ocr_data, processing_info }
+   */
+  parse(markdown, options = {}) {
+    const lines = markdown.split('\n');
+    const result = {
+      receipt: {
+        metadata: { date: null, time: null, receipt_number: null, transaction_id: null },
+        store: { name: null, address: null, phone: null, tax_id: null, store_chain: null },
+        items: [],
+        totals: { subtotal: null, vat_amount: null, vat_rate: null, total_amount: null, currency: 'EUR' },
+        tax_lines: [],
+        payment: { method: null, amount_paid: null, change: null, card_type: null, card_number: null },
+        cashier_info: { start_time: null, end_time: null, cashier_number: null, terminal_number: null },
+        fiscal_info: { tse_signature: null, signature_counter: null, signature: null, signature_data: null, fiscal_data: null },
+        loyalty: { program: null, points_earned: null, points_balance: null }
+      },
+      ocr_data: {
+        raw_markdown: markdown,
+        provider: options.provider || 'llama',
+        is_mock: options.provider === 'mock',
+        confidence_score: null,
+        processing_time: null
+      },
+      processing_info: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0',
+        ocr_provider: options.provider || 'llama',
+        ocr_model: 'Llama-3.2-11B-Vision',
+        // Which plugin read the receipt, e.g. edeka@1.0.0
+        parser_version: `${this.name}@${this.version}`
+      }
+    };
+
+    // Try multiple parsing strategies
+    this.extractStructuredData(lines, result);
+    this.extractLineData(lines, result);
+    this.extractPatternData(markdown, result);
+    
+    // If no items found, try fallback extraction
+    if (result.receipt.items.length === 0) {
+      this.extractItemsFallback(markdown, result);
+    }
+
+    this.finishReceipt(lines, result);
+    this.applyQuantityLines(lines, result.receipt.items);
+    this.classifyItems(result.receipt.items);
+    // Runs on the final item list, so items added by plugins get their rate too
+    this.extractTaxLines(lines, result);
+
+    console.log(`📋 Extracted (${this.name} parser):`, result.receipt.items.length, 'items, Total:', result.receipt.totals.total_amount, 'EUR');
+
+    return result;
+  }
+
+  /**
+   * Last pass over the parsed receipt, for plugins to correct what the generic steps found
+   * @param {string[]} lines - Markdown lines
+   * @param {Object} result - Parse result being built
+   */
+  finishReceipt(lines, result) {}
+
+  /**
+   * Quantity and unit from quantity lines under an item ("0,456 kg x 2,99 EUR/kg",
+   * "2 x 1,49"). A line belongs to the item its amount adds up to, preferring the
+   * product line right above it, or else to that product line. Items without one
+   * are counted in pieces.
+   * @param {string[]} lines - Markdown lines
+   * @param {Array} items - Parsed items, updated in place
+   */
+  applyQuantityLines(lines, items) {
+    const cleanLines = lines.map(line => this.cleanLine(line));
+    const assigned = new Set();
+
+    cleanLines.forEach((line, index) => {
+      const pattern = this.quantityLinePatterns.find(candidate => candidate.test(line));
+      if (!pattern) return;
+
+      const groups = line.match(pattern).groups;
+      let { quantity, unit } = this.parseQuantity(groups.quantity, groups.unit);
+      // "456 g x 2,99 €/kg"
+      if (unit === 'g' && /kg/i.test(groups.priceUnit || '')) {
+        quantity = quantity / 1000;
+        unit = 'kg';
+      }
+      const unitPrice = this.parsePrice(groups.unitPrice);
+      if (!quantity || !unitPrice) return;
+
+      const total = groups.total ? this.parsePrice(groups.total) : this.roundAmount(quantity * unitPrice);
+      const sameCents = (a, b) => Math.abs(Math.round(a * 100) - Math.round(b * 100)) <= 1;
+      const byAmount = items.filter(item => !assigned.has(item) && typeof item.total_price === 'number' &&
+        sameCents(item.total_price, total));
+      const above = this.itemAbove(cleanLines, index, items.filter(item => !assigned.has(item)));
+
+      const item = byAmount.includes(above) ? above : byAmount[0] || above;
+      if (!item) return;
+
+      assigned.add(item);
+      item.quantity = quantity;
+      item.unit = unit;
+      item.unit_price = unitPrice;
+      if (item.total_price === null || item.total_price === undefined) {
+        item.total_price = total;
+      }
+    });
+
+    items.forEach(item => {
+      item.unit = item.unit || 'piece';
+    });
+  }
+
+  // Item whose name is on the nearest text line above a quantity line
+  itemAbove(cleanLines, index, items) {
+    for (let i = index - 1; i >= Math.max(0, index - 5); i--) {
+      const line = cleanLines[i].toLowerCase();
+      if (!line || /^(?:total|items purchased)$/.test(line)) continue;
+
+      const item = items.find(candidate => candidate.product_name && line.includes(candidate.product_name.toLowerCase()));
+      if (item) return item;
+    }
+    return null;
+  }
+
+  /**
+   * Decimal quantity and its unit (piece, kg, g or l)
+   * @param {string} quantityText - "0,456", "2" or "0,456 kg"
+   * @param {string} unitText - Unit printed separately, if any
+   * @returns {Object} - { quantity, unit }; quantity null when the text isn't one
+   */
+  parseQuantity(quantityText, unitText = null) {
+    const match = String(quantityText || '').trim().match(QUANTITY_UNIT_PATTERN);
+    if (!match) return { quantity: null, unit: 'piece' };
+
+    const quantity = parseFloat(match.groups.quantity.replace(',', '.'));
+    const unit = (unitText || match.groups.unit || '').toLowerCase();
+    if (unit === 'ml') return { quantity: quantity / 1000, unit: 'l' };
+    if (['kg', 'g', 'l'].includes(unit)) return { quantity, unit };
+    return { quantity, unit: 'piece' };
+  }
+
+  /**
+   * Line type of every item: product, discount, deposit, deposit_return, coupon or fee.
+   * Credits get a negative price, discounts, coupons and deposits the index of the
+   * product above them (parent_index), and products the net price paid after their
+   * discounts (net_price), so spend isn't counted before discounts.
+   * @param {Array} items - Items in receipt order, updated in place
+   */
+  classifyItems(items) {
+    let productIndex = null;
+
+    items.forEach((item, index) => {
+      item.line_type = this.detectLineType(item);
+
+      if (CREDIT_LINE_TYPES.includes(item.line_type)) {
+        if (item.total_price > 0) item.total_price = -item.total_price;
+        if (item.unit_price > 0) item.unit_price = -item.unit_price;
+      }
+
+      item.parent_index = LINKED_LINE_TYPES.includes(item.line_type) ? productIndex : null;
+      if (item.line_type === 'product') productIndex = index;
+    });
+
+    items.forEach((item, index) => {
+      if (item.line_type !== 'product' || item.total_price === null || item.total_price === undefined) {
+        item.net_price = null;
+        return;
+      }
+
+      const adjustments = items.filter(other =>
+        other.parent_index === index && PRODUCT_ADJUSTMENT_TYPES.includes(other.line_type));
+      item.net_price = this.roundAmount(
+        adjustments.reduce((sum, other) => sum + (other.total_price || 0), item.total_price));
+    });
+  }
+
+  /**
+   * Line type from the item's text and sign
+   * @param {Object} item - Parsed item
+   * @returns {string} - product, discount, deposit, deposit_return, coupon or fee
+   */
+  detectLineType(item) {
+    const rule = LINE_TYPE_RULES.find(({ pattern }) => pattern.test(item.product_name || ''));
+    const negative = item.total_price < 0;
+
+    if (!rule) {
+      // A negative line without a known label takes money off, like a discount
+      return negative ? 'discount' : 'product';
+    }
+    if (rule.type === 'deposit' && negative) {
+      return 'deposit_return';
+    }
+    if (rule.type === 'coupon' && item.total_price > 0) {
+      // A voucher or gift card that was bought
+      return 'product';
+    }
+    return rule.type;
+  }
+
+  // Line text without markdown emphasis, bullets and table pipes
+  cleanLine(line) {
+    return line.replace(/[*#|]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * VAT breakdown: one tax line per rate, linked to the items by tax class.
+   * Rows read like "A 19% Netto 10,00 MwSt 1,90 Brutto 11,90" or "1=19,00% 8,10 6,81 1,29";
+   * OCR that puts every value on its own line continues the row on the next lines.
+   * @param {string[]} lines - Markdown lines
+   * @param {Object} result - Parse result being built
+   */
+  extractTaxLines(lines, result) {
+    const { receipt } = result;
+    const cleanLines = lines.map(line => this.cleanLine(line));
+
+    cleanLines.forEach((line, index) => {
+      const match = line.match(VAT_ROW_PATTERN);
+      if (!match) return;
+
+      const rate = parseFloat(match.groups.rate.replace(',', '.'));
+      const taxClass = match.groups.taxClass ? match.groups.taxClass.toUpperCase() : null;
+      const hasKeyword = VAT_KEYWORD_PATTERN.test(line);
+      const amounts = this.extractTaxAmounts(line.slice(match[0].length), cleanLines.slice(index + 1), rate, hasKeyword);
+
+      // "20% Rabatt" and the like: a bare percentage is only VAT with a class, a label or matching amounts
+      if (!taxClass && !hasKeyword && amounts.vat_amount === null) return;
+      if (receipt.tax_lines.some(taxLine => taxLine.tax_class === taxClass && taxLine.rate === rate)) return;
+
+      receipt.tax_lines.push({ tax_class: taxClass, rate, ...amounts, line_text: line });
+    });
+
+    // The per-rate lines beat the first "Netto"/"MwSt" amount the line scan found
+    const { tax_lines: taxLines, totals } = receipt;
+    if (taxLines.length > 0 && taxLines.every(taxLine => taxLine.vat_amount !== null)) {
+      totals.vat_amount = this.roundAmount(taxLines.reduce((sum, taxLine) => sum + taxLine.vat_amount, 0));
+    }
+    if (taxLines.length > 0 && taxLines.every(taxLine => taxLine.net_amount !== null)) {
+      totals.subtotal = this.roundAmount(taxLines.reduce((sum, taxLine) => sum + taxLine.net_amount, 0));
+    }
+    const rates = new Set(taxLines.map(taxLine => taxLine.rate));
+    if (rates.size === 1) {
+      totals.vat_rate = taxLines[0].rate;
+    }
+
+    for (const item of receipt.items) {
+      item.tax_class = item.tax_class || this.extractItemTaxClass(item);
+      const taxLine = item.tax_class ? taxLines.find(candidate => candidate.tax_class === item.tax_class) : null;
+      item.vat_rate = taxLine ? taxLine.rate : null;
+    }
+  }
+
+  /**
+   * Net, VAT and gross amount of a VAT row, from labels or from how the amounts add up
+   * @param {string} rest - Row text after the rate
+   * @param {string[]} following - Clean lines after the row, for amounts OCR split off
+   * @param {number} rate - VAT rate in percent
+   * @param {boolean} hasKeyword - Row mentions MwSt/USt, so a single amount is the VAT
+   * @returns {Object} - { net_amount, vat_amount, gross_amount }, null where unknown
+   */
+  extractTaxAmounts(rest, following, rate, hasKeyword) {
+    const result = { net_amount: null, vat_amount: null, gross_amount: null };
+
+    const labelled = Object.entries(TAX_AMOUNT_LABELS).filter(([field, pattern]) => {
+      const match = rest.match(pattern);
+      if (match) result[field] = this.parsePrice(match[1]);
+      return match;
+    });
+    if (labelled.length > 0) {
+      const { net_amount: net, vat_amount: vat, gross_amount: gross } = result;
+      if (net === null && vat !== null && gross !== null) result.net_amount = this.roundAmount(gross - vat);
+      if (vat === null && net !== null && gross !== null) result.vat_amount = this.roundAmount(gross - net);
+      if (gross === null && net !== null && vat !== null) result.gross_amount = this.roundAmount(net + vat);
+      return result;
+    }
+
+    const signed = (rest.match(AMOUNT_PATTERN) || []).map(text => this.parsePrice(text));
+    for (const line of following) {
+      if (signed.length >= 3 || !AMOUNTS_ONLY_PATTERN.test(line)) break;
+      signed.push(...line.match(AMOUNT_PATTERN).map(text => this.parsePrice(text)));
+    }
+
+    // A rate with more deposit returned than bought prints every amount negative;
+    // a minus in front of only some of them is a column rule OCR read as a dash
+    const sign = signed.length > 0 && signed.every(amount => amount < 0) ? -1 : 1;
+    const amounts = signed.map(amount => Math.abs(amount));
+    const withSign = (net, vat, gross) => ({
+      net_amount: this.roundAmount(sign * net),
+      vat_amount: this.roundAmount(sign * vat),
+      gross_amount: this.roundAmount(sign * gross)
+    });
+
+    const within = (a, b) => Math.abs(a - b) <= TAX_TOLERANCE;
+
+    if (amounts.length >= 3) {
+      // Chains print the columns in different orders; gross is the largest, VAT the smallest
+      const [gross, net, vat] = amounts.slice(0, 3).sort((a, b) => b - a);
+      if (within(net + vat, gross)) {
+        return withSign(net, vat, gross);
+      }
+    } else if (amounts.length === 2) {
+      const [larger, smaller] = [...amounts].sort((a, b) => b - a);
+      if (within(larger * rate / 100, smaller)) {
+        return withSign(larger, smaller, larger + smaller);
+      }
+      if (within(larger * rate / (100 + rate), smaller)) {
+        return withSign(larger - smaller, smaller, larger);
+      }
+      if (within((larger - smaller), smaller * rate / 100)) {
+        return withSign(smaller, larger - smaller, larger);
+      }
+    } else if (amounts.length === 1 && hasKeyword) {
+      result.vat_amount = signed[0];
+    }
+
+    return result;
+  }
+
+  /**
+   * Tax class printed after the item's price
+   * @param {Object} item - Parsed item
+   * @returns {string|null} - Tax class, e.g. 'A'
+   */
+  extractItemTaxClass(item) {
+    const match = (item.line_text || '').trim().match(ITEM_TAX_CLASS_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  extractStructuredData(lines, result) {
+    let inTable = false;
+    let inItemsSection = false;
+    let inItemsPurchased = false;
+    let currentProduct = null;
+    let inProductsSection = false;
+    
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      
+      // Check for "Products Purchased" section
+      if (line.includes('Products Purchased') || line.includes('Products purchased')) {
+        inProductsSection = true;
+        continue;
+      }
+      
+      if (inProductsSection) {
+        // Check for product line like "* **G&G Gouda Oer**"
+        const productMatch = line.match(/\*\s*\*\*([^*]+)\*\*/);
+        if (productMatch) {
+          currentProduct = productMatch[1].trim();
+          continue;
+        }
+        
+        // Check for quantity line like "+ Quantity: 2"
+        if (currentProduct && line.startsWith('+') && line.includes('Quantity:')) {
+          const quantityMatch = line.match(/Quantity:\s*([0-9,\.]+)/);
+          const priceMatch = line.match(/Price:\s*€([0-9,\.]+)/);
+          
+          let quantity = 1;
+          let price = null;
+          
+          if (quantityMatch) {
+            quantity = parseFloat(quantityMatch[1].replace(',', '.'));
+          }
+          
+          if (priceMatch) {
+            price = parseFloat(priceMatch[1].replace(',', '.'));
+          }
+          
+          // Look ahead for price if not found
+          if (!price) {
+            for (let j = i + 1; j < Math.min(i + 5, lines.length); j++) {
+              const nextLine = lines[j].trim();
+              if (nextLine.startsWith('+') && nextLine.includes('Price:')) {
+                const nextPriceMatch = nextLine.match(/Price:\s*€([0-9,\.]+)/);
+                if (nextPriceMatch) {
+                  price = parseFloat(nextPriceMatch[1].replace(',', '.'));
+                }
+                break;
+              }
+              // Stop if we hit another product
+              if (nextLine.startsWith('*') && nextLine.includes('**')) {
+                break;
+              }
+            }
+          }
+          
+          if (currentProduct && !this.isNotAProduct(currentProduct)) {
+            result.receipt.items.push({
+              product_name: currentProduct,
+              quantity: quantity,
+              unit_price: price ? price / quantity : null,
+              total_price: price || null,
+              category: null,
+              brand: this.extractBrand(currentProduct),
+              item_code: this.generateItemCode(currentProduct),
+              line_text: `${currentProduct} - Qty: ${quantity} - Price: €${price || 'N/A'}`,
+              matched: false
+            });
+          }
+          
+          currentProduct = null;
+          continue;
+        }
+        
+        // Check if we've left the products section
+        if (!line.startsWith('*') && !line.startsWith('+') && line.length > 0) {
+          inProductsSection = false;
+          currentProduct = null;
+        }
+      }
+      
+      // Check for standard table structure
+      if (line.includes('|') && line.includes('---')) {
+        inTable = true;
+        continue;
+      }
+      
+      if (inTable && line.includes('|')) {
+        const columns = line.split('|').map(col => col.trim()).filter(col => col);
+        if (columns.length >= 3) {
+          // Try to parse as item row
+          const item = this.parseTableRow(columns);
+          if (item) {
+            result.receipt.items.push(item);
+          }
+        }
+      } else if (inTable) {
+        inTable = false;
+      }
+      
+      // Check for "Items Purchased" section (new format), before the generic items heading it also matches
+      if (line.includes('Items Purchased') || line.includes('Items purchased')) {
+        inItemsPurchased = true;
+        continue;
+      }
+      
+      // Check for items section
+      if (this.isItemsSection(line)) {
+        inItemsSection = true;
+        continue;
+      }
+      
+      if (inItemsSection && line.startsWith('*') && line.includes('**')) {
+        const item = this.parseListItem(line);
+        if (item) {
+          result.receipt.items.push(item);
+        }
+      } else if (inItemsSection && !line.startsWith('*')) {
+        inItemsSection = false;
+      }
+      
+      if (inItemsPurchased && line.startsWith('*') && line.includes('**')) {
+        const item = this.parseNewListItem(line, lines, i);
+        if (item) {
+          result.receipt.items.push(item);
+        }
+      } else if (inItemsPurchased && !line.startsWith('*') && !line.includes('\t') && !line.includes('+')) {
+        inItemsPurchased = false;
+      }
+    }
+  }
+
+  parseTableRow(columns) {
+    try {
+      const [itemName, quantity, price] = columns;
+      
+      if (!itemName || itemName === 'Item' || itemName === '---') {
+        return null;
+      }
+      
+      const parsed = this.parseQuantity(quantity);
+      const parsedQuantity = parsed.quantity || 1;
+      const parsedPrice = this.parsePrice(price);
+      
+      // Return item regardless of price - allow items without prices
+      return {
+        product_name: itemName,
+        quantity: parsedQuantity,
+        unit: parsed.unit,
+        unit_price: parsedPrice ? this.roundAmount(parsedPrice / parsedQuantity) : null,
+        total_price: parsedPrice || null,
+        category: null,
+        brand: this.extractBrand(itemName),
+        item_code: this.generateItemCode(itemName),
+        line_text: columns.join(' | '),
+        matched: false
+      };
+    } catch (error) {
+      console.log('Error parsing table row:', error);
+    }
+    return null;
+  }
+
+  parseListItem(line) {
+    try {
+      // Remove markdown formatting
+      const cleanLine = line.replace(/^\*\s*/, '').replace(/\*\*/g, '');
+      
+      // Look for patterns like "**PRODUCT** quantity price" or "**PRODUCT** price"
+      const patterns = [
+        /\*\*(.+?)\*\*\s+(\d+)\s+([0-9,]+)/,
+        /\*\*(.+?)\*\*\s+([0-9,]+)/,
+        /\*\*(.+?)\*\*\s+(\d+)\s*[xX]\s*([0-9,]+)/
+      ];
+      
+      for (const pattern of patterns) {
+        const match = cleanLine.match(pattern);
+        if (match) {
+          const productName = match[1].trim();
+          const quantity = match[2] ? parseInt(match[2]) : 1;
+          const price = this.parsePrice(match[3] || match[2]);
+          
+          // Return item regardless of price - allow items without prices
+          return {
+            product_name: productName,
+            quantity: quantity,
+            unit_price: price ? price / quantity : null,
+            total_price: price || null,
+            category: null,
+            brand: this.extractBrand(productName),
+            item_code: this.generateItemCode(productName),
+            line_text: cleanLine,
+            matched: false
+          };
+        }
+      }
+    } catch (error) {
+      console.log('Error parsing list item:', error);
+    }
+    return null;
+  }
+
+  parseNewListItem(line, lines, currentIndex) {
+    try {
+      // Extract product name from line like "* **INGWER**"
+      const productMatch = line.match(/\*\s*\*\*([^*]+)\*\*/);
+      if (!productMatch) return null;
+      
+      const productName = productMatch[1].trim();
+      let quantity = 1;
+      let unit = 'piece';
+      let price = null;
+      let pricePerUnit = null;
+      
+      // Look at next few lines for quantity and price
+      for (let i = currentIndex + 1; i < Math.min(currentIndex + 10, lines.length); i++) {
+        const nextLine = lines[i].trim();
+        
+        // Skip empty lines
+        if (!nextLine) continue;
+        
+        // If we hit another product, stop
+        if (nextLine.startsWith('*') && nextLine.includes('**')) break;
+        
+        // Look for quantity patterns ("Quantity: 2", "Quantity: 0,456 kg")
+        const quantityMatch = nextLine.match(/Quantity:\s*(\d+(?:[.,]\d+)?\s*(?:kg|g|ml|l)?)\b/i);
+        if (quantityMatch) {
+          ({ quantity, unit } = this.parseQuantity(quantityMatch[1]));
+        }
+        
+        // A price per kg or litre is the unit price of a weighed item
+        const perUnitMatch = nextLine.match(/Price:\s*([0-9,\.]+)\s*(?:EUR|€)?\s*\/\s*(?:kg|l)/i);
+        if (perUnitMatch) {
+          pricePerUnit = this.parsePrice(perUnitMatch[1]);
+          continue;
+        }
+        
+        // Look for price patterns
+        const priceMatch = nextLine.match(/Price:\s*([0-9,\.]+)\s*EUR/i);
+        if (priceMatch) {
+          price = this.parsePrice(priceMatch[1]);
+        }
+        
+        // Look for price without EUR
+        const priceMatch2 = nextLine.match(/Price:\s*([0-9,\.]+)/i);
+        if (priceMatch2 && !price) {
+          price = this.parsePrice(priceMatch2[1]);
+        }
+        
+        // Look for weight
+        const weightMatch = nextLine.match(/Weight:\s*(\d+(?:[.,]\d+)?)\s*(kg|g)/i);
+        if (weightMatch) {
+          ({ quantity, unit } = this.parseQuantity(weightMatch[1], weightMatch[2]));
+        }
+      }
+      
+      // Grams priced per kg are counted in kg
+      if (pricePerUnit && unit === 'g') {
+        quantity = quantity / 1000;
+        unit = 'kg';
+      }
+      if (pricePerUnit && !price && unit !== 'piece') {
+        price = this.roundAmount(quantity * pricePerUnit);
+      }
+      
+      // Return item regardless of price - allow items without prices
+      return {
+        product_name: productName,
+        quantity: quantity,
+        unit,
+        unit_price: pricePerUnit || (price ? this.roundAmount(price / quantity) : null),
+        total_price: price || null,
+        category: null,
+        brand: this.extractBrand(productName),
+        item_code: this.generateItemCode(productName),
+        line_text: line,
+        matched: false
+      };
+    } catch (error) {
+      console.log('Error parsing new list item:', error);
+    }
+    return null;
+  }
+
+  extractLineData(lines, result) {
+    for (const line of lines) {
+      const trimmedLine = line.trim();
+      
+      if (!trimmedLine) continue;
+
+      // Extract metadata
+      this.extractMetadata(trimmedLine, result.receipt.metadata);
+
+      // Extract store information
+      this.extractStoreInfo(trimmedLine, result.receipt.store);
+
+      // Extract totals
+      this.extractTotals(trimmedLine, result.receipt.totals);
+
+      // Extract payment information
+      this.extractPaymentInfo(trimmedLine, result.receipt.payment);
+
+      // Extract cashier information
+      this.extractCashierInfo(trimmedLine, result.receipt.cashier_info);
+
+      // Extract fiscal information
+      this.extractFiscalInfo(trimmedLine, result.receipt.fiscal_info);
+
+      // Extract loyalty information
+      this.extractLoyaltyInfo(trimmedLine, result.receipt.loyalty);
+
+      // Extract item line (only if not already found in structured data)
+      if (result.receipt.items.length === 0) {
+        const itemMatch = this.extractItem(trimmedLine);
+        if (itemMatch) {
+          result.receipt.items.push(itemMatch);
+        }
+      }
+    }
+  }
+
+  extractMetadata(line, metadata) {
+    // Extract date
+    if (!metadata.date) {
+      const dateMatch = this.extractDate(line);
+      if (dateMatch) {
+        metadata.date = dateMatch;
+      }
+    }
+
+    // Extract time
+    if (!metadata.time) {
+      const timeMatch = line.match(/(\d{2}:\d{2})/);
+      if (timeMatch) {
+        metadata.time = timeMatch[1];
+      }
+    }
+  }
+
+  extractStoreInfo(line, store) {
+    // Extract store name - clean up the format
+    if (!store.name) {
+      // Look for store name patterns and clean them up
+      // Chains with their own plugin set the store themselves
+      const storePatterns = [
+        { pattern: /real-/i, name: 'real', chain: 'real' },
+        { pattern: /Kaisers Tengelmann/i, name: 'Kaisers Tengelmann', chain: 'Kaisers' }
+      ];
+      
+      for (const storePattern of storePatterns) {
+        if (line.match(storePattern.pattern)) {
+          // Clean up the store name - remove markdown formatting and extra text
+          let cleanName = line.replace(/\*\*/g, '').replace(/^\*\s*/, '').trim();
+          
+          // Remove common prefixes/suffixes
+          cleanName = cleanName.replace(/^\*?\s*Store Name:\s*/i, '');
+          cleanName = cleanName.replace(/^\*?\s*Name:\s*/i, '');
+          cleanName = cleanName.replace(/^\*?\s*Company Name:\s*/i, '');
+          
+          // If the line contains the store name, extract just the store name
+          if (cleanName.includes(storePattern.name)) {
+            store.name = storePattern.name;
+            store.store_chain = storePattern.chain;
+            break;
+          }
+        }
+      }
+    }
+    
+    // Extract address
+    if (!store.address) {
+      if (line.match(/\d{5}\s+[A-Za-zäöüß\s-]+$/)) {
+        store.address = line.trim();
+      }
+    }
+    
+    // Extract phone
+    if (!store.phone) {
+      if (line.match(/tel[.:]\s*\d+[\/\s-]?\d+/i)) {
+        store.phone = line.trim();
+      }
+    }
+
+    // Extract tax ID
+    if (!store.tax_id) {
+      if (line.match(/steuer-nr[.:]\s*(\d+\/\d+)/i)) {
+        store.tax_id = line.match(/steuer-nr[.:]\s*(\d+\/\d+)/i)[1];
+      }
+    }
+  }
+
+  extractTotals(line, totals) {
+    // Extract total amount
+    if (!totals.total_amount) {
+      const totalMatch = this.extractTotal(line);
+      if (totalMatch) {
+        totals.total_amount = totalMatch;
+      }
+    }
+
+    // Extract VAT
+    if (!totals.vat_amount) {
+      // An amount, not the rate of a "MwSt 19%" row
+      const vatMatch = line.match(/mwst[:\s]*(?:€|EUR)?\s*(\d+[.,]\d{2})(?!\s*%)/i);
+      if (vatMatch) {
+        totals.vat_amount = this.parsePrice(vatMatch[1]);
+      }
+    }
+
+    // Extract subtotal
+    if (!totals.subtotal) {
+      const subtotalMatch = line.match(/netto[:\s]*([0-9,]+)/i);
+      if (subtotalMatch) {
+        totals.subtotal = this.parsePrice(subtotalMatch[1]);
+      }
+    }
+  }
+
+  extractPaymentInfo(line, payment) {
+    // The change line's amount is neither the method nor the amount paid
+    const change = this.extractChange(line);
+    if (change !== null) {
+      if (payment.change === null) payment.change = change;
+      return;
+    }
+
+    const paidMatch = line.match(/([0-9,]+)\s*[€€]\s*$/);
+
+    // Extract payment method; an amount on that line is what was paid ("Bar 10,00 €")
+    if (!payment.method) {
+      if (line.match(/\b(?:visa|ec|bar|kartenzahlung)\b/i)) {
+        payment.method = line.trim();
+        if (line.includes('VISA')) {
+          payment.card_type = 'VISA';
+        } else if (line.includes('EC')) {
+          payment.card_type = 'EC';
+        }
+        if (paidMatch) {
+          payment.amount_paid = this.parsePrice(paidMatch[1]);
+        }
+      }
+    }
+
+    // Extract amount paid
+    if (!payment.amount_paid && paidMatch) {
+      payment.amount_paid = this.parsePrice(paidMatch[1]);
+    }
+  }
+
+  /**
+   * Change amount of a "Rückgeld" line
+   * @param {string} line - Receipt line
+   * @returns {number|null} - Change in EUR, null if the line isn't one
+   */
+  extractChange(line) {
+    const match = line.match(CHANGE_PATTERN);
+    return match ? this.parsePrice(match[1]) : null;
+  }
+
+  extractCashierInfo(line, cashier) {
+    // Extract start time
+    if (!cashier.start_time) {
+      const startMatch = line.match(/start[:\s]*(\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2})/i);
+      if (startMatch) {
+        cashier.start_time = startMatch[1];
+      }
+    }
+
+    // Extract end time
+    if (!cashier.end_time) {
+      const endMatch = line.match(/ende[:\s]*(\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2})/i);
+      if (endMatch) {
+        cashier.end_time = endMatch[1];
+      }
+    }
+
+    // Extract cashier number
+    if (!cashier.cashier_number) {
+      const cashierMatch = line.match(/sn-kasse[:\s]*([A-Z0-9]+)/i);
+      if (cashierMatch) {
+        cashier.cashier_number = cashierMatch[1];
+      }
+    }
+
+    // Extract terminal number
+    if (!cashier.terminal_number) {
+      const terminalMatch = line.match(/ta-nummer[:\s]*(\d+)/i);
+      if (terminalMatch) {
+        cashier.terminal_number = terminalMatch[1];
+      }
+    }
+  }
+
+  extractFiscalInfo(line, fiscal) {
+    // Extract TSE signature
+    if (!fiscal.tse_signature) {
+      const tseMatch = line.match(/sn-tse[:\s]*([a-f0-9]+)/i);
+      if (tseMatch) {
+        fiscal.tse_signature = tseMatch[1];
+      }
+    }
+
+    // Extract signature counter
+    if (!fiscal.signature_counter) {
+      const counterMatch = line.match(/signaturzähler[:\s]*(\d+)/i);
+      if (counterMatch) {
+        fiscal.signature_counter = counterMatch[1];
+      }
+    }
+
+    // Extract signature
+    if (!fiscal.signature) {
+      const sigMatch = line.match(/signatur[:\s]*([A-Z0-9\/]+)/i);
+      if (sigMatch) {
+        fiscal.signature = sigMatch[1];
+      }
+    }
+  }
+
+  extractLoyaltyInfo(line, loyalty) {
+    // Extract PAYBACK points
+    if (!loyalty.points_earned) {
+      const pointsMatch = line.match(/(\d+)\s+payback\s+punkte/i);
+      if (pointsMatch) {
+        loyalty.points_earned = parseInt(pointsMatch[1]);
+        loyalty.program = 'PAYBACK';
+      }
+    }
+  }
+
+  extractPatternData(markdown, result) {
+    // Extract total from various patterns
+    if (!result.receipt.totals.total_amount) {
+      const totalPatterns = [
+        /summe\s*[€€]?\s*([0-9]+[.,]?[0-9]*)/i,
+        /total\s*[€€]?\s*([0-9]+[.,]?[0-9]*)/i,
+        /gesamt\s*[€€]?\s*([0-9]+[.,]?[0-9]*)/i,
+        /[€€]\s*([0-9]+[.,]?[0-9]*)\s*$/im,
+        /([0-9]+[.,]?[0-9]*)\s*[€€]\s*$/im
+      ];
+      
+      for (const pattern of totalPatterns) {
+        const match = markdown.match(pattern);
+        if (match) {
+          const amount = this.parsePrice(match[1]);
+          if (amount && amount > 0) {
+            result.receipt.totals.total_amount = amount;
+            break;
+          }
+        }
+      }
+    }
+
+    // Extract date from various patterns
+    if (!result.receipt.metadata.date) {
+      const datePatterns = [
+        /(\d{4}-\d{2}-\d{2})/,
+        /(\d{2}\.\d{2}\.\d{4})/,
+        /(\d{2}\/\d{2}\/\d{4})/,
+        /dat\.\s*(\d{2}\.\d{2}\.\d{4})/i,
+        /date:\s*(\d{2}\.\d{2}\.\d{4})/i
+      ];
+      
+      for (const pattern of datePatterns) {
+        const match = markdown.match(pattern);
+        if (match) {
+          result.receipt.metadata.date = match[1];
+          break;
+        }
+      }
+    }
+  }
+
+  extractTotal(line) {
+    const totalPatterns = [
+      /total[:\s]*[€€]?\s*([0-9]+[.,]?[0-9]*)/i,
+      /summe[:\s]*[€€]?\s*([0-9]+[.,]?[0-9]*)/i,
+      /gesamt[:\s]*[€€]?\s*([0-9]+[.,]?[0-9]*)/i,
+      /[€€]\s*([0-9]+[.,]?[0-9]*)\s*$/i,
+      /([0-9]+[.,]?[0-9]*)\s*[€€]\s*$/i
+    ];
+
+    for (const pattern of totalPatterns) {
+      const match = line.match(pattern);
+      if (match) {
+        const amount = this.parsePrice(match[1]);
+        if (amount && amount > 0) {
+          return amount;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  extractDate(line) {
+    const datePatterns = [
+      /(\d{4}-\d{2}-\d{2})/,
+      /(\d{2}\.\d{2}\.\d{4})/,
+      /(\d{2}\/\d{2}\/\d{4})/,
+      /dat\.\s*(\d{2}\.\d{2}\.\d{4})/i,
+      /date:\s*(\d{2}\.\d{2}\.\d{4})/i
+    ];
+
+    for (const pattern of datePatterns) {
+      const match = line.match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+
+    return null;
+  }
+
+  extractItem(line) {
+    if (this.isHeaderOrTotal(line)) {
+      return null;
+    }
+
+    // "400 g x 2,99 €/kg" is the quantity of the item above, read by applyQuantityLines()
+    const cleanLine = this.cleanLine(line);
+    if (this.quantityLinePatterns.some(pattern => pattern.test(cleanLine))) {
+      return null;
+    }
+
+    const itemPatterns = [
+      /(.+?)\s+(\d+)x?\s*[€€]\s*([0-9]+[.,]?[0-9]*)/i,
+      /(.+?)\s+[€€]\s*([0-9]+[.,]?[0-9]*)/i,
+      /(.+?)\s+([0-9]+[.,]?[0-9]*)\s*[€€]/i
+    ];
+
+    for (const pattern of itemPatterns) {
+      const match = line.match(pattern);
+      if (match) {
+        const productName = match[1].trim();
+        const quantity = match[2] ? parseInt(match[2]) : 1;
+        const price = this.parsePrice(match[3] ? match[3] : match[2]);
+        
+        if (productName && price && price > 0) {
+          return {
+            product_name: productName,
+            quantity: quantity,
+            unit_price: price / quantity,
+            total_price: price,
+            category: null,
+            brand: this.extractBrand(productName),
+            item_code: this.generateItemCode(productName),
+            line_text: line,
+            matched: false
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  parsePrice(priceStr) {
+    if (!priceStr) return null;
+    
+    // Remove currency symbols and spaces
+    const cleanPrice = priceStr.replace(/[€€\s]/g, '').replace(',', '.');
+    const price = parseFloat(cleanPrice);
+    if (isNaN(price)) return null;
+
+    // Receipts print credits as "0,75-" as well as "-0,75"
+    return /^\d[\d.]*-$/.test(cleanPrice) ? -price : price;
+  }
+
+  extractBrand(productName) {
+    // Simple brand extraction - look for common brand patterns
+    const brandPatterns = [
+      /^([A-Z]{2,4})\s/, // FF 3J, Odo1, etc.
+      /^([A-Za-z]+)\s/, // Milka, Ricola, etc.
+    ];
+    
+    for (const pattern of brandPatterns) {
+      const match = productName.match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+    
+    return null;
+  }
+
+  generateItemCode(productName) {
+    // Generate a simple item code based on product name
+    const cleanName = productName.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+    const code = cleanName.substring(0, 8) + Math.random().toString(36).substring(2, 6).toUpperCase();
+    return code;
+  }
+
+  isItemsSection(line) {
+    const itemsKeywords = ['purchase items', 'items', 'artikel', 'produkte', 'waren'];
+    const lowerLine = line.toLowerCase();
+    
+    return itemsKeywords.some(keyword => lowerLine.includes(keyword));
+  }
+
+  isHeaderOrTotal(line) {
+    const headerKeywords = ['total', 'summe', 'gesamt', 'kasse', 'kassierer', 'bon', 'receipt', 'datum', 'date', 'payment', 'steuer', 'mwst'];
+    const lowerLine = line.toLowerCase();
+    
+    return headerKeywords.some(keyword => lowerLine.includes(keyword));
+  }
+
+  // New fallback method for extracting items when structured parsing fails
+  extractItemsFallback(markdown, result) {
+    console.log('🔍 Using fallback item extraction...');
+    
+    // Look for any line that might contain product information
+    const lines = markdown.split('\n');
+    const potentialItems = [];
+    
+    for (const line of lines) {
+      const trimmedLine = line.trim();
+      
+      // Skip headers, totals, and empty lines
+      if (!trimmedLine || this.isHeaderOrTotal(trimmedLine)) continue;
+      
+      // Look for patterns that might be items
+      const itemPatterns = [
+        // Pattern: "PRODUCT quantity price"
+        /^([A-ZÄÖÜß\s\-\.]+)\s+(\d+)\s+([0-9,\.]+)/i,
+        // Pattern: "PRODUCT price"
+        /^([A-ZÄÖÜß\s\-\.]+)\s+([0-9,\.]+)/i,
+        // Pattern: "PRODUCT" (just the name)
+        /^([A-ZÄÖÜß\s\-\.]{3,})$/i
+      ];
+      
+      for (const pattern of itemPatterns) {
+        const match = trimmedLine.match(pattern);
+        if (match) {
+          const productName = match[1].trim();
+          
+          // Skip if it's clearly not a product
+          if (this.isNotAProduct(productName)) continue;
+          
+          const quantity = match[2] ? parseInt(match[2]) : 1;
+          const price = match[3] ? this.parsePrice(match[3]) : null;
+          
+          potentialItems.push({
+            product_name: productName,
+            quantity: quantity,
+            unit_price: price ? price / quantity : null,
+            total_price: price || null,
+            category: null,
+            brand: this.extractBrand(productName),
+            item_code: this.generateItemCode(productName),
+            line_text: trimmedLine,
+            matched: false
+          });
+          
+          break; // Found a match, move to next line
+        }
+      }
+    }
+    
+    // Add unique items (avoid duplicates)
+    const seenNames = new Set();
+    for (const item of potentialItems) {
+      if (!seenNames.has(item.product_name.toLowerCase())) {
+        result.receipt.items.push(item);
+        seenNames.add(item.product_name.toLowerCase());
+      }
+    }
+    
+    console.log(`✅ Fallback extraction found ${result.receipt.items.length} items`);
+  }
+
+  // Helper method to identify lines that are clearly not products
+  isNotAProduct(text) {
+    const notProducts = [
+      'total', 'summe', 'sum', 'payment', 'cash', 'card', 'change', 'rueckgeld',
+      'tax', 'vat', 'mwst', 'date', 'time', 'store', 'address',
+      'phone', 'website', 'thank', 'danke', 'receipt', 'bon', 'kas', 'terminal',
+      'steuer', 'fiscal', 'loyalty', 'treue', 'points', 'eur', 'euro', 'amount',
+      'method', 'eft', 'credit', 'debit', 'change', 'cashier', 'register'
+    ];
+    
+    const lowerText = text.toLowerCase();
+    return notProducts.some(term => lowerText.includes(term));
+  }
+}
+
+module.exports = GenericParser;
@@ -0,0 +1,100 @@
+const GenericParser = require('./generic-parser');
+const EdekaParser = require('./edeka-parser');
+const DmParser = require('./dm-parser');
+const ReweParser = require('./rewe-parser');
+const LidlParser = require('./lidl-parser');
+const AldiParser = require('./aldi-parser');
+const KauflandParser = require('./kaufland-parser');
+
+/**
+ * Receipt Parser Registry
+ *
+ * Chooses the parser plugin for a receipt: every chain plugin scores the OCR
+ * markdown with detect(), the best score at or above minScore wins, and the
+ * generic parser reads everything else. More chains are added with
+ * register(); a plugin extends ChainParser (or GenericParser) and has a
+ * unique name.
+ */
+
+const CHAIN_PARSERS = [EdekaParser, DmParser, ReweParser, LidlParser, AldiParser, KauflandParser];
+
+class ParserRegistry {
+  /**
+   * @param {Object} config - { minScore }
+   */
+  constructor(config = {}) {
+    this.config = {
+      // A store name anywhere on the receipt is enough; layout signals alone are not
+      minScore: 0.4,
+      ...config
+    };
+
+    this.generic = new GenericParser();
+    this.parsers = [];
+    CHAIN_PARSERS.forEach(Parser => this.register(new Parser()));
+  }
+
+  /**
+   * Add a parser plugin, replacing one with the same name
+   * @param {GenericParser} parser - Plugin instance
+   */
+  register(parser) {
+    this.parsers = this.parsers.filter(existing => existing.name !== parser.name);
+    this.parsers.push(parser);
+  }
+
+  get(name) {
+    if (name === this.generic.name) return this.generic;
+    return this.parsers.find(parser => parser.name === name) || null;
+  }
+
+  /**
+   * Names and versions of the registered plugins, generic last
+   * @returns {Array} - [{ name, version }]
+   */
+  list() {
+    return [...this.parsers, this.generic].map(parser => ({ name: parser.name, version: parser.version }));
+  }
+
+  /**
+   * Plugin with the best detect() score
+   * @param {string} markdown - OCR output as markdown
+   * @returns {Object} - { parser, score }; the generic parser with score 0 if no chain reaches minScore
+   */
+  select(markdown) {
+    let best = { parser: this.generic, score: 0 };
+
+    for (const parser of this.parsers) {
+      const score = parser.detect(markdown);
+      if (score >= this.config.minScore && score > best.score) {
+        best = { parser, score };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Parse OCR markdown with the matching plugin
+   * @param {string} markdown - OCR output as markdown
+   * @param {Object} options - { provider, parser } (parser forces a plugin by name)
+   * @returns {Object} - { receipt, ocr_data, processing_info }
+   */
+  parse(markdown, options = {}) {
+    if (options.parser) {
+      const parser = this.get(options.parser);
+      if (!parser) {
+        throw new Error(`Unknown receipt parser: ${options.parser}. Available: ${this.list().map(p => p.name).join(', ')}`);
+      }
+      return parser.parse(markdown, options);
+    }
+
+    const { parser, score } = this.select(markdown);
+    if (parser !== this.generic) {
+      console.log(`🏪 Detected ${parser.name} receipt (score ${score.toFixed(1)})`);
+    }
+    return parser.parse(markdown, options);
+  }
+}
+
+module.exports = ParserRegistry;
@@ -0,0 +1,25 @@
+const ChainParser = require('./chain-parser');
+
+/**
+ * Kaufland
+ *
+ * Prices end in tax code A or B, multiples are printed on the line under
+ * the item as "2 x 0,59" or "2 Stk x 0,59", and the total is "Summe" or
+ * "zu zahlen".
+ */
+
+class KauflandParser extends ChainParser {
+  constructor() {
+    super({
+      name: 'kaufland',
+      storeName: 'Kaufland',
+      storeChain: 'Kaufland',
+      headerPatterns: [/\bKaufland\b/i],
+      taxCodes: '[AB]',
+      totalPatterns: [/\bSumme\s+(?:EUR\s+)?(-?\d+[.,]\d{2})/i, /\bzu zahlen\s+(-?\d+[.,]\d{2})/i],
+      quantityLinePatterns: [/^(?<quantity>\d+)\s*(?:Stk\s*)?x\s*(?<unitPrice>\d+[.,]\d{2})$/i]
+    });
+  }
+}
+
+module.exports = KauflandParser;
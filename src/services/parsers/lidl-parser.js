@@ -0,0 +1,24 @@
+const ChainParser = require('./chain-parser');
+
+/**
+ * Lidl
+ *
+ * Prices end in tax code A or B, multiples are printed on the line under
+ * the item as "2 x 0,59", and the amount due is "zu zahlen".
+ */
+
+class LidlParser extends ChainParser {
+  constructor() {
+    super({
+      name: 'lidl',
+      storeName: 'Lidl',
+      storeChain: 'Lidl',
+      headerPatterns: [/\bLidl\b/i],
+      taxCodes: '[AB]',
+      totalPatterns: [/\bzu zahlen\s+(-?\d+[.,]\d{2})/i, /\bSumme\s+(-?\d+[.,]\d{2})/i],
+      quantityLinePatterns: [/^(?<quantity>\d+)\s*x\s*(?<unitPrice>\d+[.,]\d{2})$/i]
+    });
+  }
+}
+
+module.exports = LidlParser;
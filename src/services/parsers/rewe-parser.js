@@ -0,0 +1,25 @@
+const ChainParser = require('./chain-parser');
+
+/**
+ * REWE
+ *
+ * Prices end in tax code A or B (B* for deposit), multiples are printed on
+ * the line under the item as "2 Stk x 0,59", and the total is "SUMME EUR".
+ * eBon PDFs have the same layout as the paper receipt.
+ */
+
+class ReweParser extends ChainParser {
+  constructor() {
+    super({
+      name: 'rewe',
+      storeName: 'REWE',
+      storeChain: 'REWE',
+      headerPatterns: [/\bREWE\b/i],
+      taxCodes: '[AB]\\*?',
+      totalPatterns: [/\bSUMME\s+(?:EUR|€)\s*(-?\d+[.,]\d{2})/i],
+      quantityLinePatterns: [/^(?<quantity>\d+)\s*Stk\s*x\s*(?<unitPrice>\d+[.,]\d{2})$/i]
+    });
+  }
+}
+
+module.exports = ReweParser;
@@ -0,0 +1,110 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * PDF Converter
+ *
+ * Reads receipt PDFs with the poppler command line tools (poppler-utils):
+ * pdftotext for the text layer of e-receipts (REWE eBon, dm, Lidl Plus), and
+ * pdftoppm to rasterize scanned PDFs page by page for OCR.
+ */
+
+class PdfConverter {
+  constructor(config = {}) {
+    this.config = {
+      dpi: 300,                // Rasterization resolution, enough for receipt print
+      maxPages: 10,            // Longer documents are not receipts
+      minTextChars: 40,        // Fewer non-blank characters means a scan without text layer
+      timeout: 60000,          // Per poppler call
+      ...config
+    };
+  }
+
+  static isPdf(filePath, mimetype = null) {
+    return mimetype === 'application/pdf' || path.extname(filePath).toLowerCase() === '.pdf';
+  }
+
+  /**
+   * Run a poppler tool
+   * @param {string} command - Tool name, e.g. pdftotext
+   * @param {string[]} args - Arguments
+   * @returns {Promise<string>} - stdout
+   */
+  run(command, args) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: this.config.timeout, maxBuffer: 20 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          if (error.code === 'ENOENT') {
+            const missing = new Error(`${command} not found, install poppler-utils for PDF support`);
+            missing.code = 'PDF_TOOLS_MISSING';
+            return reject(missing);
+          }
+          return reject(new Error(`${command} failed: ${(stderr || error.message).trim()}`));
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  async getPageCount(pdfPath) {
+    const info = await this.run('pdfinfo', [pdfPath]);
+    const match = info.match(/^Pages:\s+(\d+)/m);
+    return match ? parseInt(match[1], 10) : 0;
+  }
+
+  /**
+   * Text layer of a PDF, one entry per page
+   * @param {string} pdfPath - PDF file
+   * @returns {Promise<string[]>} - Page texts, layout kept so prices stay on their item's line
+   */
+  async extractText(pdfPath) {
+    const text = await this.run('pdftotext', ['-layout', '-enc', 'UTF-8', '-l', String(this.config.maxPages), pdfPath, '-']);
+    // Every page ends with a form feed
+    const pages = text.split('\f');
+    if (pages[pages.length - 1].trim() === '') pages.pop();
+    return pages;
+  }
+
+  /**
+   * Whether extracted page texts are a usable text layer rather than a scan
+   * @param {string[]} pages - Page texts from extractText()
+   * @returns {boolean}
+   */
+  hasTextLayer(pages) {
+    const chars = pages.join('').replace(/\s/g, '').length;
+    return chars >= this.config.minTextChars;
+  }
+
+  /**
+   * Render each page (up to maxPages) into a PNG in a temporary directory
+   * @param {string} pdfPath - PDF file
+   * @returns {Promise<Object>} - { pages: [image paths in page order], cleanup }
+   */
+  async rasterize(pdfPath) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipt-pdf-'));
+    const cleanup = () => fs.rmSync(dir, { recursive: true, force: true });
+
+    try {
+      await this.run('pdftoppm', ['-r', String(this.config.dpi), '-png', '-l', String(this.config.maxPages), pdfPath, path.join(dir, 'page')]);
+
+      // pdftoppm zero-pads page numbers to the page count's width (page-1.png or page-01.png)
+      const pages = fs.readdirSync(dir)
+        .filter(name => /^page-\d+\.png$/.test(name))
+        .sort((a, b) => parseInt(a.match(/\d+/)[0], 10) - parseInt(b.match(/\d+/)[0], 10))
+        .map(name => path.join(dir, name));
+      if (pages.length === 0) {
+        throw new Error('PDF has no pages');
+      }
+
+      console.log(`📄 Rasterized ${pages.length} PDF page(s) at ${this.config.dpi} dpi`);
+      return { pages, cleanup };
+    } catch (error) {
+      cleanup();
+      throw error;
+    }
+  }
+}
+
+module.exports = PdfConverter;
@@ -0,0 +1,279 @@
+/**
+ * Product Matcher
+ *
+ * Ranks catalog products against a receipt item using fuzzy similarity over
+ * the product name, brand and unit size. Receipt lines are heavily
+ * abbreviated ("Rieg. Ban&Kirsche"), so name matching works per token and
+ * treats a token that is a prefix of another as a near match.
+ */
+
+class ProductMatcher {
+  constructor(config = {}) {
+    this.config = {
+      limit: 5,
+      minScore: 0.3,
+      weights: {
+        name: 0.7,
+        brand: 0.15,
+        unitSize: 0.15
+      },
+      ...config
+    };
+  }
+
+  /**
+   * Normalize text for comparison (lowercase, folded umlauts, no punctuation)
+   * @param {string} text - Text to normalize
+   * @returns {string} - Normalized text
+   */
+  normalizeText(text) {
+    if (!text) return '';
+
+    return text
+      .toLowerCase()
+      .replace(/\*\*/g, '')
+      .replace(/ä/g, 'ae')
+      .replace(/ö/g, 'oe')
+      .replace(/ü/g, 'ue')
+      .replace(/ß/g, 'ss')
+      .replace(/&/g, ' ')
+      .replace(/(\d),(\d)/g, '$1.$2')
+      .replace(/[^a-z0-9.\s]/g, ' ')
+      .replace(/\.(?!\d)/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Split text into comparable tokens
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} - Normalized tokens
+   */
+  tokenize(text) {
+    return this.normalizeText(text)
+      .split(' ')
+      .filter(token => token.length > 0);
+  }
+
+  /**
+   * Extract a unit size like "75ml", "4x23g" or "1,5 l" from text
+   * @param {string} text - Text to search
+   * @returns {Object|null} - { amount, unit } in g or ml, or null
+   */
+  extractUnitSize(text) {
+    if (!text) return null;
+
+    const match = text
+      .toLowerCase()
+      .replace(/,/g, '.')
+      .match(/(?:(\d+)\s*x\s*)?(\d+(?:\.\d+)?)\s*(kg|g|ml|cl|l)\b/);
+
+    if (!match) return null;
+
+    const count = match[1] ? parseInt(match[1]) : 1;
+    const factors = { kg: 1000, g: 1, l: 1000, cl: 10, ml: 1 };
+    const unit = ['kg', 'g'].includes(match[3]) ? 'g' : 'ml';
+
+    return {
+      amount: count * parseFloat(match[2]) * factors[match[3]],
+      unit: unit
+    };
+  }
+
+  /**
+   * Dice coefficient over character bigrams
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Similarity (0-1)
+   */
+  diceSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+      const bigram = a.substring(i, i + 2);
+      bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+      const bigram = b.substring(i, i + 2);
+      const count = bigrams.get(bigram) || 0;
+      if (count > 0) {
+        bigrams.set(bigram, count - 1);
+        overlap++;
+      }
+    }
+
+    return (2 * overlap) / (a.length + b.length - 2);
+  }
+
+  /**
+   * Similarity between two single tokens, aware of receipt abbreviations
+   * @param {string} a - First token
+   * @param {string} b - Second token
+   * @returns {number} - Similarity (0-1)
+   */
+  tokenSimilarity(a, b) {
+    if (a === b) return 1;
+
+    // "rieg" vs "riegel", "ban" vs "banane"
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    if (shorter.length >= 3 && longer.startsWith(shorter)) {
+      return 0.9;
+    }
+
+    return this.diceSimilarity(a, b);
+  }
+
+  /**
+   * Average best-token similarity from one token list to another
+   * @param {string[]} from - Tokens to cover
+   * @param {string[]} to - Tokens to match against
+   * @returns {number} - Coverage score (0-1)
+   */
+  tokenCoverage(from, to) {
+    if (from.length === 0 || to.length === 0) return 0;
+
+    let weighted = 0;
+    let totalWeight = 0;
+
+    for (const token of from) {
+      const best = Math.max(...to.map(other => this.tokenSimilarity(token, other)));
+      weighted += best * token.length;
+      totalWeight += token.length;
+    }
+
+    return weighted / totalWeight;
+  }
+
+  /**
+   * Similarity between a receipt text and a product name
+   * @param {string} itemText - Receipt item text
+   * @param {string} productName - Catalog product name
+   * @returns {number} - Similarity (0-1)
+   */
+  nameSimilarity(itemText, productName) {
+    const itemTokens = this.tokenize(itemText);
+    const productTokens = this.tokenize(productName);
+
+    if (itemTokens.length === 0 || productTokens.length === 0) return 0;
+
+    const tokenScore = (
+      this.tokenCoverage(itemTokens, productTokens) +
+      this.tokenCoverage(productTokens, itemTokens)
+    ) / 2;
+
+    const wholeScore = this.diceSimilarity(
+      itemTokens.join(''),
+      productTokens.join('')
+    );
+
+    return 0.6 * tokenScore + 0.4 * wholeScore;
+  }
+
+  /**
+   * Similarity between the item and the product brand
+   * @param {Object} item - Receipt item
+   * @param {string} productBrand - Brand name of the product
+   * @returns {number|null} - Similarity (0-1), null if not comparable
+   */
+  brandSimilarity(item, productBrand) {
+    const brand = this.normalizeText(productBrand);
+    if (!brand) return null;
+
+    // Brands are often printed as part of the line ("Milka Kuhflecken")
+    const itemText = this.normalizeText(`${item.product_name || ''} ${item.line_text || ''}`);
+    if (itemText.split(' ').includes(brand) || (brand.length >= 4 && itemText.includes(brand))) {
+      return 1;
+    }
+
+    if (!item.brand) return null;
+    return this.tokenSimilarity(this.normalizeText(item.brand), brand);
+  }
+
+  /**
+   * Similarity between two unit sizes
+   * @param {Object|null} itemSize - Size extracted from the item
+   * @param {Object|null} productSize - Size extracted from the product
+   * @returns {number|null} - Similarity (0-1), null if not comparable
+   */
+  unitSizeSimilarity(itemSize, productSize) {
+    if (!itemSize || !productSize) return null;
+    if (itemSize.unit !== productSize.unit) return 0;
+
+    const ratio = Math.min(itemSize.amount, productSize.amount) /
+      Math.max(itemSize.amount, productSize.amount);
+
+    return ratio >= 0.999 ? 1 : ratio * 0.5;
+  }
+
+  /**
+   * Score a single product against a receipt item
+   * @param {Object} item - Receipt item (product_name, line_text, brand)
+   * @param {Object} product - Catalog product
+   * @returns {Object} - { score, breakdown }
+   */
+  scoreProduct(item, product) {
+    const { weights } = this.config;
+
+    const name = Math.max(
+      this.nameSimilarity(item.product_name, product.name),
+      this.nameSimilarity(item.line_text, product.name)
+    );
+
+    const brand = this.brandSimilarity(item, product.brand_name || product.brand);
+
+    const itemSize = this.extractUnitSize(item.product_name) || this.extractUnitSize(item.line_text);
+    const productSize = this.extractUnitSize(product.unit_size) || this.extractUnitSize(product.name);
+    const unitSize = this.unitSizeSimilarity(itemSize, productSize);
+
+    // Components that can't be compared don't count against the product
+    let score = weights.name * name;
+    let totalWeight = weights.name;
+
+    if (brand !== null) {
+      score += weights.brand * brand;
+      totalWeight += weights.brand;
+    }
+
+    if (unitSize !== null) {
+      score += weights.unitSize * unitSize;
+      totalWeight += weights.unitSize;
+    }
+
+    return {
+      score: Math.round((score / totalWeight) * 1000) / 1000,
+      breakdown: {
+        name: Math.round(name * 1000) / 1000,
+        brand: brand === null ? null : Math.round(brand * 1000) / 1000,
+        unit_size: unitSize === null ? null : Math.round(unitSize * 1000) / 1000
+      }
+    };
+  }
+
+  /**
+   * Rank products for a receipt item
+   * @param {Object} item - Receipt item
+   * @param {Array} products - Catalog products
+   * @param {Object} options - { limit, minScore }
+   * @returns {Array} - Products with score and score_breakdown, best first
+   */
+  rankProducts(item, products, options = {}) {
+    const limit = options.limit || this.config.limit;
+    const minScore = options.minScore !== undefined ? options.minScore : this.config.minScore;
+
+    return products
+      .map(product => {
+        const { score, breakdown } = this.scoreProduct(item, product);
+        return { ...product, score, score_breakdown: breakdown };
+      })
+      .filter(candidate => candidate.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = ProductMatcher;
@@ -0,0 +1,207 @@
+const AdmZip = require('adm-zip');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PdfConverter = require('./pdf-converter');
+
+/**
+ * Receipt Batches
+ *
+ * Turns a multi-file upload into receipt jobs sharing a batch id. ZIP
+ * archives are unpacked first (folders flattened, macOS metadata skipped);
+ * anything that isn't a receipt image or PDF is rejected per file instead
+ * of failing the batch. Each image or PDF becomes its own receipt.
+ * Processing concurrency is the job queue's worker pool.
+ */
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp', '.tif', '.tiff'];
+const RECEIPT_EXTENSIONS = [...IMAGE_EXTENSIONS, '.pdf'];
+
+class ReceiptBatch {
+  /**
+   * @param {DatabaseService} db - Connected database
+   * @param {JobQueue} jobQueue - Queue the receipts are processed by
+   * @param {Object} config - { uploadDir, maxFileSize, maxFiles }
+   */
+  constructor(db, jobQueue, config = {}) {
+    this.db = db;
+    this.jobQueue = jobQueue;
+    this.config = {
+      uploadDir: 'uploads',
+      maxFileSize: 10 * 1024 * 1024, // Same limit as a single upload
+      maxFiles: 500, // Receipts per batch, ZIP contents included
+      ...config
+    };
+  }
+
+  static isZip(file) {
+    return path.extname(file.originalname).toLowerCase() === '.zip' ||
+      ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype);
+  }
+
+  static isReceiptName(name) {
+    return RECEIPT_EXTENSIONS.includes(path.extname(name).toLowerCase());
+  }
+
+  /**
+   * Receipt images and PDFs of an upload, ZIP archives unpacked
+   * @param {Array} files - Multer files
+   * @returns {Object} - { accepted: [{ file_path, original_name }], rejected: [{ name, error }] }
+   */
+  expand(files) {
+    const accepted = [];
+    const rejected = [];
+
+    for (const file of files) {
+      if (ReceiptBatch.isZip(file)) {
+        try {
+          const extracted = this.extractZip(file);
+          accepted.push(...extracted.accepted);
+          rejected.push(...extracted.rejected);
+        } catch (error) {
+          rejected.push({ name: file.originalname, error: `Unreadable ZIP archive: ${error.message}` });
+        } finally {
+          fs.unlinkSync(file.path);
+        }
+      } else if (!file.mimetype.startsWith('image/') && !PdfConverter.isPdf(file.originalname, file.mimetype) &&
+        !ReceiptBatch.isReceiptName(file.originalname)) {
+        rejected.push({ name: file.originalname, error: 'Not an image or PDF' });
+        fs.unlinkSync(file.path);
+      } else if (file.size > this.config.maxFileSize) {
+        rejected.push({ name: file.originalname, error: 'File too large' });
+        fs.unlinkSync(file.path);
+      } else {
+        accepted.push({ file_path: path.resolve(file.path), original_name: file.originalname });
+      }
+    }
+
+    // Files over the limit are not processed, but still listed
+    for (const file of accepted.splice(this.config.maxFiles)) {
+      rejected.push({ name: file.original_name, error: `More than ${this.config.maxFiles} receipts in one batch` });
+      fs.unlinkSync(file.file_path);
+    }
+
+    return { accepted, rejected };
+  }
+
+  /**
+   * Unpack the receipt images and PDFs of a ZIP archive into the upload directory
+   * @param {Object} file - Multer file of the archive
+   * @returns {Object} - { accepted, rejected } as in expand()
+   */
+  extractZip(file) {
+    const accepted = [];
+    const rejected = [];
+    const zip = new AdmZip(file.path);
+
+    for (const entry of zip.getEntries()) {
+      const name = entry.entryName;
+      const baseName = path.basename(name);
+      if (entry.isDirectory || name.startsWith('__MACOSX/') || baseName.startsWith('.')) continue;
+
+      const displayName = `${file.originalname}/${name}`;
+      if (!ReceiptBatch.isReceiptName(name)) {
+        rejected.push({ name: displayName, error: 'Not an image or PDF' });
+        continue;
+      }
+      // Checked before inflating, so a ZIP bomb is never unpacked
+      if (entry.header.size > this.config.maxFileSize) {
+        rejected.push({ name: displayName, error: 'File too large' });
+        continue;
+      }
+      if (accepted.length >= this.config.maxFiles) {
+        rejected.push({ name: displayName, error: `More than ${this.config.maxFiles} receipts in one batch` });
+        continue;
+      }
+
+      const suffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+      const filePath = path.resolve(this.config.uploadDir, `${suffix}${path.extname(name).toLowerCase()}`);
+      fs.writeFileSync(filePath, entry.getData());
+      accepted.push({ file_path: filePath, original_name: baseName });
+    }
+
+    return { accepted, rejected };
+  }
+
+  /**
+   * Queue every receipt of an upload as one batch
+   * @param {Array} files - Multer files (images and ZIP archives)
+   * @param {Object} options - OCR options for every receipt { provider, providers, preprocessing }
+   * @returns {Promise<Object>} - Batch summary, see getSummary()
+   */
+  async create(files, options = {}) {
+    const { accepted, rejected } = this.expand(files);
+    const batchId = crypto.randomUUID();
+
+    let queued = 0;
+    try {
+      await this.db.createBatch({ id: batchId, file_count: accepted.length + rejected.length, rejected });
+      for (const file of accepted) {
+        await this.jobQueue.enqueue({ ...file, options, batch_id: batchId });
+        queued++;
+      }
+    } catch (error) {
+      // Queued files are the worker's to delete; the rest (unpacked ZIP entries included) are nobody's
+      for (const file of accepted.slice(queued)) {
+        if (fs.existsSync(file.file_path)) {
+          fs.unlinkSync(file.file_path);
+        }
+      }
+      throw error;
+    }
+
+    console.log(`📦 Batch ${batchId}: ${accepted.length} receipts queued, ${rejected.length} rejected`);
+    return await this.getSummary(batchId);
+  }
+
+  /**
+   * Per-file outcome and counts of a batch
+   * @param {string} id - Batch id
+   * @returns {Promise<Object|null>} - { id, created_at, file_count, done, counts, files }, null if unknown
+   */
+  async getSummary(id) {
+    const batch = await this.db.getBatch(id);
+    if (!batch) return null;
+
+    const files = [
+      ...batch.jobs.map(job => ({
+        name: job.original_name,
+        job_id: job.id,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        receipt_id: job.receipt_id,
+        error: job.error
+      })),
+      ...batch.rejected.map(file => ({
+        name: file.name,
+        job_id: null,
+        status: 'rejected',
+        stage: null,
+        progress: 0,
+        receipt_id: null,
+        error: file.error
+      }))
+    ];
+
+    const counts = { queued: 0, processing: 0, stored: 0, failed: 0, rejected: batch.rejected.length };
+    for (const job of batch.jobs) {
+      if (job.status === 'queued' || job.status === 'stored' || job.status === 'failed') counts[job.status]++;
+      else counts.processing++;
+    }
+
+    return {
+      id: batch.id,
+      created_at: batch.created_at,
+      file_count: batch.file_count,
+      done: counts.queued === 0 && counts.processing === 0,
+      counts,
+      receipt_ids: batch.jobs.filter(job => job.receipt_id).map(job => job.receipt_id),
+      files
+    };
+  }
+}
+
+ReceiptBatch.RECEIPT_EXTENSIONS = RECEIPT_EXTENSIONS;
+
+module.exports = ReceiptBatch;
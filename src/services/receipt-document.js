@@ -0,0 +1,183 @@
+const path = require('path');
+const PdfConverter = require('./pdf-converter');
+const ReceiptLayout = require('./receipt-layout');
+
+/**
+ * Receipt Documents
+ *
+ * One receipt from one or more files: a PDF, or a long receipt photographed
+ * in parts. PDFs with a text layer are read without OCR (rows rebuilt by
+ * ReceiptLayout like OCR output, so items land in a table); scanned PDFs are
+ * rasterized and OCR'd page by page like photos. The page texts are joined
+ * in upload order and parsed as a single receipt. Consecutive photos usually
+ * overlap by a few lines, which are dropped from the later photo.
+ */
+
+class ReceiptDocument {
+  /**
+   * @param {OCRService} ocr - OCR service for image pages and parsing
+   * @param {PdfConverter} pdf - PDF reader, default poppler with default settings
+   * @param {Object} config - { minOverlapLines, maxOverlapLines }
+   */
+  constructor(ocr, pdf = new PdfConverter(), config = {}) {
+    this.ocr = ocr;
+    this.pdf = pdf;
+    this.layout = new ReceiptLayout();
+    this.config = {
+      // A single repeated line can be a real repeated item, so fewer are not treated as overlap
+      minOverlapLines: 2,
+      maxOverlapLines: 15,
+      ...config
+    };
+  }
+
+  /**
+   * Extract one receipt from its files
+   * @param {string[]} filePaths - Images and/or PDFs, in page order
+   * @param {Object} options - Same as OCRService.processImage(); ocr progress covers all pages
+   * @returns {Promise<Object>} - Parsed receipt result; processing_info.pages lists how each page was read
+   */
+  async process(filePaths, options = {}) {
+    // A single image is a plain OCR run
+    if (filePaths.length === 1 && !PdfConverter.isPdf(filePaths[0])) {
+      return await this.ocr.processImage(filePaths[0], options);
+    }
+
+    const onProgress = options.onProgress || null;
+    const cleanups = [];
+    try {
+      const pages = [];
+      for (const filePath of filePaths) {
+        pages.push(...(PdfConverter.isPdf(filePath)
+          ? await this.readPdf(filePath, cleanups)
+          : [{ type: 'photo', file: path.basename(filePath), imagePath: filePath }]));
+      }
+
+      const imagePages = pages.filter(page => page.imagePath);
+      const ocrResults = [];
+      for (const page of imagePages) {
+        const index = ocrResults.length;
+        const result = await this.ocr.processImage(page.imagePath, {
+          ...options,
+          onProgress: onProgress ? update => this.reportPageProgress(onProgress, update, index, imagePages.length) : null
+        });
+        page.text = result.ocr_data.raw_markdown || '';
+        page.provider = result.processing_info.ocr_provider;
+        page.confidence = result.ocr_data.confidence_score;
+        ocrResults.push(result);
+      }
+
+      onProgress?.({ stage: 'parsing' });
+      const { text, overlaps } = this.stitch(pages);
+      const provider = ocrResults.length > 0 ? ocrResults[0].processing_info.ocr_provider : 'pdf-text';
+      const result = this.ocr.parseMarkdown(text, { provider });
+
+      const confidences = pages.map(page => page.confidence).filter(value => typeof value === 'number');
+      result.ocr_data.confidence_score = confidences.length > 0
+        ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+        : null;
+      result.processing_info.ocr_model = ocrResults.length > 0 ? ocrResults[0].processing_info.ocr_model : 'pdftotext';
+      result.processing_info.pages = pages.map((page, index) => ({
+        file: page.file,
+        type: page.type,
+        provider: page.provider || null,
+        overlapping_lines: overlaps[index]
+      }));
+
+      console.log(`🧩 Stitched ${pages.length} page(s) into one receipt (${ocrResults.length} OCR'd)`);
+      return result;
+    } finally {
+      cleanups.forEach(cleanup => cleanup());
+    }
+  }
+
+  /**
+   * Pages of a PDF: its text layer, or rasterized images when it is a scan
+   * @param {string} pdfPath - PDF file
+   * @param {Function[]} cleanups - Receives the cleanup of rasterized images
+   * @returns {Promise<Array>} - Pages { type, file, text } or { type, file, imagePath }
+   */
+  async readPdf(pdfPath, cleanups) {
+    const file = path.basename(pdfPath);
+    const pageCount = await this.pdf.getPageCount(pdfPath);
+    if (pageCount > this.pdf.config.maxPages) {
+      throw new Error(`PDF has ${pageCount} pages, at most ${this.pdf.config.maxPages} are read as one receipt`);
+    }
+
+    const texts = await this.pdf.extractText(pdfPath);
+    if (this.pdf.hasTextLayer(texts)) {
+      console.log(`📄 Reading text layer of ${file} (${texts.length} page(s)), no OCR needed`);
+      return texts.map(text => ({ type: 'pdf_text', file, text: this.textToMarkdown(text) }));
+    }
+
+    console.log(`📄 ${file} has no text layer, rasterizing for OCR`);
+    const { pages, cleanup } = await this.pdf.rasterize(pdfPath);
+    cleanups.push(cleanup);
+    return pages.map(imagePath => ({ type: 'pdf_scan', file, imagePath }));
+  }
+
+  // Layout text of a PDF page as receipt markdown
+  textToMarkdown(text) {
+    const lines = this.layout.buildLines(this.layout.wordsFromText(text));
+    return this.layout.toMarkdown(lines, line => `* ${line}\n`);
+  }
+
+  // One page's progress as part of the whole document; only the last page reports parsing
+  reportPageProgress(onProgress, update, index, pageCount) {
+    if (update.stage === 'parsing') return;
+    if (update.stage === 'preprocessing' && index > 0) return;
+    if (update.stage === 'ocr') {
+      onProgress({ stage: 'ocr', progress: (index + (update.progress || 0)) / pageCount });
+      return;
+    }
+    onProgress(update);
+  }
+
+  /**
+   * Join page texts, dropping lines a photo repeats from the previous photo
+   * @param {Array} pages - Pages with text, in order
+   * @returns {Object} - { text, overlaps: [lines dropped per page] }
+   */
+  stitch(pages) {
+    const lines = [];
+    const overlaps = [];
+    let previous = [];
+
+    pages.forEach((page, index) => {
+      const pageLines = page.text.split('\n');
+      const content = this.contentLines(pageLines);
+      // Only separate photos overlap; PDF pages continue where the last one ended
+      const overlap = index > 0 && page.type === 'photo' && pages[index - 1].type === 'photo'
+        ? this.findOverlap(previous.map(line => line.key), content.map(line => line.key))
+        : 0;
+
+      const dropped = new Set(content.slice(0, overlap).map(line => line.index));
+      lines.push(...pageLines.filter((line, lineIndex) => !dropped.has(lineIndex)));
+      overlaps.push(overlap);
+      previous = content;
+    });
+
+    return { text: lines.join('\n'), overlaps };
+  }
+
+  // Lines compared for overlap: not blank, and not the markdown headings and table header every page starts with
+  contentLines(pageLines) {
+    const isSeparator = line => line.includes('---') && /^[\s|:-]+$/.test(line);
+    return pageLines
+      .map((line, index) => ({ index, key: line.trim().replace(/\s+/g, ' ').toLowerCase() }))
+      .filter(({ index, key }) => key && !key.startsWith('#') && !isSeparator(key) &&
+        !isSeparator(pageLines[index + 1] || ''));
+  }
+
+  // Longest run of lines that ends the previous page and starts the next one
+  findOverlap(previous, next) {
+    const max = Math.min(previous.length, next.length, this.config.maxOverlapLines);
+    for (let size = max; size >= this.config.minOverlapLines; size--) {
+      const tail = previous.slice(previous.length - size);
+      if (tail.every((line, i) => line === next[i])) return size;
+    }
+    return 0;
+  }
+}
+
+module.exports = ReceiptDocument;
@@ -0,0 +1,326 @@
+/**
+ * Receipt Layout
+ *
+ * Rebuilds the visual rows of a receipt from word bounding boxes. OCR engines
+ * often emit a right-aligned price as its own line, away from the product
+ * name it belongs to. Grouping words by vertical position puts them back on
+ * the same row, and splitting each row at its price gives a name/price pair
+ * that can be written as an items table row for OCRService.parseMarkdown().
+ *
+ * Words are normalized to { text, left, top, right, bottom } in pixels.
+ */
+
+const PRICE_PATTERN = /^(-)?(?:€|EUR)?(\d{1,5}[.,]\d{2})(-)?(?:€)?$/i;
+const TAX_CLASS_PATTERN = /^[A-D]$|^\*$|^[A-D]\*$|^\d$/;
+const CURRENCY_PATTERN = /^(€|EUR)$/i;
+const QUANTITY_PATTERN = /^(\d{1,3})\s*[xX*]\s*(?:(\d{1,5}[.,]\d{2})(?:\s*(?:€|EUR))?)?$/;
+
+// Lines with a price that are not items
+const SUMMARY_PATTERN = /summe|total|gesamt|zu zahlen|zwischensumme|mwst|steuer|netto|brutto|gegeben|rueckgeld|rückgeld|bar\b|karte|girocard|ec-|visa|mastercard|posten/i;
+
+class ReceiptLayout {
+  constructor(config = {}) {
+    this.config = {
+      rowTolerance: 0.6,    // Max vertical center offset within a row, in word heights
+      cellGap: 2.5,         // Gap that splits a row into cells, in character widths
+      priceColumn: 0.45,    // Prices must start right of this fraction of the page width
+      ...config
+    };
+  }
+
+  /**
+   * Words from a Tesseract.js recognize() result
+   * @param {Object} rawResult - Tesseract result ({ data: { words | blocks } })
+   * @returns {Array} - Normalized words
+   */
+  wordsFromTesseract(rawResult) {
+    const data = rawResult?.data;
+    if (!data) return [];
+
+    let words = data.words;
+    if (!words && data.blocks) {
+      words = [];
+      for (const block of data.blocks) {
+        for (const paragraph of block.paragraphs || []) {
+          for (const line of paragraph.lines || []) {
+            words.push(...(line.words || []));
+          }
+        }
+      }
+    }
+
+    return (words || [])
+      .filter(word => word.bbox && word.text && word.text.trim())
+      .map(word => ({
+        text: word.text.trim(),
+        left: word.bbox.x0,
+        top: word.bbox.y0,
+        right: word.bbox.x1,
+        bottom: word.bbox.y1
+      }));
+  }
+
+  /**
+   * Words from Google Cloud Vision textAnnotations
+   * @param {Array} textAnnotations - Detections, the first one being the full text
+   * @returns {Array} - Normalized words
+   */
+  wordsFromGoogle(textAnnotations) {
+    if (!Array.isArray(textAnnotations)) return [];
+
+    return textAnnotations.slice(1)
+      .filter(annotation => annotation.boundingPoly?.vertices?.length && annotation.description)
+      .map(annotation => {
+        // Google omits x or y when they are 0
+        const xs = annotation.boundingPoly.vertices.map(vertex => vertex.x || 0);
+        const ys = annotation.boundingPoly.vertices.map(vertex => vertex.y || 0);
+        return {
+          text: annotation.description.trim(),
+          left: Math.min(...xs),
+          top: Math.min(...ys),
+          right: Math.max(...xs),
+          bottom: Math.max(...ys)
+        };
+      });
+  }
+
+  /**
+   * Words from an Azure Computer Vision OCR result (regions/lines/words)
+   * @param {Object} rawResult - Result of recognizePrintedTextInStream()
+   * @returns {Array} - Normalized words
+   */
+  wordsFromAzure(rawResult) {
+    const words = [];
+
+    for (const region of rawResult?.regions || []) {
+      for (const line of region.lines || []) {
+        for (const word of line.words || []) {
+          if (!word.boundingBox || !word.text) continue;
+          const [left, top, width, height] = word.boundingBox.split(',').map(Number);
+          words.push({ text: word.text.trim(), left, top, right: left + width, bottom: top + height });
+        }
+      }
+    }
+
+    return words;
+  }
+
+  /**
+   * Words of layout-preserving plain text (pdftotext -layout), one row per line
+   * and one unit of width per character
+   * @param {string} text - Text with columns aligned by spaces
+   * @returns {Array} - Normalized words
+   */
+  wordsFromText(text) {
+    const words = [];
+
+    (text || '').split('\n').forEach((line, index) => {
+      for (const match of line.matchAll(/\S+/g)) {
+        words.push({
+          text: match[0],
+          left: match.index,
+          top: index * 2,
+          right: match.index + match[0].length,
+          bottom: index * 2 + 1
+        });
+      }
+    });
+
+    return words;
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  /**
+   * Group words into visual rows and split each row into cells
+   * @param {Array} words - Normalized words
+   * @returns {Array} - Rows { words, cells, top, bottom }
+   */
+  groupRows(words) {
+    const wordHeight = this.median(words.map(word => word.bottom - word.top)) || 1;
+    const charWidth = this.median(
+      words.map(word => (word.right - word.left) / Math.max(1, word.text.length))
+    ) || 1;
+
+    const center = word => (word.top + word.bottom) / 2;
+    const rows = [];
+
+    for (const word of [...words].sort((a, b) => center(a) - center(b))) {
+      const row = rows.find(candidate =>
+        Math.abs(candidate.center - center(word)) <= wordHeight * this.config.rowTolerance
+      );
+
+      if (row) {
+        row.words.push(word);
+        row.center = row.words.reduce((sum, w) => sum + center(w), 0) / row.words.length;
+      } else {
+        rows.push({ words: [word], center: center(word) });
+      }
+    }
+
+    return rows
+      .sort((a, b) => a.center - b.center)
+      .map(row => {
+        const sorted = row.words.sort((a, b) => a.left - b.left);
+        const cells = [];
+
+        for (const word of sorted) {
+          const last = cells[cells.length - 1];
+          if (last && word.left - last.right <= charWidth * this.config.cellGap) {
+            last.text += ` ${word.text}`;
+            last.right = Math.max(last.right, word.right);
+          } else {
+            cells.push({ text: word.text, left: word.left, right: word.right });
+          }
+        }
+
+        return {
+          words: sorted,
+          cells,
+          top: Math.min(...sorted.map(word => word.top)),
+          bottom: Math.max(...sorted.map(word => word.bottom))
+        };
+      });
+  }
+
+  /**
+   * Normalize a price token ("1,29-" -> "-1,29"), null if it isn't one
+   * @param {string} text - Token text
+   * @returns {string|null} - Price string in receipt notation
+   */
+  parsePriceToken(text) {
+    const match = text.replace(/\s/g, '').match(PRICE_PATTERN);
+    if (!match) return null;
+    return `${match[1] || match[3] ? '-' : ''}${match[2]}`;
+  }
+
+  /**
+   * Split a row into name, quantity, price and tax class
+   * @param {Object} row - Row from groupRows()
+   * @param {number} pageWidth - Right edge of the rightmost word
+   * @returns {Object} - { text, name, quantity, unitPrice, price, taxClass }
+   */
+  splitRow(row, pageWidth) {
+    const words = row.words;
+
+    // Right end of an item row: price, optionally followed by currency and tax class
+    let end = words.length;
+    let taxClass = null;
+    if (end > 1 && TAX_CLASS_PATTERN.test(words[end - 1].text)) {
+      taxClass = words[end - 1].text.replace('*', '') || null;
+      end--;
+    }
+    if (end > 1 && CURRENCY_PATTERN.test(words[end - 1].text)) {
+      end--;
+    }
+
+    const candidate = words[end - 1];
+    const price = candidate && candidate.left >= pageWidth * this.config.priceColumn
+      ? this.parsePriceToken(candidate.text)
+      : null;
+    const nameWords = price ? words.slice(0, end - 1) : words;
+    if (!price) taxClass = null;
+
+    const name = nameWords.map(word => word.text).join(' ').trim();
+    const quantityMatch = name.match(QUANTITY_PATTERN);
+
+    return {
+      text: row.cells.map(cell => cell.text).join('  '),
+      name: quantityMatch ? '' : name,
+      quantity: quantityMatch ? parseInt(quantityMatch[1]) : null,
+      unitPrice: quantityMatch && quantityMatch[2] ? quantityMatch[2] : null,
+      price,
+      taxClass
+    };
+  }
+
+  /**
+   * Rebuild receipt lines from words
+   * @param {Array} words - Normalized words
+   * @returns {Array} - Lines { type: 'item' | 'text', text, name, quantity, price, taxClass }
+   */
+  buildLines(words) {
+    if (!words || words.length === 0) return [];
+
+    const pageWidth = Math.max(...words.map(word => word.right));
+    const lines = [];
+
+    for (const row of this.groupRows(words)) {
+      const split = this.splitRow(row, pageWidth);
+      const previous = lines[lines.length - 1];
+      const previousItem = previous && previous.type === 'item' ? previous : null;
+      const previousNameOnly = previous && previous.type === 'text' && previous.price === null &&
+        previous.name && !SUMMARY_PATTERN.test(previous.name) ? previous : null;
+
+      // "2 x 1,29" under (or before the price of) a product
+      if (split.quantity !== null) {
+        const target = previousItem || previousNameOnly;
+        if (target) {
+          target.quantity = split.quantity;
+          if (split.price) {
+            target.price = split.price;
+            target.taxClass = split.taxClass;
+            target.type = 'item';
+          }
+          continue;
+        }
+      }
+
+      // A price that ended up on its own row belongs to the name above it
+      if (!split.name && split.price && previousNameOnly) {
+        previousNameOnly.price = split.price;
+        previousNameOnly.taxClass = split.taxClass;
+        previousNameOnly.type = 'item';
+        continue;
+      }
+
+      const isItem = Boolean(split.name && split.price && !SUMMARY_PATTERN.test(split.name));
+      lines.push({
+        type: isItem ? 'item' : 'text',
+        text: split.text,
+        name: split.name,
+        quantity: split.quantity,
+        price: split.price,
+        taxClass: split.taxClass
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Write rebuilt lines as receipt markdown with an items table
+   * @param {Array} lines - Lines from buildLines()
+   * @param {Function} formatLine - Markdown for a non-item line (adapter specific)
+   * @returns {string} - Markdown
+   */
+  toMarkdown(lines, formatLine) {
+    let markdown = '# Receipt\n\n';
+    let inTable = false;
+
+    for (const line of lines) {
+      if (line.type === 'item') {
+        if (!inTable) {
+          markdown += '## Items Purchased\n\n| Item | Quantity | Price |\n| --- | --- | --- |\n';
+          inTable = true;
+        }
+        const price = line.taxClass ? `${line.price} ${line.taxClass}` : line.price;
+        markdown += `| ${line.name.replace(/\|/g, '/')} | ${line.quantity || 1} | ${price} |\n`;
+      } else {
+        if (inTable) {
+          markdown += '\n';
+          inTable = false;
+        }
+        markdown += formatLine(line.text);
+      }
+    }
+
+    return markdown;
+  }
+}
+
+module.exports = ReceiptLayout;
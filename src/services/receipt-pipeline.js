@@ -0,0 +1,75 @@
+const fs = require('fs');
+const ReceiptDocument = require('./receipt-document');
+const ReceiptValidator = require('./receipt-validator');
+
+/**
+ * Receipt Pipeline
+ *
+ * The steps behind an upload: OCR (which includes parsing the markdown),
+ * validating the parsed amounts and date, and storing the receipt, flagged
+ * for review when validation failed. An upload is one image, a PDF, or
+ * several files forming one long receipt. Shared by the synchronous
+ * /api/process-receipt route and the background job queue, which reports
+ * the stages to pollers.
+ */
+
+class ReceiptPipeline {
+  /**
+   * @param {OCRService} ocr - OCR service
+   * @param {DatabaseService} db - Connected database
+   */
+  constructor(ocr, db) {
+    this.ocr = ocr;
+    this.db = db;
+    this.documents = new ReceiptDocument(ocr);
+    this.validator = new ReceiptValidator();
+  }
+
+  /**
+   * OCR, parse and store one uploaded receipt, deleting its files afterwards
+   * @param {string|string[]} filePaths - Uploaded image or PDF, or several of them in page order
+   * @param {Object} options - { provider, providers, preprocessing, strategy }
+   * @param {Function} onProgress - Optional ({ stage, progress }) callback, stages preprocessing, ocr,
+   *                              parsing and matching (storing the receipt and auto-matching its items)
+   * @returns {Promise<Object>} - { receipt, ocr_data, processing_info, validation, receipt_id, ocr_provider, auto_match }
+   */
+  async process(filePaths, options = {}, onProgress = null) {
+    const files = Array.isArray(filePaths) ? filePaths : [filePaths];
+    try {
+      const ocrResult = await this.documents.process(files, {
+        provider: options.provider,
+        providers: options.providers,
+        preprocessing: options.preprocessing,
+        strategy: options.strategy,
+        onProgress
+      });
+
+      const validation = this.validator.validate(ocrResult.receipt);
+      if (validation.needs_review) {
+        console.log(`🔎 Receipt needs review: ${validation.reasons.join('; ')}`);
+      }
+
+      onProgress?.({ stage: 'matching' });
+      const dbResult = await this.db.storeReceipt(ocrResult.receipt, ocrResult.ocr_data, validation);
+      console.log('💾 Stored receipt ID:', dbResult.id);
+
+      return {
+        receipt: ocrResult.receipt,
+        ocr_data: ocrResult.ocr_data,
+        processing_info: ocrResult.processing_info,
+        validation,
+        receipt_id: dbResult.id,
+        ocr_provider: ocrResult.processing_info.ocr_provider,
+        auto_match: dbResult.auto_match
+      };
+    } finally {
+      for (const filePath of files) {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      }
+    }
+  }
+}
+
+module.exports = ReceiptPipeline;
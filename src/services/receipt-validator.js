@@ -0,0 +1,232 @@
+/**
+ * Receipt Validator
+ *
+ * Checks that a parsed receipt is consistent with itself before it is stored:
+ * the item lines add up to the total, each VAT rate's net and VAT add up to
+ * its gross and the rates to the total, the amount paid minus change is the
+ * total, and the date is one a receipt can have. A failed check flags the
+ * receipt for review with a reason. Every field gets a confidence from the
+ * checks that involve it: confirmed by one, only contradicted, or unchecked.
+ */
+
+const FIELD_CONFIDENCE = {
+  confirmed: 1,
+  unchecked: 0.7,
+  contradicted: 0.3,
+  missing: 0
+};
+
+class ReceiptValidator {
+  /**
+   * @param {Object} config - { tolerance, maxAgeDays, maxFutureDays }
+   */
+  constructor(config = {}) {
+    this.config = {
+      // EUR; amounts and their sums are rounded to the cent
+      tolerance: 0.02,
+      // Older dates are taken as misread
+      maxAgeDays: 3650,
+      // Time zones, and receipts uploaded right after midnight
+      maxFutureDays: 1,
+      ...config
+    };
+  }
+
+  /**
+   * Validate a parsed receipt
+   * @param {Object} receipt - Receipt from OCRService.parseMarkdown()
+   * @param {Date} now - Reference time for the date check
+   * @returns {Object} - { needs_review, reasons, checks, field_confidence }
+   */
+  validate(receipt, now = new Date()) {
+    const checks = [
+      this.checkItemsSum(receipt),
+      this.checkVat(receipt),
+      this.checkPayment(receipt),
+      this.checkDate(receipt, now)
+    ];
+    const failed = checks.filter(check => check.status === 'failed');
+
+    return {
+      needs_review: failed.length > 0,
+      reasons: failed.map(check => check.message),
+      checks,
+      field_confidence: this.fieldConfidence(receipt, checks)
+    };
+  }
+
+  // Items, discounts and deposits together make the total
+  checkItemsSum(receipt) {
+    const check = { name: 'items_sum', fields: ['items', 'total_amount'] };
+    const total = receipt.totals?.total_amount ?? null;
+    const items = receipt.items || [];
+
+    if (total === null) {
+      return { ...check, status: 'failed', message: 'No total amount found' };
+    }
+    if (items.length === 0) {
+      return { ...check, status: 'failed', message: 'No items found' };
+    }
+
+    const priced = items.filter(item => typeof item.total_price === 'number');
+    const sum = this.round(priced.reduce((acc, item) => acc + item.total_price, 0));
+    if (this.equal(sum, total)) {
+      return { ...check, status: 'passed', message: `Items add up to the total ${total.toFixed(2)}` };
+    }
+
+    const unpriced = items.length - priced.length;
+    return {
+      ...check,
+      status: 'failed',
+      message: `Items add up to ${sum.toFixed(2)}, total is ${total.toFixed(2)}` +
+        (unpriced > 0 ? ` (${unpriced} item(s) without price)` : '')
+    };
+  }
+
+  // Net + VAT = gross per rate, and the rates' gross amounts make the total
+  checkVat(receipt) {
+    const check = { name: 'vat', fields: ['vat_amount', 'total_amount'] };
+    const taxLines = receipt.tax_lines || [];
+    const total = receipt.totals?.total_amount ?? null;
+
+    if (taxLines.length === 0) {
+      return { ...check, status: 'skipped', message: 'No VAT breakdown found' };
+    }
+
+    for (const taxLine of taxLines) {
+      const { net_amount: net, vat_amount: vat, gross_amount: gross } = taxLine;
+      if (net !== null && vat !== null && gross !== null && !this.equal(net + vat, gross)) {
+        return {
+          ...check,
+          status: 'failed',
+          message: `VAT ${taxLine.rate}%: net ${net.toFixed(2)} + VAT ${vat.toFixed(2)} is not gross ${gross.toFixed(2)}`
+        };
+      }
+    }
+
+    if (total !== null && taxLines.every(taxLine => taxLine.gross_amount !== null)) {
+      const gross = this.round(taxLines.reduce((acc, taxLine) => acc + taxLine.gross_amount, 0));
+      if (!this.equal(gross, total)) {
+        return {
+          ...check,
+          status: 'failed',
+          message: `VAT breakdown adds up to ${gross.toFixed(2)}, total is ${total.toFixed(2)}`
+        };
+      }
+    }
+
+    return { ...check, status: 'passed', message: 'VAT breakdown is consistent' };
+  }
+
+  // Cash receipts print the amount given and the change, card receipts the amount charged
+  checkPayment(receipt) {
+    const check = { name: 'payment', fields: ['payment', 'total_amount'] };
+    const total = receipt.totals?.total_amount ?? null;
+    const paid = receipt.payment?.amount_paid ?? null;
+
+    if (paid === null || total === null) {
+      return { ...check, status: 'skipped', message: 'No amount paid to compare' };
+    }
+
+    const change = receipt.payment.change || 0;
+    if (this.equal(paid - change, total)) {
+      return { ...check, status: 'passed', message: 'Amount paid matches the total' };
+    }
+    return {
+      ...check,
+      status: 'failed',
+      message: `Paid ${paid.toFixed(2)} minus change ${change.toFixed(2)} is not the total ${total.toFixed(2)}`
+    };
+  }
+
+  checkDate(receipt, now) {
+    const check = { name: 'date', fields: ['date'] };
+    const text = receipt.metadata?.date;
+
+    if (!text) {
+      return { ...check, status: 'failed', message: 'No receipt date found' };
+    }
+
+    const date = this.parseDate(text);
+    if (!date) {
+      return { ...check, status: 'failed', message: `Date ${text} is not a valid date` };
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    if (date.getTime() > now.getTime() + this.config.maxFutureDays * dayMs) {
+      return { ...check, status: 'failed', message: `Date ${text} is in the future` };
+    }
+    if (date.getTime() < now.getTime() - this.config.maxAgeDays * dayMs) {
+      return { ...check, status: 'failed', message: `Date ${text} is more than ${Math.round(this.config.maxAgeDays / 365)} years ago` };
+    }
+
+    return { ...check, status: 'passed', message: 'Date is plausible' };
+  }
+
+  /**
+   * Calendar date of a receipt date as printed
+   * @param {string} text - "05.06.2025", "05.06.25", "05/06/2025" or "2025-06-05"
+   * @returns {Date|null} - Midnight UTC of that day, null if it doesn't exist
+   */
+  parseDate(text) {
+    let year, month, day;
+    let match = String(text).match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) {
+      [, year, month, day] = match.map(Number);
+    } else {
+      match = String(text).match(/(\d{1,2})[./](\d{1,2})[./](\d{2,4})/);
+      if (!match) return null;
+      [, day, month, year] = match.map(Number);
+      if (year < 100) year += 2000;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Date.UTC rolls 31.02. over into March
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return date;
+  }
+
+  /**
+   * Confidence per field: confirmed by a passed check, contradicted when its checks failed,
+   * unchecked when none applied, and 0 when the receipt doesn't have the field
+   * @param {Object} receipt - Parsed receipt
+   * @param {Array} checks - Results of the checks
+   * @returns {Object} - { total_amount, items, vat_amount, payment, date } from 0 to 1
+   */
+  fieldConfidence(receipt, checks) {
+    const present = {
+      total_amount: receipt.totals?.total_amount !== null && receipt.totals?.total_amount !== undefined,
+      items: (receipt.items || []).length > 0,
+      vat_amount: receipt.totals?.vat_amount !== null && receipt.totals?.vat_amount !== undefined,
+      payment: Boolean(receipt.payment?.method || receipt.payment?.amount_paid),
+      date: Boolean(receipt.metadata?.date)
+    };
+
+    const confidence = {};
+    for (const [field, isPresent] of Object.entries(present)) {
+      const related = checks.filter(check => check.fields.includes(field));
+      if (!isPresent) {
+        confidence[field] = FIELD_CONFIDENCE.missing;
+      } else if (related.some(check => check.status === 'passed')) {
+        confidence[field] = FIELD_CONFIDENCE.confirmed;
+      } else if (related.some(check => check.status === 'failed')) {
+        confidence[field] = FIELD_CONFIDENCE.contradicted;
+      } else {
+        confidence[field] = FIELD_CONFIDENCE.unchecked;
+      }
+    }
+    return confidence;
+  }
+
+  equal(a, b) {
+    return Math.abs(a - b) <= this.config.tolerance;
+  }
+
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = ReceiptValidator;
@@ -3,13 +3,22 @@ const fs = require('fs');
 const path = require('path');
 const OCRServiceInterface = require('./ocr-interface');
 
+// deu.traineddata ships in the repository root
+const BUNDLED_LANG_PATH = path.join(__dirname, '../..');
+
+// Workers reject with their message as a string ("Error: Error attempting to read image.")
+function toError(error) {
+  return error instanceof Error ? error : new Error(String(error).replace(/^(Error: )+/, ''));
+}
+
 class TesseractOCRService extends OCRServiceInterface {
   constructor(config = {}) {
     super({
       serviceName: 'tesseract',
       timeout: 30000,
       minConfidence: 0.3,
-      language: 'deu+eng',
+      language: 'deu',
+      langPath: process.env.TESSERACT_LANG_PATH || BUNDLED_LANG_PATH,
       ...config
     });
     
@@ -23,6 +32,19 @@ class TesseractOCRService extends OCRServiceInterface {
     return true;
   }
 
+  /**
+   * Tesseract.js options that load traineddata from langPath instead of
+   * downloading it from the CDN
+   * @returns {Object} - Language loading options
+   */
+  getLanguageOptions() {
+    return {
+      langPath: this.config.langPath,
+      gzip: false,
+      cacheMethod: 'none'
+    };
+  }
+
   async processImage(imageInput, options = {}) {
     if (!this.isInitialized) {
       throw new Error('Tesseract service not initialized.');
@@ -56,17 +78,9 @@ class TesseractOCRService extends OCRServiceInterface {
       }
 
       // Process with Tesseract
-      const result = await Tesseract.recognize(
-        imagePath,
-        options.language || this.config.language,
-        {
-          logger: m => {
-            if (m.status === 'recognizing text') {
-              console.log(`⏳ Progress: ${(m.progress * 100).toFixed(1)}%`);
-            }
-          }
-        }
-      );
+      const result = await this.recognize(imagePath, options.language || this.config.language, {
+        onProgress: options.onProgress
+      });
 
       const text = result.data.text;
       const confidence = result.data.confidence / 100; // Convert to 0-1 scale
@@ -94,74 +108,61 @@ class TesseractOCRService extends OCRServiceInterface {
     }
   }
 
-  // Convert Tesseract result to markdown format
-  convertToMarkdown(tesseractResult) {
-    if (!tesseractResult.text) {
-      return '# Receipt\n\nNo text detected in image.';
-    }
-
-    const lines = tesseractResult.text.split('\n').filter(line => line.trim());
-    
-    let markdown = '# Receipt\n\n';
-    
-    // Try to identify sections and format them
-    let inItemsSection = false;
-    
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      
-      // Skip empty lines
-      if (!trimmedLine) continue;
-      
-      // Try to identify common receipt patterns
-      if (this.isTotalLine(trimmedLine)) {
-        markdown += `## Total\n\n* **${trimmedLine}**\n\n`;
-      } else if (this.isDateLine(trimmedLine)) {
-        markdown += `## Date and Time\n\n* **${trimmedLine}**\n\n`;
-      } else if (this.isStoreLine(trimmedLine)) {
-        markdown += `## Store Information\n\n* **${trimmedLine}**\n\n`;
-      } else if (this.isItemLine(trimmedLine)) {
-        if (!inItemsSection) {
-          markdown += '## Items Purchased\n\n| Item | Quantity | Price |\n| --- | --- | --- |\n';
-          inItemsSection = true;
-        }
-        markdown += `| ${trimmedLine} | | |\n`;
-      } else {
-        // Default formatting
-        markdown += `* ${trimmedLine}\n`;
+  /**
+   * Check that every traineddata of a language ('deu', 'deu+eng') is in a local langPath.
+   * tesseract.js swallows the load error of a missing file and never settles createWorker()
+   * @param {string} language - Traineddata names joined by '+'
+   */
+  assertLanguagesAvailable(language) {
+    const { langPath } = this.config;
+    if (/^[a-z-]+:\/\//i.test(langPath)) return;
+
+    for (const lang of language.split('+')) {
+      const file = path.join(langPath, `${lang}.traineddata`);
+      if (!fs.existsSync(file)) {
+        throw new Error(`Tesseract language data not found: ${file}`);
       }
     }
-    
-    return markdown;
   }
 
-  isTotalLine(line) {
-    const totalPatterns = [
-      /total/i, /summe/i, /gesamt/i, /€\s*\d+[,.]?\d*/, /\d+[,.]?\d*\s*€/
-    ];
-    return totalPatterns.some(pattern => pattern.test(line));
-  }
-
-  isDateLine(line) {
-    const datePatterns = [
-      /\d{1,2}[.\/-]\d{1,2}[.\/-]\d{2,4}/,
-      /\d{1,2}:\d{2}/
-    ];
-    return datePatterns.some(pattern => pattern.test(line));
-  }
+  /**
+   * Recognize an image in a worker of its own
+   * @param {string} imagePath - Image file
+   * @param {string} language - Traineddata name, e.g. 'deu'
+   * @param {Object} options - { onProgress, oem, parameters } (parameters for worker.setParameters())
+   * @returns {Promise<Object>} - tesseract.js result
+   */
+  async recognize(imagePath, language, options = {}) {
+    this.assertLanguagesAvailable(language);
+
+    const worker = await Tesseract.createWorker(language, options.oem ?? Tesseract.OEM.LSTM_ONLY, {
+      ...this.getLanguageOptions(),
+      logger: m => {
+        if (m.status === 'recognizing text') {
+          console.log(`⏳ Progress: ${(m.progress * 100).toFixed(1)}%`);
+          if (options.onProgress) options.onProgress(m.progress);
+        }
+      },
+      // Without a handler tesseract.js rethrows worker errors such as an unreadable
+      // image as uncaught exceptions, ending the process; with one they reject the job
+      errorHandler: () => {}
+    }).catch(error => { throw toError(error); });
 
-  isStoreLine(line) {
-    const storePatterns = [
-      /edeka/i, /dm/i, /rewe/i, /lidl/i, /aldi/i, /kaufland/i,
-      /str\./i, /straße/i, /straße/i, /tel/i, /phone/i
-    ];
-    return storePatterns.some(pattern => pattern.test(line));
+    try {
+      if (options.parameters) {
+        await worker.setParameters(options.parameters);
+      }
+      return await worker.recognize(imagePath);
+    } catch (error) {
+      throw toError(error);
+    } finally {
+      await worker.terminate();
+    }
   }
 
-  isItemLine(line) {
-    // Simple heuristic: lines with prices are likely items
-    const pricePattern = /\d+[,.]?\d*\s*€/;
-    return pricePattern.test(line) && line.length > 5;
+  // Word boxes of the Tesseract response, for rebuilding rows in convertToMarkdown()
+  layoutWords(layout, rawResult) {
+    return layout.wordsFromTesseract(rawResult);
   }
 
   // Get available languages
@@ -178,7 +179,7 @@ class TesseractOCRService extends OCRServiceInterface {
   // Set custom configuration
   async processImageWithConfig(imagePath, config = {}) {
     const defaultConfig = {
-      lang: 'deu+eng',
+      lang: this.config.language,
       oem: 3, // OCR Engine Mode: Default
       psm: 6, // Page Segmentation Mode: Uniform block of text
       ...config
@@ -187,18 +188,10 @@ class TesseractOCRService extends OCRServiceInterface {
     try {
       console.log('🔍 Processing with custom Tesseract configuration...');
       
-      const result = await Tesseract.recognize(
-        imagePath,
-        defaultConfig.lang,
-        {
-          logger: m => {
-            if (m.status === 'recognizing text') {
-              console.log(`⏳ Progress: ${(m.progress * 100).toFixed(1)}%`);
-            }
-          },
-          ...defaultConfig
-        }
-      );
+      const result = await this.recognize(imagePath, defaultConfig.lang, {
+        oem: defaultConfig.oem,
+        parameters: { tessedit_pageseg_mode: String(defaultConfig.psm) }
+      });
 
       return {
         text: result.data.text.trim(),
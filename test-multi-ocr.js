@@ -10,7 +10,8 @@ async function testMultiOCR() {
       primary: 'google',
       fallback: 'tesseract',
       timeout: 30000,
-      minConfidence: 0.3
+      minConfidence: 0.3,
+      strategy: process.argv[3] || 'sequential' // sequential, race or parallel-best
     });
     
     // Show service status
@@ -27,6 +28,7 @@ async function testMultiOCR() {
     const stats = multiOCR.getStats();
     console.log(`   Primary Service: ${stats.primary_service}`);
     console.log(`   Fallback Service: ${stats.fallback_service}`);
+    console.log(`   Strategy: ${stats.strategy}`);
     console.log(`   Timeout: ${stats.timeout}ms`);
     console.log(`   Min Confidence: ${(stats.min_confidence * 100).toFixed(1)}%`);
     console.log('');
@@ -36,7 +38,7 @@ async function testMultiOCR() {
     
     if (!testImagePath) {
       console.log('❌ Please provide an image path as argument');
-      console.log('Usage: node test-multi-ocr.js <path-to-image>');
+      console.log('Usage: node test-multi-ocr.js <path-to-image> [sequential|race|parallel-best]');
       console.log('Example: node test-multi-ocr.js images/test/dm_1.jpg');
       return;
     }
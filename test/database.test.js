@@ -0,0 +1,263 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const DatabaseService = require('../src/services/database');
+const { quietly, tempDir, parse } = require('./helpers');
+
+async function openDatabase(t, config = {}) {
+  const db = new DatabaseService({ dbPath: path.join(tempDir(t), 'receipts.db'), ...config });
+  await quietly(() => db.initialize());
+  t.after(() => quietly(() => db.close()));
+  return db;
+}
+
+/**
+ * Store a REWE receipt with the given item lines
+ * @returns {Promise<Object>} - { id, auto_match, items } with items in line order
+ */
+async function storeReceipt(db, lines) {
+  const receipt = parse([
+    '# Receipt',
+    '',
+    'REWE Markt GmbH',
+    '',
+    '| Item | Price |',
+    '| --- | --- |',
+    ...lines.map(line => `| ${line} | 1,00 B |`),
+    '',
+    `* SUMME EUR ${lines.length},00`
+  ].join('\n'));
+  const stored = await quietly(() => db.storeReceipt(receipt, { raw_markdown: '', provider: 'test' }));
+  const rows = await db.all('SELECT id FROM items WHERE receipt_id = ? ORDER BY id', [stored.id]);
+  return { ...stored, items: await Promise.all(rows.map(row => db.getItem(row.id))) };
+}
+
+// A stored item nothing in the catalog matches
+async function storeItem(db) {
+  const { items } = await storeReceipt(db, ['QWZX TESTARTIKEL']);
+  return items[0];
+}
+
+async function productId(db, name) {
+  return (await db.get('SELECT id FROM products WHERE name = ?', [name])).id;
+}
+
+test('items scoring at the auto-match threshold are linked, the rest kept as suggestions', async t => {
+  const db = await openDatabase(t, { autoMatchThreshold: 0.8 });
+
+  const { auto_match: summary, items } = await storeReceipt(db, ['Milka Kuhflecken 100g', 'MILKA SCHOKO', 'QWZX TESTARTIKEL']);
+  const [kuhflecken, schoko, unknown] = items;
+
+  assert.deepStrictEqual(summary, { aliased: 0, matched: 1, suggested: 1, unmatched: 1 });
+  assert.strictEqual(kuhflecken.matched, 1);
+  assert.strictEqual(kuhflecken.matched_product_id, await productId(db, 'Kuhflecken'));
+  assert.strictEqual((await db.getItemMatches(kuhflecken.id))[0].matched_by, 'auto');
+
+  assert.strictEqual(schoko.matched, 0);
+  assert.strictEqual(schoko.suggested_product_id, await productId(db, 'Schokolade'));
+  assert.ok(schoko.suggestion_score < 0.8);
+  assert.strictEqual(unknown.suggested_product_id, null);
+});
+
+test('below the default threshold a close match is only suggested', async t => {
+  const db = await openDatabase(t);
+
+  const { auto_match: summary, items } = await storeReceipt(db, ['Milka Kuhflecken 100g']);
+
+  assert.deepStrictEqual(summary, { aliased: 0, matched: 0, suggested: 1, unmatched: 0 });
+  assert.strictEqual(items[0].suggested_product_id, await productId(db, 'Kuhflecken'));
+});
+
+test('matching keeps the product link and a history of matches', async t => {
+  const db = await openDatabase(t);
+  const item = await storeItem(db);
+  const first = await db.createProduct({ name: 'Testartikel' });
+  const second = await db.createProduct({ name: 'Testartikel Bio' });
+
+  assert.strictEqual((await db.matchItem(item.id, first.id)).action, 'match');
+  const rematch = await db.matchItem(item.id, second.id, 0.9, 'review');
+  assert.strictEqual(rematch.action, 'rematch');
+  assert.strictEqual(rematch.previous_product_id, first.id);
+  assert.strictEqual((await db.getItem(item.id)).matched_product_id, second.id);
+
+  await db.unmatchItem(item.id);
+  const stored = await db.getItem(item.id);
+  assert.strictEqual(stored.matched, 0);
+  assert.strictEqual(stored.matched_product_id, null);
+
+  const history = await db.getItemMatches(item.id);
+  assert.deepStrictEqual(
+    history.map(match => [match.action, match.product_name, match.previous_product_name, match.matched_by]),
+    [
+      ['match', 'Testartikel', null, 'manual'],
+      ['rematch', 'Testartikel Bio', 'Testartikel', 'review'],
+      ['unmatch', null, 'Testartikel Bio', 'manual']
+    ]
+  );
+});
+
+test('matching an item that does not exist fails', async t => {
+  const db = await openDatabase(t);
+  await assert.rejects(db.matchItem(999, 1), /Item 999 not found/);
+});
+
+test('a manual match stores the match and learns the line as an alias', async t => {
+  const db = await openDatabase(t);
+  const item = await storeItem(db);
+  const product = await db.createProduct({ name: 'Testartikel' });
+
+  const { match, alias } = await db.matchItemWithAlias(item, product.id);
+
+  assert.strictEqual(match.action, 'match');
+  assert.strictEqual((await db.getItem(item.id)).matched_product_id, product.id);
+  assert.strictEqual(alias.product_id, product.id);
+  assert.strictEqual(alias.store_chain, item.store_chain);
+});
+
+test('a match whose alias cannot be stored is rolled back', async t => {
+  const db = await openDatabase(t);
+  const item = await storeItem(db);
+  const product = await db.createProduct({ name: 'Testartikel' });
+  db.learnAlias = async () => { throw new Error('SQLITE_FULL: database or disk is full'); };
+
+  await assert.rejects(db.matchItemWithAlias(item, product.id), /SQLITE_FULL/);
+
+  const stored = await db.getItem(item.id);
+  assert.strictEqual(stored.matched, 0);
+  assert.strictEqual(stored.matched_product_id, null);
+  assert.deepStrictEqual(await db.getItemMatches(item.id), []);
+});
+
+test('a learned alias matches the same line on the next receipt from that chain', async t => {
+  const db = await openDatabase(t);
+  const item = await storeItem(db);
+  const product = await db.createProduct({ name: 'Testartikel' });
+  await db.matchItemWithAlias(item, product.id);
+
+  const { auto_match: summary, items } = await storeReceipt(db, ['QWZX  Testartikel']);
+
+  assert.deepStrictEqual(summary, { aliased: 1, matched: 0, suggested: 0, unmatched: 0 });
+  assert.strictEqual(items[0].matched_product_id, product.id);
+  assert.strictEqual((await db.getItemMatches(items[0].id))[0].matched_by, 'alias');
+
+  const [alias] = await db.getAliases({ store_chain: item.store_chain });
+  assert.strictEqual(alias.hit_count, 1);
+});
+
+test('an alias is not applied to receipts from another chain', async t => {
+  const db = await openDatabase(t);
+  const item = await storeItem(db);
+  const product = await db.createProduct({ name: 'Testartikel' });
+  await db.learnAlias(item, product.id);
+
+  assert.ok(await db.findAlias(item, item.store_chain));
+  assert.ok(!await db.findAlias(item, 'lidl'));
+});
+
+test('bulk match links every item it can and reports the others', async t => {
+  const db = await openDatabase(t);
+  const { items } = await storeReceipt(db, ['QWZX TESTARTIKEL', 'QWZX TESTARTIKEL GROSS']);
+
+  const result = await db.bulkMatchItems([items[0].id, 999, items[1].id], {
+    productData: { name: 'Testartikel', brand: 'Testmarke' }
+  });
+
+  assert.strictEqual(result.product_created, true);
+  assert.deepStrictEqual(
+    result.results.map(r => [r.item_id, r.success]),
+    [[items[0].id, true], [999, false], [items[1].id, true]]
+  );
+  assert.match(result.results[1].error, /Item 999 not found/);
+  for (const item of items) {
+    assert.strictEqual((await db.getItem(item.id)).matched_product_id, result.product_id);
+  }
+  assert.strictEqual((await db.getAliases({ product_id: result.product_id })).length, 2);
+});
+
+test('bulk match rolls back only the item that failed halfway', async t => {
+  const db = await openDatabase(t);
+  const { items } = await storeReceipt(db, ['QWZX TESTARTIKEL', 'QWZX TESTARTIKEL GROSS']);
+  const product = await db.createProduct({ name: 'Testartikel' });
+  const learnAlias = db.learnAlias.bind(db);
+  db.learnAlias = async (item, productId) => {
+    if (item.id === items[0].id) throw new Error('alias failed');
+    return await learnAlias(item, productId);
+  };
+
+  const result = await quietly(() => db.bulkMatchItems(items.map(item => item.id), { productId: product.id }));
+
+  assert.deepStrictEqual(result.results.map(r => r.success), [false, true]);
+  // The match of the failed item was written before its alias and is undone with it
+  assert.strictEqual((await db.getItem(items[0].id)).matched, 0);
+  assert.deepStrictEqual(await db.getItemMatches(items[0].id), []);
+  assert.strictEqual((await db.getItem(items[1].id)).matched_product_id, product.id);
+});
+
+test('concurrent transactions on the shared connection run one after another', async t => {
+  const db = await openDatabase(t);
+  const { items } = await storeReceipt(db, ['QWZX TESTARTIKEL', 'QWZX TESTARTIKEL GROSS']);
+
+  const results = await Promise.all(items.map((item, index) =>
+    db.bulkMatchItems([item.id], { productData: { name: `Testartikel ${index}` } })
+  ));
+
+  assert.deepStrictEqual(results.map(result => result.results[0].success), [true, true]);
+});
+
+test('a rolled back transaction keeps writes made outside it meanwhile', async t => {
+  const db = await openDatabase(t);
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+
+  const failing = db.transaction(async () => {
+    await db.createProduct({ name: 'Inside' });
+    started();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    throw new Error('abort');
+  });
+  await running;
+  const outside = db.createProduct({ name: 'Outside' });
+
+  await assert.rejects(failing, /abort/);
+  await outside;
+  assert.ok(!await db.get('SELECT id FROM products WHERE name = ?', ['Inside']));
+  assert.ok(await db.get('SELECT id FROM products WHERE name = ?', ['Outside']));
+});
+
+test('discount lines are stored linked to their product and left out of spend and matching', async t => {
+  const db = await openDatabase(t);
+  const receipt = parse([
+    'REWE Markt GmbH',
+    '| Item | Quantity | Price |',
+    '| --- | --- | --- |',
+    '| QWZX KAFFEE | 1 | 5,99 B |',
+    '| Rabatt 20% | 1 | 1,00 B |',
+    '| Leergut | 1 | -0,75 A |',
+    '',
+    'SUMME EUR 4,24'
+  ].join('\n'));
+
+  const { id } = await quietly(() => db.storeReceipt(receipt, { raw_markdown: '', provider: 'test' }));
+
+  const items = (await db.getReceipt(id)).items;
+  assert.deepStrictEqual(
+    items.map(item => [item.line_type, item.total_price, item.net_price]),
+    [['product', 5.99, 4.99], ['discount', -1, null], ['deposit_return', -0.75, null]]
+  );
+  assert.strictEqual(items[1].parent_item_id, items[0].id);
+  assert.strictEqual(items[2].parent_item_id, null);
+  assert.deepStrictEqual((await db.getUnmatchedItems()).map(item => item.product_name), ['QWZX KAFFEE']);
+
+  const stats = await db.getReceiptStats();
+  assert.deepStrictEqual([stats.total_items, stats.product_spend], [1, 4.99]);
+});
+
+test('weighed items keep their decimal quantity and unit', async t => {
+  const db = await openDatabase(t);
+  const receipt = parse(['REWE Markt GmbH', 'BANANEN 1,36 B', '0,456 kg x 2,99 EUR/kg', 'SUMME EUR 1,36'].join('\n'));
+
+  const { id } = await quietly(() => db.storeReceipt(receipt, { raw_markdown: '', provider: 'test' }));
+
+  const [item] = (await db.getReceipt(id)).items;
+  assert.deepStrictEqual([item.quantity, item.unit, item.unit_price, item.total_price], [0.456, 'kg', 2.99, 1.36]);
+});
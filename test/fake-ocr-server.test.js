@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFakeOCRServer } = require('../src/fake-ocr-server');
+const OCRSpaceService = require('../src/services/ocrspace-service');
+const { quietly, parse } = require('./helpers');
+
+const image = Buffer.from('image bytes');
+
+// Start a fake server on a free port, closed when the test ends
+async function startServer(t, options = {}) {
+  const app = createFakeOCRServer({ receipt: 'dm_1', ...options });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+  return { app, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+function ocrSpace(baseUrl, apiKey, config = {}) {
+  const service = new OCRSpaceService({ baseUrl: `${baseUrl}/parse/image`, ...config });
+  service.apiKey = apiKey;
+  service.isInitialized = true;
+  return service;
+}
+
+function chat(baseUrl, apiKey) {
+  return fetch(`${baseUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${apiKey}` },
+    body: JSON.stringify({ model: 'meta-llama/Llama-3.2-11B-Vision-Instruct-Turbo', messages: [] })
+  });
+}
+
+test('the OCR.space adapter reads a canned receipt from the fake server', async t => {
+  const { app, baseUrl } = await startServer(t);
+  const service = new OCRSpaceService({ baseUrl: `${baseUrl}/parse/image` });
+
+  assert.strictEqual(await quietly(() => service.initialize({ apiKey: 'fake-key' })), true);
+  const result = await quietly(() => service.processImage(image));
+
+  assert.match(result.text, /^dm\nHIER BIN ICH MENSCH/);
+  assert.deepStrictEqual(app.locals.requests.map(request => [request.api, request.apiKey]), [
+    ['ocrspace', 'fake-key'],
+    ['ocrspace', 'fake-key']
+  ]);
+});
+
+test('OCR.space failures come back the way the real API sends them', async t => {
+  const { baseUrl } = await startServer(t);
+
+  const invalid = new OCRSpaceService({ baseUrl: `${baseUrl}/parse/image` });
+  assert.strictEqual(await quietly(() => invalid.initialize({ apiKey: 'fake-invalid' })), false);
+
+  await assert.rejects(
+    quietly(() => ocrSpace(baseUrl, 'fake-rate-limit').processImage(image)),
+    /OCR\.space API error \(403\): You may only perform this action upto maximum 180/
+  );
+
+  const failed = await quietly(() => ocrSpace(baseUrl, 'fake-error').processImage(image));
+  assert.strictEqual(failed.text, '');
+  assert.strictEqual(failed.error, 'E500: Processing of image failed');
+
+  const empty = await quietly(() => ocrSpace(baseUrl, 'fake-empty').processImage(image));
+  assert.strictEqual(empty.text, '');
+});
+
+test('a slow answer runs into the client timeout', async t => {
+  const { baseUrl } = await startServer(t, { slowDelay: 500 });
+
+  await assert.rejects(
+    quietly(() => ocrSpace(baseUrl, 'fake-slow', { timeout: 100 }).processImage(image)),
+    /timeout of 100ms exceeded/
+  );
+});
+
+test('the Together AI stand-in answers with the labelled receipt as markdown', async t => {
+  const { baseUrl } = await startServer(t);
+
+  const response = await chat(baseUrl, 'fake-key');
+  const completion = await response.json();
+  const receipt = parse(completion.choices[0].message.content);
+
+  assert.strictEqual(receipt.totals.total_amount, 13.95);
+  assert.strictEqual(receipt.items[0].product_name, 'FF 3J GetreideR. Banane Traube');
+
+  assert.strictEqual((await chat(baseUrl, 'fake-invalid')).status, 401);
+  const limited = await chat(baseUrl, 'fake-rate-limit');
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.headers.get('retry-after'), '1');
+});
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ParserRegistry = require('../src/services/parsers');
+
+/**
+ * Shared test helpers
+ *
+ * The services log every step with console.log; tests run them quietly and
+ * keep their files in a temporary directory removed after the test.
+ */
+
+const parsers = new ParserRegistry();
+
+const CONSOLE_METHODS = ['log', 'warn', 'error'];
+
+/**
+ * Run fn with console output suppressed
+ * @param {Function} fn - Sync or async function
+ * @returns {*} - What fn returned (a promise for async functions)
+ */
+function quietly(fn) {
+  const saved = CONSOLE_METHODS.map(method => console[method]);
+  const restore = () => CONSOLE_METHODS.forEach((method, index) => { console[method] = saved[index]; });
+  CONSOLE_METHODS.forEach(method => { console[method] = () => {}; });
+
+  let result;
+  try {
+    result = fn();
+  } catch (error) {
+    restore();
+    throw error;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.finally(restore);
+  }
+  restore();
+  return result;
+}
+
+/**
+ * Temporary directory removed when the test ends
+ * @param {Object} t - node:test context
+ * @returns {string} - Directory path
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipt-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Parse OCR markdown into a receipt, without the parsers' progress logs
+ * @param {string} markdown - Markdown as the OCR services produce it
+ * @returns {Object} - Parsed receipt
+ */
+function parse(markdown) {
+  return quietly(() => parsers.parse(markdown, { provider: 'test' }).receipt);
+}
+
+module.exports = { quietly, tempDir, parse };
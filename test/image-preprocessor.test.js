@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const ImagePreprocessor = require('../src/services/image-preprocessor');
+const { tempDir } = require('./helpers');
+
+function whiteImage(width, height) {
+  return sharp({
+    create: { width, height, channels: 3, background: { r: 255, g: 255, b: 255 } }
+  }).png().toBuffer();
+}
+
+// White paper on a dark table
+async function paperOnTable() {
+  const paper = await whiteImage(200, 400);
+  return sharp({
+    create: { width: 400, height: 600, channels: 3, background: { r: 60, g: 50, b: 40 } }
+  }).composite([{ input: paper, left: 100, top: 100 }]).png().toBuffer();
+}
+
+// Receipt lines rotated clockwise by angle degrees
+function skewedText(angle) {
+  const lines = Array.from({ length: 8 }, (_, i) =>
+    `<text x="40" y="${80 + i * 50}" font-family="DejaVu Sans, sans-serif" font-size="28">Artikel ${i} Milch 1,29 EUR</text>`
+  ).join('');
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="600" height="520">' +
+    `<rect width="100%" height="100%" fill="white"/><g transform="rotate(${angle} 300 260)">${lines}</g></svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+test('a file that is not an image is rejected as unreadable', async t => {
+  const filePath = path.join(tempDir(t), 'receipt.jpg');
+  fs.writeFileSync(filePath, 'not an image');
+
+  await assert.rejects(ImagePreprocessor.assertReadable(filePath), {
+    code: 'UNREADABLE_IMAGE',
+    message: /unsupported image format/
+  });
+  await assert.rejects(new ImagePreprocessor().process(filePath), { code: 'UNREADABLE_IMAGE' });
+});
+
+test('a readable image passes with its metadata', async () => {
+  const metadata = await ImagePreprocessor.assertReadable(await whiteImage(40, 60));
+
+  assert.strictEqual(metadata.format, 'png');
+  assert.strictEqual(metadata.width, 40);
+  assert.strictEqual(metadata.height, 60);
+});
+
+test('step lists are read in pipeline order and unknown steps dropped', () => {
+  assert.deepStrictEqual(ImagePreprocessor.parseSteps(undefined), ImagePreprocessor.ALL_STEPS);
+  assert.deepStrictEqual(ImagePreprocessor.parseSteps('all'), ImagePreprocessor.ALL_STEPS);
+  assert.deepStrictEqual(ImagePreprocessor.parseSteps('none'), []);
+  assert.deepStrictEqual(ImagePreprocessor.parseSteps(false), []);
+  assert.deepStrictEqual(ImagePreprocessor.parseSteps('Binarize, crop,sharpen'), ['crop', 'binarize']);
+  assert.deepStrictEqual(ImagePreprocessor.parseSteps(['downscale', 'rotate']), ['rotate', 'downscale']);
+});
+
+test('the receipt is cropped out of the background with a margin', async () => {
+  const preprocessor = new ImagePreprocessor({ steps: ['crop'] });
+
+  const result = await preprocessor.process(await paperOnTable());
+
+  assert.deepStrictEqual(result.steps, [{ step: 'crop', params: { left: 92, top: 88, width: 216, height: 424 } }]);
+  assert.strictEqual(result.width, 216);
+  assert.strictEqual(result.height, 424);
+});
+
+test('an image that is all paper is not cropped', async () => {
+  const result = await new ImagePreprocessor({ steps: ['crop'] }).process(await whiteImage(200, 300));
+
+  assert.deepStrictEqual(result.steps[0].params, { skipped: 'no receipt edges found' });
+  assert.strictEqual(result.width, 200);
+});
+
+test('skewed text is detected in either direction', async () => {
+  const preprocessor = new ImagePreprocessor();
+
+  assert.strictEqual(await preprocessor.detectSkewAngle(await skewedText(4)), 4);
+  assert.strictEqual(await preprocessor.detectSkewAngle(await skewedText(-3)), -3);
+  assert.strictEqual(await preprocessor.detectSkewAngle(await skewedText(0)), 0);
+
+  const { steps } = await new ImagePreprocessor({ steps: ['deskew'] }).process(await skewedText(4));
+  assert.deepStrictEqual(steps[0].params, { angle: 4, rotated: true, max_angle: 10 });
+});
+
+test('binarized output is a black and white PNG', async () => {
+  const result = await new ImagePreprocessor({ steps: ['binarize'] }).process(await skewedText(0));
+
+  assert.strictEqual(result.format, 'png');
+  const { data } = await sharp(result.buffer).raw().toBuffer({ resolveWithObject: true });
+  assert.ok(data.every(value => value === 0 || value === 255));
+  assert.ok(data.includes(0));
+});
+
+test('downscaling fits the longest side and the file size limit', async () => {
+  const preprocessor = new ImagePreprocessor({ steps: ['downscale'], downscale: { maxDimension: 500, maxAttempts: 5 } });
+  const image = await skewedText(0);
+
+  const fitted = await preprocessor.process(image);
+  assert.strictEqual(fitted.width, 500);
+  assert.strictEqual(fitted.steps[0].params.scale, 0.833);
+
+  const small = await preprocessor.process(image, { maxFileSize: 8000 });
+  assert.ok(small.buffer.length <= 8000);
+  assert.strictEqual(small.steps[0].params.fits, true);
+  assert.ok(small.width < 500);
+});
+
+test('without steps the upload itself is handed to the provider', async t => {
+  const filePath = path.join(tempDir(t), 'receipt.png');
+  fs.writeFileSync(filePath, await whiteImage(40, 60));
+  const preprocessor = new ImagePreprocessor();
+
+  const unchanged = await preprocessor.processToFile(filePath, { steps: [] });
+  assert.strictEqual(unchanged.imagePath, filePath);
+
+  const processed = await preprocessor.processToFile(filePath, { steps: ['rotate'] });
+  t.after(processed.cleanup);
+  assert.notStrictEqual(processed.imagePath, filePath);
+  assert.deepStrictEqual(processed.steps, [{ step: 'rotate', params: { exif_orientation: 1 } }]);
+  assert.ok(fs.existsSync(processed.imagePath));
+});
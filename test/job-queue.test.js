@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DatabaseService = require('../src/services/database');
+const ReceiptPipeline = require('../src/services/receipt-pipeline');
+const JobQueue = require('../src/services/job-queue');
+const TesseractOCRService = require('../src/services/tesseract-ocr');
+const { quietly, tempDir } = require('./helpers');
+
+async function openDatabase(t, dir) {
+  const db = new DatabaseService({ dbPath: path.join(dir, 'receipts.db') });
+  await quietly(() => db.initialize());
+  t.after(() => quietly(() => db.close()));
+  return db;
+}
+
+// Resolves with the job's last update once it is stored or failed
+function finished(queue, jobId) {
+  return new Promise(resolve => {
+    queue.on('update', update => {
+      if (update.job_id === jobId && ['stored', 'failed'].includes(update.status)) {
+        resolve(update);
+      }
+    });
+  });
+}
+
+async function runUpload(t, ocr) {
+  const dir = tempDir(t);
+  const db = await openDatabase(t, dir);
+  const queue = new JobQueue(db, new ReceiptPipeline(ocr, db), { concurrency: 1 });
+  const filePath = path.join(dir, 'receipt.jpg');
+  fs.writeFileSync(filePath, 'not an image');
+
+  return await quietly(async () => {
+    await queue.start();
+    const job = await queue.enqueue({ file_path: filePath, original_name: 'receipt.jpg' });
+    const update = await finished(queue, job.id);
+    return { update, job: await db.getJob(job.id), filePath };
+  });
+}
+
+test('a job whose OCR throws ends as failed with the error', async t => {
+  const ocr = { processImage: async () => { throw new Error('OCR provider unavailable'); } };
+  const { update, job, filePath } = await runUpload(t, ocr);
+
+  assert.strictEqual(update.status, 'failed');
+  assert.strictEqual(update.error, 'OCR provider unavailable');
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.error, 'OCR provider unavailable');
+  assert.ok(job.finished_at);
+  assert.strictEqual(fs.existsSync(filePath), false);
+});
+
+test('a job rejected with a plain string keeps the message', async t => {
+  const ocr = { processImage: () => Promise.reject('Error attempting to read image.') };
+  const { job } = await runUpload(t, ocr);
+
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.error, 'Error attempting to read image.');
+});
+
+test('an unreadable image fails the job without ending the process', async t => {
+  const { job } = await runUpload(t, new TesseractOCRService());
+
+  assert.strictEqual(job.status, 'failed');
+  assert.match(job.error, /Error attempting to read image/);
+});
+
+test('jobs interrupted too often are given up instead of requeued', async t => {
+  const db = await openDatabase(t, tempDir(t));
+  await db.createJob({ id: 'retry', file_path: '/tmp/retry.jpg' });
+  await db.createJob({ id: 'give-up', file_path: '/tmp/give-up.jpg' });
+  await db.run("UPDATE receipt_jobs SET status = 'ocr', attempts = 1 WHERE id = 'retry'");
+  await db.run("UPDATE receipt_jobs SET status = 'ocr', attempts = 3 WHERE id = 'give-up'");
+
+  assert.deepStrictEqual(await db.requeueInterruptedJobs(3), { requeued: 1, failed: 1 });
+  assert.strictEqual((await db.getJob('retry')).status, 'queued');
+  assert.strictEqual((await db.getJob('give-up')).status, 'failed');
+});
+
+// A pipeline reporting the given progress calls before it stores receipt 7
+function fakePipeline(progressCalls) {
+  return {
+    running: 0,
+    maxRunning: 0,
+    order: [],
+    async process(filePaths, options, onProgress) {
+      this.running++;
+      this.maxRunning = Math.max(this.maxRunning, this.running);
+      this.order.push(filePaths[0]);
+      for (const call of progressCalls) {
+        onProgress(call);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      this.running--;
+      return { receipt_id: 7, ocr_provider: 'fake', receipt: { items: [] } };
+    }
+  };
+}
+
+test('progress is reported per stage, only ever increasing, up to the stored result', async t => {
+  const db = await openDatabase(t, tempDir(t));
+  const pipeline = fakePipeline([
+    { stage: 'preprocessing' },
+    { stage: 'ocr', progress: 0.5 },
+    { stage: 'ocr', progress: 0.2 },
+    { stage: 'ocr', progress: 1 },
+    { stage: 'unknown' },
+    { stage: 'parsing' },
+    { stage: 'matching' }
+  ]);
+  const queue = new JobQueue(db, pipeline, { concurrency: 1 });
+  const updates = [];
+  queue.on('update', update => updates.push([update.status, update.stage, update.progress]));
+
+  const { update, job } = await quietly(async () => {
+    await queue.start();
+    const queued = await queue.enqueue({ file_path: '/tmp/receipt.jpg', original_name: 'receipt.jpg' });
+    const update = await finished(queue, queued.id);
+    return { update, job: await db.getJob(queued.id) };
+  });
+
+  assert.deepStrictEqual(updates, [
+    ['ocr', 'preprocessing', 0],
+    ['ocr', 'preprocessing', 2],
+    ['ocr', 'ocr', 45],
+    ['ocr', 'ocr', 85],
+    ['parsing', 'parsing', 90],
+    ['parsing', 'matching', 95],
+    ['stored', 'stored', 100]
+  ]);
+  assert.strictEqual(update.result.receipt_id, 7);
+  assert.strictEqual(job.status, 'stored');
+  assert.strictEqual(job.progress, 100);
+  assert.strictEqual(job.result.ocr_provider, 'fake');
+});
+
+test('queued jobs run oldest first, no more at once than the concurrency', async t => {
+  const db = await openDatabase(t, tempDir(t));
+  const pipeline = fakePipeline([{ stage: 'ocr', progress: 0.5 }]);
+  const queue = new JobQueue(db, pipeline, { concurrency: 1 });
+
+  await quietly(async () => {
+    const jobs = [];
+    for (const name of ['a.jpg', 'b.jpg', 'c.jpg']) {
+      jobs.push(await queue.enqueue({ file_path: `/tmp/${name}`, original_name: name }));
+    }
+    const done = Promise.all(jobs.map(job => finished(queue, job.id)));
+    await queue.start();
+    await done;
+  });
+
+  assert.deepStrictEqual(pipeline.order, ['/tmp/a.jpg', '/tmp/b.jpg', '/tmp/c.jpg']);
+  assert.strictEqual(pipeline.maxRunning, 1);
+});
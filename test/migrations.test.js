@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DatabaseService = require('../src/services/database');
+const { quietly, tempDir } = require('./helpers');
+
+async function connect(t, dbPath, config = {}) {
+  const db = new DatabaseService({ dbPath, ...config });
+  await db.connect();
+  t.after(() => quietly(() => db.close()));
+  return db;
+}
+
+async function columns(db, table) {
+  return (await db.all(`PRAGMA table_info(${table})`)).map(col => col.name);
+}
+
+test('a new database is migrated to the latest version once', async t => {
+  const db = await connect(t, path.join(tempDir(t), 'receipts.db'));
+
+  const applied = await quietly(() => db.migrate());
+
+  assert.deepStrictEqual(applied.map(m => m.version), Array.from({ length: 16 }, (_, i) => i + 1));
+  assert.strictEqual(await db.getSchemaVersion(), 16);
+  assert.deepStrictEqual(await db.getPendingMigrations(), []);
+  assert.deepStrictEqual(await db.migrate(), []);
+
+  for (const table of ['receipts', 'items', 'products', 'product_aliases', 'ocr_usage', 'ocr_settings', 'receipt_jobs', 'receipt_batches', 'receipt_tax_lines']) {
+    assert.ok((await columns(db, table)).length > 0, `${table} exists`);
+  }
+  assert.ok((await db.get('SELECT COUNT(*) AS count FROM products')).count > 0);
+});
+
+test('a database from SimpleDatabaseService keeps its products with brand ids', async t => {
+  const db = await connect(t, path.join(tempDir(t), 'receipts.db'));
+  await db.run(`CREATE TABLE products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    brand TEXT,
+    category TEXT,
+    description TEXT,
+    unit_size TEXT,
+    unit_type TEXT,
+    typical_price REAL,
+    typical_price_currency TEXT DEFAULT 'EUR',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await db.run("INSERT INTO products (name, brand, category) VALUES ('Testartikel', ' Testmarke ', 'Snacks')");
+
+  await quietly(() => db.migrate());
+
+  assert.ok((await columns(db, 'products')).includes('brand_id'));
+  const product = await db.get(`
+    SELECT b.name AS brand, c.name AS category FROM products p
+    JOIN brands b ON b.id = p.brand_id
+    JOIN categories c ON c.id = p.category_id
+    WHERE p.name = 'Testartikel'
+  `);
+  assert.deepStrictEqual({ ...product }, { brand: 'Testmarke', category: 'Snacks' });
+});
+
+test('a failing migration is rolled back and not recorded', async t => {
+  const dir = tempDir(t);
+  const migrationsDir = path.join(dir, 'migrations');
+  fs.mkdirSync(migrationsDir);
+  fs.writeFileSync(path.join(migrationsDir, '001-notes.js'), `module.exports = {
+    name: 'notes',
+    up: db => db.run('CREATE TABLE notes (id INTEGER PRIMARY KEY, text TEXT)')
+  };`);
+  fs.writeFileSync(path.join(migrationsDir, '002-broken.js'), `module.exports = {
+    name: 'broken',
+    async up(db) {
+      await db.run('CREATE TABLE drafts (id INTEGER PRIMARY KEY)');
+      await db.run('ALTER TABLE missing ADD COLUMN text TEXT');
+    }
+  };`);
+  fs.writeFileSync(path.join(migrationsDir, 'README.md'), 'not a migration');
+  const db = await connect(t, path.join(dir, 'receipts.db'), { migrationsDir });
+
+  await assert.rejects(quietly(() => db.migrate()), /Migration 002-broken.js failed: .*no such table: missing/);
+
+  assert.strictEqual(await db.getSchemaVersion(), 1);
+  assert.deepStrictEqual((await db.getPendingMigrations()).map(m => m.file), ['002-broken.js']);
+  assert.ok(!await db.get("SELECT name FROM sqlite_master WHERE name = 'drafts'"));
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const MultiOCRService = require('../src/services/multi-ocr');
+const DatabaseService = require('../src/services/database');
+const OCRBudget = require('../src/services/ocr-budget');
+const { quietly, tempDir } = require('./helpers');
+
+/**
+ * A provider answering after delay ms with the given confidence, or failing
+ * with error; records whether its request was cancelled
+ */
+function fakeService({ confidence = 0.9, delay = 0, error = null, costPerRequest = 0 } = {}) {
+  const service = {
+    calls: 0,
+    cancelled: false,
+    processImage(imagePath, options = {}) {
+      service.calls++;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          if (error) reject(new Error(error));
+          else resolve({ text: `text ${confidence}`, confidence });
+        }, delay);
+        options.signal?.addEventListener('abort', () => {
+          service.cancelled = true;
+          clearTimeout(timer);
+          reject(options.signal.reason);
+        });
+      });
+    },
+    getServiceInfo: () => ({ pricing: { costPerRequest } })
+  };
+  return service;
+}
+
+function multiOCR(services, config = {}) {
+  const multi = quietly(() => new MultiOCRService({ primary: 'google', fallback: 'tesseract', ...config }));
+  multi.services = services;
+  return multi;
+}
+
+test('sequential falls back when the primary is not confident enough', async () => {
+  const multi = multiOCR({ google: fakeService({ confidence: 0.3 }), tesseract: fakeService({ confidence: 0.7 }) });
+
+  const result = await quietly(() => multi.processImage('receipt.jpg'));
+
+  assert.strictEqual(result.service_used, 'tesseract');
+  assert.strictEqual(result.fallback_used, true);
+  assert.deepStrictEqual(result.attempts, [
+    { service: 'google', confidence: 0.3 },
+    { service: 'tesseract', confidence: 0.7 }
+  ]);
+});
+
+test('race takes the first confident answer and cancels the rest', async () => {
+  const slow = fakeService({ confidence: 0.95, delay: 1000 });
+  const multi = multiOCR({ google: slow, tesseract: fakeService({ confidence: 0.6, delay: 10 }) });
+
+  const result = await quietly(() => multi.processImage('receipt.jpg', { strategy: 'race' }));
+
+  assert.strictEqual(result.service_used, 'tesseract');
+  assert.deepStrictEqual(result.attempts, [
+    { service: 'tesseract', confidence: 0.6 },
+    { service: 'google', cancelled: true }
+  ]);
+  assert.strictEqual(slow.cancelled, true);
+});
+
+test('parallel-best keeps the most confident answer within the timeout', async () => {
+  const multi = multiOCR({
+    google: fakeService({ confidence: 0.99, delay: 1000 }),
+    azure: fakeService({ error: 'quota exceeded' }),
+    tesseract: fakeService({ confidence: 0.6 }),
+    ocrspace: fakeService({ confidence: 0.8, delay: 10 })
+  });
+
+  const result = await quietly(() => multi.processImage('receipt.jpg', { strategy: 'parallel-best', timeout: 100 }));
+
+  assert.strictEqual(result.service_used, 'ocrspace');
+  assert.deepStrictEqual(result.attempts, [
+    { service: 'google', error: 'Service google timed out after 100ms' },
+    { service: 'tesseract', confidence: 0.6 },
+    { service: 'azure', error: 'quota exceeded' },
+    { service: 'ocrspace', confidence: 0.8 }
+  ]);
+});
+
+test('services over their budget are skipped and failed calls still count', async t => {
+  const db = new DatabaseService({ dbPath: path.join(tempDir(t), 'receipts.db') });
+  await quietly(() => db.initialize());
+  t.after(() => quietly(() => db.close()));
+  const budget = new OCRBudget(db, { callLimits: { google: 1, azure: 1 }, costLimits: {} });
+  const google = fakeService({ error: 'backend error', costPerRequest: 0.0015 });
+  const multi = multiOCR({ google, azure: fakeService(), tesseract: fakeService({ confidence: 0.7 }) }, { budget });
+  await budget.reserve('azure', multi.services.azure);
+
+  const first = await quietly(() => multi.processImage('receipt.jpg'));
+  assert.strictEqual(first.service_used, 'tesseract');
+  assert.deepStrictEqual(first.skipped, [{ service: 'azure', reason: 'daily call limit reached (1/1)' }]);
+
+  const second = await quietly(() => multi.processImage('receipt.jpg'));
+  assert.deepStrictEqual(second.skipped.map(skip => skip.service), ['google', 'azure']);
+  assert.strictEqual(google.calls, 1);
+
+  const usage = await db.getOCRUsage('google', budget.today());
+  assert.strictEqual(usage.calls, 1);
+  assert.strictEqual(usage.failures, 1);
+});
+
+test('an unknown strategy is refused', async () => {
+  const multi = multiOCR({ tesseract: fakeService() });
+
+  await assert.rejects(
+    quietly(() => multi.processImage('receipt.jpg', { strategy: 'fastest' })),
+    /Unknown Multi-OCR strategy: fastest/
+  );
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const DatabaseService = require('../src/services/database');
+const OCRBudget = require('../src/services/ocr-budget');
+const { quietly, tempDir } = require('./helpers');
+
+async function openDatabase(t) {
+  const db = new DatabaseService({ dbPath: path.join(tempDir(t), 'receipts.db') });
+  await quietly(() => db.initialize());
+  t.after(() => quietly(() => db.close()));
+  return db;
+}
+
+// An adapter as far as the budget is concerned
+function paidService(costPerRequest) {
+  return { getServiceInfo: () => ({ pricing: { costPerRequest } }) };
+}
+
+test('concurrent requests cannot go over the daily call limit together', async t => {
+  const db = await openDatabase(t);
+  const budget = new OCRBudget(db, { callLimits: { google: 2 }, costLimits: {} });
+
+  const outcomes = await Promise.allSettled(
+    Array.from({ length: 5 }, () => budget.reserve('google', paidService(0.0015)))
+  );
+
+  assert.strictEqual(outcomes.filter(outcome => outcome.status === 'fulfilled').length, 2);
+  for (const outcome of outcomes.filter(outcome => outcome.status === 'rejected')) {
+    assert.strictEqual(outcome.reason.code, 'OCR_BUDGET_EXHAUSTED');
+    assert.match(outcome.reason.message, /daily call limit reached \(2\/2\)/);
+  }
+
+  const usage = await db.getOCRUsage('google', budget.today());
+  assert.strictEqual(usage.calls, 2);
+  assert.strictEqual(usage.cost, 0.003);
+});
+
+test('a request is refused when its cost would go over the cost limit', async t => {
+  const db = await openDatabase(t);
+  const budget = new OCRBudget(db, { callLimits: {}, costLimits: { '*': 0.25 } });
+  const service = paidService(0.1);
+
+  await budget.reserve('ocrspace', service);
+  await budget.reserve('ocrspace', service);
+  await assert.rejects(budget.reserve('ocrspace', service), { code: 'OCR_BUDGET_EXHAUSTED' });
+
+  // Free providers are only limited by calls
+  await budget.reserve('tesseract', paidService(0));
+  assert.strictEqual((await budget.check('tesseract', paidService(0))).allowed, true);
+});
+
+test('failed requests count against the budget and as failures', async t => {
+  const db = await openDatabase(t);
+  const budget = new OCRBudget(db, { callLimits: { azure: 1 }, costLimits: {} });
+
+  await budget.recordFailure(await budget.reserve('azure', paidService(0.001)));
+
+  const { providers } = await budget.getUsage(budget.today());
+  assert.strictEqual(providers.azure.calls, 1);
+  assert.strictEqual(providers.azure.failures, 1);
+  assert.strictEqual(providers.azure.exhausted, true);
+  assert.strictEqual((await budget.check('azure')).allowed, false);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OCREnsemble = require('../src/services/ocr-ensemble');
+
+const ensemble = new OCREnsemble();
+
+function receipt(total, date, items) {
+  return {
+    store: { name: 'REWE Markt GmbH' },
+    metadata: { date },
+    totals: { total_amount: total },
+    items: items.map(([product_name, total_price, quantity = 1]) => ({ product_name, total_price, quantity }))
+  };
+}
+
+test('fields take the value most providers read, however it was written', () => {
+  const { receipt: merged, provenance } = ensemble.merge([
+    { provider: 'tesseract', receipt: receipt(4.72, '12.03.2024', []) },
+    { provider: 'google', receipt: receipt(4.27, '2024-03-12', []) },
+    { provider: 'azure', receipt: receipt('4,27', '12.03.24', []) }
+  ]);
+
+  assert.strictEqual(merged.totals.total_amount, 4.27);
+  assert.deepStrictEqual(provenance.fields['totals.total_amount'], {
+    value: 4.27,
+    sources: ['google', 'azure'],
+    agreement: 2,
+    providers: 3,
+    alternatives: [{ value: 4.72, sources: ['tesseract'] }]
+  });
+  // Dates agree once normalized; the first provider's spelling is kept
+  assert.strictEqual(merged.metadata.date, '12.03.2024');
+  assert.strictEqual(provenance.fields['metadata.date'].agreement, 3);
+});
+
+test('a tie goes to the provider listed first', () => {
+  const { receipt: merged } = ensemble.merge([
+    { provider: 'google', receipt: receipt(4.27, null, []) },
+    { provider: 'tesseract', receipt: receipt(4.72, null, []) }
+  ]);
+
+  assert.strictEqual(merged.totals.total_amount, 4.27);
+});
+
+test('item lines are aligned across providers and voted on line by line', () => {
+  const { receipt: merged, confidence } = ensemble.merge([
+    { provider: 'google', receipt: receipt(4.27, null, [['Milch 3,5%', 1.29], ['Apfelsaft', 2.98, 2]]) },
+    // Misread price and a line the others didn't see
+    { provider: 'tesseract', receipt: receipt(4.27, null, [['MILCH 3,5%', 1.79], ['Apfelsaft', 2.98, 2], ['Tüte', 0.2]]) },
+    { provider: 'azure', receipt: receipt(4.27, null, [['Milch 3.5%', 1.29], ['Apfelsaf', 2.98, 1]]) }
+  ]);
+
+  assert.deepStrictEqual(
+    merged.items.map(item => [item.product_name, item.total_price, item.quantity, item.provenance.agreement]),
+    [
+      ['Milch 3,5%', 1.29, 1, 2],
+      ['Apfelsaft', 2.98, 2, 3],
+      ['Tüte', 0.2, 1, 1]
+    ]
+  );
+  assert.deepStrictEqual(merged.items[0].provenance.alternatives, [{ value: 1.79, sources: ['tesseract'] }]);
+  assert.ok(confidence > 0.5 && confidence < 1);
+});
+
+test('lines seen by too few providers can be dropped', () => {
+  const strict = new OCREnsemble({ minItemVotes: 2 });
+
+  const { receipt: merged } = strict.merge([
+    { provider: 'google', receipt: receipt(1.29, null, [['Milch', 1.29]]) },
+    { provider: 'tesseract', receipt: receipt(1.29, null, [['Milch', 1.29], ['Tüte', 0.2]]) }
+  ]);
+
+  assert.deepStrictEqual(merged.items.map(item => item.product_name), ['Milch']);
+  assert.throws(() => strict.merge([]), /at least one provider/);
+});
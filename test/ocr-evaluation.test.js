@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OCREvaluator = require('../src/services/ocr-evaluation');
+
+const evaluator = new OCREvaluator();
+
+const label = {
+  id: 'rewe_1',
+  store: { name: 'REWE Markt GmbH' },
+  metadata: { date: '2024-03-12', time: '10:15' },
+  totals: { total_amount: 4.27, vat_amount: null },
+  payment: { method: 'Girocard' },
+  items: [
+    { name: 'Milch 3,5%', quantity: 1, total_price: 1.29 },
+    { name: 'Apfelsaft', quantity: 2, total_price: 2.98 }
+  ]
+};
+
+test('fields are compared after normalizing how they were printed', () => {
+  const fields = evaluator.compareFields(label, {
+    store: { name: 'REWE MARKT GMBH' },
+    metadata: { date: '12.03.24', time: '10:15:33' },
+    totals: { total_amount: '4,27', vat_amount: 0.28 },
+    payment: { method: 'EC Karte' }
+  });
+
+  assert.deepStrictEqual(Object.keys(fields), ['store_name', 'date', 'time', 'total_amount', 'vat_amount', 'payment_method']);
+  assert.strictEqual(fields.store_name.correct, true);
+  assert.deepStrictEqual(fields.date, { expected: '2024-03-12', actual: '2024-03-12', correct: true });
+  assert.deepStrictEqual(fields.time, { expected: '10:15', actual: '10:15', correct: true });
+  assert.deepStrictEqual(fields.total_amount, { expected: 4.27, actual: 4.27, correct: true });
+  assert.deepStrictEqual(fields.payment_method, { expected: 'card', actual: 'card', correct: true });
+  // Labelled as not on the receipt, so anything extracted is wrong
+  assert.deepStrictEqual(fields.vat_amount, { expected: null, actual: 0.28, correct: false });
+});
+
+test('item lines pair one to one by price and similar name', () => {
+  const items = evaluator.compareItems(label.items, [
+    { product_name: 'Apfelsaft', quantity: 1, total_price: 2.98 },
+    { product_name: 'MILCH 3,5%', quantity: 1, total_price: 1.29 },
+    { product_name: 'Milch 3,5%', quantity: 1, total_price: 1.29 },
+    { product_name: 'Pfand', quantity: 1, total_price: 2.98 }
+  ]);
+
+  assert.deepStrictEqual([items.tp, items.fp, items.fn], [2, 2, 0]);
+  assert.deepStrictEqual(items.matched.map(match => [match.expected, match.quantity_correct]), [
+    ['Apfelsaft', false],
+    ['Milch 3,5%', true]
+  ]);
+  assert.deepStrictEqual(items.extra.sort(), ['Milch 3,5%', 'Pfand']);
+  assert.deepStrictEqual(items.missing, []);
+});
+
+test('a provider summary counts failed receipts against recall', async () => {
+  const second = { ...label, id: 'rewe_2' };
+  const unrecorded = { ...label, id: 'rewe_3' };
+  const parsed = {
+    store: { name: 'REWE Markt GmbH' },
+    totals: { total_amount: 4.27 },
+    items: [{ product_name: 'Milch 3,5%', quantity: 1, total_price: 1.29 }]
+  };
+
+  const report = await evaluator.evaluate([label, second, unrecorded], {
+    test: async ({ id }) => {
+      if (id === 'rewe_2') throw new Error('OCR provider unavailable');
+      return id === 'rewe_1' ? parsed : null;
+    }
+  });
+
+  const summary = report.providers.test;
+  assert.strictEqual(report.labels, 3);
+  assert.strictEqual(summary.receipts, 2);
+  assert.strictEqual(summary.errors, 1);
+  assert.deepStrictEqual(summary.total_amount_exact_match, { matched: 1, labelled: 2, rate: 0.5 });
+  assert.deepStrictEqual(summary.items, { tp: 1, fp: 0, fn: 3, precision: 1, recall: 0.25, f1: 0.4 });
+  assert.deepStrictEqual(summary.details.map(detail => [detail.id, detail.error]), [
+    ['rewe_1', undefined],
+    ['rewe_2', 'OCR provider unavailable']
+  ]);
+});
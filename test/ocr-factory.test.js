@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OCRServiceFactory = require('../src/services/ocr-factory');
+const OCRSpaceService = require('../src/services/ocrspace-service');
+const { quietly } = require('./helpers');
+
+const factory = new OCRServiceFactory();
+
+test('an unknown provider is refused with the available ones', async () => {
+  await assert.rejects(factory.createService('textract'), /Unknown OCR service: textract\. Available: google, azure, tesseract, ocrspace/);
+});
+
+test('a cloud provider is not created without credentials', async () => {
+  await assert.rejects(
+    quietly(() => factory.createService('ocrspace', factory.getRecommendedConfig('ocrspace'))),
+    /OCR\.space requires credentials\. Type: api-key/
+  );
+});
+
+test('tesseract is created ready to use without credentials', async () => {
+  const service = await quietly(() => factory.createService('tesseract', factory.getRecommendedConfig('tesseract')));
+
+  assert.strictEqual(service.isInitialized, true);
+  assert.strictEqual(service.config.language, 'deu');
+});
+
+test('provider credentials are read from the environment when set', t => {
+  const saved = { key: process.env.AZURE_VISION_KEY, endpoint: process.env.AZURE_VISION_ENDPOINT };
+  t.after(() => {
+    for (const [name, value] of [['AZURE_VISION_KEY', saved.key], ['AZURE_VISION_ENDPOINT', saved.endpoint]]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+  process.env.AZURE_VISION_KEY = 'test-key';
+  delete process.env.AZURE_VISION_ENDPOINT;
+
+  assert.deepStrictEqual(factory.getCredentialsFromEnv('azure'), { subscriptionKey: 'test-key' });
+  assert.deepStrictEqual(factory.getCredentialsFromEnv('tesseract'), {});
+});
+
+test('plain provider text is turned into receipt markdown sections', () => {
+  const service = new OCRSpaceService();
+  const markdown = service.convertToMarkdown({
+    text: 'REWE Markt GmbH\nMilch\n12.03.2024 10:15\nSUMME 3,00'
+  });
+
+  assert.strictEqual(markdown, [
+    '# Receipt',
+    '',
+    '## Store Information',
+    '',
+    '* **REWE Markt GmbH**',
+    '',
+    '* Milch',
+    '## Date and Time',
+    '',
+    '* **12.03.2024 10:15**',
+    '',
+    '## Total',
+    '',
+    '* **SUMME 3,00**',
+    '',
+    ''
+  ].join('\n'));
+  assert.strictEqual(service.convertToMarkdown({ text: '' }), '# Receipt\n\nNo text detected in image.');
+});
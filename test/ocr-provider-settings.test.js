@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const DatabaseService = require('../src/services/database');
+const CredentialCipher = require('../src/services/credential-cipher');
+const OCRProviderSettings = require('../src/services/ocr-provider-settings');
+const OCRServiceFactory = require('../src/services/ocr-factory');
+const { quietly, tempDir } = require('./helpers');
+
+const KEY = 'a'.repeat(64);
+
+// The provider state of OCRService that the settings read and change
+class FakeOCR {
+  constructor() {
+    this.factory = new OCRServiceFactory();
+    this.defaultProvider = 'llama';
+    this.fallbackOrder = ['tesseract'];
+    this.providerCredentials = {};
+    this.providerServices = {};
+    this.apiKey = null;
+  }
+
+  getAvailableProviders() {
+    return ['llama', ...Object.keys(this.factory.getAvailableServices()), 'ensemble', 'mock'];
+  }
+
+  getSingleProviders() {
+    return this.getAvailableProviders().filter(name => name !== 'ensemble' && name !== 'mock');
+  }
+
+  getProviderCredentials(provider) {
+    return this.providerCredentials[provider] || {};
+  }
+
+  setProviderCredentials(provider, credentials) {
+    if (credentials) this.providerCredentials[provider] = credentials;
+    else delete this.providerCredentials[provider];
+  }
+
+  getCredentialsTemplate(provider) {
+    if (provider === 'llama') return { type: 'api-key', required: ['apiKey'], optional: [] };
+    return this.factory.getCredentialsTemplate(provider);
+  }
+
+  setDefaultProvider(provider) {
+    this.defaultProvider = provider;
+  }
+
+  setFallbackOrder(providers) {
+    this.fallbackOrder = [...new Set(providers)];
+  }
+}
+
+async function openSettings(t, dbPath, cipher = new CredentialCipher(KEY)) {
+  const db = new DatabaseService({ dbPath });
+  await quietly(() => db.initialize());
+  t.after(() => quietly(() => db.close()));
+  const settings = new OCRProviderSettings(db, new FakeOCR(), cipher);
+  await quietly(() => settings.load());
+  return { db, settings, ocr: settings.ocr };
+}
+
+test('credentials survive an encryption round trip only with the same key', () => {
+  const credentials = { apiKey: 'K81234567890' };
+
+  for (const secret of [KEY, 'a passphrase']) {
+    const cipher = new CredentialCipher(secret);
+    const encrypted = cipher.encrypt(credentials);
+    assert.match(encrypted, /^v1:/);
+    assert.doesNotMatch(encrypted, /K81234567890/);
+    assert.deepStrictEqual(cipher.decrypt(encrypted), credentials);
+  }
+
+  const cipher = new CredentialCipher(KEY);
+  const encrypted = cipher.encrypt(credentials);
+  const [version, iv, tag, ciphertext] = encrypted.split(':');
+  const tampered = Buffer.from(ciphertext, 'base64');
+  tampered[0] ^= 1;
+
+  assert.throws(() => new CredentialCipher('b'.repeat(64)).decrypt(encrypted), /authenticate/);
+  assert.throws(() => cipher.decrypt([version, iv, tag, tampered.toString('base64')].join(':')), /authenticate/);
+  assert.throws(() => cipher.decrypt('K81234567890'), /Unsupported encrypted credentials format/);
+  assert.throws(() => new CredentialCipher('').encrypt(credentials), { code: 'OCR_CREDENTIALS_KEY_MISSING' });
+});
+
+test('saved credentials are stored encrypted and applied after a restart', async t => {
+  const dbPath = path.join(tempDir(t), 'receipts.db');
+  const { db, settings, ocr } = await openSettings(t, dbPath);
+
+  const described = await quietly(() => settings.saveCredentials('ocrspace', { apiKey: 'K81234567890', unused: 'x' }));
+
+  assert.deepStrictEqual(ocr.getProviderCredentials('ocrspace'), { apiKey: 'K81234567890' });
+  assert.deepStrictEqual(described.credentials, { source: 'stored', fields: ['apiKey'] });
+  assert.strictEqual(described.configured, true);
+  const [row] = await db.getOCRCredentials();
+  assert.doesNotMatch(row.credentials, /K81234567890/);
+
+  const restarted = new OCRProviderSettings(db, new FakeOCR(), new CredentialCipher(KEY));
+  await quietly(() => restarted.load());
+  assert.deepStrictEqual(restarted.ocr.getProviderCredentials('ocrspace'), { apiKey: 'K81234567890' });
+
+  assert.strictEqual(await restarted.deleteCredentials('ocrspace'), true);
+  assert.deepStrictEqual(restarted.describeProvider('ocrspace').credentials, { source: null, fields: [] });
+});
+
+test('credentials are checked against the provider template', async t => {
+  const { settings } = await openSettings(t, path.join(tempDir(t), 'receipts.db'));
+
+  await assert.rejects(settings.saveCredentials('azure', { subscriptionKey: 'key' }), {
+    code: 'INVALID_OCR_SETTING',
+    message: 'Missing required field: endpoint'
+  });
+  await assert.rejects(settings.saveCredentials('tesseract', { apiKey: 'key' }), /tesseract does not use credentials/);
+  await assert.rejects(settings.saveCredentials('textract', { apiKey: 'key' }), /Unknown OCR provider: textract/);
+});
+
+test('default provider and fallback order are validated and persisted', async t => {
+  const dbPath = path.join(tempDir(t), 'receipts.db');
+  const { db, settings } = await openSettings(t, dbPath);
+
+  await assert.rejects(settings.updateDefaults({}), { code: 'INVALID_OCR_SETTING' });
+  await assert.rejects(settings.updateDefaults({ fallback_order: 'ocrspace,ensemble' }), /Invalid fallback provider: ensemble/);
+
+  const updated = await quietly(() => settings.updateDefaults({ default_provider: 'ensemble', fallback_order: 'ocrspace, tesseract' }));
+  assert.deepStrictEqual(updated, { default_provider: 'ensemble', fallback_order: ['ocrspace', 'tesseract'] });
+
+  const restarted = new OCRProviderSettings(db, new FakeOCR(), new CredentialCipher(KEY));
+  await quietly(() => restarted.load());
+  const providers = quietly(() => restarted.listProviders());
+  assert.strictEqual(providers.default_provider, 'ensemble');
+  assert.deepStrictEqual(providers.fallback_order, ['ocrspace', 'tesseract']);
+  assert.strictEqual(providers.providers.find(provider => provider.name === 'ensemble').is_default, true);
+});
+
+test('stored credentials are ignored while no key is configured', async t => {
+  const dbPath = path.join(tempDir(t), 'receipts.db');
+  const { db, settings } = await openSettings(t, dbPath);
+  await quietly(() => settings.saveCredentials('ocrspace', { apiKey: 'K81234567890' }));
+
+  const withoutKey = new OCRProviderSettings(db, new FakeOCR(), new CredentialCipher(''));
+  await quietly(() => withoutKey.load());
+
+  assert.deepStrictEqual(withoutKey.ocr.getProviderCredentials('ocrspace'), {});
+  assert.strictEqual(quietly(() => withoutKey.listProviders()).credentials_encryption, false);
+  await assert.rejects(withoutKey.saveCredentials('ocrspace', { apiKey: 'key' }), { code: 'OCR_CREDENTIALS_KEY_MISSING' });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const OCRRecorder = require('../src/services/ocr-recorder');
+const OCRServiceFactory = require('../src/services/ocr-factory');
+const { quietly, tempDir } = require('./helpers');
+
+const repoRecordings = path.join(__dirname, '..', 'google-vision-results');
+
+// A provider adapter that counts its calls
+function fakeService(result) {
+  return {
+    calls: 0,
+    async processImage() {
+      this.calls++;
+      return result;
+    },
+    convertToMarkdown: ocrResult => `# Receipt\n\n* ${ocrResult.text}\n`
+  };
+}
+
+function writeImage(dir, name, content = 'image bytes') {
+  const imagePath = path.join(dir, name);
+  fs.writeFileSync(imagePath, content);
+  return imagePath;
+}
+
+test('a recorded response is replayed by file name or by image content', async t => {
+  const dir = tempDir(t);
+  const imagePath = writeImage(dir, 'rewe_1.jpg');
+  const service = fakeService({ text: 'REWE\nSUMME 4,27', confidence: 0.9, raw_result: { words: 2 } });
+  new OCRRecorder({ mode: 'record', dir: path.join(dir, 'fixtures'), provider: 'fake' }).wrap(service);
+
+  await quietly(() => service.processImage(imagePath));
+
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'fixtures', 'rewe_1-raw.txt'), 'utf8'), 'REWE\nSUMME 4,27');
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'fixtures', 'rewe_1-markdown.md'), 'utf8'), '# Receipt\n\n* REWE\nSUMME 4,27\n');
+
+  const replayer = new OCRRecorder({ mode: 'replay', dir: path.join(dir, 'fixtures'), provider: 'fake' });
+  const byName = quietly(() => replayer.replay(imagePath));
+  assert.strictEqual(byName.text, 'REWE\nSUMME 4,27');
+  assert.deepStrictEqual(byName.raw_result, { words: 2 });
+  assert.strictEqual(byName.processing_info.replayed, true);
+
+  // An upload stored under a generated name
+  const upload = writeImage(dir, '1718012345-42.jpg');
+  assert.strictEqual(quietly(() => replayer.replay(upload)).processing_info.fixture, 'rewe_1');
+  assert.strictEqual(service.calls, 1);
+});
+
+test('a failed provider call is passed on but not recorded', async t => {
+  const dir = tempDir(t);
+  const service = fakeService({ text: '', confidence: 0, error: 'No text detected' });
+  new OCRRecorder({ mode: 'record', dir, provider: 'fake' }).wrap(service);
+
+  const result = await quietly(() => service.processImage(writeImage(dir, 'blank.jpg')));
+
+  assert.strictEqual(result.error, 'No text detected');
+  assert.deepStrictEqual(fs.readdirSync(dir), ['blank.jpg']);
+});
+
+test('replay without a recording fails instead of calling the provider', async t => {
+  const dir = tempDir(t);
+  const service = fakeService({ text: 'live' });
+  new OCRRecorder({ mode: 'replay', dir, provider: 'fake' }).wrap(service);
+
+  await assert.rejects(service.processImage(writeImage(dir, 'lidl_9.jpg')), /No fake OCR recording for "lidl_9"/);
+  assert.strictEqual(service.calls, 0);
+});
+
+test('recordings from before the recorder are loaded in every format', () => {
+  const recorder = new OCRRecorder({ mode: 'replay', dir: repoRecordings, provider: 'google' });
+
+  const detailed = recorder.load('dm_1');
+  assert.strictEqual(detailed.processing_info.fixture_format, 'detailed');
+  assert.ok(Array.isArray(detailed.raw_result));
+  assert.strictEqual(recorder.load('331077').processing_info.fixture_format, 'raw');
+  assert.strictEqual(recorder.load('missing'), null);
+});
+
+test('a cloud provider replays from its fixture directory without credentials', async t => {
+  const dir = tempDir(t);
+  fs.mkdirSync(path.join(dir, 'google'));
+  fs.copyFileSync(path.join(repoRecordings, 'dm_1-detailed.json'), path.join(dir, 'google', 'dm_1-detailed.json'));
+
+  const service = await quietly(() => new OCRServiceFactory().createService('google', { fixtures: { mode: 'replay', dir } }));
+  const result = await quietly(() => service.processImage(writeImage(dir, 'dm_1.jpg')));
+
+  assert.strictEqual(service.isInitialized, true);
+  assert.match(result.text, /dm/i);
+  assert.match(service.convertToMarkdown(result), /## Items Purchased/);
+});
+
+test('an unknown fixture mode is refused', () => {
+  assert.throws(() => OCRRecorder.forProvider('google', 'replya'), /Invalid OCR fixture mode: replya/);
+  assert.strictEqual(OCRRecorder.forProvider('google', { mode: 'off' }), null);
+});
@@ -0,0 +1,301 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ParserRegistry = require('../src/services/parsers');
+const { parse, quietly } = require('./helpers');
+
+const parsers = new ParserRegistry();
+
+function parseWith(markdown, options = {}) {
+  return quietly(() => parsers.parse(markdown, { provider: 'test', ...options }));
+}
+
+function itemRows(receipt) {
+  return receipt.items.map(item => [item.product_name, item.quantity, item.unit_price, item.total_price, item.tax_class]);
+}
+
+test('subtotal and VAT are the sums of the VAT breakdown', () => {
+  const receipt = parse([
+    '# Receipt',
+    '',
+    'REWE Markt GmbH',
+    '',
+    '| Item | Price |',
+    '| --- | --- |',
+    '| BANANEN | 2,38 A |',
+    '| BROT | 4,00 B |',
+    '',
+    '* SUMME EUR 6,38',
+    '* Steuer % Netto Steuer Brutto',
+    '* A= 19,0% 2,00 0,38 2,38',
+    '* B= 7,0% 3,74 0,26 4,00'
+  ].join('\n'));
+
+  assert.strictEqual(receipt.tax_lines.length, 2);
+  assert.strictEqual(receipt.totals.subtotal, 5.74);
+  assert.strictEqual(receipt.totals.vat_amount, 0.64);
+});
+
+test('a VAT row of returned deposit counts negative', () => {
+  const receipt = parse([
+    '# Receipt',
+    '',
+    'REWE Markt GmbH',
+    '',
+    '| Item | Price |',
+    '| --- | --- |',
+    '| BROT | 4,34 B |',
+    '| LEERGUT | -0,50 A |',
+    '',
+    '* SUMME EUR 3,84',
+    '* Steuer % Netto Steuer Brutto',
+    '* A= 19,0% -0,42 -0,08 -0,50',
+    '* B= 7,0% 4,06 0,28 4,34'
+  ].join('\n'));
+
+  const deposit = receipt.tax_lines.find(taxLine => taxLine.tax_class === 'A');
+  assert.strictEqual(deposit.net_amount, -0.42);
+  assert.strictEqual(deposit.vat_amount, -0.08);
+  assert.strictEqual(deposit.gross_amount, -0.5);
+  assert.strictEqual(receipt.totals.subtotal, 3.64);
+  assert.strictEqual(receipt.totals.vat_amount, 0.2);
+});
+
+test('a dash OCR read before one VAT amount does not make it negative', () => {
+  const receipt = parse([
+    '# Receipt',
+    '',
+    'REWE Markt GmbH',
+    '',
+    '| Item | Price |',
+    '| --- | --- |',
+    '| BROT | 4,00 B |',
+    '',
+    '* SUMME EUR 4,00',
+    '* B= 7,0% 3,74 -0,26 4,00'
+  ].join('\n'));
+
+  assert.deepStrictEqual(
+    [receipt.tax_lines[0].net_amount, receipt.tax_lines[0].vat_amount, receipt.tax_lines[0].gross_amount],
+    [3.74, 0.26, 4]
+  );
+});
+
+test('each chain is recognized by its header and read with its own labels', () => {
+  const receipts = {
+    edeka: ['EDEKA Center Müller', 'Milch 1,29 B', 'SUMME € 1,29', 'girocard 1,29'],
+    rewe: ['REWE Markt GmbH', 'Milch 1,29 B', 'SUMME EUR 1,29', 'girocard 1,29'],
+    lidl: ['Lidl sagt Danke', 'Milch 1,29 A', 'zu zahlen 1,29', 'girocard 1,29'],
+    aldi: ['ALDI SÜD', 'Milch 1,29 A', 'Summe 1,29', 'girocard 1,29'],
+    kaufland: ['Kaufland', 'Milch 1,29 A', 'Summe EUR 1,29', 'girocard 1,29']
+  };
+
+  for (const [name, lines] of Object.entries(receipts)) {
+    const { receipt, processing_info } = parseWith(lines.join('\n'));
+
+    assert.strictEqual(processing_info.parser_version, `${name}@1.0.0`);
+    assert.strictEqual(receipt.store.store_chain, parsers.get(name).chain.storeChain);
+    assert.deepStrictEqual(itemRows(receipt), [['Milch', 1, 1.29, 1.29, lines[1].slice(-1)]]);
+    assert.strictEqual(receipt.totals.total_amount, 1.29);
+    assert.deepStrictEqual([receipt.payment.method, receipt.payment.card_type], ['card', 'girocard']);
+  }
+});
+
+test('dm receipts are recognized by the tax ID and read with digit tax codes', () => {
+  const { receipt, processing_info } = parseWith([
+    '| Item | Quantity | Price |',
+    '| --- | --- | --- |',
+    '| 2x 2,95 Odol-med3 Juniorzahn | 1 | 5,90 1 |',
+    '| Balea Duschgel | 1 | 0,95 1 |',
+    '| 1 = 19,00 % | 5,76 | 1,09 |',
+    '',
+    '* Steuer-Nr. 34092/30007',
+    '* SUMME EUR 6,85',
+    '* VISA EUR 6,85'
+  ].join('\n'));
+
+  assert.strictEqual(processing_info.parser_version, 'dm@1.0.0');
+  assert.strictEqual(receipt.store.name, 'dm-drogerie markt');
+  // The VAT summary row is not an item
+  assert.deepStrictEqual(itemRows(receipt), [
+    ['Odol-med3 Juniorzahn', 2, 2.95, 5.9, '1'],
+    ['Balea Duschgel', 1, 0.95, 0.95, '1']
+  ]);
+  assert.deepStrictEqual([receipt.payment.card_type, receipt.payment.amount_paid], ['VISA', 6.85]);
+});
+
+test('EDEKA multiples are read from bold rows and from plain lines', () => {
+  const bold = parseWith([
+    '# EDEKA Center Müller',
+    '',
+    '| **G&G Gouda Gerieben** | **EUR** |',
+    '| 1,99 € x 2 | 3,98 B |',
+    '| **Pfand 0,25** | **EUR** |',
+    '| 0,25 AW | |',
+    '',
+    'SUMME € 4,23'
+  ].join('\n')).receipt;
+
+  assert.deepStrictEqual(itemRows(bold), [
+    ['G&G Gouda Gerieben', 2, 1.99, 3.98, 'B'],
+    ['Pfand 0,25', 1, 0.25, 0.25, null]
+  ]);
+
+  const plain = parseWith(['EDEKA Center Müller', 'Fruchtzwerge 1,29 € x 4 5,16 B', 'Milch 1,29 B', 'SUMME € 6,45'].join('\n')).receipt;
+
+  assert.deepStrictEqual(itemRows(plain), [
+    ['Fruchtzwerge', 4, 1.29, 5.16, 'B'],
+    ['Milch', 1, 1.29, 1.29, 'B']
+  ]);
+});
+
+test('a multiple on the line under an item and cash with change are read per chain', () => {
+  const lidl = parseWith(['Lidl', 'Milch 1,29 A', 'Brötchen 1,18 A', '2 x 0,59', 'zu zahlen 2,47', 'Bar 10,00', 'Rückgeld 7,53'].join('\n')).receipt;
+
+  assert.deepStrictEqual(itemRows(lidl), [
+    ['Milch', 1, 1.29, 1.29, 'A'],
+    ['Brötchen', 2, 0.59, 1.18, 'A']
+  ]);
+  assert.deepStrictEqual(
+    [lidl.payment.method, lidl.payment.amount_paid, lidl.payment.change],
+    ['cash', 10, 7.53]
+  );
+
+  const rewe = parseWith(['REWE Markt GmbH', 'BANANE 1,18 B', '2 Stk x 0,59', 'SUMME EUR 1,18'].join('\n')).receipt;
+  assert.deepStrictEqual(itemRows(rewe), [['BANANE', 2, 0.59, 1.18, 'B']]);
+});
+
+test('receipts of no known chain are read by the generic parser', () => {
+  // Tax codes after prices fit every supermarket, they don't name a chain
+  const markdown = ['Hofladen Sommer', '| Item | Quantity | Price |', '| --- | --- | --- |', '| Eier | 1 | 2,40 A |', '| Honig | 1 | 6,50 B |', '| Milch | 1 | 1,29 A |', '', 'Summe 10,19'].join('\n');
+
+  const { receipt, processing_info } = parseWith(markdown);
+
+  assert.strictEqual(processing_info.parser_version, 'generic@1.0.0');
+  assert.strictEqual(receipt.store.store_chain, null);
+  assert.deepStrictEqual(receipt.items.map(item => item.product_name), ['Eier', 'Honig', 'Milch']);
+
+  assert.strictEqual(parseWith(markdown, { parser: 'aldi' }).processing_info.parser_version, 'aldi@1.0.0');
+  assert.throws(() => parseWith(markdown, { parser: 'netto' }), /Unknown receipt parser: netto\. Available: edeka, dm, rewe, lidl, aldi, kaufland, generic/);
+});
+
+test('discount, deposit, coupon and fee lines are typed and linked to their product', () => {
+  const receipt = parse([
+    'REWE Markt GmbH',
+    '| Item | Quantity | Price |',
+    '| --- | --- | --- |',
+    '| Kaffee | 1 | 5,99 B |',
+    '| Rabatt 20% | 1 | 1,00 B |',
+    '| Cola | 1 | 1,49 A |',
+    '| Pfand | 1 | 0,25 A |',
+    '| Preisvorteil | 1 | 0,30- |',
+    '| Leergut | 1 | -0,75 A |',
+    '| Coupon | 1 | -0,50 B |',
+    '| Tragetasche | 1 | 0,20 A |',
+    '| Gutschein Amazon | 1 | 25,00 A |',
+    '',
+    'SUMME EUR 30,38'
+  ].join('\n'));
+
+  assert.deepStrictEqual(
+    receipt.items.map(item => [item.product_name, item.line_type, item.total_price, item.parent_index, item.net_price]),
+    [
+      ['Kaffee', 'product', 5.99, null, 4.99],
+      // Discounts are credits even where OCR lost the minus
+      ['Rabatt 20%', 'discount', -1, 0, null],
+      ['Cola', 'product', 1.49, null, 0.69],
+      // A deposit belongs to its bottle but isn't spent on it
+      ['Pfand', 'deposit', 0.25, 2, null],
+      ['Preisvorteil', 'discount', -0.3, 2, null],
+      ['Leergut', 'deposit_return', -0.75, null, null],
+      ['Coupon', 'coupon', -0.5, 2, null],
+      ['Tragetasche', 'fee', 0.2, null, null],
+      // A gift card that was bought is a product
+      ['Gutschein Amazon', 'product', 25, null, 25]
+    ]
+  );
+});
+
+test('a deposit with a negative amount is a return, an unlabelled one a discount', () => {
+  const receipt = parse([
+    'REWE Markt GmbH',
+    '| Item | Quantity | Price |',
+    '| --- | --- | --- |',
+    '| Wasser | 1 | 0,49 A |',
+    '| Pfand zurück | 1 | 0,25 A |',
+    '| Pfand | 1 | -0,25 A |',
+    '| Sofortrabatt Wasser | 1 | 0,10- |',
+    '| Korrektur | 1 | -0,09 A |',
+    '',
+    'SUMME EUR 0,30'
+  ].join('\n'));
+
+  assert.deepStrictEqual(receipt.items.map(item => [item.line_type, item.total_price]), [
+    ['product', 0.49],
+    ['deposit_return', -0.25],
+    ['deposit_return', -0.25],
+    ['discount', -0.1],
+    ['discount', -0.09]
+  ]);
+  assert.strictEqual(receipt.items[0].net_price, 0.3);
+});
+
+test('weighed and multiplied items take quantity, unit and unit price from the line under them', () => {
+  const receipt = parse([
+    'REWE Markt GmbH',
+    'BANANEN 1,36 B',
+    '0,456 kg x 2,99 EUR/kg',
+    'TOMATEN 1,20 B',
+    '400 g x 2,99 €/kg',
+    'APFELSAFT 2,98 B',
+    '2 x 1,49',
+    'SUMME EUR 5,54'
+  ].join('\n'));
+
+  assert.deepStrictEqual(receipt.items.map(item => [item.product_name, item.quantity, item.unit, item.unit_price, item.total_price]), [
+    ['BANANEN', 0.456, 'kg', 2.99, 1.36],
+    // Grams at a price per kg are counted in kg
+    ['TOMATEN', 0.4, 'kg', 2.99, 1.2],
+    ['APFELSAFT', 2, 'piece', 1.49, 2.98]
+  ]);
+});
+
+test('a quantity line goes to the item whose amount it adds up to', () => {
+  const receipt = parse(['REWE Markt GmbH', 'KÄSE 3,59 B', 'BANANEN 1,36 B', '0,200 kg x 17,95 EUR/kg', 'SUMME EUR 4,95'].join('\n'));
+
+  assert.deepStrictEqual(receipt.items.map(item => [item.product_name, item.quantity, item.unit, item.unit_price]), [
+    ['KÄSE', 0.2, 'kg', 17.95],
+    ['BANANEN', 1, 'piece', 1.36]
+  ]);
+});
+
+test('quantities written with their unit are decimal in kg, l or pieces', () => {
+  const table = parse([
+    'Wochenmarkt',
+    '| Item | Quantity | Price |',
+    '| --- | --- | --- |',
+    '| Bananen | 0,456 kg | 1,36 |',
+    '| Milch | 2 | 2,58 |',
+    '| Saft | 500 ml | 1,20 |',
+    '',
+    'Total 5,14'
+  ].join('\n'));
+
+  assert.deepStrictEqual(table.items.map(item => [item.quantity, item.unit, item.unit_price]), [
+    [0.456, 'kg', 2.98],
+    [2, 'piece', 1.29],
+    [0.5, 'l', 2.4]
+  ]);
+
+  const list = parse([
+    'Wochenmarkt',
+    '## Items Purchased',
+    '* **Bananen**',
+    '  + Quantity: 0,456 kg',
+    '  + Price: 2,99 EUR/kg',
+    '  + Price: 1,36 EUR',
+    '',
+    'Total 1,36'
+  ].join('\n'));
+
+  assert.deepStrictEqual(list.items.map(item => [item.quantity, item.unit, item.unit_price, item.total_price]), [[0.456, 'kg', 2.99, 1.36]]);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProductMatcher = require('../src/services/product-matcher');
+
+const matcher = new ProductMatcher();
+
+const catalog = [
+  { id: 1, name: 'Riegel Banane Kirsche', brand: 'Corny', unit_size: '4x23g' },
+  { id: 2, name: 'Bananen', brand: null },
+  { id: 3, name: 'Kirschsaft 1,0 l', brand: 'Rauch' },
+  { id: 4, name: 'Milka Kuhflecken 100g', brand: 'Milka' },
+  { id: 5, name: 'Milka Alpenmilch 100g', brand: 'Milka' }
+];
+
+test('an abbreviated receipt line ranks its product first', () => {
+  const ranked = matcher.rankProducts(
+    { product_name: 'Rieg. Ban&Kirsche 4x23g', line_text: 'CORNY RIEG. BAN&KIRSCHE' },
+    catalog
+  );
+
+  assert.deepStrictEqual(ranked.map(product => product.id), [1, 2]);
+  assert.deepStrictEqual(ranked[0].score_breakdown.brand, 1);
+  assert.deepStrictEqual(ranked[0].score_breakdown.unit_size, 1);
+  assert.ok(ranked[0].score > ranked[1].score);
+});
+
+test('the exact product beats another product of the same brand and size', () => {
+  const [best, second] = matcher.rankProducts({ product_name: 'Milka Kuhflecken 100g' }, catalog);
+
+  assert.strictEqual(best.id, 4);
+  assert.strictEqual(best.score, 1);
+  assert.strictEqual(second.id, 5);
+  assert.ok(second.score < 0.85);
+});
+
+test('a different pack size lowers the score without changing the ranking', () => {
+  const [best] = matcher.rankProducts({ product_name: 'Milka Kuhflecken 200g' }, catalog);
+
+  assert.strictEqual(best.id, 4);
+  assert.strictEqual(best.score_breakdown.unit_size, 0.25);
+  assert.ok(best.score < 1);
+});
+
+test('products below the minimum score and beyond the limit are left out', () => {
+  assert.deepStrictEqual(matcher.rankProducts({ product_name: 'Zahnpasta' }, catalog), []);
+  assert.strictEqual(matcher.rankProducts({ product_name: 'Milka 100g' }, catalog, { limit: 1 }).length, 1);
+});
+
+test('unit sizes are read in grams and millilitres', () => {
+  assert.deepStrictEqual(matcher.extractUnitSize('4x23g'), { amount: 92, unit: 'g' });
+  assert.deepStrictEqual(matcher.extractUnitSize('1,5 l'), { amount: 1500, unit: 'ml' });
+  assert.deepStrictEqual(matcher.extractUnitSize('Kirschsaft'), null);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const DatabaseService = require('../src/services/database');
+const JobQueue = require('../src/services/job-queue');
+const ReceiptBatch = require('../src/services/receipt-batch');
+const { quietly, tempDir } = require('./helpers');
+
+/**
+ * A batch service with an unstarted queue, so jobs stay queued
+ * @returns {Promise<Object>} - { batch, db, dir }
+ */
+async function openBatch(t, config = {}) {
+  const dir = tempDir(t);
+  const db = new DatabaseService({ dbPath: path.join(dir, 'receipts.db') });
+  await quietly(() => db.initialize());
+  t.after(() => quietly(() => db.close()));
+  const uploadDir = path.join(dir, 'uploads');
+  fs.mkdirSync(uploadDir);
+  const batch = new ReceiptBatch(db, new JobQueue(db, null), { uploadDir, ...config });
+  return { batch, db, dir: uploadDir };
+}
+
+// A file as multer stores it
+function upload(dir, originalname, mimetype, content = 'receipt') {
+  const filePath = path.join(dir, `upload-${originalname}`);
+  fs.writeFileSync(filePath, content);
+  return { path: filePath, originalname, mimetype, size: Buffer.byteLength(content) };
+}
+
+function zipUpload(dir, entries) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  const file = upload(dir, 'receipts.zip', 'application/zip');
+  zip.writeZip(file.path);
+  return file;
+}
+
+test('a ZIP archive and loose files become one batch of receipt jobs', async t => {
+  const { batch, dir } = await openBatch(t);
+  const archive = zipUpload(dir, {
+    'juni/rewe_1.jpg': 'jpg',
+    'juni/dm_1.PDF': 'pdf',
+    '__MACOSX/juni/._rewe_1.jpg': 'metadata',
+    'juni/.DS_Store': 'metadata',
+    'juni/notes.txt': 'text'
+  });
+
+  const summary = await quietly(() => batch.create([
+    archive,
+    upload(dir, 'lidl_1.png', 'image/png'),
+    upload(dir, 'invoice.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document')
+  ], { provider: 'tesseract' }));
+
+  assert.strictEqual(summary.file_count, 5);
+  assert.deepStrictEqual(summary.counts, { queued: 3, processing: 0, stored: 0, failed: 0, rejected: 2 });
+  assert.strictEqual(summary.done, false);
+  assert.deepStrictEqual(
+    summary.files.map(file => [file.name, file.status, file.error]).sort(),
+    [
+      ['dm_1.PDF', 'queued', null],
+      ['invoice.docx', 'rejected', 'Not an image or PDF'],
+      ['lidl_1.png', 'queued', null],
+      ['receipts.zip/juni/notes.txt', 'rejected', 'Not an image or PDF'],
+      ['rewe_1.jpg', 'queued', null]
+    ]
+  );
+  // The archive and the rejected upload are gone, the unpacked receipts wait for the worker
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(name => name.startsWith('upload-')), ['upload-lidl_1.png']);
+  assert.strictEqual(fs.readdirSync(dir).filter(name => /\.(jpg|pdf)$/.test(name)).length, 2);
+});
+
+test('receipts over the size or count limit are rejected one by one', async t => {
+  const { batch, dir } = await openBatch(t, { maxFileSize: 10, maxFiles: 2 });
+  const archive = zipUpload(dir, {
+    'a.jpg': 'small',
+    'b.jpg': 'far too large for the limit',
+    'c.jpg': 'small',
+    'd.jpg': 'small'
+  });
+
+  const { accepted, rejected } = batch.expand([archive]);
+
+  assert.deepStrictEqual(accepted.map(file => file.original_name), ['a.jpg', 'c.jpg']);
+  assert.deepStrictEqual(rejected, [
+    { name: 'receipts.zip/b.jpg', error: 'File too large' },
+    { name: 'receipts.zip/d.jpg', error: 'More than 2 receipts in one batch' }
+  ]);
+});
+
+test('a broken ZIP archive is rejected without failing the batch', async t => {
+  const { batch, dir } = await openBatch(t);
+  const broken = upload(dir, 'receipts.zip', 'application/zip', 'not a zip');
+
+  const summary = await quietly(() => batch.create([broken, upload(dir, 'rewe_1.jpg', 'image/jpeg')]));
+
+  assert.deepStrictEqual(summary.counts, { queued: 1, processing: 0, stored: 0, failed: 0, rejected: 1 });
+  assert.match(summary.files.find(file => file.status === 'rejected').error, /^Unreadable ZIP archive: /);
+  assert.strictEqual(fs.existsSync(broken.path), false);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ParserRegistry = require('../src/services/parsers');
+const PdfConverter = require('../src/services/pdf-converter');
+const ReceiptDocument = require('../src/services/receipt-document');
+const { quietly } = require('./helpers');
+
+const parsers = new ParserRegistry();
+
+// OCR answering with the markdown given per image file name
+function fakeOCR(pages) {
+  return {
+    processed: [],
+    async processImage(imagePath, options = {}) {
+      this.processed.push(path.basename(imagePath));
+      options.onProgress?.({ stage: 'preprocessing' });
+      options.onProgress?.({ stage: 'ocr', progress: 0.5 });
+      options.onProgress?.({ stage: 'parsing' });
+      return {
+        ocr_data: { raw_markdown: pages[path.basename(imagePath)], confidence_score: 0.8 },
+        processing_info: { ocr_provider: 'tesseract', ocr_model: 'Local OCR' }
+      };
+    },
+    parseMarkdown: (markdown, options) => parsers.parse(markdown, options)
+  };
+}
+
+// Poppler answering with canned output: pdfinfo's page count, pdftotext's pages, pdftoppm's images
+class FakePoppler extends PdfConverter {
+  constructor({ pageCount, texts = [] }) {
+    super();
+    this.pageCount = pageCount;
+    this.texts = texts;
+    this.rasterDirs = [];
+  }
+
+  async run(command, args) {
+    if (command === 'pdfinfo') return `Producer: test\nPages:          ${this.pageCount}\n`;
+    if (command === 'pdftotext') return this.texts.map(text => `${text}\f`).join('');
+
+    const prefix = args[args.length - 1];
+    this.rasterDirs.push(path.dirname(prefix));
+    for (let page = 1; page <= this.pageCount; page++) {
+      fs.writeFileSync(`${prefix}-${String(page).padStart(String(this.pageCount).length, '0')}.png`, 'png');
+    }
+    return '';
+  }
+}
+
+function itemNames(result) {
+  return result.receipt.items.map(item => item.product_name);
+}
+
+const firstPhoto = [
+  '# Receipt',
+  '',
+  'REWE Markt GmbH',
+  '',
+  '| Item | Price |',
+  '| --- | --- |',
+  '| Milch | 1,29 B |',
+  '| Butter | 2,19 B |',
+  '| Brot | 1,99 B |'
+].join('\n');
+
+test('overlapping photos of a long receipt are stitched into one', async () => {
+  const ocr = fakeOCR({
+    'part-1.jpg': firstPhoto,
+    'part-2.jpg': ['# Receipt', '', '| Item | Price |', '| --- | --- |', '| Butter | 2,19 B |', '| Brot | 1,99 B |', '| Käse | 2,49 B |', '', '* SUMME EUR 7,96'].join('\n')
+  });
+  const progress = [];
+
+  const result = await quietly(() => new ReceiptDocument(ocr, new FakePoppler({ pageCount: 0 })).process(
+    ['/uploads/part-1.jpg', '/uploads/part-2.jpg'],
+    { onProgress: update => progress.push(update) }
+  ));
+
+  assert.deepStrictEqual(itemNames(result), ['Milch', 'Butter', 'Brot', 'Käse']);
+  assert.deepStrictEqual(result.processing_info.pages.map(page => [page.file, page.type, page.overlapping_lines]), [
+    ['part-1.jpg', 'photo', 0],
+    ['part-2.jpg', 'photo', 2]
+  ]);
+  assert.strictEqual(result.ocr_data.confidence_score, 0.8);
+  // Both photos make up the ocr stage; parsing is reported once at the end
+  assert.deepStrictEqual(progress, [
+    { stage: 'preprocessing' },
+    { stage: 'ocr', progress: 0.25 },
+    { stage: 'ocr', progress: 0.75 },
+    { stage: 'parsing' }
+  ]);
+});
+
+test('a single repeated line is kept as a real item', () => {
+  const document = new ReceiptDocument(fakeOCR({}), new FakePoppler({ pageCount: 0 }));
+
+  const { overlaps } = document.stitch([
+    { type: 'photo', text: firstPhoto },
+    { type: 'photo', text: '| Brot | 1,99 B |\n| Käse | 2,49 B |' }
+  ]);
+
+  assert.deepStrictEqual(overlaps, [0, 0]);
+});
+
+test('a PDF with a text layer is read without OCR', async () => {
+  const ocr = fakeOCR({});
+  const pdf = new FakePoppler({
+    pageCount: 2,
+    texts: [
+      'REWE Markt GmbH\nMilch                    1,29 B\nButter                   2,19 B',
+      'Butter                   2,19 B\nSUMME                    5,67'
+    ]
+  });
+
+  const result = await quietly(() => new ReceiptDocument(ocr, pdf).process(['/uploads/ebon.pdf']));
+
+  assert.deepStrictEqual(ocr.processed, []);
+  // Pages of a PDF continue each other, so the repeated line is a second item
+  assert.deepStrictEqual(itemNames(result), ['Milch', 'Butter', 'Butter']);
+  assert.strictEqual(result.processing_info.ocr_model, 'pdftotext');
+  assert.deepStrictEqual(result.processing_info.pages.map(page => page.type), ['pdf_text', 'pdf_text']);
+});
+
+test('a scanned PDF is rasterized and every page OCR\'d in order', async () => {
+  const pages = { 'page-01.png': firstPhoto };
+  for (let page = 2; page <= 10; page++) {
+    pages[`page-${String(page).padStart(2, '0')}.png`] = `| Artikel ${page} | 1,00 B |`;
+  }
+  const ocr = fakeOCR(pages);
+  const pdf = new FakePoppler({ pageCount: 10, texts: Array(10).fill(' \n') });
+
+  const result = await quietly(() => new ReceiptDocument(ocr, pdf).process(['/uploads/scan.pdf']));
+
+  assert.deepStrictEqual(ocr.processed, Object.keys(pages));
+  assert.strictEqual(result.receipt.items.length, 12);
+  assert.strictEqual(result.processing_info.pages[0].type, 'pdf_scan');
+  assert.strictEqual(fs.existsSync(pdf.rasterDirs[0]), false);
+});
+
+test('a PDF over the page limit is refused', async () => {
+  const document = new ReceiptDocument(fakeOCR({}), new FakePoppler({ pageCount: 11 }));
+
+  await assert.rejects(document.process(['/uploads/catalog.pdf']), /PDF has 11 pages, at most 10 are read as one receipt/);
+});
+
+test('missing poppler tools are reported as such', async () => {
+  await assert.rejects(new PdfConverter().run('pdftotext-not-installed', []), {
+    code: 'PDF_TOOLS_MISSING',
+    message: 'pdftotext-not-installed not found, install poppler-utils for PDF support'
+  });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ReceiptLayout = require('../src/services/receipt-layout');
+
+const layout = new ReceiptLayout();
+
+function word(text, left, top, right, bottom) {
+  return { text, left, top, right, bottom };
+}
+
+test('a price drifting below its name is put back on the same row', () => {
+  const lines = layout.buildLines([
+    word('Milch', 10, 100, 70, 120),
+    word('1,29', 300, 104, 350, 124),
+    word('Butter', 10, 140, 80, 160),
+    // Far enough down to be a row of its own
+    word('2,19', 300, 170, 350, 190),
+    word('B', 360, 170, 372, 190)
+  ]);
+
+  assert.deepStrictEqual(
+    lines.map(line => [line.type, line.name, line.price, line.taxClass]),
+    [['item', 'Milch', '1,29', null], ['item', 'Butter', '2,19', 'B']]
+  );
+});
+
+test('aligned columns become items with quantities, tax classes and negative prices', () => {
+  const lines = layout.buildLines(layout.wordsFromText([
+    'REWE Markt GmbH',
+    'Milch 3,5%                  1,29 B',
+    'Apfelsaft                   2,98 B',
+    '   2 x 1,49',
+    'Leergut                     0,25- A',
+    'SUMME                       4,02'
+  ].join('\n')));
+
+  assert.deepStrictEqual(
+    lines.map(line => [line.type, line.name, line.quantity, line.price, line.taxClass]),
+    [
+      ['text', 'REWE Markt GmbH', null, null, null],
+      ['item', 'Milch 3,5%', null, '1,29', 'B'],
+      ['item', 'Apfelsaft', 2, '2,98', 'B'],
+      ['item', 'Leergut', null, '-0,25', 'A'],
+      ['text', 'SUMME', null, '4,02', null]
+    ]
+  );
+
+  assert.strictEqual(layout.toMarkdown(lines, text => `* ${text}\n`), [
+    '# Receipt',
+    '',
+    '* REWE Markt GmbH',
+    '## Items Purchased',
+    '',
+    '| Item | Quantity | Price |',
+    '| --- | --- | --- |',
+    '| Milch 3,5% | 1 | 1,29 B |',
+    '| Apfelsaft | 2 | 2,98 B |',
+    '| Leergut | 1 | -0,25 A |',
+    '',
+    '* SUMME  4,02',
+    ''
+  ].join('\n'));
+});
+
+test('a number on the left of the page is not taken for a price', () => {
+  const [note, item] = layout.buildLines([
+    word('Gespart', 0, 0, 60, 20),
+    word('12,50', 70, 0, 120, 20),
+    word('Milch', 0, 40, 50, 60),
+    word('1,29', 300, 40, 350, 60)
+  ]);
+
+  assert.deepStrictEqual([note.type, note.name, note.price], ['text', 'Gespart 12,50', null]);
+  assert.deepStrictEqual([item.type, item.price], ['item', '1,29']);
+});
+
+test('word boxes from every provider are normalized alike', () => {
+  const expected = [word('Milch', 10, 20, 60, 40)];
+
+  assert.deepStrictEqual(layout.wordsFromTesseract({
+    data: { blocks: [{ paragraphs: [{ lines: [{ words: [{ text: 'Milch ', bbox: { x0: 10, y0: 20, x1: 60, y1: 40 } }] }] }] }] }
+  }), expected);
+  assert.deepStrictEqual(layout.wordsFromGoogle([
+    { description: 'Milch' },
+    { description: 'Milch', boundingPoly: { vertices: [{ x: 10, y: 20 }, { x: 60, y: 20 }, { x: 60, y: 40 }, { x: 10, y: 40 }] } }
+  ]), expected);
+  assert.deepStrictEqual(layout.wordsFromAzure({
+    regions: [{ lines: [{ words: [{ text: 'Milch', boundingBox: '10,20,50,20' }] }] }]
+  }), expected);
+  assert.deepStrictEqual(layout.wordsFromGoogle([{ description: 'all' }, { description: 'x', boundingPoly: { vertices: [{}, { x: 4 }, { x: 4, y: 6 }, { y: 6 }] } }]),
+    [word('x', 0, 0, 4, 6)]);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ReceiptValidator = require('../src/services/receipt-validator');
+const { parse } = require('./helpers');
+
+const validator = new ReceiptValidator();
+const now = new Date('2025-06-10');
+
+function paymentCheck(validation) {
+  return validation.checks.find(check => check.name === 'payment');
+}
+
+test('cash payment with change on a chain receipt matches the total', () => {
+  const receipt = parse([
+    '# Receipt',
+    '',
+    'REWE Markt GmbH',
+    '',
+    '| Item | Price |',
+    '| --- | --- |',
+    '| BANANEN | 1,36 B |',
+    '| COLA | 5,00 B |',
+    '',
+    '* SUMME EUR 6,36',
+    '* Geg. Bar EUR 10,00',
+    '* Rückgeld EUR 3,64',
+    '* Datum 05.06.2025'
+  ].join('\n'));
+
+  assert.strictEqual(receipt.payment.method, 'cash');
+  assert.strictEqual(receipt.payment.amount_paid, 10);
+  assert.strictEqual(receipt.payment.change, 3.64);
+
+  const validation = validator.validate(receipt, now);
+  assert.strictEqual(paymentCheck(validation).status, 'passed');
+  assert.strictEqual(validation.needs_review, false);
+});
+
+test('cash payment with change on a generic receipt matches the total', () => {
+  const receipt = parse([
+    '# Receipt',
+    '',
+    '| Item | Price |',
+    '| --- | --- |',
+    '| Zeitung | 2,50 |',
+    '',
+    '* Summe 2,50 €',
+    '* Bar 5,00 €',
+    '* Wechselgeld 2,50 €',
+    '* 05.06.2025'
+  ].join('\n'));
+
+  assert.strictEqual(receipt.payment.amount_paid, 5);
+  assert.strictEqual(receipt.payment.change, 2.5);
+  assert.strictEqual(paymentCheck(validator.validate(receipt, now)).status, 'passed');
+});
+
+test('cash payment without the change line is flagged', () => {
+  const receipt = parse([
+    '# Receipt',
+    '',
+    'REWE Markt GmbH',
+    '',
+    '| Item | Price |',
+    '| --- | --- |',
+    '| BANANEN | 6,36 B |',
+    '',
+    '* SUMME EUR 6,36',
+    '* Geg. Bar EUR 10,00',
+    '* Datum 05.06.2025'
+  ].join('\n'));
+
+  const validation = validator.validate(receipt, now);
+  assert.strictEqual(paymentCheck(validation).status, 'failed');
+  assert.strictEqual(validation.needs_review, true);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const TesseractOCRService = require('../src/services/tesseract-ocr');
+const { quietly, tempDir } = require('./helpers');
+
+test('an unreadable image rejects instead of ending the process', async t => {
+  const imagePath = path.join(tempDir(t), 'receipt.jpg');
+  fs.writeFileSync(imagePath, 'not an image');
+
+  const tesseract = quietly(() => new TesseractOCRService());
+  await assert.rejects(
+    quietly(() => tesseract.processImage(imagePath)),
+    /Error attempting to read image/
+  );
+});
+
+// A white receipt snippet with German text
+function receiptImage(lines) {
+  const text = lines.map((line, index) =>
+    `<text x="20" y="${60 + index * 60}" font-family="DejaVu Sans, sans-serif" font-size="36">${line}</text>`
+  ).join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="600" height="${40 + lines.length * 60}">` +
+    `<rect width="100%" height="100%" fill="white"/>${text}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+test('German text is recognized offline with the bundled traineddata', async t => {
+  const imagePath = path.join(tempDir(t), 'receipt.png');
+  fs.writeFileSync(imagePath, await receiptImage(['Käse 2,49', 'SUMME 2,49']));
+
+  const tesseract = quietly(() => new TesseractOCRService());
+  const result = await quietly(() => tesseract.processImage(imagePath));
+
+  assert.match(result.text, /Käse 2,49/);
+  assert.match(result.text, /SUMME 2,49/);
+  assert.strictEqual(result.processing_info.language, 'deu');
+  assert.ok(result.confidence > 0.5);
+});
+
+test('language data missing from the lang path fails instead of hanging', async t => {
+  const dir = tempDir(t);
+  const imagePath = path.join(dir, 'receipt.png');
+  fs.writeFileSync(imagePath, await receiptImage(['SUMME 2,49']));
+
+  const tesseract = quietly(() => new TesseractOCRService({ langPath: dir }));
+  await assert.rejects(
+    quietly(() => tesseract.processImage(imagePath)),
+    { message: `Tesseract language data not found: ${path.join(dir, 'deu.traineddata')}` }
+  );
+});